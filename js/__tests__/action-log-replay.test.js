@@ -0,0 +1,246 @@
+/**
+ * Action log and replay tests
+ * Tests that commands are logged and that a replay rebuilds the game from its seed
+ */
+
+import { jest } from '@jest/globals';
+import { ActionLog, ACTION_TYPES } from '../core/ActionLog.js';
+import { GameState } from '../core/GameState.js';
+import { ReplayEngine } from '../core/ReplayEngine.js';
+import { AIEngine } from '../core/AIEngine.js';
+import { Unit, UNIT_TYPES } from '../core/Unit.js';
+import { startGame, withStartingUnits } from './helpers/game-setup.js';
+
+describe('Action Log and Replay', () => {
+    const config = {
+        seed: 4242,
+        map: { width: 20, height: 15 },
+        players: [
+            { id: 0, name: 'Alice', faction: 'HUMANS', color: '#0066CC', isAI: false },
+            { id: 1, name: 'Bob', faction: 'ELVES', color: '#00CC66', isAI: false }
+        ],
+        gameSettings: { fogOfWar: false }
+    };
+
+    // Production never completes yet, so give each game the same starting
+    // armies: two warriors in Alice's capital, a Bob warrior next to it
+    // and another in Bob's capital
+    beforeEach(() => {
+        withStartingUnits(gameState => {
+            const capital = gameState.getPlayerCities(0)[0];
+            const neighbor = gameState.map.getNeighbors(capital.x, capital.y)
+                .find(hex => hex.isPassable() && !hex.hasCity());
+
+            gameState.addUnit(new Unit(UNIT_TYPES.WARRIOR, 0, capital.x, capital.y));
+            gameState.addUnit(new Unit(UNIT_TYPES.WARRIOR, 0, capital.x, capital.y));
+            gameState.addUnit(new Unit(UNIT_TYPES.WARRIOR, 1, neighbor.x, neighbor.y));
+
+            const bobCapital = gameState.getPlayerCities(1)[0];
+            gameState.addUnit(new Unit(UNIT_TYPES.WARRIOR, 1, bobCapital.x, bobCapital.y));
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    // Alice attacks, Bob retreats if he survived, both buy troops and end turns
+    const playGame = (manager) => {
+        const gameState = manager.getGameState();
+        const [attacker] = gameState.getPlayerUnits(0);
+        const [defender] = gameState.getPlayerUnits(1);
+
+        manager.processAction({ type: ACTION_TYPES.ATTACK, attackerId: attacker.id, defenderId: defender.id });
+        manager.processAction({ type: ACTION_TYPES.PRODUCE_UNIT, cityId: gameState.getPlayerCities(0)[0].id, unitType: 'WARRIOR' });
+        manager.processAction({ type: ACTION_TYPES.END_TURN });
+
+        for (const unit of gameState.getPlayerUnits(1)) {
+            const [target] = gameState.getUnitReachableHexes(unit);
+            if (target) {
+                manager.processAction({ type: ACTION_TYPES.MOVE_UNIT, unitId: unit.id, toX: target.x, toY: target.y });
+            }
+        }
+        manager.processAction({ type: ACTION_TYPES.PRODUCE_UNIT, cityId: gameState.getPlayerCities(1)[0].id, unitType: 'ARCHER' });
+        manager.processAction({ type: ACTION_TYPES.END_TURN });
+    };
+
+    const snapshot = (gameState) => ({
+        turn: gameState.getCurrentTurn(),
+        activePlayer: gameState.getActivePlayer(),
+        units: Array.from(gameState.getUnits().values())
+            .map(unit => `${unit.owner}:${unit.type}@${unit.x},${unit.y}:${unit.health}`)
+            .sort(),
+        gold: gameState.getPlayers().map(player => player.resources.gold),
+        production: Array.from(gameState.getCities().values()).map(city => city.currentProduction)
+    });
+
+    describe('ActionLog', () => {
+        test('should index actions and reject unknown types', () => {
+            const log = new ActionLog();
+
+            const first = log.record({ type: ACTION_TYPES.END_TURN, playerId: 0 });
+
+            expect(first.index).toBe(0);
+            expect(log.size()).toBe(1);
+            expect(() => log.record({ type: 'TELEPORT_EVERYONE' })).toThrow('Unknown action type');
+        });
+
+        test('should survive serialization', () => {
+            const log = new ActionLog();
+            log.record({ type: ACTION_TYPES.MOVE_UNIT, unit: { x: 1, y: 2, index: 0 }, toX: 2, toY: 2 });
+
+            const restored = new ActionLog();
+            restored.deserialize(JSON.parse(JSON.stringify(log.serialize())));
+
+            expect(restored.getActions()).toEqual(log.getActions());
+        });
+    });
+
+    describe('Recording', () => {
+        test('should log attacks, production, moves and turn ends with unit positions', () => {
+            const manager = startGame(config);
+            playGame(manager);
+
+            const actions = manager.getGameState().actionLog.getActions();
+            const types = actions.map(action => action.type);
+
+            expect(types[0]).toBe(ACTION_TYPES.ATTACK);
+            expect(types).toContain(ACTION_TYPES.PRODUCE_UNIT);
+            expect(types.filter(type => type === ACTION_TYPES.END_TURN)).toHaveLength(2);
+            expect(actions[0]).toMatchObject({ playerId: 0, turn: 1, attacker: { index: 0 } });
+            expect(actions[1]).toMatchObject({ type: ACTION_TYPES.PRODUCE_UNIT, unitType: 'WARRIOR' });
+        });
+
+        test('should store the setup and log in saves', () => {
+            const manager = startGame(config);
+            playGame(manager);
+            const gameState = manager.getGameState();
+
+            const loaded = new GameState();
+            loaded.deserialize(JSON.parse(JSON.stringify(gameState.serialize())));
+
+            expect(loaded.setupConfig.seed).toBe(4242);
+            expect(loaded.actionLog.getActions()).toEqual(gameState.actionLog.getActions());
+        });
+    });
+
+    describe('Replay', () => {
+        test('should rebuild the final position from the seed and the log', () => {
+            const manager = startGame(config);
+            playGame(manager);
+            const expected = snapshot(manager.getGameState());
+
+            const replay = ReplayEngine.fromGameState(manager.getGameState());
+            replay.goTo(replay.getLength());
+
+            expect(replay.getPosition()).toBe(replay.getLength());
+            expect(snapshot(replay.getGameState())).toEqual(expected);
+        });
+
+        test('should replay a saved game', () => {
+            const manager = startGame(config);
+            playGame(manager);
+            const expected = snapshot(manager.getGameState());
+
+            const saveData = JSON.parse(JSON.stringify({ gameState: manager.getGameState().serialize() }));
+            const replay = ReplayEngine.fromSaveData(saveData);
+            replay.goTo(replay.getLength());
+
+            expect(snapshot(replay.getGameState())).toEqual(expected);
+        });
+
+        test('should replay stack splits and merges', () => {
+            const manager = startGame(config);
+            const gameState = manager.getGameState();
+            const [first, second] = gameState.getPlayerUnits(0);
+            const capital = gameState.getPlayerCities(0)[0];
+            const camp = gameState.getMap().getNeighbors(capital.x, capital.y).find(hex =>
+                hex.isPassable() && !hex.hasCity() && hex.getMovementCost() <= first.maxMovement &&
+                gameState.getUnitsAt(hex.x, hex.y).length === 0);
+
+            expect(manager.processAction({
+                type: ACTION_TYPES.SPLIT_STACK, units: [gameState.getUnitRef(second)], toX: camp.x, toY: camp.y
+            })).toBe(true);
+            expect(manager.processAction({
+                type: ACTION_TYPES.MERGE_STACK, units: [gameState.getUnitRef(first)], toX: camp.x, toY: camp.y
+            })).toBe(true);
+            expect(gameState.getUnitsAt(camp.x, camp.y)).toEqual([first, second]);
+            const expected = snapshot(gameState);
+
+            const replay = ReplayEngine.fromGameState(gameState);
+            replay.goTo(replay.getLength());
+
+            expect(snapshot(replay.getGameState())).toEqual(expected);
+        });
+
+        // With this seed a battle in the middle of an AI turn decides the game
+        test('should replay a game the AI played to its end', async () => {
+            const manager = startGame({
+                ...config,
+                seed: 25,
+                players: [
+                    { id: 0, name: 'Alice', faction: 'HUMANS', color: '#0066CC', isAI: true },
+                    { id: 1, name: 'Bob', faction: 'ELVES', color: '#00CC66', isAI: true },
+                    { id: 2, name: 'Carol', faction: 'DWARVES', color: '#CC6600', isAI: true }
+                ]
+            });
+            const gameState = manager.getGameState();
+            const ai = new AIEngine(gameState, manager);
+            jest.spyOn(ai, 'sleep').mockResolvedValue();
+
+            while (manager.gamePhase === 'PLAYING' && gameState.getCurrentTurn() <= 10) {
+                await ai.processAITurn(manager.currentPlayer);
+                manager.processAction({ type: ACTION_TYPES.END_TURN });
+            }
+            const expected = {
+                ...snapshot(gameState),
+                phase: manager.gamePhase,
+                eliminated: gameState.getPlayers().map(player => player.isEliminated)
+            };
+
+            const replay = ReplayEngine.fromGameState(gameState);
+            replay.goTo(replay.getLength());
+
+            expect({
+                ...snapshot(replay.getGameState()),
+                phase: replay.manager.gamePhase,
+                eliminated: replay.getGameState().getPlayers().map(player => player.isEliminated)
+            }).toEqual(expected);
+        });
+
+        test('should step backwards to earlier positions', () => {
+            const manager = startGame(config);
+            const start = snapshot(manager.getGameState());
+            playGame(manager);
+
+            const replay = ReplayEngine.fromGameState(manager.getGameState());
+            replay.stepForward();
+            const afterAttack = snapshot(replay.getGameState());
+            replay.stepForward();
+
+            expect(replay.stepBackward()).toBe(true);
+            expect(snapshot(replay.getGameState())).toEqual(afterAttack);
+            expect(replay.getCurrentAction().type).toBe(ACTION_TYPES.ATTACK);
+
+            replay.stepBackward();
+            expect(snapshot(replay.getGameState())).toEqual(start);
+            expect(replay.stepBackward()).toBe(false);
+        });
+
+        test('should not disturb the live game\'s dice', () => {
+            const manager = startGame(config);
+            playGame(manager);
+            const liveState = manager.getGameState().random.serialize();
+
+            const replay = ReplayEngine.fromGameState(manager.getGameState());
+            replay.goTo(replay.getLength());
+
+            expect(manager.getGameState().random.serialize()).toEqual(liveState);
+            expect(replay.getGameState().random).not.toBe(manager.getGameState().random);
+        });
+
+        test('should refuse games without a recorded setup', () => {
+            expect(() => new ReplayEngine(null, [])).toThrow('no recorded setup');
+        });
+    });
+});
@@ -0,0 +1,200 @@
+/**
+ * Campaign tests
+ * Tests chaining scenarios into a campaign: branching chapters, heroes carried
+ * from one chapter into the next and progress kept by SaveLoadManager
+ */
+
+import { jest } from '@jest/globals';
+import { GameManager } from '../core/GameManager.js';
+import { Map as GameMap } from '../core/Map.js';
+import { Campaign, CHAPTER_STATES, DEFAULT_CARRIED_HEROES } from '../core/Campaign.js';
+import { SCENARIO_CONDITIONS } from '../core/Scenario.js';
+import { saveLoadManager } from '../core/SaveLoadManager.js';
+import { Item } from '../core/Item.js';
+import { Spell } from '../core/Spell.js';
+
+describe('Campaigns', () => {
+    // A small chapter: Alice's hero and warrior must take Midford from Bob
+    const createScenario = (name, heroSlot = { x: 1, y: 1 }) => ({
+        name,
+        map: new GameMap(10, 8).serialize(),
+        cities: [
+            { name: 'Northwatch', x: 1, y: 1, owner: 0, size: 2 },
+            { name: 'Southgate', x: 8, y: 6, owner: 1, size: 2 },
+            { name: 'Midford', x: 5, y: 4, owner: -1, size: 1 }
+        ],
+        players: [
+            {
+                id: 0, name: 'Alice', faction: 'HUMANS', color: '#0066CC', isAI: false,
+                units: [{ type: 'HERO', ...heroSlot, name: 'Recruit' }, { type: 'WARRIOR', x: 4, y: 3 }]
+            },
+            {
+                id: 1, name: 'Bob', faction: 'ELVES', color: '#00CC66', isAI: true,
+                units: [{ type: 'ARCHER', x: 8, y: 6 }]
+            }
+        ],
+        victory: [
+            { player: 0, when: { type: SCENARIO_CONDITIONS.CITY_OWNED, x: 5, y: 4, player: 0 }, outcome: 'midford_taken' },
+            { player: 1, when: { type: SCENARIO_CONDITIONS.CITY_OWNED, x: 5, y: 4, player: 1 } }
+        ],
+        standardVictory: false
+    });
+
+    const createCampaignData = (overrides = {}) => ({
+        id: 'northern-march',
+        name: 'The Northern March',
+        chapters: [
+            { id: 'ford', name: 'The Ford', scenario: createScenario('The Ford'), next: { midford_taken: 'castle', default: 'retreat' } },
+            { id: 'castle', name: 'The Castle', scenario: createScenario('The Castle', { x: 2, y: 6 }) },
+            { id: 'retreat', name: 'The Retreat', scenario: createScenario('The Retreat') }
+        ],
+        ...overrides
+    });
+
+    let campaign;
+    let progress;
+
+    beforeEach(() => {
+        localStorage.clear();
+        campaign = Campaign.load(createCampaignData());
+        progress = campaign.createProgress();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const playChapter = chapterId => {
+        const manager = new GameManager(null, { headless: true });
+        manager.initializeGame({ ...campaign.buildConfig(progress, chapterId), seed: 7 });
+        return manager;
+    };
+
+    const takeMidford = manager => {
+        const gameState = manager.getGameState();
+        const warrior = gameState.getPlayerUnits(0).find(unit => unit.type === 'WARRIOR');
+        gameState.moveUnit(warrior, 4, 4);
+        gameState.moveUnit(warrior, 5, 4);
+    };
+
+    test('should reject campaigns that do not hold together', () => {
+        expect(Campaign.validate(createCampaignData())).toEqual([]);
+
+        const data = createCampaignData();
+        data.chapters[0].next = { midford_taken: 'harbour' };
+        data.chapters[2].id = 'castle';
+        data.chapters[1].scenario.players = data.chapters[1].scenario.players.map(seat => ({ ...seat, id: seat.id + 1 }));
+        const errors = Campaign.validate(data);
+
+        expect(errors).toEqual(expect.arrayContaining([
+            'Every chapter needs an id of its own',
+            'Chapter ford: outcome midford_taken leads to unknown chapter harbour',
+            'Chapter castle: has no seat for player 0'
+        ]));
+        expect(() => Campaign.load({ id: 'empty', chapters: [] })).toThrow('Campaign needs at least one chapter');
+    });
+
+    test('should unlock the chapter each outcome leads to', () => {
+        expect(campaign.chapters.map(chapter => campaign.getChapterState(progress, chapter.id)))
+            .toEqual([CHAPTER_STATES.UNLOCKED, CHAPTER_STATES.LOCKED, CHAPTER_STATES.LOCKED]);
+        expect(campaign.buildConfig(progress, 'castle')).toBeNull();
+        expect(campaign.getBranches('ford').map(branch => `${branch.outcome}>${branch.chapter.id}`))
+            .toEqual(['midford_taken>castle', 'default>retreat']);
+
+        const other = campaign.createProgress();
+        expect(campaign.completeChapter(other, 'ford', 'victory').id).toBe('retreat');
+        expect(other.unlocked).toEqual(['ford', 'retreat']);
+
+        expect(campaign.completeChapter(progress, 'ford', 'midford_taken').id).toBe('castle');
+        expect(campaign.getChapterState(progress, 'ford')).toBe(CHAPTER_STATES.COMPLETED);
+        expect(campaign.getChapterState(progress, 'castle')).toBe(CHAPTER_STATES.UNLOCKED);
+        expect(campaign.getChapterState(progress, 'retreat')).toBe(CHAPTER_STATES.LOCKED);
+        expect(progress.finished).toBe(false);
+
+        expect(campaign.completeChapter(progress, 'castle', 'midford_taken')).toBeNull();
+        expect(progress.finished).toBe(true);
+    });
+
+    test('should set every other seat to the computer and play the chapter\'s scenario', () => {
+        const config = campaign.buildConfig(progress, 'ford');
+
+        expect(config.players.map(seat => seat.isAI)).toEqual([false, true]);
+        expect(config.campaign).toEqual({ id: 'northern-march', chapter: 'ford', player: 0, heroes: [] });
+        expect(config.scenario.name).toBe('The Ford');
+    });
+
+    test('should carry the chosen heroes with their items, spells and experience into the next chapter', () => {
+        saveLoadManager.saveCampaignProgress(campaign, progress);
+        const ford = playChapter('ford');
+        const [recruit] = ford.getGameState().getPlayerHeroes(0);
+        recruit.gainExperience(300);
+        recruit.equipItem(new Item('IRON_SWORD'));
+        recruit.learnSpell(new Spell('MAGIC_MISSILE'));
+
+        takeMidford(ford);
+        expect(ford.gamePhase).toBe('ENDED');
+        expect(ford.campaignResult).toEqual({ won: true, outcome: 'midford_taken' });
+
+        const result = ford.finishCampaignChapter([recruit.id]);
+        expect(result.success).toBe(true);
+        expect(result.next.id).toBe('castle');
+
+        // The progress went to storage and the next chapter starts from it
+        const saved = saveLoadManager.loadCampaignProgress('northern-march');
+        campaign = new Campaign(saved.campaign);
+        progress = saved.progress;
+        expect(progress.heroes.map(hero => hero.heroName)).toEqual(['Recruit']);
+
+        const castle = playChapter('castle');
+        const [veteran] = castle.getGameState().getPlayerHeroes(0);
+        expect([veteran.x, veteran.y]).toEqual([2, 6]);
+        expect(veteran.heroName).toBe('Recruit');
+        expect(veteran.experience).toBe(300);
+        expect(veteran.level).toBe(recruit.level);
+        expect(veteran.items.map(item => item.name)).toEqual(['Iron Sword']);
+        expect(veteran.spells.map(spell => spell.name)).toEqual(['Magic Missile']);
+        expect(veteran.health).toBe(veteran.getMaxHealth());
+        expect(castle.getGameState().getPlayerHeroes(0)).toHaveLength(1);
+    });
+
+    test('should take no more heroes than the campaign allows and leave lost chapters open', () => {
+        expect(campaign.maxHeroes).toBe(DEFAULT_CARRIED_HEROES);
+        campaign.completeChapter(progress, 'ford', 'midford_taken', [{ heroName: 'A' }, { heroName: 'B' }, { heroName: 'C' }]);
+        expect(progress.heroes.map(hero => hero.heroName)).toEqual(['A', 'B']);
+
+        // Extra veterans wait in the campaign player's first city
+        progress.heroes = progress.heroes.map(hero => ({ ...hero, experience: 0, items: [], spells: [] }));
+        const castle = playChapter('castle');
+        const heroes = castle.getGameState().getPlayerHeroes(0);
+        expect(heroes.map(hero => `${hero.heroName}@${hero.x},${hero.y}`)).toEqual(['A@2,6', 'B@1,1']);
+
+        // Bob takes Midford: the chapter is lost and stays open
+        saveLoadManager.saveCampaignProgress(campaign, progress);
+        const gameState = castle.getGameState();
+        gameState.getCityAt(5, 4).changeOwner(1, gameState.getPlayers());
+        gameState.checkScenario();
+        expect(castle.campaignResult).toEqual({ won: false, outcome: null });
+
+        const result = castle.finishCampaignChapter(heroes.map(hero => hero.id));
+        expect(result.success).toBe(true);
+        expect(result.next).toBeNull();
+        expect(campaign.getChapterState(result.progress, 'castle')).toBe(CHAPTER_STATES.UNLOCKED);
+        expect(result.progress.heroes.map(hero => hero.heroName)).toEqual(['A', 'B']);
+    });
+
+    test('should keep campaign progress in storage', () => {
+        expect(saveLoadManager.saveCampaignProgress(campaign, progress).success).toBe(true);
+        expect(saveLoadManager.getCampaignSaves()).toEqual([expect.objectContaining({
+            id: 'northern-march', name: 'The Northern March', completed: 0, finished: false
+        })]);
+
+        const loaded = saveLoadManager.loadCampaignProgress('northern-march');
+        expect(loaded.success).toBe(true);
+        expect(loaded.progress).toEqual(progress);
+        expect(new Campaign(loaded.campaign).getChapter('castle').scenario.name).toBe('The Castle');
+
+        expect(saveLoadManager.deleteCampaignProgress('northern-march').success).toBe(true);
+        expect(saveLoadManager.loadCampaignProgress('northern-march').success).toBe(false);
+        expect(new GameManager(null, { headless: true }).finishCampaignChapter().success).toBe(false);
+    });
+});
@@ -0,0 +1,209 @@
+/**
+ * City capture tests
+ * Tests occupying, pillaging, sacking and razing captured cities
+ */
+
+import { jest } from '@jest/globals';
+import { ReplayEngine } from '../core/ReplayEngine.js';
+import { AIEngine } from '../core/AIEngine.js';
+import { ACTION_TYPES } from '../core/ActionLog.js';
+import { CAPTURE_OPTIONS, CITY_IMPROVEMENTS, PILLAGE_RECOVERY_TURNS } from '../core/City.js';
+import { Hex } from '../core/Hex.js';
+import { Unit, UNIT_TYPES } from '../core/Unit.js';
+import { CaptureDialog } from '../ui/CaptureDialog.js';
+import { startGame, withStartingUnits, placeNextToCity } from './helpers/game-setup.js';
+
+describe('City Capture', () => {
+    const config = {
+        seed: 1234,
+        map: { width: 20, height: 15 },
+        players: [
+            { id: 0, name: 'Alice', faction: 'HUMANS', color: '#0066CC', isAI: false },
+            { id: 1, name: 'Bob', faction: 'ELVES', color: '#00CC66', isAI: false }
+        ],
+        gameSettings: { fogOfWar: false }
+    };
+
+    // Every game starts with an Alice warrior next to Bob's undefended capital
+    beforeEach(() => {
+        withStartingUnits(state => {
+            const capital = state.getPlayerCities(1)[0];
+            placeNextToCity(state, capital, new Unit(UNIT_TYPES.WARRIOR, 0, capital.x, capital.y));
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        document.body.innerHTML = '';
+    });
+
+    let manager;
+    let gameState;
+    let capital;
+    let raider;
+
+    beforeEach(() => {
+        manager = startGame(config);
+        gameState = manager.getGameState();
+        capital = gameState.getPlayerCities(1)[0];
+        [raider] = gameState.getPlayerUnits(0);
+    });
+
+    const capture = () => manager.processAction({
+        type: ACTION_TYPES.MOVE_UNIT,
+        unit: gameState.getUnitRef(raider),
+        toX: capital.x,
+        toY: capital.y
+    });
+
+    test('should take a city by moving into it', () => {
+        const captures = gameState.getPlayer(0).stats.citiesCapture;
+
+        expect(capture()).toBe(true);
+
+        expect(capital.owner).toBe(0);
+        expect(gameState.getPlayer(0).stats.citiesCapture).toBe(captures + 1);
+        expect(gameState.getPlayer(1).stats.citiesLost).toBe(1);
+        expect(gameState.getPendingCaptures(0)).toEqual([capital]);
+
+        // A conquest cannot be undone
+        expect(gameState.canUndo()).toBe(false);
+    });
+
+    test('should keep a player without units in the game until they lose their last city', () => {
+        expect(gameState.getPlayerUnits(1)).toHaveLength(0);
+
+        manager.processAction({ type: ACTION_TYPES.END_TURN });
+
+        expect(manager.getGamePhase()).toBe('PLAYING');
+        expect(manager.checkDominationVictory()).toBeNull();
+
+        for (const city of gameState.getPlayerCities(1)) {
+            gameState.captureCityAt(city.x, city.y, 0);
+        }
+
+        expect(manager.checkDominationVictory()).toBe(gameState.getPlayer(0));
+    });
+
+    test('should pillage for gold and halve production until the city recovers', () => {
+        capture();
+        const gold = gameState.getPlayer(0).resources.gold;
+        const plunder = capital.getPillageGold();
+
+        const result = gameState.resolveCityCapture(capital, CAPTURE_OPTIONS.PILLAGE);
+        const pillagedCapacity = capital.productionCapacity;
+
+        expect(result).toEqual({ success: true, option: CAPTURE_OPTIONS.PILLAGE, gold: plunder });
+        expect(gameState.getPlayer(0).resources.gold).toBe(gold + plunder);
+        expect(gameState.getPlayer(0).stats).toMatchObject({ citiesPillaged: 1, goldPlundered: plunder });
+
+        for (let i = 0; i < PILLAGE_RECOVERY_TURNS; i++) {
+            expect(capital.productionCapacity).toBe(pillagedCapacity);
+            capital.processProduction();
+        }
+        expect(pillagedCapacity).toBe(Math.floor(capital.productionCapacity / 2));
+    });
+
+    test("should sack a city's improvements for more gold", () => {
+        capital.improvements.push('WALLS', 'MARKETPLACE');
+        capture();
+        const gold = gameState.getPlayer(0).resources.gold;
+        const expected = capital.getPillageGold() +
+            Math.floor(CITY_IMPROVEMENTS.WALLS.cost / 2) + Math.floor(CITY_IMPROVEMENTS.MARKETPLACE.cost / 2);
+
+        expect(gameState.resolveCityCapture(capital, CAPTURE_OPTIONS.SACK).gold).toBe(expected);
+
+        expect(capital.improvements).toEqual([]);
+        expect(gameState.getPlayer(0).resources.gold).toBe(gold + expected);
+        expect(gameState.getPlayer(0).stats.citiesSacked).toBe(1);
+    });
+
+    test('should raze a city and leave ruins that are saved with the map', () => {
+        capture();
+
+        expect(manager.processAction({ type: ACTION_TYPES.RESOLVE_CAPTURE, city: { x: capital.x, y: capital.y }, option: CAPTURE_OPTIONS.RAZE })).toBe(true);
+
+        const hex = gameState.getHex(capital.x, capital.y);
+        expect(gameState.getCityAt(capital.x, capital.y)).toBeNull();
+        expect(gameState.getPlayerCities(1)).toHaveLength(0);
+        expect(hex.ruins).toEqual({ name: capital.name, turn: gameState.getCurrentTurn() });
+        expect(Hex.deserialize(JSON.parse(JSON.stringify(hex.serialize()))).ruins).toEqual(hex.ruins);
+        expect(gameState.getPlayer(0).stats.citiesRazed).toBe(1);
+    });
+
+    test('should only offer the choice on the turn of the capture', () => {
+        expect(gameState.resolveCityCapture(capital, CAPTURE_OPTIONS.RAZE).success).toBe(false);
+
+        // Bob keeps a second city so the game goes on
+        Array.from(gameState.getCities().values())
+            .find(city => city.owner !== 0 && city !== capital)
+            .changeOwner(1, gameState.getPlayers());
+        capture();
+        expect(gameState.resolveCityCapture(capital, 'LOOT').success).toBe(false);
+
+        manager.endTurn();
+        manager.endTurn();
+
+        expect(gameState.getPendingCaptures(0)).toEqual([]);
+        expect(gameState.resolveCityCapture(capital, CAPTURE_OPTIONS.RAZE).success).toBe(false);
+        expect(capital.owner).toBe(0);
+    });
+
+    test('should replay captures and their outcome', () => {
+        capture();
+        gameState.resolveCityCapture(capital, CAPTURE_OPTIONS.RAZE);
+        manager.endTurn();
+
+        const replay = ReplayEngine.fromGameState(gameState);
+        replay.goTo(replay.getLength());
+        const replayed = replay.getGameState();
+
+        expect(replayed.getCityAt(capital.x, capital.y)).toBeNull();
+        expect(replayed.getHex(capital.x, capital.y).ruins).toMatchObject({ name: capital.name });
+    });
+
+    test('should let the conqueror choose from a dialog', () => {
+        capture();
+        const dialog = new CaptureDialog(manager, capital);
+        dialog.show();
+
+        const buttons = document.querySelectorAll('#capture-dialog .capture-option');
+        expect(Array.from(buttons).map(button => button.dataset.option)).toEqual(Object.values(CAPTURE_OPTIONS));
+
+        document.querySelector(`#capture-dialog [data-option="${CAPTURE_OPTIONS.PILLAGE}"]`).click();
+
+        expect(document.getElementById('capture-dialog')).toBeNull();
+        expect(capital.pillagedTurns).toBe(PILLAGE_RECOVERY_TURNS);
+    });
+
+    test('should give the AI a capture policy for each personality', () => {
+        capture();
+        const ai = new AIEngine(gameState);
+        gameState.getPlayer(0).resources.gold = 1000;
+
+        ai.setPersonality('DEFENSIVE');
+        expect(ai.chooseCaptureOption(capital, 0)).toBe(CAPTURE_OPTIONS.OCCUPY);
+
+        ai.setPersonality('AGGRESSIVE');
+        expect(ai.chooseCaptureOption(capital, 0)).toBe(CAPTURE_OPTIONS.PILLAGE);
+        capital.improvements.push('TEMPLE');
+        expect(ai.chooseCaptureOption(capital, 0)).toBe(CAPTURE_OPTIONS.SACK);
+
+        ai.setPersonality('BALANCED');
+        expect(ai.chooseCaptureOption(capital, 0)).toBe(CAPTURE_OPTIONS.OCCUPY);
+        gameState.getPlayer(0).resources.gold = 0;
+        expect(ai.chooseCaptureOption(capital, 0)).toBe(CAPTURE_OPTIONS.PILLAGE);
+
+        // Outnumbered by enemies in sight: don't leave them a city to retake
+        const hex = gameState.getMap().getNeighbors(capital.x, capital.y)
+            .find(neighbor => neighbor.isPassable() && !neighbor.unit && !neighbor.hasCity());
+        for (let i = 0; i < 2; i++) {
+            gameState.addUnit(new Unit(UNIT_TYPES.WARRIOR, 1, hex.x, hex.y));
+        }
+        ai.setPersonality('AGGRESSIVE');
+        expect(ai.chooseCaptureOption(capital, 0)).toBe(CAPTURE_OPTIONS.RAZE);
+
+        ai.resolveCaptures(0);
+        expect(gameState.getCityAt(capital.x, capital.y)).toBeNull();
+    });
+});
@@ -0,0 +1,221 @@
+/**
+ * City improvement tests
+ * Tests buildings and size upgrades that cities construct over several turns
+ */
+
+import { City, CITY_IMPROVEMENTS, CITY_UPGRADE, MAX_CITY_SIZE } from '../core/City.js';
+import { Player } from '../core/Player.js';
+import { CombatSystem } from '../core/CombatSystem.js';
+import { GameManager } from '../core/GameManager.js';
+import { ReplayEngine } from '../core/ReplayEngine.js';
+import { ACTION_TYPES } from '../core/ActionLog.js';
+import { Unit, UNIT_TYPES } from '../core/Unit.js';
+
+describe('City Improvements', () => {
+    describe('City', () => {
+        let players;
+        let city;
+
+        // Work on the current project until it is finished
+        const finishConstruction = () => {
+            let finished = null;
+            while (!finished) {
+                finished = city.processConstruction();
+            }
+            return finished;
+        };
+
+        beforeEach(() => {
+            players = [new Player(0, 'Player 1', 'HUMANS', '#0066CC', false)];
+            players[0].resources.gold = 1000;
+            city = new City('Test City', 0, 5, 5, 1);
+        });
+
+        test('should pay up front and finish after the build time', () => {
+            expect(city.startConstruction('WALLS', players)).toBe(true);
+            expect(players[0].resources.gold).toBe(1000 - CITY_IMPROVEMENTS.WALLS.cost);
+
+            for (let i = 1; i < CITY_IMPROVEMENTS.WALLS.turns; i++) {
+                expect(city.processConstruction()).toBeNull();
+            }
+            expect(city.processConstruction()).toBe('WALLS');
+
+            expect(city.hasImprovement('WALLS')).toBe(true);
+            expect(city.construction).toBeNull();
+            expect(city.getConstructionCost('WALLS')).toBeNull();
+        });
+
+        test('should build one project at a time and only what the owner can afford', () => {
+            expect(city.startConstruction('TEMPLE', players)).toBe(true);
+            expect(city.startConstruction('BARRACKS', players)).toBe(false);
+
+            finishConstruction();
+            players[0].resources.gold = 10;
+
+            expect(city.startConstruction('BARRACKS', players)).toBe(false);
+            expect(city.startConstruction('CASTLE', players)).toBe(false);
+            expect(city.construction).toBeNull();
+        });
+
+        test('should refund the unworked share when cancelled', () => {
+            city.startConstruction('WALLS', players);
+            city.processConstruction();
+
+            expect(city.cancelConstruction(players)).toBe(true);
+            expect(players[0].resources.gold).toBe(1000 - 50);
+            expect(city.cancelConstruction(players)).toBe(false);
+        });
+
+        test('should raise gold and production with a marketplace and barracks', () => {
+            const income = city.getIncome();
+            const capacity = city.productionCapacity;
+
+            city.startConstruction('MARKETPLACE', players);
+            finishConstruction();
+            city.startConstruction('BARRACKS', players);
+            finishConstruction();
+
+            expect(city.getIncome()).toBe(Math.floor(income * 1.5));
+            expect(city.productionCapacity).toBe(Math.floor(capacity * 1.5));
+        });
+
+        test('should grow through the size tiers', () => {
+            players[0].resources.gold = 5000;
+
+            for (let size = 1; size < MAX_CITY_SIZE; size++) {
+                const price = city.getConstructionCost(CITY_UPGRADE);
+                expect(price).toEqual({ cost: size * 200, turns: size + 2 });
+
+                city.startConstruction(CITY_UPGRADE, players);
+                expect(finishConstruction()).toBe(CITY_UPGRADE);
+                expect(city.size).toBe(size + 1);
+            }
+
+            expect(city.getConstructionCost(CITY_UPGRADE)).toBeNull();
+            expect(city.productionCapacity).toBe(MAX_CITY_SIZE * 10);
+        });
+
+        test('should give defenders the walls bonus in combat', () => {
+            const bonus = CombatSystem.getCityDefenseBonus(city, 0);
+
+            city.startConstruction('WALLS', players);
+            finishConstruction();
+
+            expect(CombatSystem.getCityDefenseBonus(city, 0)).toBe(bonus + 2);
+            expect(CombatSystem.getCityDefenseBonus(city, 1)).toBe(0);
+        });
+
+        test('should keep buildings but lose unfinished work when captured', () => {
+            city.startConstruction('WALLS', players);
+            finishConstruction();
+            city.startConstruction('TEMPLE', players);
+
+            city.changeOwner(1, players);
+
+            expect(city.improvements).toEqual(['WALLS']);
+            expect(city.construction).toBeNull();
+        });
+
+        test('should survive serialization', () => {
+            city.startConstruction('MARKETPLACE', players);
+            finishConstruction();
+            city.startConstruction(CITY_UPGRADE, players);
+            city.processConstruction();
+
+            const restored = City.deserialize(JSON.parse(JSON.stringify(city.serialize())));
+
+            expect(restored.improvements).toEqual(['MARKETPLACE']);
+            expect(restored.construction).toEqual(city.construction);
+            expect(restored.getIncome()).toBe(city.getIncome());
+            expect(city.serialize()).not.toHaveProperty('goldPerTurn');
+        });
+    });
+
+    describe('Game', () => {
+        const config = {
+            seed: 77,
+            map: { width: 20, height: 15 },
+            players: [
+                { id: 0, name: 'Alice', faction: 'HUMANS', color: '#0066CC', isAI: false },
+                { id: 1, name: 'Bob', faction: 'ELVES', color: '#00CC66', isAI: false }
+            ],
+            gameSettings: { fogOfWar: false }
+        };
+
+        let manager;
+        let gameState;
+        let city;
+
+        beforeEach(() => {
+            manager = new GameManager(null, { headless: true });
+            manager.initializeGame(config);
+            gameState = manager.getGameState();
+            gameState.getPlayer(0).resources.gold = 1000;
+            city = gameState.getPlayerCities(0)[0];
+        });
+
+        const endRound = () => {
+            manager.endTurn();
+            manager.endTurn();
+        };
+
+        test('should finish construction at the start of the owner\'s turns', () => {
+            expect(manager.processAction({ type: ACTION_TYPES.START_CONSTRUCTION, cityId: city.id, project: 'TEMPLE' })).toBe(true);
+
+            for (let i = 0; i < CITY_IMPROVEMENTS.TEMPLE.turns; i++) {
+                expect(city.hasImprovement('TEMPLE')).toBe(false);
+                endRound();
+            }
+
+            expect(city.hasImprovement('TEMPLE')).toBe(true);
+        });
+
+        test('should heal units resting in a city with a temple', () => {
+            city.improvements.push('TEMPLE');
+            const unit = new Unit(UNIT_TYPES.WARRIOR, 0, city.x, city.y);
+            gameState.addUnit(unit);
+            gameState.getHex(city.x, city.y).setUnit(unit);
+            unit.takeDamage(unit.getMaxHealth() - 1);
+
+            endRound();
+
+            expect(unit.health).toBe(1 + Math.ceil(unit.getMaxHealth() / 2));
+        });
+
+        test('should add marketplace income to the treasury', () => {
+            const gold = () => gameState.getPlayer(0).resources.gold;
+
+            endRound();
+            const before = gold();
+            endRound();
+            const plainIncome = gold() - before;
+
+            city.improvements.push('MARKETPLACE');
+            const marketBefore = gold();
+            endRound();
+
+            expect(gold() - marketBefore - plainIncome).toBe(city.getIncome() - city.size * 5);
+        });
+
+        test('should undo and replay construction orders', () => {
+            const cityRef = { x: city.x, y: city.y };
+            manager.processAction({ type: ACTION_TYPES.START_CONSTRUCTION, city: cityRef, project: 'WALLS' });
+
+            expect(gameState.undoLastAction().success).toBe(true);
+            expect(city.construction).toBeNull();
+            expect(gameState.getPlayer(0).resources.gold).toBe(1000);
+
+            manager.processAction({ type: ACTION_TYPES.START_CONSTRUCTION, city: cityRef, project: 'WALLS' });
+            for (let i = 0; i < CITY_IMPROVEMENTS.WALLS.turns; i++) {
+                endRound();
+            }
+
+            const replay = ReplayEngine.fromGameState(gameState);
+            replay.goTo(replay.getLength());
+            const replayedCity = replay.getGameState().getCityAt(city.x, city.y);
+
+            expect(city.improvements).toEqual(['WALLS']);
+            expect(replayedCity.improvements).toEqual(['WALLS']);
+        });
+    });
+});
@@ -161,8 +161,8 @@ describe('City Integration', () => {
             // Process city turn
             const results = city.processTurn(players);
             
-            expect(results.goldGenerated).toBe(city.goldPerTurn);
-            expect(player.resources.gold).toBe(initialGold + city.goldPerTurn);
+            expect(results.goldGenerated).toBe(city.getIncome());
+            expect(player.resources.gold).toBe(initialGold + city.getIncome());
         });
     });
     
@@ -174,14 +174,14 @@ describe('City Integration', () => {
             expect(city.canProduce(UNIT_TYPES.WARRIOR, players)).toBe(true);
             expect(city.canProduce(UNIT_TYPES.ARCHER, players)).toBe(true);
             expect(city.canProduce(UNIT_TYPES.CAVALRY, players)).toBe(true);
-            expect(city.canProduce(UNIT_TYPES.HERO, players)).toBe(true);
+            expect(city.canProduce(UNIT_TYPES.HERO, players)).toBe(false);
             
             // Change to elf city
             city.changeOwner(1, players);
             
             // Should still be able to produce basic units (elves have them too)
             expect(city.canProduce(UNIT_TYPES.ARCHER, players)).toBe(true);
-            expect(city.canProduce(UNIT_TYPES.HERO, players)).toBe(true);
+            expect(city.canProduce(UNIT_TYPES.HERO, players)).toBe(false);
         });
         
         test('should get correct production costs for different factions', () => {
@@ -46,9 +46,9 @@ describe('City', () => {
             const smallCity = new City('Small', 0, 0, 0, 1);
             const largeCity = new City('Large', 0, 0, 0, 3);
             
-            expect(smallCity.goldPerTurn).toBe(50);
+            expect(smallCity.getIncome()).toBe(5);
             expect(smallCity.productionCapacity).toBe(10);
-            expect(largeCity.goldPerTurn).toBe(150);
+            expect(largeCity.getIncome()).toBe(15);
             expect(largeCity.productionCapacity).toBe(30);
         });
     });
@@ -66,7 +66,9 @@ describe('City', () => {
             expect(city.canProduce(UNIT_TYPES.WARRIOR, players)).toBe(true);
             expect(city.canProduce(UNIT_TYPES.ARCHER, players)).toBe(true);
             expect(city.canProduce(UNIT_TYPES.CAVALRY, players)).toBe(true);
-            expect(city.canProduce(UNIT_TYPES.HERO, players)).toBe(true);
+            
+            // Heroes are recruited, not trained
+            expect(city.canProduce(UNIT_TYPES.HERO, players)).toBe(false);
             
             // Invalid unit type
             expect(city.canProduce('INVALID_UNIT', players)).toBe(false);
@@ -76,7 +78,7 @@ describe('City', () => {
             expect(city.getProductionCost(UNIT_TYPES.WARRIOR, players)).toBe(50);
             expect(city.getProductionCost(UNIT_TYPES.ARCHER, players)).toBe(60);
             expect(city.getProductionCost(UNIT_TYPES.CAVALRY, players)).toBe(80);
-            expect(city.getProductionCost(UNIT_TYPES.HERO, players)).toBe(0);
+            expect(city.getProductionCost(UNIT_TYPES.HERO, players)).toBe(-1);
             
             // Invalid unit type
             expect(city.getProductionCost('INVALID_UNIT', players)).toBe(-1);
@@ -87,7 +89,7 @@ describe('City', () => {
             expect(availableUnits).toContain(UNIT_TYPES.WARRIOR);
             expect(availableUnits).toContain(UNIT_TYPES.ARCHER);
             expect(availableUnits).toContain(UNIT_TYPES.CAVALRY);
-            expect(availableUnits).toContain(UNIT_TYPES.HERO);
+            expect(availableUnits).not.toContain(UNIT_TYPES.HERO);
         });
     });
     
@@ -205,8 +207,8 @@ describe('City', () => {
             
             const results = city.processTurn(players);
             
-            expect(results.goldGenerated).toBe(city.goldPerTurn);
-            expect(player.resources.gold).toBe(initialGold + city.goldPerTurn);
+            expect(results.goldGenerated).toBe(city.getIncome());
+            expect(player.resources.gold).toBe(initialGold + city.getIncome());
         });
         
         test('should complete unit production during turn processing', () => {
@@ -259,7 +261,7 @@ describe('City', () => {
             expect(status.ownerFaction).toBe('HUMANS');
             expect(status.position).toEqual({ x: 5, y: 5 });
             expect(status.size).toBe(2);
-            expect(status.goldPerTurn).toBe(100);
+            expect(status.goldPerTurn).toBe(10);
             expect(status.productionCapacity).toBe(20);
             expect(status.availableUnits).toContain(UNIT_TYPES.WARRIOR);
         });
@@ -0,0 +1,258 @@
+/**
+ * Diplomacy tests
+ * Tests war, peace and alliances between players, broken treaties and shared victory
+ */
+
+import { jest } from '@jest/globals';
+import { GameState } from '../core/GameState.js';
+import { ReplayEngine } from '../core/ReplayEngine.js';
+import { AIEngine } from '../core/AIEngine.js';
+import { CombatSystem } from '../core/CombatSystem.js';
+import { ACTION_TYPES } from '../core/ActionLog.js';
+import { DIPLOMATIC_STATES } from '../core/Diplomacy.js';
+import { Unit, UNIT_TYPES } from '../core/Unit.js';
+import { DiplomacyPanel } from '../ui/DiplomacyPanel.js';
+import { startGame, withStartingUnits, placeNextToCity } from './helpers/game-setup.js';
+
+const { WAR, PEACE, ALLIANCE } = DIPLOMATIC_STATES;
+
+describe('Diplomacy', () => {
+    const config = {
+        seed: 1234,
+        map: { width: 20, height: 15 },
+        players: [
+            { id: 0, name: 'Alice', faction: 'HUMANS', color: '#0066CC', isAI: false },
+            { id: 1, name: 'Bob', faction: 'ELVES', color: '#00CC66', isAI: false },
+            { id: 2, name: 'Carol', faction: 'DWARVES', color: '#CC0066', isAI: false }
+        ],
+        gameSettings: { fogOfWar: false }
+    };
+
+    // Every game starts with an Alice warrior next to Bob's undefended capital
+    beforeEach(() => {
+        withStartingUnits(state => {
+            const capital = state.getPlayerCities(1)[0];
+            placeNextToCity(state, capital, new Unit(UNIT_TYPES.WARRIOR, 0, capital.x, capital.y));
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        document.body.innerHTML = '';
+    });
+
+    let manager;
+    let gameState;
+    let capital;
+    let envoy;
+
+    beforeEach(() => {
+        manager = startGame(config);
+        gameState = manager.getGameState();
+        capital = gameState.getPlayerCities(1)[0];
+        [envoy] = gameState.getPlayerUnits(0);
+    });
+
+    // Play on until it is a player's turn
+    const passTo = (playerId) => {
+        while (manager.getCurrentPlayer() !== playerId) {
+            manager.endTurn();
+        }
+    };
+
+    test('should start at war and make peace when a proposal is accepted', () => {
+        expect(gameState.getDiplomaticState(0, 1)).toBe(WAR);
+
+        expect(gameState.proposeTreaty(1, ALLIANCE).success).toBe(false);
+        expect(manager.processAction({ type: ACTION_TYPES.PROPOSE_TREATY, target: 1, treaty: PEACE })).toBe(true);
+        expect(gameState.proposeTreaty(1, PEACE).success).toBe(false);
+
+        // Only the recipient can answer
+        expect(gameState.respondToProposal(0, true).success).toBe(false);
+
+        passTo(1);
+        expect(manager.processAction({ type: ACTION_TYPES.RESPOND_TREATY, from: 0, accept: true })).toBe(true);
+
+        expect(gameState.getDiplomaticState(1, 0)).toBe(PEACE);
+        expect(gameState.diplomacy.getProposalsTo(1)).toEqual([]);
+        expect(gameState.proposeTreaty(0, ALLIANCE).success).toBe(true);
+    });
+
+    test('should let proposals lapse when the recipient ends their turn', () => {
+        gameState.proposeTreaty(1, PEACE);
+
+        passTo(1);
+        expect(gameState.diplomacy.getProposalsTo(1)).toHaveLength(1);
+        manager.endTurn();
+
+        expect(gameState.diplomacy.getProposalsTo(1)).toEqual([]);
+        expect(gameState.getDiplomaticState(0, 1)).toBe(WAR);
+    });
+
+    test('should forbid fighting and entering the cities of players at peace', () => {
+        gameState.diplomacy.setState(0, 1, PEACE, 1);
+        const hex = gameState.getMap().getNeighbors(envoy.x, envoy.y)
+            .find(neighbor => neighbor.isPassable() && !neighbor.unit && !neighbor.hasCity());
+        const guard = new Unit(UNIT_TYPES.WARRIOR, 1, hex.x, hex.y);
+        gameState.addUnit(guard);
+        hex.setUnit(guard);
+
+        expect(CombatSystem.canEngageInCombat(envoy, guard, gameState.getMap(), gameState.diplomacy))
+            .toEqual({ canFight: false, reason: 'Players are not at war' });
+        expect(gameState.initiateCombat(envoy, guard)).toBeNull();
+        expect(gameState.getMap().calculateMovementCost(envoy.x, envoy.y, capital.x, capital.y, envoy)).toBe(Infinity);
+        expect(manager.processAction({
+            type: ACTION_TYPES.MOVE_UNIT,
+            unit: gameState.getUnitRef(envoy),
+            toX: capital.x,
+            toY: capital.y
+        })).toBe(false);
+        expect(capital.owner).toBe(1);
+    });
+
+    test('should let allies walk into each other\'s cities without taking them', () => {
+        gameState.diplomacy.setState(0, 1, PEACE, 1);
+        gameState.diplomacy.setState(0, 1, ALLIANCE, 1);
+
+        expect(manager.processAction({
+            type: ACTION_TYPES.MOVE_UNIT,
+            unit: gameState.getUnitRef(envoy),
+            toX: capital.x,
+            toY: capital.y
+        })).toBe(true);
+
+        expect(envoy.x).toBe(capital.x);
+        expect(capital.owner).toBe(1);
+        expect(gameState.getPendingCaptures(0)).toEqual([]);
+    });
+
+    test('should punish breaking a treaty and bring the victim\'s allies into the war', () => {
+        gameState.diplomacy.setState(0, 1, PEACE, 1);
+        gameState.diplomacy.setState(0, 2, PEACE, 1);
+        gameState.diplomacy.setState(1, 2, ALLIANCE, 1);
+
+        expect(manager.processAction({ type: ACTION_TYPES.DECLARE_WAR, target: 1 })).toBe(true);
+
+        expect(gameState.isAtWar(0, 1)).toBe(true);
+        expect(gameState.isAtWar(0, 2)).toBe(true);
+        expect(gameState.diplomacy.getReputation(0)).toBe(-1);
+        expect(gameState.getPlayer(0).stats.treatiesBroken).toBe(1);
+        expect(gameState.declareWar(2)).toEqual({ success: false, reason: 'Already at war' });
+
+        // Only the player who broke the treaty loses reputation
+        expect(gameState.diplomacy.getReputation(2)).toBe(0);
+
+        gameState.diplomacy.setState(0, 1, PEACE, 1);
+        gameState.diplomacy.setState(0, 2, PEACE, 1);
+        expect(gameState.declareWar(2)).toEqual({ success: true, brokenTreaty: PEACE, joined: [1] });
+        expect(gameState.diplomacy.getReputation(0)).toBe(-2);
+    });
+
+    test('should have AI players weigh up offers by personality, strength and reputation', () => {
+        const ai = new AIEngine(gameState);
+        const peace = { from: 2, to: 1, treaty: PEACE };
+        const alliance = { from: 2, to: 1, treaty: ALLIANCE };
+
+        ai.setPersonality('AGGRESSIVE');
+        expect(ai.evaluateTreatyProposal(peace, 1)).toBe(false);
+        ai.setPersonality('DEFENSIVE');
+        expect(ai.evaluateTreatyProposal(peace, 1)).toBe(true);
+        expect(ai.evaluateTreatyProposal(alliance, 1)).toBe(true);
+        ai.setPersonality('BALANCED');
+        expect(ai.evaluateTreatyProposal(peace, 1)).toBe(true);
+        expect(ai.evaluateTreatyProposal(alliance, 1)).toBe(false);
+
+        // A treaty breaker is not trusted
+        gameState.diplomacy.recordTreatyBreak(2);
+        expect(ai.evaluateTreatyProposal(peace, 1)).toBe(false);
+
+        // A much stronger neighbour is worth appeasing
+        for (let i = 0; i < 3; i++) {
+            gameState.addUnit(new Unit(UNIT_TYPES.WARRIOR, 2, 0, i));
+        }
+        ai.setPersonality('AGGRESSIVE');
+        expect(ai.evaluateTreatyProposal(peace, 1)).toBe(true);
+    });
+
+    test('should have the AI answer its offers during its turn', () => {
+        gameState.proposeTreaty(1, PEACE);
+        passTo(1);
+
+        const ai = new AIEngine(gameState);
+        ai.setPersonality('DEFENSIVE');
+        ai.handleDiplomacy(1);
+
+        expect(gameState.getDiplomaticState(0, 1)).toBe(PEACE);
+        expect(ai.turnActions).toEqual([{ type: 'TREATY_RESPONSE', from: 0, treaty: PEACE, accept: true }]);
+    });
+
+    test('should end the game in a shared victory once everyone is allied', () => {
+        const gameEnded = jest.fn();
+        gameState.subscribe((event, data) => {
+            if (event === 'gameEnded') {
+                gameEnded(data);
+            }
+        });
+        for (const [a, b] of [[0, 1], [1, 2], [0, 2]]) {
+            gameState.diplomacy.setState(a, b, PEACE, 1);
+        }
+        gameState.diplomacy.setState(0, 1, ALLIANCE, 1);
+        gameState.diplomacy.setState(1, 2, ALLIANCE, 1);
+
+        expect(manager.checkVictoryConditions()).toBe(false);
+
+        gameState.proposeTreaty(2, ALLIANCE);
+        passTo(2);
+        manager.processAction({ type: ACTION_TYPES.RESPOND_TREATY, from: 0, accept: true });
+
+        expect(manager.getGamePhase()).toBe('ENDED');
+        expect(gameEnded).toHaveBeenCalledWith(expect.objectContaining({ victoryType: 'alliance' }));
+        const { winner, allies } = gameEnded.mock.calls[0][0];
+        expect([winner, ...allies].map(player => player.id).sort()).toEqual([0, 1, 2]);
+        expect(manager.getVictoryMessage(winner, 'alliance')).toBe('Victory shared by the alliance!');
+    });
+
+    test('should save and replay treaties', () => {
+        gameState.proposeTreaty(1, PEACE);
+        passTo(1);
+        gameState.respondToProposal(0, true);
+        passTo(0);
+        gameState.declareWar(1);
+        manager.endTurn();
+
+        const restored = new GameState();
+        restored.deserialize(JSON.parse(JSON.stringify(gameState.serialize())));
+        expect(restored.getDiplomaticState(0, 1)).toBe(WAR);
+        expect(restored.diplomacy.getReputation(0)).toBe(-1);
+        expect(restored.getMap().diplomacy).toBe(restored.diplomacy);
+
+        const replay = ReplayEngine.fromGameState(gameState);
+        replay.goTo(replay.getLength());
+        const replayed = replay.getGameState();
+
+        expect(replayed.diplomacy.getReputation(0)).toBe(-1);
+        expect(replayed.isAtWar(0, 1)).toBe(true);
+        expect(replayed.diplomacy.getStateSince(0, 1)).toBe(gameState.diplomacy.getStateSince(0, 1));
+    });
+
+    test('should offer and answer treaties from the diplomacy panel', () => {
+        const panel = new DiplomacyPanel(manager);
+        panel.show();
+
+        const rows = document.querySelectorAll('#diplomacy-panel .diplomacy-row');
+        expect(Array.from(rows).map(row => Number(row.dataset.player))).toEqual([1, 2]);
+
+        document.querySelector('#diplomacy-panel [data-player="1"] .diplomacy-propose').click();
+        expect(gameState.diplomacy.findProposal(0, 1)).toMatchObject({ from: 0, to: 1, treaty: PEACE });
+
+        passTo(1);
+        panel.update();
+        document.querySelector('#diplomacy-panel [data-player="0"] .diplomacy-accept').click();
+
+        expect(gameState.getDiplomaticState(0, 1)).toBe(PEACE);
+        expect(document.querySelector('#diplomacy-panel [data-player="0"] .diplomacy-war')).not.toBeNull();
+
+        panel.close();
+        expect(document.getElementById('diplomacy-panel')).toBeNull();
+    });
+});
@@ -0,0 +1,168 @@
+/**
+ * Fog of war tests
+ * Tests per-player visibility, exploration memory, saving and AI enemy searches
+ */
+
+import { FogOfWar, DEFAULT_SIGHT_RADIUS } from '../core/FogOfWar.js';
+import { GameState } from '../core/GameState.js';
+import { Map as GameMap } from '../core/Map.js';
+import { Player } from '../core/Player.js';
+import { Unit, UNIT_TYPES } from '../core/Unit.js';
+import { City } from '../core/City.js';
+import { AIEngine } from '../core/AIEngine.js';
+
+describe('FogOfWar', () => {
+    let gameState;
+    let fogOfWar;
+
+    beforeEach(() => {
+        gameState = new GameState();
+        gameState.map = new GameMap(20, 20);
+        gameState.players = [
+            new Player(0, 'Player 1', 'HUMANS', '#0066CC', false),
+            new Player(1, 'Player 2', 'ELVES', '#00CC66', true)
+        ];
+
+        fogOfWar = gameState.fogOfWar;
+        fogOfWar.setEnabled(true);
+    });
+
+    describe('Visibility', () => {
+        test('units reveal hexes within their sight radius', () => {
+            gameState.addUnit(new Unit(UNIT_TYPES.WARRIOR, 0, 5, 5));
+            fogOfWar.updatePlayer(0);
+
+            expect(fogOfWar.isVisible(0, 5, 5)).toBe(true);
+            expect(fogOfWar.isVisible(0, 5 + DEFAULT_SIGHT_RADIUS, 5)).toBe(true);
+            expect(fogOfWar.isVisible(0, 5 + DEFAULT_SIGHT_RADIUS + 1, 5)).toBe(false);
+            expect(fogOfWar.isVisible(1, 5, 5)).toBe(false);
+        });
+
+        test('scouting units and larger cities see further', () => {
+            gameState.addUnit(new Unit(UNIT_TYPES.CAVALRY, 0, 2, 2));
+            gameState.addCity(new City('Capital', 0, 15, 15, 3));
+            fogOfWar.updatePlayer(0);
+
+            expect(fogOfWar.isVisible(0, 5, 2)).toBe(true);
+            expect(fogOfWar.isVisible(0, 15, 18)).toBe(true);
+            expect(fogOfWar.isVisible(0, 15, 19)).toBe(false);
+        });
+
+        test('enemy units are only seen inside the viewer\'s sight', () => {
+            const scout = new Unit(UNIT_TYPES.WARRIOR, 0, 5, 5);
+            const nearEnemy = new Unit(UNIT_TYPES.WARRIOR, 1, 6, 5);
+            const farEnemy = new Unit(UNIT_TYPES.WARRIOR, 1, 15, 15);
+            [scout, nearEnemy, farEnemy].forEach(unit => gameState.addUnit(unit));
+            fogOfWar.updatePlayer(0);
+
+            expect(fogOfWar.canSeeUnit(0, scout)).toBe(true);
+            expect(fogOfWar.canSeeUnit(0, nearEnemy)).toBe(true);
+            expect(fogOfWar.canSeeUnit(0, farEnemy)).toBe(false);
+            expect(fogOfWar.canSeeUnit(1, farEnemy)).toBe(true);
+        });
+
+        test('disabled fog shows everything', () => {
+            fogOfWar.setEnabled(false);
+
+            expect(fogOfWar.isVisible(0, 19, 19)).toBe(true);
+            expect(fogOfWar.isExplored(0, 19, 19)).toBe(true);
+        });
+    });
+
+    describe('Exploration memory', () => {
+        test('explored hexes stay remembered after units leave', () => {
+            const scout = new Unit(UNIT_TYPES.WARRIOR, 0, 5, 5);
+            gameState.addUnit(scout);
+            fogOfWar.updatePlayer(0);
+
+            gameState.removeUnit(scout.id);
+            fogOfWar.updatePlayer(0);
+
+            expect(fogOfWar.isVisible(0, 5, 5)).toBe(false);
+            expect(fogOfWar.isExplored(0, 5, 5)).toBe(true);
+            expect(fogOfWar.getMemory(0, 5, 5).terrain).toBe(gameState.getHex(5, 5).terrain);
+            expect(fogOfWar.isExplored(0, 15, 15)).toBe(false);
+        });
+
+        test('remembered cities keep their last known owner', () => {
+            const scout = new Unit(UNIT_TYPES.WARRIOR, 0, 5, 5);
+            const city = new City('Lothlann', 1, 6, 5, 2);
+            gameState.addUnit(scout);
+            gameState.addCity(city);
+            fogOfWar.updatePlayer(0);
+
+            gameState.removeUnit(scout.id);
+            fogOfWar.updatePlayer(0);
+            city.owner = -1;
+
+            const known = fogOfWar.getKnownCity(0, city);
+            expect(known).not.toBe(city);
+            expect(known.owner).toBe(1);
+            expect(known.name).toBe('Lothlann');
+        });
+
+        test('unexplored cities are unknown', () => {
+            const city = new City('Hidden', 1, 15, 15, 1);
+            gameState.addCity(city);
+            fogOfWar.updatePlayer(0);
+
+            expect(fogOfWar.getKnownCity(0, city)).toBeNull();
+        });
+    });
+
+    describe('Serialization', () => {
+        test('exploration memory survives a save and load', () => {
+            gameState.addUnit(new Unit(UNIT_TYPES.WARRIOR, 0, 5, 5));
+            fogOfWar.updatePlayer(0);
+            fogOfWar.setViewingPlayer(0);
+
+            const restored = new FogOfWar(gameState);
+            restored.deserialize(JSON.parse(JSON.stringify(fogOfWar.serialize())));
+
+            expect(restored.isEnabled()).toBe(true);
+            expect(restored.getViewingPlayer()).toBe(0);
+            expect(restored.isExplored(0, 5, 5)).toBe(true);
+            expect(restored.isExplored(0, 15, 15)).toBe(false);
+        });
+    });
+
+    describe('AI', () => {
+        test('findNearbyEnemies ignores enemies the AI cannot see', () => {
+            const aiUnit = new Unit(UNIT_TYPES.WARRIOR, 1, 5, 5);
+            const hiddenEnemy = new Unit(UNIT_TYPES.WARRIOR, 0, 8, 5);
+            gameState.addUnit(aiUnit);
+            gameState.addUnit(hiddenEnemy);
+            fogOfWar.updatePlayer(1);
+
+            const aiEngine = new AIEngine(gameState);
+
+            expect(aiEngine.findNearbyEnemies(aiUnit, 5)).toEqual([]);
+            expect(aiEngine.findNearestEnemy(aiUnit)).toBeNull();
+
+            fogOfWar.setEnabled(false);
+            expect(aiEngine.findNearbyEnemies(aiUnit, 5)).toEqual([hiddenEnemy]);
+        });
+
+        test('findNearestEnemyCity only targets discovered cities', () => {
+            const aiUnit = new Unit(UNIT_TYPES.WARRIOR, 1, 5, 5);
+            const seenCity = new City('Border Fort', 0, 12, 12, 1);
+            const hiddenCity = new City('Capital', 0, 6, 8, 1);
+            gameState.addUnit(aiUnit);
+            gameState.addCity(seenCity);
+            fogOfWar.updatePlayer(1);
+
+            // Discover the far city, then add the near one out of sight
+            aiUnit.x = 12;
+            aiUnit.y = 11;
+            fogOfWar.updatePlayer(1);
+            aiUnit.x = 5;
+            aiUnit.y = 5;
+            gameState.addCity(hiddenCity);
+            fogOfWar.updatePlayer(1);
+
+            const aiEngine = new AIEngine(gameState);
+
+            expect(aiEngine.findNearestEnemyCity(aiUnit)).toBe(seenCity);
+        });
+    });
+});
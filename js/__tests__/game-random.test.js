@@ -0,0 +1,129 @@
+/**
+ * GameRandom tests
+ * Tests that the seeded game RNG reproduces rolls, maps and saves exactly
+ */
+
+import { GameRandom, gameRandom } from '../core/GameRandom.js';
+import { GameState } from '../core/GameState.js';
+import { CombatSystem } from '../core/CombatSystem.js';
+import { Hero } from '../core/Hero.js';
+import { Item } from '../core/Item.js';
+import { Spell } from '../core/Spell.js';
+import { ItemGenerator } from '../core/ItemGenerator.js';
+import { SpellGenerator } from '../core/SpellGenerator.js';
+
+describe('GameRandom', () => {
+    const config = {
+        seed: 12345,
+        map: { width: 12, height: 10 },
+        players: [
+            { id: 0, name: 'Player 1', faction: 'HUMANS', color: '#0066CC', isAI: false },
+            { id: 1, name: 'Player 2', faction: 'ELVES', color: '#00CC66', isAI: true }
+        ]
+    };
+
+    const terrainOf = (gameState) => {
+        const terrain = [];
+        for (let y = 0; y < gameState.map.height; y++) {
+            for (let x = 0; x < gameState.map.width; x++) {
+                terrain.push(gameState.getHex(x, y).terrain);
+            }
+        }
+        return terrain.join(',');
+    };
+
+    describe('Generator', () => {
+        test('should produce the same sequence for the same seed', () => {
+            const first = new GameRandom(42);
+            const second = new GameRandom(42);
+            const other = new GameRandom(43);
+
+            const sequence = Array.from({ length: 10 }, () => first.next());
+
+            expect(Array.from({ length: 10 }, () => second.next())).toEqual(sequence);
+            expect(Array.from({ length: 10 }, () => other.next())).not.toEqual(sequence);
+            expect(sequence.every(value => value >= 0 && value < 1)).toBe(true);
+        });
+
+        test('should roll dice, pick and shuffle within bounds', () => {
+            const random = new GameRandom(7);
+            const rolls = Array.from({ length: 200 }, () => random.rollDie(6));
+
+            expect(Math.min(...rolls)).toBe(1);
+            expect(Math.max(...rolls)).toBe(6);
+            expect(['a', 'b', 'c']).toContain(random.pick(['a', 'b', 'c']));
+            expect(random.shuffle([1, 2, 3, 4]).sort()).toEqual([1, 2, 3, 4]);
+        });
+
+        test('should continue the same sequence after a save and load', () => {
+            const random = new GameRandom(99);
+            random.next();
+            random.next();
+
+            const restored = new GameRandom(1);
+            restored.deserialize(JSON.parse(JSON.stringify(random.serialize())));
+
+            expect(restored.getSeed()).toBe(99);
+            expect(restored.next()).toBe(random.next());
+        });
+    });
+
+    describe('Game randomness', () => {
+        test('should reproduce dice rolls and random content from the seed', () => {
+            const roll = () => ({
+                dice: Array.from({ length: 5 }, () => CombatSystem.rollDice()),
+                hero: new Hero(null, 0, 0, 0).heroName,
+                item: Item.createRandom().name,
+                spell: Spell.createRandom().name,
+                rarity: ItemGenerator.determineItemRarity(3),
+                scroll: SpellGenerator.createSpellScroll('MAGIC_MISSILE').id
+            });
+
+            gameRandom.setSeed(2024);
+            const first = roll();
+            gameRandom.setSeed(2024);
+
+            expect(roll()).toEqual(first);
+        });
+
+        test('should generate the same map from the same game seed', () => {
+            const first = new GameState();
+            first.initialize(config);
+            const second = new GameState();
+            second.initialize(config);
+
+            expect(first.getSeed()).toBe(12345);
+            expect(terrainOf(second)).toBe(terrainOf(first));
+            expect(second.getCities().size).toBe(first.getCities().size);
+        });
+
+        test('should store the RNG state in saves', () => {
+            const gameState = new GameState();
+            gameState.initialize(config);
+            CombatSystem.rollDice(gameState.random);
+
+            const saved = JSON.parse(JSON.stringify(gameState.serialize()));
+            const expected = Array.from({ length: 5 }, () => CombatSystem.rollDice(gameState.random));
+
+            const loaded = new GameState();
+            loaded.deserialize(saved);
+
+            expect(loaded.getSeed()).toBe(12345);
+            expect(Array.from({ length: 5 }, () => CombatSystem.rollDice(loaded.random))).toEqual(expected);
+        });
+
+        test('should give every game its own dice', () => {
+            const first = new GameState();
+            first.initialize(config);
+            const second = new GameState();
+            second.initialize(config);
+            const globalState = gameRandom.serialize();
+
+            const rolls = Array.from({ length: 5 }, () => CombatSystem.rollDice(first.random));
+
+            expect(Array.from({ length: 5 }, () => CombatSystem.rollDice(second.random))).toEqual(rolls);
+            expect(first.random).not.toBe(second.random);
+            expect(gameRandom.serialize()).toEqual(globalState);
+        });
+    });
+});
@@ -0,0 +1,235 @@
+/**
+ * Go to order tests
+ * Tests multi-turn path orders that carry stacks on at the start of each turn
+ */
+
+import { jest } from '@jest/globals';
+import { GameState } from '../core/GameState.js';
+import { ReplayEngine } from '../core/ReplayEngine.js';
+import { ACTION_TYPES } from '../core/ActionLog.js';
+import { Unit, UNIT_TYPES } from '../core/Unit.js';
+import { Hero } from '../core/Hero.js';
+import { startGame, withStartingUnits } from './helpers/game-setup.js';
+
+describe('Go To Orders', () => {
+    const config = {
+        seed: 1234,
+        map: { width: 20, height: 15 },
+        players: [
+            { id: 0, name: 'Alice', faction: 'HUMANS', color: '#0066CC', isAI: false },
+            { id: 1, name: 'Bob', faction: 'ELVES', color: '#00CC66', isAI: false }
+        ],
+        gameSettings: { fogOfWar: false }
+    };
+
+    // Production never completes yet, so give each game the same armies:
+    // two warriors in Alice's capital and two in Bob's
+    beforeEach(() => {
+        withStartingUnits(gameState => {
+            for (const playerId of [0, 1]) {
+                const capital = gameState.getPlayerCities(playerId)[0];
+                gameState.addUnit(new Unit(UNIT_TYPES.WARRIOR, playerId, capital.x, capital.y));
+                gameState.addUnit(new Unit(UNIT_TYPES.WARRIOR, playerId, capital.x, capital.y));
+            }
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    // An empty hex the units need at least three turns to reach, away from Bob's army
+    const findDistantTarget = (gameState, units) => {
+        const [lead] = units;
+        const bobCapital = gameState.getPlayerCities(1)[0];
+        const hexes = gameState.getMap().hexes
+            .filter(hex => hex.isPassable() && !hex.hasCity() && !hex.unit)
+            .filter(hex => Math.abs(hex.x - bobCapital.x) + Math.abs(hex.y - bobCapital.y) > 8);
+
+        for (const hex of hexes) {
+            const path = gameState.getMap().findPath(lead.x, lead.y, hex.x, hex.y, lead);
+            if (!path || path.length === 0) continue;
+
+            const route = gameState.movementManager.planRouteTurns(units, path);
+            if (route[route.length - 1].turn >= 3) {
+                return { hex, path, route };
+            }
+        }
+        return null;
+    };
+
+    test('should carry a stack on towards its destination over several turns', () => {
+        const manager = startGame(config);
+        const gameState = manager.getGameState();
+        const units = gameState.getPlayerUnits(0);
+        const { hex, route } = findDistantTarget(gameState, units);
+        const firstStop = route.filter(step => step.turn === 1).pop();
+
+        expect(manager.processAction({ type: ACTION_TYPES.GO_TO, unitIds: units.map(unit => unit.id), toX: hex.x, toY: hex.y })).toBe(true);
+
+        // Sets off at once and stops where this turn's movement runs out
+        for (const unit of units) {
+            expect({ x: unit.x, y: unit.y }).toEqual({ x: firstStop.x, y: firstStop.y });
+            expect(unit.goToOrder).toMatchObject({ x: hex.x, y: hex.y });
+        }
+
+        manager.endTurn();
+        manager.endTurn();
+
+        const secondStop = route.filter(step => step.turn === 2).pop();
+        expect({ x: units[0].x, y: units[0].y }).toEqual({ x: secondStop.x, y: secondStop.y });
+        expect(units[1].x).toBe(units[0].x);
+
+        // Only the order is logged, not the moves it makes
+        const types = gameState.actionLog.getActions().map(action => action.type);
+        expect(types).toEqual([ACTION_TYPES.GO_TO, ACTION_TYPES.END_TURN, ACTION_TYPES.END_TURN]);
+    });
+
+    test('should plan turn markers for the route', () => {
+        const manager = startGame(config);
+        const gameState = manager.getGameState();
+        const units = gameState.getPlayerUnits(0);
+        const { path, route } = findDistantTarget(gameState, units);
+
+        expect(route.map(step => ({ x: step.x, y: step.y }))).toEqual(path);
+        expect(route[0].turn).toBe(1);
+        route.slice(1).forEach((step, index) => {
+            expect(step.turn - route[index].turn).toBeGreaterThanOrEqual(0);
+            expect(step.turn - route[index].turn).toBeLessThanOrEqual(1);
+        });
+    });
+
+    test('should stop when an enemy comes into view', () => {
+        const manager = startGame(config);
+        const gameState = manager.getGameState();
+        const units = gameState.getPlayerUnits(0);
+        const { hex, route } = findDistantTarget(gameState, units);
+
+        manager.processAction({ type: ACTION_TYPES.GO_TO, unitIds: units.map(unit => unit.id), toX: hex.x, toY: hex.y });
+        manager.endTurn();
+
+        // A scout appears next to the end of the route, out of sight for now
+        const scoutHex = gameState.getMap().getNeighbors(hex.x, hex.y)
+            .find(neighbor => neighbor.isPassable() && !neighbor.hasCity() && !neighbor.unit &&
+                !route.some(step => step.x === neighbor.x && step.y === neighbor.y));
+        const scout = new Unit(UNIT_TYPES.WARRIOR, 1, scoutHex.x, scoutHex.y);
+        gameState.addUnit(scout);
+        scoutHex.setUnit(scout);
+        expect(gameState.getEnemiesInView(0).has(scout.id)).toBe(false);
+
+        const reports = [];
+        gameState.subscribe((event, data) => {
+            if (event === 'goToOrdersExecuted') reports.push(...data.reports);
+        });
+
+        // Keep ending turns until the march is interrupted
+        for (let i = 0; i < route[route.length - 1].turn && reports.every(report => report.status === 'waiting'); i++) {
+            manager.endTurn();
+            manager.endTurn();
+        }
+
+        expect(reports.map(report => report.status)).toContain('enemy_sighted');
+        expect(gameState.getEnemiesInView(0).has(scout.id)).toBe(true);
+        expect(units.every(unit => unit.goToOrder === null)).toBe(true);
+        expect({ x: units[0].x, y: units[0].y }).not.toEqual({ x: hex.x, y: hex.y });
+    });
+
+    test('should cancel the order when the path is blocked', () => {
+        const manager = startGame(config);
+        const gameState = manager.getGameState();
+        const units = gameState.getPlayerUnits(0);
+        const { hex } = findDistantTarget(gameState, units);
+
+        manager.processAction({ type: ACTION_TYPES.GO_TO, unitIds: units.map(unit => unit.id), toX: hex.x, toY: hex.y });
+        const position = { x: units[0].x, y: units[0].y };
+
+        // Something moves onto the next step of the route
+        const next = units[0].goToOrder.path[0];
+        const blocker = new Unit(UNIT_TYPES.WARRIOR, 0, next.x, next.y);
+        gameState.addUnit(blocker);
+        gameState.getHex(next.x, next.y).setUnit(blocker);
+
+        const [report] = gameState.executeGoToOrders(0);
+
+        expect(report.status).toBe('blocked');
+        expect({ x: units[0].x, y: units[0].y }).toEqual(position);
+        expect(units[0].goToOrder).toBeNull();
+    });
+
+    test('should be cancelled by moving the units by hand', () => {
+        const manager = startGame(config);
+        const gameState = manager.getGameState();
+        const units = gameState.getPlayerUnits(0);
+        const { hex } = findDistantTarget(gameState, units);
+
+        manager.processAction({ type: ACTION_TYPES.GO_TO, unitIds: units.map(unit => unit.id), toX: hex.x, toY: hex.y });
+        units.forEach(unit => { unit.movement = unit.maxMovement; });
+
+        const target = gameState.getMap().getNeighbors(units[0].x, units[0].y)
+            .find(neighbor => neighbor.isPassable() && !neighbor.unit && neighbor.getMovementCost(units[0]) <= units[0].movement);
+        expect(gameState.moveStack(gameState.createStack(units), target.x, target.y).success).toBe(true);
+
+        expect(units.every(unit => unit.goToOrder === null)).toBe(true);
+
+        // Undo brings the order back with the units
+        gameState.undoLastAction();
+        expect(units[0].goToOrder).toMatchObject({ x: hex.x, y: hex.y });
+    });
+
+    test('should reject destinations with no path', () => {
+        const gameState = startGame(config).getGameState();
+        const units = gameState.getPlayerUnits(0);
+        const water = gameState.getMap().hexes.find(hex => !hex.isPassable());
+
+        const result = gameState.issueGoToOrder(units, water.x, water.y);
+
+        expect(result.success).toBe(false);
+        expect(units[0].goToOrder).toBeNull();
+    });
+
+    test('should keep orders in saves', () => {
+        const manager = startGame(config);
+        const gameState = manager.getGameState();
+        const units = gameState.getPlayerUnits(0);
+        const { hex } = findDistantTarget(gameState, units);
+        manager.processAction({ type: ACTION_TYPES.GO_TO, unitIds: units.map(unit => unit.id), toX: hex.x, toY: hex.y });
+
+        const loaded = new GameState();
+        loaded.deserialize(JSON.parse(JSON.stringify(gameState.serialize())));
+
+        expect(loaded.getUnit(units[0].id).goToOrder).toEqual(units[0].goToOrder);
+    });
+
+    test("should keep a hero's order in saves", () => {
+        const manager = startGame(config);
+        const gameState = manager.getGameState();
+        const capital = gameState.getPlayerCities(0)[0];
+        const hero = new Hero(null, 0, capital.x, capital.y);
+        gameState.addUnit(hero);
+        const { hex } = findDistantTarget(gameState, [hero]);
+        manager.processAction({ type: ACTION_TYPES.GO_TO, unitIds: [hero.id], toX: hex.x, toY: hex.y });
+
+        const restored = Hero.deserialize(JSON.parse(JSON.stringify(hero.serialize())));
+
+        expect(restored.goToOrder).toMatchObject({ x: hex.x, y: hex.y });
+        expect(restored.goToOrder).toEqual(hero.goToOrder);
+    });
+
+    test('should replay standing orders to the same positions', () => {
+        const manager = startGame(config);
+        const gameState = manager.getGameState();
+        const units = gameState.getPlayerUnits(0);
+        const { hex } = findDistantTarget(gameState, units);
+
+        manager.processAction({ type: ACTION_TYPES.GO_TO, unitIds: units.map(unit => unit.id), toX: hex.x, toY: hex.y });
+        manager.endTurn();
+        manager.endTurn();
+
+        const replay = ReplayEngine.fromGameState(gameState);
+        replay.goTo(replay.getLength());
+        const replayed = replay.getGameState().getPlayerUnits(0);
+
+        expect(replayed.map(unit => [unit.x, unit.y])).toEqual(units.map(unit => [unit.x, unit.y]));
+        expect(replayed[0].goToOrder).toEqual(units[0].goToOrder);
+    });
+});
@@ -0,0 +1,52 @@
+/**
+ * Shared game setup for tests
+ * Starts headless games and gives players units before the first turn
+ */
+
+import { jest } from '@jest/globals';
+import { GameState } from '../../core/GameState.js';
+import { GameManager } from '../../core/GameManager.js';
+
+/**
+ * Start a headless game
+ * @param {Object} config - Game configuration
+ * @returns {GameManager} - Game manager of the new game
+ */
+export function startGame(config) {
+    const manager = new GameManager(null, { headless: true });
+    manager.initializeGame(config);
+    return manager;
+}
+
+/**
+ * Place units once the starting cities are assigned, in every game started
+ * until the mocks are restored. Production takes turns, so this is how tests
+ * give players armies from the first turn.
+ * @param {Function} placeUnits - Called with the game state after the cities are assigned
+ */
+export function withStartingUnits(placeUnits) {
+    const assignStartingCities = GameState.prototype.assignStartingCities;
+    jest.spyOn(GameState.prototype, 'assignStartingCities').mockImplementation(function (playerConfigs) {
+        assignStartingCities.call(this, playerConfigs);
+        placeUnits(this);
+    });
+}
+
+/**
+ * Place a unit next to a city, on a hex it can reach the city from in one move
+ * @param {GameState} gameState - Game state
+ * @param {City} city - City to wait next to
+ * @param {Unit} unit - Unit to place
+ * @returns {Unit} - The placed unit
+ */
+export function placeNextToCity(gameState, city, unit) {
+    const hex = gameState.getMap().getNeighbors(city.x, city.y).find(neighbor =>
+        neighbor.isPassable() && !neighbor.hasCity() &&
+        neighbor.getMovementCost() + gameState.getHex(city.x, city.y).getMovementCost() <= unit.maxMovement);
+
+    unit.x = hex.x;
+    unit.y = hex.y;
+    gameState.addUnit(unit);
+    hex.setUnit(unit);
+    return unit;
+}
@@ -0,0 +1,188 @@
+/**
+ * Hero offer tests
+ * Tests heroes offering to join for a fee at the start of a turn, and the hero limit
+ */
+
+import { jest } from '@jest/globals';
+import { GameManager } from '../core/GameManager.js';
+import { ReplayEngine } from '../core/ReplayEngine.js';
+import { AIEngine } from '../core/AIEngine.js';
+import { ACTION_TYPES } from '../core/ActionLog.js';
+import { Hero, HERO_BASE_FEE, DEFAULT_HERO_LIMIT } from '../core/Hero.js';
+import { UNIT_TYPES } from '../core/Unit.js';
+import { GameRandom } from '../core/GameRandom.js';
+import { HeroOfferDialog } from '../ui/HeroOfferDialog.js';
+
+describe('Hero Offers', () => {
+    const config = {
+        seed: 4321,
+        map: { width: 20, height: 15 },
+        players: [
+            { id: 0, name: 'Alice', faction: 'HUMANS', color: '#0066CC', isAI: false },
+            { id: 1, name: 'Bob', faction: 'ELVES', color: '#00CC66', isAI: false }
+        ],
+        gameSettings: { fogOfWar: false, heroLimit: 2 }
+    };
+
+    let manager;
+    let gameState;
+    let city;
+
+    beforeEach(() => {
+        manager = new GameManager(null, { headless: true });
+        manager.initializeGame(config);
+        gameState = manager.getGameState();
+        city = gameState.getPlayerCities(0)[0];
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        document.body.innerHTML = '';
+    });
+
+    // Every roll comes up in every game, replays included: a hero turns up and brings allies
+    const alwaysOffer = () => jest.spyOn(GameRandom.prototype, 'chance').mockReturnValue(true);
+
+    const addHero = () => {
+        const hero = new Hero(null, 0, city.x, city.y);
+        gameState.addUnit(hero);
+        return hero;
+    };
+
+    test('should raise the fee for every hero already in service', () => {
+        expect(gameState.getHeroFee(0)).toBe(HERO_BASE_FEE);
+        addHero();
+        expect(gameState.getHeroFee(0)).toBe(HERO_BASE_FEE * 2);
+    });
+
+    test('should take the hero limit from the game settings', () => {
+        expect(gameState.heroLimit).toBe(2);
+        addHero();
+        expect(gameState.canRecruitHero(0)).toBe(true);
+        addHero();
+        expect(gameState.canRecruitHero(0)).toBe(false);
+
+        const unlimited = new GameManager(null, { headless: true });
+        unlimited.initializeGame({ ...config, gameSettings: { fogOfWar: false } });
+        expect(unlimited.getGameState().heroLimit).toBe(DEFAULT_HERO_LIMIT);
+        expect(manager.validateConfig({ ...config, gameSettings: { heroLimit: 'many' } })).toBe(false);
+    });
+
+    test('should only recruit heroes through offers, not city production', () => {
+        expect(gameState.canRecruitHero(0)).toBe(true);
+        expect(city.getProductionCost(UNIT_TYPES.HERO, gameState.getPlayers())).toBe(-1);
+        expect(gameState.produceUnit(city, UNIT_TYPES.HERO)).toBe(false);
+        expect(gameState.queueProduction(city, UNIT_TYPES.HERO)).toBe(false);
+        expect(gameState.produceUnit(city, UNIT_TYPES.WARRIOR)).toBe(true);
+    });
+
+    test('should offer a named hero with allies in one of the player\'s cities', () => {
+        alwaysOffer();
+        const taken = addHero();
+
+        const offer = gameState.rollHeroOffer(0);
+
+        expect(offer).toMatchObject({ fee: HERO_BASE_FEE * 2, city: { x: city.x, y: city.y }, level: 1 });
+        expect(offer.name).not.toBe(taken.heroName);
+        expect(offer.allies.length).toBeGreaterThan(0);
+        expect(new Set(offer.allies).size).toBe(1);
+        expect(offer.allies[0]).not.toBe(UNIT_TYPES.HERO);
+        expect(gameState.getHeroOffer(0)).toBe(offer);
+    });
+
+    test('should only make offers the player can take up', () => {
+        alwaysOffer();
+
+        gameState.getPlayer(0).resources.gold = HERO_BASE_FEE - 1;
+        expect(gameState.rollHeroOffer(0)).toBeNull();
+
+        gameState.getPlayer(0).resources.gold = 1000;
+        addHero();
+        addHero();
+        expect(gameState.rollHeroOffer(0)).toBeNull();
+    });
+
+    test('should hire the hero and allies for the fee', () => {
+        alwaysOffer();
+        const offer = gameState.rollHeroOffer(0);
+        const gold = gameState.getPlayer(0).resources.gold;
+
+        expect(manager.processAction({ type: ACTION_TYPES.RESOLVE_HERO_OFFER, accept: true })).toBe(true);
+
+        const [hero] = gameState.getPlayerHeroes(0);
+        expect(hero.heroName).toBe(offer.name);
+        expect([hero.x, hero.y]).toEqual([city.x, city.y]);
+        expect(hero.getAttackValue()).toBe(offer.stats.attack);
+        expect(hero.getMaxHealth()).toBe(offer.stats.health);
+        expect(gameState.getUnitsAt(city.x, city.y).filter(unit => unit.type === offer.allies[0]))
+            .toHaveLength(offer.allies.length);
+        expect(gameState.getPlayer(0).resources.gold).toBe(gold - offer.fee);
+
+        expect(gameState.acceptHeroOffer().success).toBe(false);
+    });
+
+    test('should roll offers at the start of a turn and let them lapse at its end', () => {
+        alwaysOffer();
+
+        manager.endTurn();
+        expect(gameState.getHeroOffer(1)).not.toBeNull();
+
+        manager.endTurn();
+        expect(gameState.getHeroOffer(1)).toBeNull();
+        expect(gameState.getHeroOffer(0)).not.toBeNull();
+
+        expect(gameState.declineHeroOffer().success).toBe(true);
+        expect(gameState.getHeroOffer(0)).toBeNull();
+        expect(gameState.getPlayerHeroes(0)).toHaveLength(0);
+    });
+
+    test('should replay hired heroes', () => {
+        alwaysOffer();
+        manager.endTurn();
+        manager.endTurn();
+        const offer = gameState.getHeroOffer(0);
+        gameState.acceptHeroOffer();
+        manager.endTurn();
+
+        const replay = ReplayEngine.fromGameState(gameState);
+        replay.goTo(replay.getLength());
+        const [hero] = replay.getGameState().getPlayerHeroes(0);
+
+        expect(hero.heroName).toBe(offer.name);
+        expect(hero.level).toBe(offer.level);
+    });
+
+    test('should show the hero in a dialog and hire from it', () => {
+        alwaysOffer();
+        const offer = gameState.rollHeroOffer(0);
+        const dialog = new HeroOfferDialog(manager, offer);
+        dialog.show();
+
+        const text = document.getElementById('hero-offer-dialog').textContent;
+        expect(text).toContain(offer.name);
+        expect(text).toContain(`${offer.fee} gold`);
+        expect(document.querySelector('#hero-offer-stats').textContent).toContain(String(offer.stats.attack));
+
+        document.getElementById('hero-offer-accept').click();
+
+        expect(document.getElementById('hero-offer-dialog')).toBeNull();
+        expect(gameState.getPlayerHeroes(0)).toHaveLength(1);
+    });
+
+    test('should have AI players keep a reserve when hiring', () => {
+        alwaysOffer();
+        const ai = new AIEngine(gameState);
+        const offer = gameState.rollHeroOffer(0);
+
+        gameState.getPlayer(0).resources.gold = offer.fee + 100;
+        ai.setPersonality('ECONOMIC');
+        ai.handleHeroOffer(0);
+        expect(gameState.getPlayerHeroes(0)).toHaveLength(0);
+        expect(gameState.getHeroOffer(0)).toBeNull();
+
+        gameState.rollHeroOffer(0);
+        ai.setPersonality('BALANCED');
+        ai.handleHeroOffer(0);
+        expect(gameState.getPlayerHeroes(0)).toHaveLength(1);
+    });
+});
@@ -0,0 +1,147 @@
+/**
+ * Hero skill tree tests
+ * Tests picking skills on level-up along their trees and the skills' effects
+ * on battles, movement, sight and spellcasting, for players and the AI
+ */
+
+import { jest } from '@jest/globals';
+import { GameManager } from '../core/GameManager.js';
+import { AIEngine } from '../core/AIEngine.js';
+import { ACTION_TYPES } from '../core/ActionLog.js';
+import { CombatSystem } from '../core/CombatSystem.js';
+import { Unit, UNIT_TYPES } from '../core/Unit.js';
+import { Hero, EXPERIENCE_LEVELS } from '../core/Hero.js';
+import { Spell } from '../core/Spell.js';
+import { HERO_SKILLS, SKILL_TREES } from '../core/HeroSkill.js';
+
+describe('Hero Skills', () => {
+    let hero;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        hero = new Hero('Aldric', 0, 2, 2);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should owe a skill for every level gained and follow each tree in order', () => {
+        expect(hero.getSkillChoices()).toEqual([]);
+        expect(hero.learnSkill('INSPIRE')).toEqual({ success: false, reason: 'No skill to pick' });
+
+        hero.gainExperience(EXPERIENCE_LEVELS[2]);
+        expect(hero.level).toBe(3);
+        expect(hero.skillPoints).toBe(2);
+
+        const roots = Object.keys(HERO_SKILLS).filter(skillId => !HERO_SKILLS[skillId].requires);
+        expect(hero.getSkillChoices()).toEqual(roots);
+        expect(hero.learnSkill('RALLY')).toEqual({ success: false, reason: 'Skill not available' });
+
+        expect(hero.learnSkill('INSPIRE').success).toBe(true);
+        expect(hero.getSkillChoices()).toContain('RALLY');
+        expect(hero.getSkillChoices()).not.toContain('INSPIRE');
+        expect(hero.learnSkill('RALLY').success).toBe(true);
+        expect(hero.skillPoints).toBe(0);
+        expect(hero.getSkillChoices()).toEqual([]);
+    });
+
+    test('should lengthen marches, widen sight and deepen the mana pool', () => {
+        hero.gainExperience(EXPERIENCE_LEVELS[3]);
+        const movement = hero.getMaxMovement();
+        const sight = hero.getSightRadius();
+        const mana = hero.getMaxMana();
+
+        hero.learnSkill('PATHFINDING');
+        hero.learnSkill('KEEN_EYES');
+        hero.learnSkill('FAR_SIGHT');
+        expect(hero.getMaxMovement()).toBe(movement + 1);
+        expect(hero.movement).toBe(movement + 1);
+        expect(hero.getSightRadius()).toBe(sight + 2);
+
+        hero.gainExperience(EXPERIENCE_LEVELS[5] - hero.experience);
+        hero.learnSkill('ARCANE_STUDIES');
+        hero.learnSkill('WIZARDRY');
+        expect(hero.getMaxMana()).toBe(mana + 4 + 5);
+    });
+
+    test('should make spells of the skill\'s schools cheaper and stronger', () => {
+        hero.gainExperience(EXPERIENCE_LEVELS[4]);
+        const haste = new Spell('HASTE');
+        const cure = new Spell('CURE_LIGHT_WOUNDS');
+        const missile = new Spell('MAGIC_MISSILE');
+
+        // Arcane Studies follows the schools of HERO_MAGIC_AFFINITIES.MAGE
+        hero.learnSkill('ARCANE_STUDIES');
+        expect(haste.getManaCost(hero)).toBe(haste.manaCost - 1);
+        expect(missile.getManaCost(hero)).toBe(missile.manaCost - 1);
+        expect(cure.getManaCost(hero)).toBe(cure.manaCost);
+
+        hero.learnSkill('WIZARDRY');
+        expect(haste.getPower(hero)).toBe(haste.power + 2);
+        expect(cure.getPower(hero)).toBe(cure.power);
+
+        hero.learnSpell(haste);
+        hero.mana = 20;
+        expect(hero.castSpell(haste.id, hero).success).toBe(true);
+        expect(hero.mana).toBe(20 - (haste.manaCost - 1));
+    });
+
+    test('should lift every unit on the hero\'s side in battle', () => {
+        const warrior = new Unit(UNIT_TYPES.WARRIOR, 0, 2, 2);
+        const enemy = new Unit(UNIT_TYPES.WARRIOR, 1, 3, 2);
+        hero.gainExperience(EXPERIENCE_LEVELS[3]);
+        hero.learnSkill('INSPIRE');
+        hero.learnSkill('RALLY');
+        hero.learnSkill('WARLORD');
+
+        expect(CombatSystem.getStackModifiers([warrior, hero])).toEqual({
+            attack: 2, defense: 2, sources: [{ source: 'Aldric\'s leadership', attack: 2, defense: 2 }]
+        });
+        expect(CombatSystem.getStackModifiers([enemy])).toEqual({ attack: 0, defense: 0, sources: [] });
+
+        const battle = CombatSystem.fightStackBattle([warrior, hero], [enemy], 0, 1, () => 3);
+        expect(battle.rounds[0].totalAttack).toBe(warrior.getAttackValue() + 2 + 3);
+        expect(battle.attackerModifiers).toEqual({ attack: 2, defense: 2, sources: [{ source: 'Aldric\'s leadership', attack: 2, defense: 2 }] });
+    });
+
+    test('should record skill choices, save them and let the AI choose by personality', () => {
+        const manager = new GameManager(null, { headless: true });
+        manager.initializeGame({
+            seed: 42,
+            map: { width: 16, height: 12 },
+            players: [
+                { id: 0, name: 'Alice', faction: 'HUMANS', color: '#0066CC', isAI: false },
+                { id: 1, name: 'Bob', faction: 'ELVES', color: '#00CC66', isAI: true }
+            ],
+            gameSettings: { fogOfWar: false, neutralMonsters: false }
+        });
+        const gameState = manager.getGameState();
+        const [capital] = gameState.getPlayerCities(0);
+        const veteran = Hero.recruit('Brenna', 0, capital.x, capital.y, 3);
+        gameState.addUnit(veteran);
+
+        expect(gameState.getHeroesAwaitingSkill(0)).toEqual([veteran]);
+        expect(manager.processAction({ type: ACTION_TYPES.CHOOSE_SKILL, heroId: veteran.id, skill: 'KEEN_EYES' })).toBe(true);
+        expect(manager.processAction({ type: ACTION_TYPES.CHOOSE_SKILL, heroId: veteran.id, skill: 'WARLORD' })).toBe(false);
+        const logged = gameState.actionLog.getActions().filter(action => action.type === ACTION_TYPES.CHOOSE_SKILL);
+        expect(logged).toEqual([expect.objectContaining({ skill: 'KEEN_EYES', hero: gameState.getUnitRef(veteran) })]);
+
+        const restored = Hero.deserialize(JSON.parse(JSON.stringify(veteran.serialize())));
+        expect(restored.skills).toEqual(['KEEN_EYES']);
+        expect(restored.skillPoints).toBe(1);
+        const carried = Hero.fromCampaignRecord(veteran.toCampaignRecord(), 0, 0, 0);
+        expect([carried.skills, carried.skillPoints]).toEqual([['KEEN_EYES'], 1]);
+
+        const [enemyCapital] = gameState.getPlayerCities(1);
+        const rival = Hero.recruit('Osric', 1, enemyCapital.x, enemyCapital.y, 3);
+        gameState.addUnit(rival);
+        const ai = new AIEngine(gameState);
+        ai.setPersonality('ECONOMIC');
+        ai.chooseHeroSkills(1);
+        expect(rival.skills).toEqual(['PATHFINDING', 'FORCED_MARCH']);
+        expect(rival.skills.every(skillId => HERO_SKILLS[skillId].tree === SKILL_TREES.LOGISTICS)).toBe(true);
+        expect(gameState.getHeroesAwaitingSkill(1)).toEqual([]);
+    });
+});
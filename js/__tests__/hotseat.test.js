@@ -0,0 +1,135 @@
+/**
+ * Hotseat multiplayer tests
+ * Tests multi-human game setup and the turn handoff curtain
+ */
+
+import { GameManager } from '../core/GameManager.js';
+import { GameSetup, MAX_PLAYERS } from '../ui/GameSetup.js';
+
+describe('Hotseat Multiplayer', () => {
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <div id="game-setup"></div>
+            <span id="current-player">Player 1</span>
+            <span id="turn-counter">Turn: 1</span>
+            <canvas id="game-canvas" width="800" height="600"></canvas>
+            <button id="end-turn-btn">End Turn</button>
+        `;
+    });
+
+    afterEach(() => {
+        document.body.innerHTML = '';
+    });
+
+    describe('Game setup', () => {
+        test('should configure several human players with name, faction and colour', () => {
+            const gameManager = new GameManager('game-canvas');
+            const setup = new GameSetup(gameManager);
+            setup.players = [
+                { name: 'Alice', faction: 'HUMANS', color: '#0066CC', isAI: false },
+                { name: 'Bob', faction: 'DWARVES', color: '#CC6600', isAI: false },
+                { name: 'AI 1', faction: 'ELVES', color: '#00CC66', isAI: true }
+            ];
+
+            const config = setup.buildConfig('small', false, true);
+
+            expect(setup.validatePlayers()).toBeNull();
+            expect(gameManager.validateConfig(config)).toBe(true);
+            expect(config.map).toEqual({ width: 20, height: 15 });
+            expect(config.players[1]).toEqual({ id: 1, name: 'Bob', faction: 'DWARVES', color: '#CC6600', isAI: false });
+            expect(config.gameSettings.fogOfWar).toBe(true);
+        });
+
+        test('should render one row per seat and cap the player count', () => {
+            const setup = new GameSetup(new GameManager('game-canvas'));
+
+            expect(document.querySelectorAll('.player-row')).toHaveLength(3);
+
+            // One more than the cap allows
+            for (let i = setup.players.length; i <= MAX_PLAYERS; i++) {
+                setup.addPlayer();
+            }
+
+            expect(setup.players).toHaveLength(MAX_PLAYERS);
+            expect(document.querySelectorAll('.player-row')).toHaveLength(MAX_PLAYERS);
+            expect(new Set(setup.players.map(seat => seat.color)).size).toBe(MAX_PLAYERS);
+        });
+
+        test('should reject duplicate names and all-AI tables', () => {
+            const setup = new GameSetup(new GameManager('game-canvas'));
+
+            setup.players[1] = { ...setup.players[1], name: 'Player 1', isAI: false };
+            expect(setup.validatePlayers()).toContain('unique');
+
+            setup.players = setup.players.map((seat, index) => ({ ...seat, name: `AI ${index}`, isAI: true }));
+            expect(setup.validatePlayers()).toContain('human');
+        });
+    });
+
+    describe('Turn handoff', () => {
+        let gameManager;
+
+        beforeEach(() => {
+            gameManager = new GameManager('game-canvas');
+            gameManager.initializeGame({
+                seed: 1234,
+                map: { width: 12, height: 12 },
+                players: [
+                    { id: 0, name: 'Alice', faction: 'HUMANS', color: '#0066CC', isAI: false },
+                    { id: 1, name: 'Bob', faction: 'ELVES', color: '#00CC66', isAI: false }
+                ],
+                gameSettings: { use3DRendering: false }
+            });
+        });
+
+        test('should hide the board for the first player until they confirm', () => {
+            expect(gameManager.isHotseatGame()).toBe(true);
+            expect(gameManager.awaitingHandoff).toBe(true);
+            expect(document.getElementById('turn-handoff').textContent).toContain('Alice');
+
+            document.getElementById('confirm-handoff-btn').click();
+
+            expect(gameManager.awaitingHandoff).toBe(false);
+            expect(document.getElementById('turn-handoff')).toBeNull();
+            expect(gameManager.gameState.fogOfWar.getViewingPlayer()).toBe(0);
+        });
+
+        test('should show the curtain for the next human and switch the fog view on confirm', () => {
+            gameManager.confirmTurnHandoff();
+            gameManager.endTurn();
+
+            expect(gameManager.getCurrentPlayer()).toBe(1);
+            expect(gameManager.awaitingHandoff).toBe(true);
+            expect(document.getElementById('turn-handoff').textContent).toContain('Pass the device to Bob');
+            expect(gameManager.gameState.fogOfWar.getViewingPlayer()).toBe(0);
+
+            gameManager.confirmTurnHandoff();
+
+            expect(gameManager.gameState.fogOfWar.getViewingPlayer()).toBe(1);
+        });
+
+        test('should not end a turn while the curtain is up', () => {
+            gameManager.endTurn();
+
+            expect(gameManager.getCurrentPlayer()).toBe(0);
+            expect(document.getElementById('end-turn-btn').disabled).toBe(true);
+        });
+
+        test('should not show a curtain with a single human player', () => {
+            const solo = new GameManager('game-canvas');
+            document.getElementById('turn-handoff').remove();
+            solo.initializeGame({
+                map: { width: 12, height: 12 },
+                players: [
+                    { id: 0, name: 'Alice', faction: 'HUMANS', color: '#0066CC', isAI: false },
+                    { id: 1, name: 'AI 1', faction: 'ELVES', color: '#00CC66', isAI: true }
+                ],
+                gameSettings: { use3DRendering: false }
+            });
+
+            expect(solo.isHotseatGame()).toBe(false);
+            expect(solo.awaitingHandoff).toBe(false);
+            expect(document.getElementById('turn-handoff')).toBeNull();
+        });
+    });
+});
@@ -3,7 +3,9 @@
  * Validates input handling, keyboard shortcuts, and context menus
  */
 
+import { jest } from '@jest/globals';
 import { InputEngine } from '../core/InputEngine.js';
+import { ACTION_TYPES } from '../core/ActionLog.js';
 
 describe('InputEngine', () => {
     let inputEngine;
@@ -182,6 +184,30 @@ describe('InputEngine', () => {
             expect(items.some(item => item.label === 'Center on Unit')).toBe(true);
         });
 
+        test('should let a hero explore the site it stands on', () => {
+            const hero = { id: 'hero_1', owner: 0, type: 'HERO', hasActed: false, items: [], x: 5, y: 5, isAlive: () => true };
+            const site = { name: 'Lost Ruins', explored: false };
+            mockGameManager.processAction = jest.fn(() => true);
+            inputEngine.gameState = {
+                ...mockGameManager.getGameState(),
+                getHex: () => ({ site, hasUnexploredSite: () => !site.explored }),
+                getItemsAt: () => []
+            };
+            jest.spyOn(inputEngine, 'displayUnitInfo').mockImplementation(() => {});
+            const context = { unit: hero, city: null, hex: { terrain: 'PLAINS' }, hexCoords: { x: 5, y: 5 } };
+
+            inputEngine.getContextMenuItems(context).find(item => item.label === 'Explore Lost Ruins').action();
+            inputEngine.keyboardShortcuts['e']();
+
+            expect(mockGameManager.processAction.mock.calls).toEqual([
+                [{ type: ACTION_TYPES.EXPLORE_LOCATION, heroId: 'hero_1' }],
+                [{ type: ACTION_TYPES.EXPLORE_LOCATION, heroId: 'hero_1' }]
+            ]);
+
+            site.explored = true;
+            expect(inputEngine.getContextMenuItems(context).some(item => item.label.startsWith('Explore'))).toBe(false);
+        });
+
         test('should include city-specific actions for owned cities', () => {
             const mockCity = {
                 owner: 0,
@@ -0,0 +1,171 @@
+/**
+ * Item piles, trading and crafting tests
+ * Tests dropping and picking up items on a hex, handing them between heroes
+ * of a stack, the loot fallen heroes leave behind and crafting recipes
+ */
+
+import { jest } from '@jest/globals';
+import { GameManager } from '../core/GameManager.js';
+import { AIEngine } from '../core/AIEngine.js';
+import { ACTION_TYPES } from '../core/ActionLog.js';
+import { Unit, UNIT_TYPES } from '../core/Unit.js';
+import { Hero } from '../core/Hero.js';
+import { Item, ITEM_TEMPLATES, ITEM_RARITY } from '../core/Item.js';
+import { Hex } from '../core/Hex.js';
+import { CRAFTING_RECIPES, getCraftableRecipes, craftItem } from '../core/Crafting.js';
+
+describe('Item Piles, Trading and Crafting', () => {
+    let manager;
+    let gameState;
+    let capital;
+    let hero;
+    let squire;
+
+    // Two of Alice's heroes wait in her capital
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        manager = new GameManager(null, { headless: true });
+        manager.initializeGame({
+            seed: 42,
+            map: { width: 16, height: 12 },
+            players: [
+                { id: 0, name: 'Alice', faction: 'HUMANS', color: '#0066CC', isAI: false },
+                { id: 1, name: 'Bob', faction: 'ELVES', color: '#00CC66', isAI: true }
+            ],
+            gameSettings: { fogOfWar: false, neutralMonsters: false }
+        });
+        gameState = manager.getGameState();
+        [capital] = gameState.getPlayerCities(0);
+        hero = new Hero('Aldric', 0, capital.x, capital.y);
+        squire = new Hero('Brenna', 0, capital.x, capital.y);
+        gameState.addUnit(hero);
+        gameState.addUnit(squire);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const logged = type => gameState.actionLog.getActions().filter(action => action.type === type);
+
+    test('should drop items on the hex and pick them up again', () => {
+        hero.equipItem(Item.create('IRON_SWORD'));
+        const attack = hero.getAttackValue();
+
+        expect(manager.processAction({ type: ACTION_TYPES.DROP_ITEM, heroId: hero.id, itemIndex: 0 })).toBe(true);
+        expect(hero.items).toEqual([]);
+        expect(hero.getAttackValue()).toBe(attack - 2);
+        expect(gameState.getItemsAt(capital.x, capital.y).map(item => item.name)).toEqual(['Iron Sword']);
+        expect(manager.processAction({ type: ACTION_TYPES.DROP_ITEM, heroId: hero.id, itemIndex: 0 })).toBe(false);
+
+        // Consumables are carried rather than equipped
+        gameState.getHex(capital.x, capital.y).addItem(Item.create('HEALING_POTION'));
+        expect(manager.processAction({ type: ACTION_TYPES.PICK_UP_ITEM, heroId: squire.id, pileIndex: 1 })).toBe(true);
+        expect(manager.processAction({ type: ACTION_TYPES.PICK_UP_ITEM, heroId: squire.id, pileIndex: 0 })).toBe(true);
+        expect(squire.items.map(item => [item.name, item.isEquipped])).toEqual([['Healing Potion', false], ['Iron Sword', true]]);
+        expect(gameState.getHex(capital.x, capital.y).hasItems()).toBe(false);
+        expect(gameState.pickUpItem(squire, 0)).toEqual({ success: false, reason: 'Nothing to pick up' });
+
+        expect(logged(ACTION_TYPES.DROP_ITEM)).toEqual([expect.objectContaining({ hero: expect.any(Object), itemIndex: 0 })]);
+        expect(logged(ACTION_TYPES.PICK_UP_ITEM).map(action => action.pileIndex)).toEqual([1, 0]);
+    });
+
+    test('should keep item piles in saved hexes', () => {
+        const hex = new Hex(3, 4);
+        hex.addItem(Item.create('WAR_BANNER'));
+
+        const restored = Hex.deserialize(JSON.parse(JSON.stringify(hex.serialize())));
+        expect(restored.items).toHaveLength(1);
+        expect(restored.items[0]).toBeInstanceOf(Item);
+        expect(restored.items[0].commandBonus).toBe(1);
+        expect(Hex.deserialize({ x: 0, y: 0, terrain: 'PLAINS' }).items).toEqual([]);
+    });
+
+    test('should hand items only to another hero of the same stack', () => {
+        hero.equipItem(Item.create('BOOTS_OF_SPEED'));
+
+        expect(manager.processAction({
+            type: ACTION_TYPES.TRANSFER_ITEM, heroId: hero.id, recipientId: squire.id, itemIndex: 0
+        })).toBe(true);
+        expect(hero.items).toEqual([]);
+        expect(squire.items.map(item => item.name)).toEqual(['Boots of Speed']);
+        expect(logged(ACTION_TYPES.TRANSFER_ITEM)).toEqual([
+            expect.objectContaining({ hero: expect.any(Object), recipient: gameState.getUnitRef(squire), itemIndex: 0 })
+        ]);
+
+        const warrior = new Unit(UNIT_TYPES.WARRIOR, 0, capital.x, capital.y);
+        gameState.addUnit(warrior);
+        expect(gameState.transferItem(squire, warrior, 0)).toEqual({ success: false, reason: 'Heroes must share a stack' });
+
+        const stranger = new Hero('Osric', 0, capital.x + 1, capital.y);
+        expect(gameState.transferItem(squire, stranger, 0)).toEqual({ success: false, reason: 'Heroes must share a stack' });
+        expect(squire.items).toHaveLength(1);
+    });
+
+    test('should leave a fallen hero\'s items where it fell', () => {
+        hero.equipItem(Item.create('CHAIN_MAIL'));
+        hero.equipItem(Item.create('RING_OF_POWER'));
+        const looted = jest.fn();
+        gameState.subscribe((event, data) => {
+            if (event === 'lootDropped') looted(data.items.map(item => item.name));
+        });
+
+        hero.health = 0;
+        manager.handleUnitDestroyed(hero);
+        expect(gameState.getUnit(hero.id)).toBeFalsy();
+        expect(hero.items).toEqual([]);
+        expect(gameState.getItemsAt(capital.x, capital.y).map(item => item.name)).toEqual(['Chain Mail', 'Ring of Power']);
+        expect(looted).toHaveBeenCalledWith(['Chain Mail', 'Ring of Power']);
+
+        // Heroes slain in battle drop their items too
+        squire.equipItem(Item.create('WAR_BANNER'));
+        squire.health = 0;
+        gameState.removeDeadUnits([squire]);
+        expect(gameState.getItemsAt(capital.x, capital.y).map(item => item.name)).toContain('War Banner');
+    });
+
+    test('should craft higher-rarity items in the owner\'s cities', () => {
+        const rank = rarity => Object.values(ITEM_RARITY).indexOf(rarity);
+        for (const [result, ingredients] of Object.entries(CRAFTING_RECIPES)) {
+            for (const ingredient of ingredients) {
+                expect(rank(ITEM_TEMPLATES[result].rarity)).toBeGreaterThan(rank(ITEM_TEMPLATES[ingredient].rarity));
+            }
+        }
+
+        hero.equipItem(Item.create('IRON_SWORD'));
+        hero.equipItem(Item.create('IRON_SWORD'));
+        hero.receiveItem(Item.create('MANA_POTION'));
+        expect(getCraftableRecipes(hero.items)).toEqual(['STEEL_SWORD']);
+        expect(craftItem(hero, 'PLATE_ARMOR')).toEqual({ success: false, reason: 'Missing ingredients' });
+        expect(craftItem(hero, 'EXCALIBUR')).toEqual({ success: false, reason: 'Unknown recipe' });
+
+        expect(manager.processAction({ type: ACTION_TYPES.CRAFT_ITEM, heroId: hero.id, recipe: 'STEEL_SWORD' })).toBe(true);
+        expect(hero.items.map(item => item.name).sort()).toEqual(['Mana Potion', 'Steel Sword']);
+        expect(manager.processAction({ type: ACTION_TYPES.CRAFT_ITEM, heroId: hero.id, recipe: 'ENCHANTED_BLADE' })).toBe(true);
+        expect(hero.items.map(item => item.name)).toEqual(['Enchanted Blade']);
+        expect(logged(ACTION_TYPES.CRAFT_ITEM).map(action => action.recipe)).toEqual(['STEEL_SWORD', 'ENCHANTED_BLADE']);
+
+        // Away from a friendly city nothing is crafted
+        const wanderer = new Hero('Osric', 0, 0, 0);
+        wanderer.equipItem(Item.create('LEATHER_ARMOR'));
+        wanderer.equipItem(Item.create('LEATHER_ARMOR'));
+        expect(gameState.craftItem(wanderer, 'CHAIN_MAIL')).toEqual({ success: false, reason: 'Items are crafted in your own cities' });
+        expect(wanderer.items).toHaveLength(2);
+    });
+
+    test('should let AI heroes collect loot and craft', () => {
+        const [enemyCapital] = gameState.getPlayerCities(1);
+        const rival = new Hero('Osric', 1, enemyCapital.x, enemyCapital.y);
+        gameState.addUnit(rival);
+        const hex = gameState.getHex(enemyCapital.x, enemyCapital.y);
+        hex.addItem(Item.create('LEATHER_ARMOR'));
+        hex.addItem(Item.create('LEATHER_ARMOR'));
+
+        const ai = new AIEngine(gameState);
+        ai.manageHeroItems(1);
+        expect(hex.hasItems()).toBe(false);
+        expect(rival.items.map(item => item.name)).toEqual(['Chain Mail']);
+    });
+});
@@ -0,0 +1,194 @@
+/**
+ * Map site tests
+ * Tests ruins, temples and towers placed on the map, their guardians and looting
+ */
+
+import { jest } from '@jest/globals';
+import { GameState } from '../core/GameState.js';
+import { ReplayEngine } from '../core/ReplayEngine.js';
+import { CombatSystem } from '../core/CombatSystem.js';
+import { AIEngine } from '../core/AIEngine.js';
+import { ACTION_TYPES } from '../core/ActionLog.js';
+import { Hero } from '../core/Hero.js';
+import { Hex } from '../core/Hex.js';
+import { ItemGenerator, LOCATION_TYPES, SITE_GUARDIANS } from '../core/ItemGenerator.js';
+import { MapGenerator } from '../core/MapGenerator.js';
+import { startGame, withStartingUnits } from './helpers/game-setup.js';
+
+describe('Map Sites', () => {
+    const config = {
+        seed: 1234,
+        map: { width: 20, height: 15 },
+        players: [
+            { id: 0, name: 'Alice', faction: 'HUMANS', color: '#0066CC', isAI: false },
+            { id: 1, name: 'Bob', faction: 'ELVES', color: '#00CC66', isAI: false }
+        ],
+        gameSettings: { fogOfWar: false }
+    };
+
+    let manager;
+    let gameState;
+    let hero;
+    let hex;
+
+    // Alice's hero waits on an empty hex next to her capital
+    beforeEach(() => {
+        manager = startGame(config);
+        gameState = manager.getGameState();
+
+        const city = gameState.getPlayerCities(0)[0];
+        hex = gameState.getMap().getNeighbors(city.x, city.y)
+            .find(neighbor => neighbor.isPassable() && !neighbor.hasCity() && !neighbor.unit);
+        hex.setSite(null);
+        hero = new Hero('Aldric', 0, hex.x, hex.y);
+        gameState.addUnit(hero);
+        hex.setUnit(hero);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const placeSite = (type, guardians) => {
+        const site = { ...ItemGenerator.createSpecialLocation(type, hex.x, hex.y), guardians };
+        hex.setSite(site);
+        return site;
+    };
+
+    const explore = () => manager.processAction({
+        type: ACTION_TYPES.EXPLORE_LOCATION,
+        hero: gameState.getUnitRef(hero)
+    });
+
+    test('should scatter guarded sites over open land when generating maps', () => {
+        const generator = new MapGenerator();
+        const map = generator.generateMap(30, 20, { seed: 99 });
+        const sites = map.getSites();
+
+        expect(sites.length).toBeGreaterThan(0);
+        for (const site of sites) {
+            const siteHex = map.getHex(site.x, site.y);
+            expect(siteHex.site).toBe(site);
+            expect(siteHex.isPassable()).toBe(true);
+            expect(siteHex.hasCity()).toBe(false);
+            expect(Object.values(LOCATION_TYPES)).toContain(site.type);
+            for (const guardian of site.guardians) {
+                expect(SITE_GUARDIANS[site.type]).toContain(guardian);
+            }
+        }
+
+        // The same seed lays out the same sites
+        expect(new MapGenerator().generateMap(30, 20, { seed: 99 }).getSites()).toEqual(sites);
+        expect(new MapGenerator().generateMap(30, 20, { seed: 99, siteDensity: 0 }).getSites()).toEqual([]);
+    });
+
+    test('should save sites with their hexes', () => {
+        const site = placeSite(LOCATION_TYPES.TOWER, ['IMP']);
+        site.exploredBy.push(1);
+
+        const restored = Hex.deserialize(JSON.parse(JSON.stringify(hex.serialize())));
+        expect(restored.site).toEqual(site);
+        expect(restored.hasUnexploredSite()).toBe(true);
+
+        const restoredState = new GameState();
+        restoredState.deserialize(JSON.parse(JSON.stringify(gameState.serialize())));
+        expect(restoredState.getSiteAt(hex.x, hex.y)).toEqual(site);
+    });
+
+    test('should loot an unguarded site only once', () => {
+        const site = placeSite(LOCATION_TYPES.RUINS, []);
+
+        expect(explore()).toBe(true);
+
+        expect(site.explored).toBe(true);
+        expect(site.exploredBy).toEqual([0]);
+        expect(hex.hasUnexploredSite()).toBe(false);
+        expect(explore()).toBe(false);
+    });
+
+    test('should refuse to explore where there is no site', () => {
+        expect(explore()).toBe(false);
+        expect(gameState.actionLog.getActions()).toEqual([]);
+    });
+
+    test('should send AI heroes to explore the sites in reach', async () => {
+        const [target, guarded] = gameState.getUnitReachableHexes(hero)
+            .map(reachable => gameState.getHex(reachable.x, reachable.y))
+            .filter(candidate => !candidate.hasCity());
+        const ruins = { ...ItemGenerator.createSpecialLocation(LOCATION_TYPES.RUINS, target.x, target.y), guardians: [] };
+        const tomb = { ...ItemGenerator.createSpecialLocation(LOCATION_TYPES.TOMB, guarded.x, guarded.y), guardians: ['BALROG'] };
+        target.setSite(ruins);
+        guarded.setSite(tomb);
+        const ai = new AIEngine(gameState, manager);
+        jest.spyOn(ai, 'sleep').mockResolvedValue();
+
+        await ai.manageUnit(hero);
+
+        // The guarded tomb is too much for a fresh hero
+        expect([hero.x, hero.y]).toEqual([target.x, target.y]);
+        expect(ruins.explored).toBe(true);
+        expect(tomb.explored).toBe(false);
+        expect(gameState.actionLog.getActions().map(action => action.type))
+            .toEqual([ACTION_TYPES.MOVE_UNIT, ACTION_TYPES.EXPLORE_LOCATION]);
+    });
+
+    test('should make the hero beat the guardians before the reward', () => {
+        jest.spyOn(CombatSystem, 'rollDice').mockReturnValue(6);
+        const exploreLocation = jest.spyOn(ItemGenerator, 'exploreLocation');
+        const site = placeSite(LOCATION_TYPES.TOWER, ['IMP', 'IMP']);
+
+        expect(explore()).toBe(true);
+
+        expect(site.guardians).toEqual([]);
+        expect(site.explored).toBe(true);
+        expect(hero.experience).toBeGreaterThan(0);
+        expect(gameState.getPlayer(0).stats.battlesWon).toBe(1);
+        expect(exploreLocation).toHaveBeenCalledWith(hero, LOCATION_TYPES.TOWER, gameState.random);
+    });
+
+    test('should keep the site closed when the guardians win', () => {
+        // Every attack roll is a 1 and every defense roll a 6
+        let roll = 0;
+        jest.spyOn(CombatSystem, 'rollDice').mockImplementation(() => (roll++ % 2 === 0 ? 1 : 6));
+        const exploreLocation = jest.spyOn(ItemGenerator, 'exploreLocation');
+        const site = placeSite(LOCATION_TYPES.TOMB, ['BALROG']);
+
+        expect(explore()).toBe(true);
+
+        expect(gameState.getUnit(hero.id)).toBeNull();
+        expect(site.guardians).toEqual(['BALROG']);
+        expect(site.explored).toBe(false);
+        expect(exploreLocation).not.toHaveBeenCalled();
+        expect(gameState.getPlayer(0).stats.unitsLost).toBe(1);
+    });
+
+    test('should leave temples open for more quests', () => {
+        const site = placeSite(LOCATION_TYPES.TEMPLE, []);
+
+        expect(explore()).toBe(true);
+
+        expect(gameState.getActiveQuest(hero.id)).not.toBeNull();
+        expect(site.explored).toBe(false);
+        expect(site.exploredBy).toEqual([0]);
+    });
+
+    test('should replay guardian battles and looting', () => {
+        const site = placeSite(LOCATION_TYPES.CAVE, ['BERSERKER']);
+        withStartingUnits(state => {
+            state.getHex(hex.x, hex.y).setSite({ ...site, exploredBy: [], guardians: [...site.guardians] });
+            const replayHero = new Hero('Aldric', 0, hex.x, hex.y);
+            state.addUnit(replayHero);
+            state.getHex(hex.x, hex.y).setUnit(replayHero);
+        });
+
+        explore();
+        manager.endTurn();
+
+        const replay = ReplayEngine.fromGameState(gameState);
+        replay.goTo(replay.getLength());
+        const replayed = replay.getGameState().getSiteAt(hex.x, hex.y);
+
+        expect(replayed.guardians).toEqual(site.guardians);
+        expect(replayed.explored).toBe(site.explored);
+    });
+});
@@ -0,0 +1,160 @@
+/**
+ * Movement type tests
+ * Tests per-terrain costs for each movement class, faction terrain bonuses,
+ * stacks moving at their slowest class and flyers carrying ground units
+ */
+
+import { jest } from '@jest/globals';
+import { Map as GameMap } from '../core/Map.js';
+import { Hex, TERRAIN_TYPES } from '../core/Hex.js';
+import { Stack, FLYER_CARRY_CAPACITY } from '../core/Stack.js';
+import { Unit, UNIT_TYPES } from '../core/Unit.js';
+import { City } from '../core/City.js';
+import { GameState } from '../core/GameState.js';
+import { MOVEMENT_TYPES } from '../core/UnitRegistry.js';
+import { factionManager } from '../core/Faction.js';
+
+describe('Movement Types', () => {
+    let map;
+
+    // A river of water runs down column 2
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        map = new GameMap(6, 3);
+        for (let y = 0; y < 3; y++) {
+            map.setTerrain(2, y, TERRAIN_TYPES.WATER);
+        }
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const createStack = (types, x = 1, y = 0, owner = 0) => {
+        const stack = new Stack(x, y, owner);
+        for (const type of types) {
+            stack.addUnit(new Unit(type, owner, x, y));
+        }
+        return stack;
+    };
+
+    test('should charge each movement class its own terrain costs', () => {
+        const forest = new Hex(0, 0, TERRAIN_TYPES.FOREST);
+        const mountain = new Hex(0, 0, TERRAIN_TYPES.MOUNTAIN);
+        const water = new Hex(0, 0, TERRAIN_TYPES.WATER);
+
+        expect(forest.getMovementCostFor([MOVEMENT_TYPES.FOOT])).toBe(2);
+        expect(forest.getMovementCostFor([MOVEMENT_TYPES.MOUNTED])).toBe(3);
+        expect(mountain.getMovementCostFor([MOVEMENT_TYPES.FLYING])).toBe(1);
+        expect(water.getMovementCostFor([MOVEMENT_TYPES.AMPHIBIOUS])).toBe(2);
+        expect(forest.getMovementCostFor([MOVEMENT_TYPES.NAVAL])).toBe(Infinity);
+
+        const warrior = new Unit(UNIT_TYPES.WARRIOR, 0, 1, 0);
+        const dragon = new Unit(UNIT_TYPES.DRAGON, 0, 1, 0);
+        expect(water.isPassable(warrior)).toBe(false);
+        expect(water.isPassable(dragon)).toBe(true);
+        expect(water.isPassable()).toBe(false);
+
+        // Ships may put in at a harbour city
+        const harbour = new Hex(0, 0, TERRAIN_TYPES.PLAINS);
+        expect(harbour.getMovementCostFor([MOVEMENT_TYPES.NAVAL])).toBe(Infinity);
+        harbour.setCity(new City('Port Royal', 0, 0, 0));
+        expect(harbour.getMovementCostFor([MOVEMENT_TYPES.NAVAL])).toBe(1);
+
+        // Flyers cross the river, foot soldiers have to stay on their bank
+        expect(map.findPath(1, 0, 3, 0, dragon)).toEqual([{ x: 2, y: 0 }, { x: 3, y: 0 }]);
+        expect(map.findPath(1, 0, 3, 0, warrior)).toBeNull();
+    });
+
+    test('should ease forests and mountains for factions with movement bonuses', () => {
+        map.setTerrain(0, 0, TERRAIN_TYPES.FOREST);
+        map.setTerrain(0, 1, TERRAIN_TYPES.MOUNTAIN);
+        const factions = ['ELVES', 'DWARVES', 'HUMANS'];
+        map.setFactionLookup(playerId => factionManager.getFaction(factions[playerId]));
+
+        const cost = (type, owner, x, y) => map.calculateMovementCost(1, 0, x, y, new Unit(type, owner, 1, 0));
+
+        expect(cost(UNIT_TYPES.WARRIOR, 0, 0, 0)).toBe(1); // Elves in the forest
+        expect(cost(UNIT_TYPES.WARRIOR, 2, 0, 0)).toBe(2);
+        expect(cost(UNIT_TYPES.WARRIOR, 1, 0, 1)).toBe(1.5); // Dwarves in the mountains
+        expect(cost(UNIT_TYPES.WARRIOR, 0, 0, 1)).toBe(3);
+        expect(cost(UNIT_TYPES.DRAGON, 0, 0, 0)).toBe(1);
+
+        // The game hands its players' factions to the map
+        const gameState = new GameState();
+        gameState.initialize({
+            seed: 7,
+            map: { width: 12, height: 10 },
+            players: [
+                { id: 0, name: 'Alice', faction: 'ELVES', color: '#00CC66', isAI: false },
+                { id: 1, name: 'Bob', faction: 'HUMANS', color: '#0066CC', isAI: false }
+            ]
+        });
+        expect(gameState.getMap().factionLookup(0).name).toBe('ELVES');
+    });
+
+    test('should ease a stack\'s way through its faction\'s terrain', () => {
+        const gameState = new GameState();
+        gameState.initialize({
+            seed: 7,
+            map: { width: 12, height: 10 },
+            players: [
+                { id: 0, name: 'Alice', faction: 'ELVES', color: '#00CC66', isAI: false },
+                { id: 1, name: 'Bob', faction: 'HUMANS', color: '#0066CC', isAI: false }
+            ]
+        });
+        const elves = gameState.createStack([new Unit(UNIT_TYPES.WARRIOR, 0, 1, 0)]);
+        const humans = gameState.createStack([new Unit(UNIT_TYPES.WARRIOR, 1, 1, 0)]);
+        const riders = gameState.createStack([new Unit(UNIT_TYPES.DRAGON, 0, 1, 0)]);
+        map.setTerrain(0, 0, TERRAIN_TYPES.FOREST);
+        map.setTerrain(0, 1, TERRAIN_TYPES.MOUNTAIN);
+        map.setFactionLookup(playerId => gameState.getPlayerFaction(playerId));
+        const terrainCost = (stack, x, y) => map.getTerrainCost(map.getHex(x, y), stack.getMovementTypes(), stack.owner);
+
+        expect(terrainCost(elves, 0, 0)).toBe(1);
+        expect(terrainCost(elves, 0, 1)).toBe(3);
+        expect(terrainCost(humans, 0, 0)).toBe(2);
+        expect(terrainCost(riders, 0, 0)).toBe(map.getHex(0, 0).getMovementCostFor([MOVEMENT_TYPES.FLYING]));
+
+        // Pathfinding pays the same: the elves cross two forest hexes a turn
+        expect(elves.getMovementCapacity()).toBe(2);
+        expect(map.calculateMovementCost(1, 0, 0, 0, elves)).toBe(1);
+        expect(map.calculateMovementCost(1, 0, 0, 0, humans)).toBe(2);
+    });
+
+    test('should move a stack at the pace of its slowest class', () => {
+        map.setTerrain(0, 0, TERRAIN_TYPES.FOREST);
+        const cavalry = createStack([UNIT_TYPES.CAVALRY]);
+        const column = createStack([UNIT_TYPES.CAVALRY, UNIT_TYPES.WARRIOR]);
+
+        expect(column.getMovementTypes()).toEqual([MOVEMENT_TYPES.MOUNTED, MOVEMENT_TYPES.FOOT]);
+        expect(map.calculateMovementCost(1, 0, 0, 0, column)).toBe(3);
+        expect(column.getMovementCapacity()).toBe(2);
+        expect(cavalry.getMovementCapacity()).toBe(4);
+
+        expect(column.canMoveTo(0, 0, map)).toBe(false);
+        expect(cavalry.move(0, 0, map)).toBe(true);
+        expect(cavalry.getUnits()[0].movement).toBe(1);
+    });
+
+    test('should let flyers carry ground units over terrain they could not cross', () => {
+        const airlift = createStack([UNIT_TYPES.DRAGON, UNIT_TYPES.WARRIOR]);
+        const [dragon, warrior] = airlift.getUnits();
+
+        expect(airlift.isCarriedByFlyers()).toBe(true);
+        expect(airlift.getMovementTypes()).toEqual([MOVEMENT_TYPES.FLYING]);
+        expect(airlift.getMovementCapacity()).toBe(dragon.movement);
+
+        expect(airlift.move(4, 0, map)).toBe(true);
+        expect([warrior.x, warrior.y]).toEqual([4, 0]);
+        expect(dragon.movement).toBe(1);
+        expect(warrior.movement).toBe(0);
+        expect(airlift.canMove()).toBe(true);
+
+        // One flyer cannot lift more than its share, so the army has to walk
+        const overloaded = createStack([UNIT_TYPES.IMP, ...Array(FLYER_CARRY_CAPACITY + 1).fill(UNIT_TYPES.DEMON)]);
+        expect(overloaded.isCarriedByFlyers()).toBe(false);
+        expect(overloaded.canMoveTo(3, 0, map)).toBe(false);
+        expect(overloaded.getMovementCapacity()).toBe(2);
+    });
+});
@@ -0,0 +1,259 @@
+/**
+ * Neutral monster tests
+ * Tests monster stacks spawning, roaming, guarding ruins, attacking and giving heroes experience
+ */
+
+import { jest } from '@jest/globals';
+import { GameState } from '../core/GameState.js';
+import { GameManager } from '../core/GameManager.js';
+import { ReplayEngine } from '../core/ReplayEngine.js';
+import { CombatSystem } from '../core/CombatSystem.js';
+import { ACTION_TYPES } from '../core/ActionLog.js';
+import { Hero } from '../core/Hero.js';
+import { Unit, NEUTRAL_OWNER } from '../core/Unit.js';
+import { unitRegistry } from '../core/UnitRegistry.js';
+import { MonsterRegistry, monsterRegistry, MONSTER_BEHAVIORS } from '../core/MonsterRegistry.js';
+import { ItemGenerator, LOCATION_TYPES } from '../core/ItemGenerator.js';
+
+describe('Neutral Monsters', () => {
+    const config = {
+        seed: 1234,
+        map: { width: 20, height: 15 },
+        players: [
+            { id: 0, name: 'Alice', faction: 'HUMANS', color: '#0066CC', isAI: false },
+            { id: 1, name: 'Bob', faction: 'ELVES', color: '#00CC66', isAI: false }
+        ],
+        gameSettings: { fogOfWar: false }
+    };
+
+    let manager;
+    let gameState;
+    let map;
+
+    // Start without monsters so each test places its own
+    beforeEach(() => {
+        manager = new GameManager(null, { headless: true });
+        manager.initializeGame({ ...config, gameSettings: { fogOfWar: false, neutralMonsters: false } });
+        gameState = manager.getGameState();
+        gameState.neutralMonsters = true;
+        map = gameState.getMap();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    // Every attack roll is a 6 and every defense roll a 1
+    const attackerWins = () => {
+        let roll = 0;
+        jest.spyOn(CombatSystem, 'rollDice').mockImplementation(() => (roll++ % 2 === 0 ? 6 : 1));
+    };
+
+    const place = (unit, hex) => {
+        unit.x = hex.x;
+        unit.y = hex.y;
+        gameState.addUnit(unit);
+        hex.setUnit(unit);
+        return unit;
+    };
+
+    const addMonsters = (type, hex, behavior = MONSTER_BEHAVIORS.ROAM, count = 1) => {
+        const monsters = [];
+        for (let i = 0; i < count; i++) {
+            const monster = new Unit(type, NEUTRAL_OWNER, hex.x, hex.y);
+            monster.behavior = { type: behavior, x: hex.x, y: hex.y };
+            monsters.push(place(monster, hex));
+        }
+        return monsters;
+    };
+
+    // Empty open hexes well away from every city
+    const isWild = hex => hex.isPassable() && !hex.hasCity() && !hex.unit &&
+        Array.from(gameState.getCities().values()).every(city => hex.distanceTo(map.getHex(city.x, city.y)) >= 4);
+
+    const runRound = () => {
+        manager.endTurn();
+        manager.endTurn();
+    };
+
+    test('should load monsters from data and keep them to their terrain', () => {
+        for (const type of monsterRegistry.getTypes()) {
+            const monster = monsterRegistry.get(type);
+            expect(unitRegistry.get(type).level).toBeGreaterThan(0);
+            expect(monster.count[0]).toBeLessThanOrEqual(monster.count[1]);
+        }
+
+        expect(monsterRegistry.pick('WATER')).toBeNull();
+        expect(monsterRegistry.get(monsterRegistry.pick('MOUNTAIN').type).terrain).toContain('MOUNTAIN');
+
+        const registry = new MonsterRegistry();
+        expect(() => registry.loadDefinitions({
+            monsters: [{ type: 'UNICORN', count: [1, 1], terrain: ['PLAINS'] }]
+        })).toThrow('UNICORN: not in the unit catalogue');
+        expect(() => registry.loadDefinitions({
+            monsters: [{ type: 'WOLF', count: [3, 1], terrain: ['SWAMP'] }]
+        })).toThrow(/count must be.*terrain must list/);
+    });
+
+    test('should set monsters out at the start of the game, away from cities', () => {
+        const game = new GameManager(null, { headless: true });
+        game.initializeGame(config);
+        const state = game.getGameState();
+        const stacks = state.getMonsterStacks();
+
+        expect(stacks.length).toBeGreaterThanOrEqual(Math.floor(20 * 15 / monsterRegistry.spawning.hexesPerStack));
+        for (const monsters of stacks) {
+            const [leader] = monsters;
+            const hex = state.getHex(leader.x, leader.y);
+            expect(monsterRegistry.get(leader.type).terrain).toContain(hex.terrain);
+            expect(monsters.every(monster => monster.type === leader.type && monster.owner === NEUTRAL_OWNER)).toBe(true);
+            for (const city of state.getCities().values()) {
+                expect(hex.distanceTo(state.getHex(city.x, city.y))).toBeGreaterThanOrEqual(monsterRegistry.spawning.minCityDistance);
+            }
+        }
+
+        const calm = new GameManager(null, { headless: true });
+        calm.initializeGame({ ...config, gameSettings: { fogOfWar: false, neutralMonsters: false } });
+        expect(calm.getGameState().getMonsterStacks()).toEqual([]);
+    });
+
+    test('should post a guard on ruins in place of its guardians', () => {
+        const hex = map.hexes.find(candidate => isWild(candidate) && monsterRegistry.getForTerrain(candidate.terrain).length > 0);
+        hex.setSite({ ...ItemGenerator.createSpecialLocation(LOCATION_TYPES.RUINS, hex.x, hex.y), guardians: ['BERSERKER'] });
+        jest.spyOn(map, 'getSites').mockReturnValue([hex.site]);
+        jest.spyOn(gameState, 'spawnRoamingMonsters').mockReturnValue([]);
+
+        gameState.spawnStartingMonsters();
+
+        const [guards] = gameState.getMonsterStacks();
+        expect(guards.length).toBeGreaterThan(0);
+        expect([guards[0].x, guards[0].y]).toEqual([hex.x, hex.y]);
+        expect(guards[0].behavior).toEqual({ type: MONSTER_BEHAVIORS.GUARD, x: hex.x, y: hex.y });
+        expect(hex.site.guardians).toEqual([]);
+    });
+
+    test('should roam at the start of each round without recording actions', () => {
+        const hex = map.hexes.find(candidate => isWild(candidate) && candidate.terrain === 'PLAINS' &&
+            map.getNeighbors(candidate.x, candidate.y).filter(isWild).length >= 3);
+        const [wolf] = addMonsters('WOLF', hex);
+        jest.spyOn(gameState.random, 'chance').mockReturnValue(false);
+
+        runRound();
+
+        expect(hex.distanceTo(map.getHex(wolf.x, wolf.y))).toBe(1);
+        expect(map.getHex(wolf.x, wolf.y).unit).toBe(wolf);
+        expect(hex.unit).toBeNull();
+        expect(gameState.actionLog.getActions().map(action => action.type))
+            .toEqual([ACTION_TYPES.END_TURN, ACTION_TYPES.END_TURN]);
+    });
+
+    test('should send guards after intruders and then back home', () => {
+        const { guardRange } = monsterRegistry.spawning;
+        let home;
+        let lair;
+        let intruderHex;
+        for (const candidate of map.hexes.filter(isWild)) {
+            home = candidate;
+            intruderHex = map.hexes.find(other => isWild(other) && other.distanceTo(home) === guardRange);
+            lair = intruderHex && map.getNeighbors(home.x, home.y).find(step =>
+                isWild(step) && step.terrain === 'PLAINS' && step.distanceTo(intruderHex) === 1);
+            if (lair) break;
+        }
+        const [wolf] = addMonsters('WOLF', home, MONSTER_BEHAVIORS.GUARD);
+
+        // Away from its ruins with nobody about: it goes back
+        home.removeUnit();
+        wolf.x = lair.x;
+        wolf.y = lair.y;
+        lair.setUnit(wolf);
+        jest.spyOn(gameState.random, 'chance').mockReturnValue(false);
+        runRound();
+        expect([wolf.x, wolf.y]).toEqual([home.x, home.y]);
+
+        // An intruder near the ruins draws it out, and it strikes once in reach
+        const scout = place(new Unit('WARRIOR', 0, 0, 0), intruderHex);
+        runRound();
+        expect(map.getHex(wolf.x, wolf.y).distanceTo(intruderHex)).toBe(1);
+        expect(home.distanceTo(map.getHex(wolf.x, wolf.y))).toBeLessThanOrEqual(guardRange);
+
+        attackerWins();
+        runRound();
+        expect(gameState.getUnit(scout.id)).toBeNull();
+    });
+
+    test('should attack units next to them and tell the defender', () => {
+        const city = gameState.getPlayerCities(0)[0];
+        const camp = map.getNeighbors(city.x, city.y).find(hex => hex.isPassable() && !hex.hasCity() && !hex.unit);
+        const den = map.getNeighbors(camp.x, camp.y).find(hex => hex.isPassable() && !hex.hasCity() && !hex.unit);
+        const warrior = place(new Unit('WARRIOR', 0, 0, 0), camp);
+        const wolves = addMonsters('WOLF', den, MONSTER_BEHAVIORS.ROAM, 2);
+        const showMessage = jest.spyOn(manager, 'showMessage');
+        jest.spyOn(gameState.random, 'chance').mockReturnValue(false);
+        attackerWins();
+
+        runRound();
+
+        expect(gameState.getUnit(warrior.id)).toBeNull();
+        expect(gameState.getPlayer(0).stats.unitsLost).toBe(1);
+        expect(wolves.every(wolf => [wolf.x, wolf.y].join() === [den.x, den.y].join())).toBe(true);
+        expect(showMessage).toHaveBeenCalledWith(`Wolves attacked Alice's units at (${camp.x}, ${camp.y}) and destroyed them.`);
+
+        // Units inside a city are left alone
+        const guard = place(new Unit('WARRIOR', 0, 0, 0), map.getHex(city.x, city.y));
+        for (const wolf of wolves) {
+            den.removeUnit();
+            wolf.x = camp.x;
+            wolf.y = camp.y;
+        }
+        camp.setUnit(wolves[0]);
+        runRound();
+        expect(gameState.getUnit(guard.id)).not.toBeNull();
+    });
+
+    test('should give heroes experience for the monster\'s level', () => {
+        const hero = new Hero('Aldric', 0, 0, 0);
+        const troll = new Unit('TROLL', NEUTRAL_OWNER, 0, 0);
+        const warrior = new Unit('WARRIOR', 1, 0, 0);
+
+        // A level 3 troll is worth more than its base value to a level 1 hero
+        const trollExperience = CombatSystem.calculateExperienceGain(hero, troll);
+        expect(trollExperience).toBeGreaterThan(unitRegistry.get('TROLL').experienceValue);
+        expect(CombatSystem.calculateExperienceGain(hero, warrior)).toBe(unitRegistry.get('WARRIOR').experienceValue);
+
+        const camp = map.hexes.find(hex => isWild(hex) && map.getNeighbors(hex.x, hex.y).some(isWild));
+        const den = map.getNeighbors(camp.x, camp.y).find(isWild);
+        place(hero, camp);
+        const [target] = addMonsters('TROLL', den);
+        attackerWins();
+
+        const result = gameState.initiateCombat(hero, target);
+
+        expect(result.winner).toBe('attacker');
+        expect(result.defenderLosses).toEqual([target]);
+        expect(hero.experience).toBe(trollExperience);
+        expect(gameState.getPlayer(0).stats.battlesWon).toBe(1);
+        expect(gameState.actionLog.getActions().map(action => action.type)).toContain(ACTION_TYPES.ATTACK);
+    });
+
+    test('should save and replay the monsters', () => {
+        const game = new GameManager(null, { headless: true });
+        game.initializeGame(config);
+        const state = game.getGameState();
+        for (let round = 0; round < 4; round++) {
+            game.endTurn();
+            game.endTurn();
+        }
+        const positions = game => game.getMonsterStacks()
+            .map(monsters => `${monsters[0].type}x${monsters.length}@${monsters[0].x},${monsters[0].y}`).sort();
+
+        const restored = new GameState();
+        restored.deserialize(JSON.parse(JSON.stringify(state.serialize())));
+        expect(restored.neutralMonsters).toBe(true);
+        expect(positions(restored)).toEqual(positions(state));
+        expect(restored.getMonsterStacks()[0][0].behavior).toEqual(state.getMonsterStacks()[0][0].behavior);
+
+        const replay = ReplayEngine.fromGameState(state);
+        replay.goTo(replay.getLength());
+        expect(positions(replay.getGameState())).toEqual(positions(state));
+    });
+});
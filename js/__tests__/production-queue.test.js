@@ -0,0 +1,217 @@
+/**
+ * Production queue tests
+ * Tests multi-item city production orders, per-item charging and queue editing
+ */
+
+import { City, MAX_PRODUCTION_QUEUE } from '../core/City.js';
+import { Player } from '../core/Player.js';
+import { ReplayEngine } from '../core/ReplayEngine.js';
+import { ACTION_TYPES } from '../core/ActionLog.js';
+import { UNIT_TYPES } from '../core/Unit.js';
+import { startGame } from './helpers/game-setup.js';
+
+describe('Production Queue', () => {
+    describe('City', () => {
+        let players;
+        let city;
+        let warriorCost;
+
+        // Run production until the current item is finished
+        const finishCurrent = () => {
+            let completed = null;
+            while (!completed) {
+                completed = city.processProduction(players);
+            }
+            return completed;
+        };
+
+        beforeEach(() => {
+            players = [new Player(0, 'Player 1', 'HUMANS', '#0066CC', false)];
+            players[0].resources.gold = 1000;
+            city = new City('Test City', 0, 5, 5, 2);
+            warriorCost = city.getProductionCost(UNIT_TYPES.WARRIOR, players);
+        });
+
+        test('should start the first item at once and charge per item', () => {
+            expect(city.queueProduction(UNIT_TYPES.WARRIOR, players, { count: 3 })).toBe(true);
+
+            expect(city.currentProduction).toBe(UNIT_TYPES.WARRIOR);
+            expect(city.production).toEqual([{ unitType: UNIT_TYPES.WARRIOR, count: 2, repeat: false }]);
+            expect(players[0].resources.gold).toBe(1000 - warriorCost);
+
+            expect(finishCurrent()).toBe(UNIT_TYPES.WARRIOR);
+            city.processProduction(players);
+
+            expect(city.currentProduction).toBe(UNIT_TYPES.WARRIOR);
+            expect(city.production[0].count).toBe(1);
+            expect(players[0].resources.gold).toBe(1000 - 2 * warriorCost);
+        });
+
+        test('should queue behind current production', () => {
+            city.produceUnit(UNIT_TYPES.WARRIOR, players);
+
+            expect(city.queueProduction(UNIT_TYPES.ARCHER, players)).toBe(true);
+            expect(city.currentProduction).toBe(UNIT_TYPES.WARRIOR);
+
+            finishCurrent();
+            city.processProduction(players);
+
+            expect(city.currentProduction).toBe(UNIT_TYPES.ARCHER);
+            expect(city.production).toEqual([]);
+        });
+
+        test('should repeat an order until it is removed', () => {
+            city.queueProduction(UNIT_TYPES.WARRIOR, players, { repeat: true });
+            city.queueProduction(UNIT_TYPES.ARCHER, players);
+
+            for (let i = 0; i < 3; i++) {
+                finishCurrent();
+                city.processProduction(players);
+                expect(city.currentProduction).toBe(UNIT_TYPES.WARRIOR);
+            }
+
+            city.removeQueuedProduction(0);
+            finishCurrent();
+            city.processProduction(players);
+
+            expect(city.currentProduction).toBe(UNIT_TYPES.ARCHER);
+        });
+
+        test('should wait in the queue until the owner can pay', () => {
+            city.produceUnit(UNIT_TYPES.WARRIOR, players);
+            city.queueProduction(UNIT_TYPES.WARRIOR, players);
+            players[0].resources.gold = 0;
+
+            finishCurrent();
+            city.processProduction(players);
+            expect(city.currentProduction).toBeNull();
+            expect(city.production).toHaveLength(1);
+
+            players[0].resources.gold = warriorCost;
+            city.processProduction(players);
+            expect(city.currentProduction).toBe(UNIT_TYPES.WARRIOR);
+            expect(players[0].resources.gold).toBe(0);
+        });
+
+        test('should reorder and remove queued orders', () => {
+            city.produceUnit(UNIT_TYPES.WARRIOR, players);
+            city.queueProduction(UNIT_TYPES.WARRIOR, players);
+            city.queueProduction(UNIT_TYPES.ARCHER, players, { count: 2 });
+            city.queueProduction(UNIT_TYPES.CAVALRY, players);
+
+            expect(city.moveQueuedProduction(2, 0)).toBe(true);
+            expect(city.production.map(order => order.unitType))
+                .toEqual([UNIT_TYPES.CAVALRY, UNIT_TYPES.WARRIOR, UNIT_TYPES.ARCHER]);
+
+            expect(city.removeQueuedProduction(1)).toBe(true);
+            expect(city.production.map(order => order.unitType)).toEqual([UNIT_TYPES.CAVALRY, UNIT_TYPES.ARCHER]);
+
+            expect(city.moveQueuedProduction(0, 5)).toBe(false);
+            expect(city.removeQueuedProduction(7)).toBe(false);
+        });
+
+        test('should reject invalid orders and a full queue', () => {
+            city.produceUnit(UNIT_TYPES.WARRIOR, players);
+
+            expect(city.queueProduction('DRAGON', players)).toBe(false);
+            expect(city.queueProduction(UNIT_TYPES.WARRIOR, players, { count: 0 })).toBe(false);
+
+            for (let i = 0; i < MAX_PRODUCTION_QUEUE; i++) {
+                expect(city.queueProduction(UNIT_TYPES.WARRIOR, players)).toBe(true);
+            }
+            expect(city.queueProduction(UNIT_TYPES.WARRIOR, players)).toBe(false);
+        });
+
+        test('should survive serialization, including old saves', () => {
+            city.produceUnit(UNIT_TYPES.WARRIOR, players);
+            city.queueProduction(UNIT_TYPES.ARCHER, players, { count: 2 });
+            city.queueProduction(UNIT_TYPES.CAVALRY, players, { repeat: true });
+
+            const restored = City.deserialize(JSON.parse(JSON.stringify(city.serialize())));
+            expect(restored.production).toEqual(city.production);
+
+            const oldSave = { ...city.serialize(), production: [UNIT_TYPES.ARCHER] };
+            expect(City.deserialize(oldSave).production)
+                .toEqual([{ unitType: UNIT_TYPES.ARCHER, count: 1, repeat: false }]);
+        });
+    });
+
+    describe('Game', () => {
+        const config = {
+            seed: 77,
+            map: { width: 20, height: 15 },
+            players: [
+                { id: 0, name: 'Alice', faction: 'HUMANS', color: '#0066CC', isAI: false },
+                { id: 1, name: 'Bob', faction: 'ELVES', color: '#00CC66', isAI: false }
+            ],
+            gameSettings: { fogOfWar: false }
+        };
+
+        test('should place finished units in the city at turn start', () => {
+            const manager = startGame(config);
+            const gameState = manager.getGameState();
+            gameState.getPlayer(0).resources.gold = 1000;
+            const city = gameState.getPlayerCities(0)[0];
+            const turns = Math.ceil(city.getRequiredProductionPoints(UNIT_TYPES.WARRIOR) / city.productionCapacity);
+
+            manager.processAction({ type: ACTION_TYPES.QUEUE_PRODUCTION, cityId: city.id, unitType: UNIT_TYPES.WARRIOR, count: 2 });
+
+            for (let i = 0; i < turns; i++) {
+                manager.endTurn();
+                manager.endTurn();
+            }
+
+            const units = gameState.getPlayerUnits(0);
+            expect(units).toHaveLength(1);
+            expect(units[0]).toMatchObject({ type: UNIT_TYPES.WARRIOR, x: city.x, y: city.y });
+            expect(city.production).toEqual([{ unitType: UNIT_TYPES.WARRIOR, count: 1, repeat: false }]);
+            expect(city.currentProduction).toBeNull();
+
+            // The second item starts the turn after
+            for (let i = 0; i < turns; i++) {
+                manager.endTurn();
+                manager.endTurn();
+            }
+
+            expect(gameState.getPlayerUnits(0)).toHaveLength(2);
+            expect(city.production).toEqual([]);
+        });
+
+        test('should undo queue changes', () => {
+            const manager = startGame(config);
+            const gameState = manager.getGameState();
+            const city = gameState.getPlayerCities(0)[0];
+            gameState.produceUnit(city, UNIT_TYPES.WARRIOR);
+            gameState.queueProduction(city, UNIT_TYPES.ARCHER);
+            gameState.queueProduction(city, UNIT_TYPES.WARRIOR, { repeat: true });
+
+            gameState.moveQueuedProduction(city, 1, 0);
+            gameState.removeQueuedProduction(city, 1);
+            expect(city.production.map(order => order.unitType)).toEqual([UNIT_TYPES.WARRIOR]);
+
+            gameState.undoLastAction();
+            gameState.undoLastAction();
+            expect(city.production.map(order => order.unitType)).toEqual([UNIT_TYPES.ARCHER, UNIT_TYPES.WARRIOR]);
+        });
+
+        test('should replay queue edits', () => {
+            const manager = startGame(config);
+            const gameState = manager.getGameState();
+            const city = gameState.getPlayerCities(0)[0];
+            const cityRef = { x: city.x, y: city.y };
+
+            manager.processAction({ type: ACTION_TYPES.QUEUE_PRODUCTION, city: cityRef, unitType: UNIT_TYPES.WARRIOR });
+            manager.processAction({ type: ACTION_TYPES.QUEUE_PRODUCTION, city: cityRef, unitType: UNIT_TYPES.ARCHER, count: 3 });
+            manager.processAction({ type: ACTION_TYPES.QUEUE_PRODUCTION, city: cityRef, unitType: UNIT_TYPES.WARRIOR, repeat: true });
+            manager.processAction({ type: ACTION_TYPES.MOVE_QUEUED_PRODUCTION, city: cityRef, fromIndex: 1, toIndex: 0 });
+            manager.processAction({ type: ACTION_TYPES.END_TURN });
+
+            const replay = ReplayEngine.fromGameState(gameState);
+            replay.goTo(replay.getLength());
+            const replayedCity = replay.getGameState().getCityAt(city.x, city.y);
+
+            expect(replayedCity.production).toEqual(city.production);
+            expect(replayedCity.currentProduction).toBe(city.currentProduction);
+        });
+    });
+});
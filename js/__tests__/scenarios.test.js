@@ -0,0 +1,235 @@
+/**
+ * Scenario tests
+ * Tests scenario files: validation, setting out the map, cities and armies,
+ * scripted triggers, custom victory and defeat, saving and replays
+ */
+
+import { jest } from '@jest/globals';
+import { GameState } from '../core/GameState.js';
+import { GameManager } from '../core/GameManager.js';
+import { ReplayEngine } from '../core/ReplayEngine.js';
+import { Map as GameMap } from '../core/Map.js';
+import { Scenario, SCENARIO_CONDITIONS, SCENARIO_ACTIONS } from '../core/Scenario.js';
+
+describe('Scenarios', () => {
+    const createScenarioData = (overrides = {}) => ({
+        name: 'The Fords of Midford',
+        description: 'Take Midford before the elves do.',
+        map: new GameMap(10, 8).serialize(),
+        cities: [
+            { name: 'Northwatch', x: 1, y: 1, owner: 0, size: 2 },
+            { name: 'Southgate', x: 8, y: 6, owner: 1, size: 2 },
+            { name: 'Midford', x: 5, y: 4, owner: -1, size: 1 }
+        ],
+        players: [
+            {
+                id: 0, name: 'Alice', faction: 'HUMANS', color: '#0066CC', isAI: false,
+                units: [{ type: 'HERO', x: 1, y: 1, name: 'Aldric' }, { type: 'WARRIOR', x: 4, y: 3 }]
+            },
+            {
+                id: 1, name: 'Bob', faction: 'ELVES', color: '#00CC66', isAI: false,
+                units: [{ type: 'ARCHER', x: 8, y: 6 }]
+            }
+        ],
+        victory: [
+            {
+                player: 0,
+                when: { type: SCENARIO_CONDITIONS.CITY_OWNED, x: 5, y: 4, player: 0 },
+                outcome: 'midford_taken'
+            }
+        ],
+        defeat: [
+            { player: 1, when: { type: SCENARIO_CONDITIONS.CITY_LOST, x: 8, y: 6, player: 1 } }
+        ],
+        triggers: [
+            {
+                id: 'ambush',
+                when: { type: SCENARIO_CONDITIONS.UNIT_AT, x: 4, y: 4, player: 0 },
+                actions: [
+                    { type: SCENARIO_ACTIONS.SPAWN_UNITS, player: 1, x: 6, y: 4, units: ['WARRIOR', 'ARCHER'] },
+                    { type: SCENARIO_ACTIONS.SHOW_MESSAGE, text: 'Ambush at the ford!' },
+                    { type: SCENARIO_ACTIONS.GIVE_GOLD, player: 0, amount: 50 }
+                ]
+            },
+            {
+                id: 'reinforcements',
+                when: { type: SCENARIO_CONDITIONS.TURN_REACHED, turn: 2 },
+                actions: [{ type: SCENARIO_ACTIONS.SHOW_MESSAGE, text: 'Bob, reinforcements are on their way.', player: 1 }]
+            }
+        ],
+        standardVictory: false,
+        ...overrides
+    });
+
+    const createConfig = (scenarioData = createScenarioData()) => ({
+        seed: 42,
+        map: { width: scenarioData.map.width, height: scenarioData.map.height },
+        players: scenarioData.players.map(({ units, ...player }) => player),
+        gameSettings: { fogOfWar: false, neutralMonsters: false },
+        scenario: scenarioData
+    });
+
+    let manager;
+    let gameState;
+
+    beforeEach(() => {
+        manager = new GameManager(null, { headless: true });
+        manager.initializeGame(createConfig());
+        gameState = manager.getGameState();
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const warriorOf = playerId => gameState.getPlayerUnits(playerId).find(unit => unit.type === 'WARRIOR');
+
+    test('should reject scenarios that do not hold together', () => {
+        expect(Scenario.validate(createScenarioData())).toEqual([]);
+        expect(Scenario.validate(createScenarioData({ map: null }))).toEqual(['Scenario needs a complete map']);
+
+        const errors = Scenario.validate(createScenarioData({
+            cities: [{ name: 'Nowhere', x: 20, y: 1, owner: 3 }],
+            victory: [{ player: 0, when: { type: 'GOLD_HOARDED' } }],
+            triggers: [{ when: { type: SCENARIO_CONDITIONS.TURN_REACHED, turn: 0 }, actions: [] }]
+        }));
+        expect(errors).toEqual(expect.arrayContaining([
+            'City Nowhere: needs a name and a hex on the map',
+            'City Nowhere: unknown owner 3',
+            'Victory 1: unknown condition GOLD_HOARDED',
+            'Trigger 1: turn must be a positive integer',
+            'Trigger 1: needs at least one action'
+        ]));
+
+        expect(() => Scenario.load(createScenarioData({ players: [] }))).toThrow('Scenario needs at least two players');
+
+        const tooFew = createConfig();
+        tooFew.players = tooFew.players.slice(0, 1);
+        expect(new GameManager(null, { headless: true }).validateConfig(tooFew)).toBe(false);
+    });
+
+    test('should set out the scenario\'s map, cities and starting armies', () => {
+        const map = gameState.getMap();
+        expect([map.width, map.height]).toEqual([10, 8]);
+        expect(Array.from(gameState.getCities().values()).map(city => `${city.name}:${city.owner}`))
+            .toEqual(['Northwatch:0', 'Southgate:1', 'Midford:-1']);
+        expect(map.getHex(5, 4).city.name).toBe('Midford');
+
+        const [hero] = gameState.getPlayerHeroes(0);
+        expect(hero.heroName).toBe('Aldric');
+        expect([hero.x, hero.y]).toEqual([1, 1]);
+        expect(map.getHex(4, 3).unit).toBe(warriorOf(0));
+        expect(gameState.getPlayerUnits(1).map(unit => unit.type)).toEqual(['ARCHER']);
+
+        const objectives = gameState.scenario.getObjectives(0);
+        expect(objectives.victory).toEqual(['Alice holds Midford']);
+        expect(gameState.scenario.getObjectives(1).defeat).toEqual(['Bob loses Southgate']);
+    });
+
+    test('should fire each trigger once when its condition is met', () => {
+        const showMessage = jest.spyOn(manager, 'showMessage');
+        const gold = gameState.getPlayer(0).resources.gold;
+
+        expect(gameState.moveUnit(warriorOf(0), 4, 4).success).toBe(true);
+
+        expect(gameState.getUnitsAt(6, 4).map(unit => `${unit.type}:${unit.owner}`)).toEqual(['WARRIOR:1', 'ARCHER:1']);
+        expect(gameState.getPlayer(0).resources.gold).toBe(gold + 50);
+        expect(showMessage).toHaveBeenCalledWith('Ambush at the ford!');
+        expect(gameState.firedTriggers).toEqual([0]);
+
+        // Standing on the hex again does not spring the ambush twice
+        expect(gameState.checkScenario()).toBeNull();
+        expect(gameState.getUnitsAt(6, 4)).toHaveLength(2);
+    });
+
+    test('should not undo a move that fired a trigger', () => {
+        const warrior = warriorOf(0);
+        const gold = gameState.getPlayer(0).resources.gold;
+
+        expect(gameState.moveUnit(warrior, 4, 2).success).toBe(true);
+        expect(gameState.canUndo()).toBe(true);
+        gameState.undoLastAction();
+
+        expect(gameState.moveUnit(warrior, 4, 4).success).toBe(true);
+        expect(gameState.canUndo()).toBe(false);
+        expect(gameState.undoLastAction().success).toBe(false);
+
+        expect([warrior.x, warrior.y]).toEqual([4, 4]);
+        expect(gameState.firedTriggers).toEqual([0]);
+        expect(gameState.getUnitsAt(6, 4)).toHaveLength(2);
+        expect(gameState.getPlayer(0).resources.gold).toBe(gold + 50);
+    });
+
+    test('should fire turn triggers at the start of the turn, for the named player only', () => {
+        const showMessage = jest.spyOn(manager, 'showMessage');
+
+        manager.endTurn();
+        expect(showMessage).not.toHaveBeenCalledWith('Bob, reinforcements are on their way.');
+
+        manager.endTurn();
+        expect(gameState.getCurrentTurn()).toBe(2);
+        expect(showMessage).toHaveBeenCalledWith('Bob, reinforcements are on their way.');
+
+        const computerBob = new GameManager(null, { headless: true });
+        const config = createConfig();
+        config.players[1].isAI = true;
+        computerBob.initializeGame(config);
+        const silent = jest.spyOn(computerBob, 'showMessage');
+        computerBob.getGameState().incrementTurn();
+        computerBob.getGameState().checkScenario();
+        expect(silent).not.toHaveBeenCalled();
+    });
+
+    test('should end the game when a scenario victory condition is met', () => {
+        const gameEnded = jest.fn();
+        gameState.subscribe((event, data) => {
+            if (event === 'gameEnded') gameEnded(data);
+        });
+        const warrior = warriorOf(0);
+
+        gameState.moveUnit(warrior, 4, 4);
+        expect(manager.gamePhase).toBe('PLAYING');
+        gameState.moveUnit(warrior, 5, 4);
+
+        expect(gameState.scenarioOutcome).toEqual({ winner: 0, outcome: 'midford_taken' });
+        expect(manager.gamePhase).toBe('ENDED');
+        expect(gameEnded).toHaveBeenCalledWith(expect.objectContaining({
+            victoryType: 'scenario',
+            outcome: 'midford_taken',
+            winner: gameState.getPlayer(0)
+        }));
+        expect(manager.getVictoryMessage(gameState.getPlayer(0), 'scenario'))
+            .toBe('Victory by completing the scenario objectives!');
+    });
+
+    test('should defeat players by the scenario\'s conditions and hold back conquest victories', () => {
+        jest.spyOn(manager, 'checkCityConquestVictory').mockReturnValue(gameState.getPlayer(0));
+        expect(manager.checkVictoryConditions()).toBe(false);
+
+        const southgate = gameState.getCityAt(8, 6);
+        southgate.changeOwner(0, gameState.getPlayers());
+        gameState.checkScenario();
+
+        expect(gameState.isPlayerEliminated(1)).toBe(true);
+        expect(manager.gamePhase).toBe('ENDED');
+    });
+
+    test('should keep fired triggers across saves and replay them', () => {
+        gameState.moveUnit(warriorOf(0), 4, 4);
+        manager.endTurn();
+        manager.endTurn();
+
+        const restored = new GameState();
+        restored.deserialize(JSON.parse(JSON.stringify(gameState.serialize())));
+        expect(restored.scenario.name).toBe('The Fords of Midford');
+        expect(restored.scenario.map).toBeNull();
+        expect(restored.firedTriggers).toEqual([0, 1]);
+        expect(restored.checkScenario()).toBeNull();
+
+        const replay = ReplayEngine.fromGameState(gameState);
+        replay.goTo(replay.getLength());
+        const replayed = replay.getGameState();
+        expect(replayed.firedTriggers).toEqual([0, 1]);
+        expect(replayed.getUnitsAt(6, 4).map(unit => unit.type)).toEqual(['WARRIOR', 'ARCHER']);
+    });
+});
@@ -0,0 +1,229 @@
+/**
+ * Stack battle tests
+ * Tests battle order, round-by-round resolution, city/terrain bonuses and previews
+ */
+
+import { jest } from '@jest/globals';
+import { CombatSystem } from '../core/CombatSystem.js';
+import { Stack } from '../core/Stack.js';
+import { Unit, UNIT_TYPES } from '../core/Unit.js';
+import { Hero } from '../core/Hero.js';
+import { City } from '../core/City.js';
+import { Hex, TERRAIN_TYPES } from '../core/Hex.js';
+import { GameState } from '../core/GameState.js';
+import { Player } from '../core/Player.js';
+
+describe('Stack Combat', () => {
+    let attackingStack;
+    let defendingStack;
+    let plainsTerrain;
+
+    beforeEach(() => {
+        attackingStack = new Stack(0, 0, 0);
+        attackingStack.addUnit(new Unit(UNIT_TYPES.CAVALRY, 0, 0, 0));
+        attackingStack.addUnit(new Unit(UNIT_TYPES.WARRIOR, 0, 0, 0));
+
+        defendingStack = new Stack(1, 0, 1);
+        defendingStack.addUnit(new Unit(UNIT_TYPES.ARCHER, 1, 1, 0));
+        defendingStack.addUnit(new Unit(UNIT_TYPES.WARRIOR, 1, 1, 0));
+
+        plainsTerrain = new Hex(1, 0, TERRAIN_TYPES.PLAINS);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    describe('Battle order', () => {
+        test('weakest units fight first and heroes fight last', () => {
+            const stack = new Stack(2, 2, 0);
+            const hero = new Hero('Aldric', 0, 2, 2);
+            const cavalry = new Unit(UNIT_TYPES.CAVALRY, 0, 2, 2);
+            const warrior = new Unit(UNIT_TYPES.WARRIOR, 0, 2, 2);
+            stack.addUnit(hero);
+            stack.addUnit(cavalry);
+            stack.addUnit(warrior);
+
+            const order = CombatSystem.getBattleOrder(stack);
+
+            expect(order).toEqual([warrior, cavalry, hero]);
+        });
+
+        test('dead units are left out of the battle order', () => {
+            const [, warrior] = attackingStack.getUnits();
+            warrior.health = 0;
+
+            const order = CombatSystem.getBattleOrder(attackingStack);
+
+            expect(order).toHaveLength(1);
+            expect(order).not.toContain(warrior);
+        });
+    });
+
+    describe('Battle resolution', () => {
+        test('battle continues until one side is wiped out', () => {
+            const result = CombatSystem.resolveStackCombat(attackingStack, defendingStack, plainsTerrain);
+
+            expect(result.success).toBe(true);
+            expect(['attacker', 'defender']).toContain(result.winner);
+            expect(result.rounds.length).toBeGreaterThan(0);
+
+            if (result.winner === 'attacker') {
+                expect(result.defenderSurvivors).toHaveLength(0);
+                expect(result.defenderLosses).toHaveLength(2);
+            } else {
+                expect(result.attackerSurvivors).toHaveLength(0);
+                expect(result.attackerLosses).toHaveLength(2);
+            }
+        });
+
+        test('dead units are removed from their stacks', () => {
+            const result = CombatSystem.resolveStackCombat(attackingStack, defendingStack, plainsTerrain);
+
+            const loserStack = result.winner === 'attacker' ? defendingStack : attackingStack;
+            expect(loserStack.isEmpty()).toBe(true);
+            expect(attackingStack.getUnits().every(unit => unit.isAlive())).toBe(true);
+            expect(defendingStack.getUnits().every(unit => unit.isAlive())).toBe(true);
+        });
+
+        test('each round records the duel and its outcome', () => {
+            const result = CombatSystem.resolveStackCombat(attackingStack, defendingStack, plainsTerrain);
+            const firstRound = result.rounds[0];
+
+            expect(firstRound.round).toBe(1);
+            expect(firstRound.attacker).toBe(result.attackerOrder[0]);
+            expect(firstRound.defender).toBe(result.defenderOrder[0]);
+            expect(firstRound.attackRoll).toBeGreaterThanOrEqual(1);
+            expect(firstRound.attackRoll).toBeLessThanOrEqual(6);
+            if (firstRound.damaged) {
+                expect(firstRound.damage).toBeGreaterThanOrEqual(1);
+            } else {
+                expect(firstRound.totalAttack).toBe(firstRound.totalDefense);
+            }
+        });
+
+        test('surviving attackers are marked as having acted', () => {
+            const result = CombatSystem.resolveStackCombat(attackingStack, defendingStack, plainsTerrain);
+
+            for (const unit of result.attackerOrder) {
+                expect(unit.hasActed).toBe(true);
+            }
+        });
+
+        test('stacks of the same player cannot fight', () => {
+            const friendlyStack = new Stack(1, 0, 0);
+            friendlyStack.addUnit(new Unit(UNIT_TYPES.WARRIOR, 0, 1, 0));
+
+            const result = CombatSystem.resolveStackCombat(attackingStack, friendlyStack, plainsTerrain);
+
+            expect(result.success).toBe(false);
+            expect(result.reason).toContain('same player');
+        });
+
+        test('hero earns experience for units it defeats', () => {
+            jest.spyOn(CombatSystem, 'rollDice').mockReturnValue(3);
+
+            const hero = new Hero('Aldric', 0, 0, 0);
+            const warrior = new Unit(UNIT_TYPES.WARRIOR, 1, 1, 0);
+
+            const result = CombatSystem.resolveStackCombat([hero], [warrior], plainsTerrain);
+
+            expect(result.winner).toBe('attacker');
+            expect(result.experienceAwarded).toHaveLength(1);
+            expect(result.experienceAwarded[0].hero).toBe(hero);
+            expect(hero.experience).toBeGreaterThan(0);
+        });
+    });
+
+    describe('Defense bonuses', () => {
+        test('terrain bonus is added to every defender roll', () => {
+            const forestTerrain = new Hex(1, 0, TERRAIN_TYPES.FOREST);
+
+            const result = CombatSystem.resolveStackCombat(attackingStack, defendingStack, forestTerrain);
+
+            expect(result.terrainDefenseBonus).toBe(1);
+            for (const round of result.rounds) {
+                expect(round.totalDefense).toBe(round.defender.getDefenseValue() + round.defenseRoll + 1);
+            }
+        });
+
+        test('city bonus only helps the city owner', () => {
+            const ownCity = new City('Stronghold', 1, 1, 0, 3);
+            const enemyCity = new City('Outpost', 0, 1, 0, 3);
+
+            expect(CombatSystem.getCityDefenseBonus(ownCity, 1)).toBe(3);
+            expect(CombatSystem.getCityDefenseBonus(enemyCity, 1)).toBe(0);
+            expect(CombatSystem.getCityDefenseBonus(null, 1)).toBe(0);
+
+            const result = CombatSystem.resolveStackCombat(attackingStack, defendingStack, plainsTerrain, ownCity);
+            expect(result.cityDefenseBonus).toBe(3);
+        });
+    });
+
+    describe('Simulation and preview', () => {
+        test('simulation does not change unit health', () => {
+            const before = [...attackingStack.getUnits(), ...defendingStack.getUnits()].map(unit => unit.health);
+
+            const simulation = CombatSystem.simulateStackCombat(attackingStack, defendingStack, plainsTerrain, null, 50);
+
+            const after = [...attackingStack.getUnits(), ...defendingStack.getUnits()].map(unit => unit.health);
+            expect(after).toEqual(before);
+            expect(simulation.iterations).toBe(50);
+            expect(simulation.attackerWinRate + simulation.defenderWinRate).toBeCloseTo(1);
+        });
+
+        test('overwhelming force wins nearly every simulated battle', () => {
+            const army = [];
+            for (let i = 0; i < 6; i++) {
+                army.push(new Unit(UNIT_TYPES.CAVALRY, 0, 0, 0));
+            }
+            const lone = [new Unit(UNIT_TYPES.WARRIOR, 1, 1, 0)];
+
+            const simulation = CombatSystem.simulateStackCombat(army, lone, plainsTerrain, null, 100);
+
+            expect(simulation.attackerWinRate).toBeGreaterThan(0.9);
+        });
+
+        test('preview reports both sides in battle order with win odds', () => {
+            const city = new City('Stronghold', 1, 1, 0, 2);
+
+            const preview = CombatSystem.getStackCombatPreview(attackingStack, defendingStack, plainsTerrain, city);
+
+            expect(preview.attacker.units).toHaveLength(2);
+            expect(preview.defender.units).toHaveLength(2);
+            expect(preview.defender.cityBonus).toBe(2);
+            expect(preview.city).toBe('Stronghold');
+            expect(preview.terrain).toBe('Plains');
+            expect(preview.attacker.winRate).toBeGreaterThanOrEqual(0);
+            expect(preview.attacker.winRate).toBeLessThanOrEqual(1);
+            expect(preview.attacker.winRate + preview.defender.winRate).toBeCloseTo(1);
+        });
+    });
+
+    describe('GameState integration', () => {
+        test('initiateCombat removes the fallen and records statistics', () => {
+            const gameState = new GameState();
+            gameState.players = [
+                new Player(0, 'Player 1', 'HUMANS', '#0066CC', false),
+                new Player(1, 'Player 2', 'ELVES', '#00CC66', false)
+            ];
+            for (const unit of [...attackingStack.getUnits(), ...defendingStack.getUnits()]) {
+                gameState.addUnit(unit);
+            }
+
+            const [leader] = attackingStack.getUnits();
+            const [target] = defendingStack.getUnits();
+            const result = gameState.initiateCombat(leader, target);
+
+            expect(result.success).toBe(true);
+            const losses = [...result.attackerLosses, ...result.defenderLosses];
+            for (const unit of losses) {
+                expect(gameState.getUnit(unit.id)).toBeNull();
+            }
+            expect(gameState.getUnits().size).toBe(4 - losses.length);
+
+            const winner = gameState.getPlayer(result.winner === 'attacker' ? 0 : 1);
+            expect(winner.stats.battlesWon).toBe(1);
+        });
+    });
+});
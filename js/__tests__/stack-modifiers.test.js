@@ -0,0 +1,128 @@
+/**
+ * Stack modifier tests
+ * Tests the bonuses every unit of a stack shares from its heroes' leadership
+ * and banners and from its faction's affinity for the terrain it fights on
+ */
+
+import { jest } from '@jest/globals';
+import { GameManager } from '../core/GameManager.js';
+import { CombatSystem } from '../core/CombatSystem.js';
+import { Stack } from '../core/Stack.js';
+import { Unit, UNIT_TYPES } from '../core/Unit.js';
+import { Hero, EXPERIENCE_LEVELS } from '../core/Hero.js';
+import { Item } from '../core/Item.js';
+import { Hex, TERRAIN_TYPES } from '../core/Hex.js';
+import { factionManager } from '../core/Faction.js';
+
+describe('Stack Modifiers', () => {
+    let hero;
+    let warrior;
+    let stack;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        hero = new Hero('Aldric', 0, 2, 2);
+        warrior = new Unit(UNIT_TYPES.WARRIOR, 0, 2, 2);
+        stack = new Stack(2, 2, 0);
+        stack.addUnit(warrior);
+        stack.addUnit(hero);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    test('should give every unit of the bearer\'s stack the banner\'s command bonus', () => {
+        const plainTotal = warrior.getAttackValue() + hero.getAttackValue();
+        expect(stack.getTotalAttack()).toBe(plainTotal);
+
+        const banner = Item.create('WAR_BANNER');
+        expect(banner.getSummary().bonuses).toBe('+1 CMD');
+        expect(Item.deserialize(banner.serialize()).commandBonus).toBe(1);
+
+        hero.equipItem(banner);
+        expect(hero.getCommandBonus()).toBe(1);
+        expect(stack.getModifiers()).toEqual({
+            attack: 1,
+            defense: 1,
+            sources: [{ source: 'Aldric\'s command', attack: 1, defense: 1 }]
+        });
+        expect(stack.getTotalAttack()).toBe(plainTotal + 2);
+        expect(stack.getStatus().totalDefense).toBe(warrior.getDefenseValue() + hero.getDefenseValue() + 2);
+
+        // A fallen hero no longer leads
+        hero.health = 0;
+        expect(stack.getModifiers().attack).toBe(0);
+    });
+
+    test('should add leadership, command and terrain affinity together', () => {
+        hero.gainExperience(EXPERIENCE_LEVELS[1]);
+        hero.learnSkill('INSPIRE');
+        hero.equipItem(Item.create('ROYAL_STANDARD'));
+        const forest = new Hex(2, 2, TERRAIN_TYPES.FOREST);
+        const elves = factionManager.getFaction('ELVES');
+
+        const modifiers = stack.getModifiers(forest, elves);
+        expect(modifiers.sources.map(entry => entry.source)).toEqual([
+            'Aldric\'s leadership', 'Aldric\'s command', 'Forest affinity'
+        ]);
+        expect([modifiers.attack, modifiers.defense]).toEqual([4, 3]);
+
+        // Only the faction at home in the terrain gains its affinity
+        expect(stack.getModifiers(forest, factionManager.getFaction('HUMANS')).attack).toBe(3);
+        expect(stack.getModifiers(new Hex(2, 2, TERRAIN_TYPES.MOUNTAIN), elves).attack).toBe(3);
+        expect(stack.getModifiers(new Hex(2, 2, TERRAIN_TYPES.MOUNTAIN), factionManager.getFaction('DWARVES')).attack).toBe(4);
+    });
+
+    test('should fight stack battles with each side\'s modifiers', () => {
+        hero.equipItem(Item.create('WAR_BANNER'));
+        const enemy = new Unit(UNIT_TYPES.WARRIOR, 1, 3, 2);
+        const forest = new Hex(3, 2, TERRAIN_TYPES.FOREST);
+        const getFaction = playerId => factionManager.getFaction(playerId === 0 ? 'HUMANS' : 'ELVES');
+
+        const modifiers = CombatSystem.getBattleModifiers([warrior, hero], [enemy], forest, getFaction);
+        expect(modifiers.attacker.attack).toBe(1);
+        expect(modifiers.defender.sources).toEqual([{ source: 'Forest affinity', attack: 1, defense: 1 }]);
+
+        const battle = CombatSystem.fightStackBattle([warrior, hero], [enemy], 0, 1, () => 3, modifiers);
+        expect(battle.rounds[0].totalAttack).toBe(warrior.getAttackValue() + 1 + 3);
+        expect(battle.rounds[0].totalDefense).toBe(enemy.getDefenseValue() + 1 + 3);
+
+        const preview = CombatSystem.getStackCombatPreview([warrior, hero], [enemy], forest, null, { getFaction });
+        expect(preview.attacker.totalAttack).toBe(warrior.getAttackValue() + hero.getAttackValue() + 2);
+        expect(preview.defender.modifiers).toEqual(modifiers.defender);
+        expect(preview.defender.units[0].defense).toBe(enemy.getDefenseValue() + 1);
+    });
+
+    test('should report the modifiers of battles fought in the game', () => {
+        const manager = new GameManager(null, { headless: true });
+        manager.initializeGame({
+            seed: 42,
+            map: { width: 16, height: 12 },
+            players: [
+                { id: 0, name: 'Alice', faction: 'HUMANS', color: '#0066CC', isAI: false },
+                { id: 1, name: 'Bob', faction: 'ELVES', color: '#00CC66', isAI: false }
+            ],
+            gameSettings: { fogOfWar: false, neutralMonsters: false }
+        });
+        const gameState = manager.getGameState();
+        const map = gameState.getMap();
+        const battleground = map.getHexesInRange(8, 6, 3).find(hex =>
+            !hex.city && map.getHexesInRange(hex.x, hex.y, 1).every(near => !near.city && gameState.getUnitsAt(near.x, near.y).length === 0));
+        const neighbour = map.getNeighbors(battleground.x, battleground.y)[0];
+        map.setTerrain(battleground.x, battleground.y, TERRAIN_TYPES.FOREST);
+        map.setTerrain(neighbour.x, neighbour.y, TERRAIN_TYPES.PLAINS);
+
+        const leader = new Hero('Brenna', 0, neighbour.x, neighbour.y);
+        leader.equipItem(Item.create('WAR_BANNER'));
+        gameState.addUnit(leader);
+        gameState.addUnit(new Unit(UNIT_TYPES.WARRIOR, 0, neighbour.x, neighbour.y));
+        const ranger = new Unit(UNIT_TYPES.WARRIOR, 1, battleground.x, battleground.y);
+        gameState.addUnit(ranger);
+
+        const result = gameState.initiateCombat(leader, ranger);
+        expect(result.attackerModifiers.sources).toEqual([{ source: 'Brenna\'s command', attack: 1, defense: 1 }]);
+        expect(result.defenderModifiers.sources).toEqual([{ source: 'Forest affinity', attack: 1, defense: 1 }]);
+    });
+});
@@ -0,0 +1,161 @@
+/**
+ * Status effect tests
+ * Tests timed spell and potion effects: stacking rules, stat modifiers,
+ * expiry at turn ends, DISPEL_MAGIC and saving them with the game
+ */
+
+import { jest } from '@jest/globals';
+import { GameManager } from '../core/GameManager.js';
+import { ACTION_TYPES } from '../core/ActionLog.js';
+import { Unit, UNIT_TYPES } from '../core/Unit.js';
+import { Hero } from '../core/Hero.js';
+import { City } from '../core/City.js';
+import { Item } from '../core/Item.js';
+import { Spell } from '../core/Spell.js';
+import { Stack } from '../core/Stack.js';
+import { StatusEffect, StatusEffectList, STATUS_EFFECT_TYPES } from '../core/StatusEffect.js';
+
+describe('Status Effects', () => {
+    const config = {
+        seed: 42,
+        map: { width: 16, height: 12 },
+        players: [
+            { id: 0, name: 'Alice', faction: 'HUMANS', color: '#0066CC', isAI: false },
+            { id: 1, name: 'Bob', faction: 'ELVES', color: '#00CC66', isAI: false }
+        ],
+        gameSettings: { fogOfWar: false, neutralMonsters: false }
+    };
+
+    let manager;
+    let gameState;
+    let hero;
+    let warrior;
+
+    // Alice's hero and a warrior wait in her capital
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        manager = new GameManager(null, { headless: true });
+        manager.initializeGame(config);
+        gameState = manager.getGameState();
+
+        const capital = gameState.getPlayerCities(0)[0];
+        hero = new Hero('Aldric', 0, capital.x, capital.y);
+        warrior = new Unit(UNIT_TYPES.WARRIOR, 0, capital.x, capital.y);
+        gameState.addUnit(hero);
+        gameState.addUnit(warrior);
+        hero.level = 5;
+        for (const spell of ['HASTE', 'SHIELD', 'BLESS', 'DISPEL_MAGIC']) {
+            hero.learnSpell(new Spell(spell));
+        }
+        hero.mana = 40;
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const cast = (spellName, target) => {
+        hero.hasActed = false;
+        const spell = hero.spells.find(known => known.name === spellName);
+        return manager.processAction({ type: ACTION_TYPES.CAST_SPELL, heroId: hero.id, spellId: spell.id, targetId: target.id });
+    };
+
+    const endRound = () => {
+        manager.processAction({ type: ACTION_TYPES.END_TURN });
+        manager.processAction({ type: ACTION_TYPES.END_TURN });
+    };
+
+    test('should refresh, stack or ignore effects of a kind already in force', () => {
+        const effects = new StatusEffectList();
+
+        effects.apply(new StatusEffect(STATUS_EFFECT_TYPES.SHIELD, 3, 2));
+        effects.apply(new StatusEffect(STATUS_EFFECT_TYPES.SHIELD, 2, 5));
+        expect(effects.getAll().map(effect => [effect.power, effect.duration])).toEqual([[3, 5]]);
+
+        effects.apply(new StatusEffect(STATUS_EFFECT_TYPES.BLESS, 2, 4));
+        effects.apply(new StatusEffect(STATUS_EFFECT_TYPES.BLESS, 2, 8));
+        effects.apply(new StatusEffect(STATUS_EFFECT_TYPES.BLESS, 1, 6));
+        expect(effects.getAll().filter(effect => effect.type === STATUS_EFFECT_TYPES.BLESS)
+            .map(effect => [effect.power, effect.duration])).toEqual([[1, 6], [2, 8]]);
+        expect(effects.getModifier('attack')).toBe(3);
+        expect(effects.getModifier('defense')).toBe(6);
+
+        expect(effects.apply(new StatusEffect(STATUS_EFFECT_TYPES.ARMOR_OF_FAITH, 5, 10))).not.toBeNull();
+        expect(effects.apply(new StatusEffect(STATUS_EFFECT_TYPES.ARMOR_OF_FAITH, 5, 10))).toBeNull();
+        expect(() => new StatusEffect('CURSE', 1, 1)).toThrow('Invalid status effect type: CURSE');
+    });
+
+    test('should hasten a unit until the effect wears off at the end of its owner\'s turns', () => {
+        expect(cast('Haste', warrior)).toBe(true);
+        expect(warrior.statusEffects.has(STATUS_EFFECT_TYPES.HASTE)).toBe(true);
+        expect(warrior.getMaxMovement()).toBe(4);
+        expect(warrior.movement).toBe(4);
+
+        // Bob's turns do not count down Alice's effects
+        for (let round = 1; round < 5; round++) {
+            endRound();
+            expect(warrior.movement).toBe(4);
+        }
+        expect(warrior.statusEffects.getAll()[0].duration).toBe(1);
+
+        const expired = jest.fn();
+        gameState.subscribe((event, data) => {
+            if (event === 'statusEffectsExpired') expired(data);
+        });
+        endRound();
+        expect(expired).toHaveBeenCalledWith(expect.objectContaining({ playerId: 0 }));
+        expect(warrior.statusEffects.getAll()).toEqual([]);
+        expect(warrior.movement).toBe(2);
+    });
+
+    test('should raise attack and defense in combat stats, for stacks and cities too', () => {
+        expect(cast('Bless', warrior)).toBe(true);
+        expect(warrior.getAttackValue()).toBe(warrior.baseAttack + 2);
+        expect(warrior.getDefenseValue()).toBe(warrior.baseDefense + 2);
+
+        // A potion lasts on the hero who drank it
+        const elixir = new Item('ELIXIR_OF_STRENGTH');
+        hero.items.push(elixir);
+        const attack = hero.getAttackValue();
+        expect(manager.processAction({ type: ACTION_TYPES.USE_ITEM, heroId: hero.id, itemId: elixir.id })).toBe(true);
+        expect(hero.getAttackValue()).toBe(attack + 5);
+
+        // Laid on a stack, each of its units gets the effect
+        const stack = new Stack(hero.x, hero.y, 0);
+        stack.addUnit(hero);
+        stack.addUnit(warrior);
+        expect(gameState.applyStatusEffect(stack, new StatusEffect(STATUS_EFFECT_TYPES.SHIELD, 3, 5))).toHaveLength(2);
+        expect(hero.statusEffects.has(STATUS_EFFECT_TYPES.SHIELD)).toBe(true);
+
+        // Shield cast on a city's hex guards the city
+        const city = gameState.getPlayerCities(0)[0];
+        const bonus = city.getDefenseBonus();
+        hero.hasActed = false;
+        const shield = hero.spells.find(spell => spell.name === 'Shield');
+        expect(manager.processAction({ type: ACTION_TYPES.CAST_SPELL, heroId: hero.id, spellId: shield.id, targetX: city.x, targetY: city.y })).toBe(true);
+        expect(city.getDefenseBonus()).toBe(bonus + 3);
+    });
+
+    test('should dispel magic but not what a potion did', () => {
+        cast('Haste', hero);
+        gameState.applyStatusEffect(hero, StatusEffect.fromItemEffect({ stat: 'attack', amount: 5, duration: 3 }, 'Elixir of Strength'));
+        expect(hero.statusEffects.getAll()).toHaveLength(2);
+
+        expect(cast('Dispel Magic', hero)).toBe(true);
+        expect(hero.statusEffects.getAll().map(effect => effect.type)).toEqual([STATUS_EFFECT_TYPES.STRENGTH]);
+        expect(hero.movement).toBeLessThanOrEqual(hero.getMaxMovement());
+    });
+
+    test('should keep effects on units, heroes and cities in saved games', () => {
+        cast('Bless', warrior);
+        gameState.applyStatusEffect(hero, new StatusEffect(STATUS_EFFECT_TYPES.HASTE, 2, 3, 'Haste'));
+        const city = gameState.getPlayerCities(0)[0];
+        gameState.applyStatusEffect(city, new StatusEffect(STATUS_EFFECT_TYPES.SHIELD, 3, 4, 'Shield'));
+
+        const restoredWarrior = Unit.deserialize(JSON.parse(JSON.stringify(warrior.serialize())));
+        expect(restoredWarrior.statusEffects.serialize()).toEqual(warrior.statusEffects.serialize());
+        expect(restoredWarrior.getAttackValue()).toBe(warrior.getAttackValue());
+        expect(Hero.deserialize(JSON.parse(JSON.stringify(hero.serialize()))).getMaxMovement()).toBe(hero.getMaxMovement());
+        expect(City.deserialize(JSON.parse(JSON.stringify(city.serialize()))).getDefenseBonus()).toBe(city.getDefenseBonus());
+    });
+});
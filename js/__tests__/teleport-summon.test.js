@@ -0,0 +1,139 @@
+/**
+ * Teleport and Summon Elemental tests
+ * Tests sending a hero's stack to a chosen hex within range and calling up
+ * an elemental beside the hero that vanishes when its time is up
+ */
+
+import { jest } from '@jest/globals';
+import { GameManager } from '../core/GameManager.js';
+import { ACTION_TYPES } from '../core/ActionLog.js';
+import { Unit, UNIT_TYPES } from '../core/Unit.js';
+import { Hero } from '../core/Hero.js';
+import { Spell } from '../core/Spell.js';
+import { TERRAIN_TYPES } from '../core/Hex.js';
+
+describe('Teleport and Summon Elemental', () => {
+    const config = {
+        seed: 42,
+        map: { width: 16, height: 12 },
+        players: [
+            { id: 0, name: 'Alice', faction: 'HUMANS', color: '#0066CC', isAI: false },
+            { id: 1, name: 'Bob', faction: 'ELVES', color: '#00CC66', isAI: false }
+        ],
+        gameSettings: { fogOfWar: false, neutralMonsters: false }
+    };
+
+    let manager;
+    let gameState;
+    let map;
+    let hero;
+    let warrior;
+
+    // Alice's hero and a warrior wait in her capital
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        manager = new GameManager(null, { headless: true });
+        manager.initializeGame(config);
+        gameState = manager.getGameState();
+        map = gameState.getMap();
+
+        const capital = gameState.getPlayerCities(0)[0];
+        hero = new Hero('Aldric', 0, capital.x, capital.y);
+        warrior = new Unit(UNIT_TYPES.WARRIOR, 0, capital.x, capital.y);
+        gameState.addUnit(hero);
+        gameState.addUnit(warrior);
+        hero.level = 5;
+        for (const spell of ['TELEPORT', 'SUMMON_ELEMENTAL']) {
+            hero.learnSpell(new Spell(spell));
+        }
+        hero.mana = 40;
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    const cast = (spellName, target = {}) => {
+        hero.hasActed = false;
+        const spell = hero.spells.find(known => known.name === spellName);
+        return manager.processAction({ type: ACTION_TYPES.CAST_SPELL, heroId: hero.id, spellId: spell.id, ...target });
+    };
+
+    // An empty plains hex at the given distance from the hero
+    const clearHexAt = (distance) => {
+        const hex = map.getHexesInRange(hero.x, hero.y, distance * 2).find(candidate =>
+            map.getDistance(hero.x, hero.y, candidate.x, candidate.y) === distance &&
+            !candidate.city && gameState.getUnitsAt(candidate.x, candidate.y).length === 0);
+        map.setTerrain(hex.x, hex.y, TERRAIN_TYPES.PLAINS);
+        return map.getHex(hex.x, hex.y);
+    };
+
+    test('should teleport the caster\'s whole stack to a hex within range', () => {
+        const destination = clearHexAt(4);
+        const origin = { x: hero.x, y: hero.y };
+        warrior.goToOrder = { x: 0, y: 0, path: [] };
+
+        expect(gameState.getTeleportDestinations(hero, 5)).toContainEqual(destination);
+        expect(cast('Teleport', { targetX: destination.x, targetY: destination.y })).toBe(true);
+
+        expect([hero.x, hero.y]).toEqual([destination.x, destination.y]);
+        expect([warrior.x, warrior.y]).toEqual([destination.x, destination.y]);
+        expect(gameState.getUnitsAt(origin.x, origin.y)).toEqual([]);
+        expect(destination.isOccupied()).toBe(true);
+        expect(hero.mana).toBe(32);
+        expect(hero.movement).toBe(hero.getMaxMovement());
+        expect(warrior.goToOrder).toBeNull();
+    });
+
+    test('should refuse blocked or distant destinations without spending mana', () => {
+        const far = clearHexAt(6);
+        const water = clearHexAt(2);
+        map.setTerrain(water.x, water.y, TERRAIN_TYPES.WATER);
+        const held = clearHexAt(3);
+        gameState.addUnit(new Unit(UNIT_TYPES.ARCHER, 1, held.x, held.y));
+        const enemyCapital = gameState.getPlayerCities(1)[0];
+
+        for (const target of [far, water, held, enemyCapital]) {
+            expect(cast('Teleport', { targetX: target.x, targetY: target.y })).toBe(false);
+        }
+        expect(gameState.canTeleport(hero, water.x, water.y)).toEqual({ success: false, reason: 'Destination is blocked' });
+        expect(hero.mana).toBe(40);
+        expect(warrior.x).toBe(hero.x);
+    });
+
+    test('should summon an elemental beside the caster until its time runs out', () => {
+        const summoned = jest.fn();
+        gameState.subscribe((event, data) => {
+            if (event === 'summonsExpired') summoned(data);
+        });
+
+        expect(cast('Summon Elemental')).toBe(true);
+        const [elemental] = gameState.getPlayerUnits(0).filter(unit => unit.type === 'ELEMENTAL');
+        expect(elemental.summonedTurns).toBe(3);
+        expect(map.getDistance(hero.x, hero.y, elemental.x, elemental.y)).toBe(1);
+        expect(map.getHex(elemental.x, elemental.y).unit).toBe(elemental);
+        expect(Unit.deserialize(elemental.serialize()).summonedTurns).toBe(3);
+
+        for (let round = 0; round < 2; round++) {
+            manager.processAction({ type: ACTION_TYPES.END_TURN });
+            manager.processAction({ type: ACTION_TYPES.END_TURN });
+        }
+        expect(gameState.getUnit(elemental.id)).toBe(elemental);
+
+        manager.processAction({ type: ACTION_TYPES.END_TURN });
+        expect(gameState.getUnit(elemental.id)).toBeFalsy();
+        expect(map.getHex(elemental.x, elemental.y).unit).toBeNull();
+        expect(summoned).toHaveBeenCalledWith({ playerId: 0, units: [elemental] });
+    });
+
+    test('should not summon when every hex around the caster is taken', () => {
+        for (const hex of map.getNeighbors(hero.x, hero.y)) {
+            map.setTerrain(hex.x, hex.y, TERRAIN_TYPES.WATER);
+        }
+
+        expect(cast('Summon Elemental')).toBe(false);
+        expect(hero.mana).toBe(40);
+        expect(gameState.getPlayerUnits(0).some(unit => unit.type === 'ELEMENTAL')).toBe(false);
+    });
+});
@@ -0,0 +1,235 @@
+/**
+ * Temple quest tests
+ * Tests heroes taking quests at temples, completing or failing them, rewards and the quest journal
+ */
+
+import { jest } from '@jest/globals';
+import { GameState } from '../core/GameState.js';
+import { ReplayEngine } from '../core/ReplayEngine.js';
+import { ACTION_TYPES } from '../core/ActionLog.js';
+import { Hero } from '../core/Hero.js';
+import { Item } from '../core/Item.js';
+import { ItemGenerator, LOCATION_TYPES } from '../core/ItemGenerator.js';
+import { Quest, QUEST_TYPES, QUEST_REWARDS, QUEST_STATUS, QUEST_DURATION } from '../core/Quest.js';
+import { UNIT_TYPES } from '../core/Unit.js';
+import { QuestJournal } from '../ui/QuestJournal.js';
+import { InputEngine } from '../core/InputEngine.js';
+import { AIEngine } from '../core/AIEngine.js';
+import { startGame, withStartingUnits, placeNextToCity } from './helpers/game-setup.js';
+
+describe('Temple Quests', () => {
+    const config = {
+        seed: 1234,
+        map: { width: 20, height: 15 },
+        players: [
+            { id: 0, name: 'Alice', faction: 'HUMANS', color: '#0066CC', isAI: false },
+            { id: 1, name: 'Bob', faction: 'ELVES', color: '#00CC66', isAI: false }
+        ],
+        gameSettings: { fogOfWar: false }
+    };
+
+    // Every game starts with an Alice hero at a temple next to Bob's undefended capital
+    beforeEach(() => {
+        withStartingUnits(state => {
+            const capital = state.getPlayerCities(1)[0];
+            const pilgrim = placeNextToCity(state, capital, new Hero(null, 0, capital.x, capital.y));
+            state.getHex(pilgrim.x, pilgrim.y).setSite(ItemGenerator.createSpecialLocation(LOCATION_TYPES.TEMPLE, pilgrim.x, pilgrim.y));
+        });
+    });
+
+    afterEach(() => {
+        input.destroy();
+        jest.restoreAllMocks();
+        document.body.innerHTML = '';
+    });
+
+    let manager;
+    let gameState;
+    let input;
+    let capital;
+    let hero;
+
+    beforeEach(() => {
+        manager = startGame(config);
+        gameState = manager.getGameState();
+        capital = gameState.getPlayerCities(1)[0];
+        [hero] = gameState.getPlayerHeroes(0);
+
+        // Headless games draw nothing, so the input engine gets a stand-in renderer
+        jest.spyOn(manager, 'getRenderEngine').mockReturnValue({
+            setSelectedHex: () => {},
+            setHighlightedHexes: () => {},
+            clearSelection: () => {}
+        });
+        input = new InputEngine(manager);
+    });
+
+    // Alice selects her hero and gives the explore command
+    const visitTemple = () => {
+        input.selectUnit(hero);
+        input.keyboardShortcuts['e']();
+    };
+
+    const giveQuest = (type, target, reward = { type: QUEST_REWARDS.GOLD, amount: 200 }) => {
+        const quest = new Quest(type, 0, hero.id, target, reward, gameState.getCurrentTurn());
+        gameState.quests.push(quest);
+        return quest;
+    };
+
+    test('should hand out one quest at a time at temples', () => {
+        visitTemple();
+
+        const quest = gameState.getActiveQuest(hero.id);
+        expect(quest).not.toBeNull();
+        expect(Object.values(QUEST_TYPES)).toContain(quest.type);
+        expect(Object.values(QUEST_REWARDS)).toContain(quest.reward.type);
+        expect(quest.deadline).toBe(gameState.getCurrentTurn() + QUEST_DURATION[quest.type]);
+        if (quest.type === QUEST_TYPES.CAPTURE_CITY) {
+            expect(gameState.getCity(quest.target.cityId).owner).not.toBe(0);
+        }
+
+        visitTemple();
+        expect(gameState.issueQuest(hero).success).toBe(false);
+        expect(gameState.getHeroQuests(hero.id)).toEqual([quest]);
+        expect(gameState.actionLog.getActions().map(action => action.type))
+            .toEqual([ACTION_TYPES.EXPLORE_LOCATION, ACTION_TYPES.EXPLORE_LOCATION]);
+    });
+
+    test('should send AI heroes without a quest to the temples in reach', async () => {
+        const temple = gameState.getSiteAt(hero.x, hero.y);
+        const ai = new AIEngine(gameState, manager);
+        jest.spyOn(ai, 'sleep').mockResolvedValue();
+        for (const reachable of gameState.getUnitReachableHexes(hero)) {
+            gameState.getHex(reachable.x, reachable.y).setSite(null);
+        }
+
+        // Standing on the temple already, the hero has been and moves on
+        expect(ai.findSiteToExplore(hero)).toBeNull();
+
+        const [away] = gameState.getUnitReachableHexes(hero)
+            .filter(reachable => !gameState.getCityAt(reachable.x, reachable.y));
+        gameState.moveUnit(hero, away.x, away.y);
+        hero.resetForTurn();
+        expect(ai.findSiteToExplore(hero)).toBe(temple);
+
+        await ai.exploreNearbySite(hero);
+
+        expect([hero.x, hero.y]).toEqual([temple.x, temple.y]);
+        expect(gameState.getActiveQuest(hero.id)).not.toBeNull();
+        expect(ai.findSiteToExplore(hero)).toBeNull();
+    });
+
+    test('should pay out when the named city is captured', () => {
+        const quest = giveQuest(QUEST_TYPES.CAPTURE_CITY, { cityId: capital.id, name: capital.name, x: capital.x, y: capital.y });
+        const gold = gameState.getPlayer(0).resources.gold;
+
+        const result = gameState.moveUnit(hero, capital.x, capital.y);
+
+        expect(result.finishedQuests).toEqual([quest]);
+        expect(quest.status).toBe(QUEST_STATUS.COMPLETED);
+        expect(gameState.getPlayer(0).resources.gold).toBe(gold + 200);
+        expect(gameState.getActiveQuest(hero.id)).toBeNull();
+    });
+
+    test('should take the item when it is brought to the site', () => {
+        const site = gameState.getMap().getNeighbors(hero.x, hero.y)
+            .find(hex => hex.isPassable() && !hex.hasCity() && !hex.unit);
+        const sword = Item.create('IRON_SWORD');
+        hero.equipItem(sword);
+        const quest = giveQuest(QUEST_TYPES.DELIVER_ITEM, { item: sword.name, x: site.x, y: site.y, name: 'Old Ruins' },
+            { type: QUEST_REWARDS.ITEM, item: 'CHAIN_MAIL' });
+
+        expect(quest.getProgress(gameState)).toContain(`Carrying the ${sword.name}`);
+        expect(manager.processAction({
+            type: ACTION_TYPES.MOVE_UNIT,
+            unit: gameState.getUnitRef(hero),
+            toX: site.x,
+            toY: site.y
+        })).toBe(true);
+
+        expect(quest.status).toBe(QUEST_STATUS.COMPLETED);
+        expect(hero.items.map(item => item.name)).toEqual([Item.create('CHAIN_MAIL').name]);
+    });
+
+    test('should settle hero hunts by who struck the blow', () => {
+        const rival = new Hero(null, 1, capital.x, capital.y);
+        gameState.addUnit(rival);
+        const quest = giveQuest(QUEST_TYPES.KILL_HERO, { heroId: rival.id, name: rival.heroName, owner: 1 },
+            { type: QUEST_REWARDS.EXPERIENCE, amount: 100 });
+
+        expect(gameState.resolveSlainHeroes([rival], 0)).toEqual([quest]);
+        expect(quest.status).toBe(QUEST_STATUS.COMPLETED);
+        expect(hero.experience).toBe(100);
+
+        const other = new Hero(null, 1, capital.x, capital.y);
+        gameState.addUnit(other);
+        const lost = giveQuest(QUEST_TYPES.KILL_HERO, { heroId: other.id, name: other.heroName, owner: 1 });
+        gameState.removeUnit(other.id);
+
+        expect(gameState.checkQuests()).toEqual([lost]);
+        expect(lost.status).toBe(QUEST_STATUS.FAILED);
+    });
+
+    test('should bring allied units to the hero', () => {
+        const quest = giveQuest(QUEST_TYPES.CAPTURE_CITY, { cityId: capital.id, name: capital.name, x: capital.x, y: capital.y },
+            { type: QUEST_REWARDS.ALLIES, unitType: UNIT_TYPES.ARCHER, count: 2 });
+
+        gameState.completeQuest(quest, 'Done');
+
+        expect(gameState.getUnitsAt(hero.x, hero.y).filter(unit => unit.type === UNIT_TYPES.ARCHER && unit.owner === 0))
+            .toHaveLength(2);
+    });
+
+    test('should fail quests whose deadline passes', () => {
+        const quest = giveQuest(QUEST_TYPES.CAPTURE_CITY, { cityId: capital.id, name: capital.name, x: capital.x, y: capital.y });
+        quest.deadline = gameState.getCurrentTurn();
+
+        manager.endTurn();
+        expect(quest.isActive()).toBe(true);
+        manager.endTurn();
+
+        expect(quest.status).toBe(QUEST_STATUS.FAILED);
+        expect(quest.outcome).toBe('The deadline passed');
+    });
+
+    test('should fail the quest when the hero dies', () => {
+        const quest = giveQuest(QUEST_TYPES.CAPTURE_CITY, { cityId: capital.id, name: capital.name, x: capital.x, y: capital.y });
+        gameState.removeUnit(hero.id);
+
+        expect(gameState.checkQuests()).toEqual([quest]);
+        expect(quest.outcome).toBe('The hero fell');
+    });
+
+    test('should save and replay quests', () => {
+        visitTemple();
+        const quest = gameState.getActiveQuest(hero.id);
+        manager.endTurn();
+
+        const restored = new GameState();
+        restored.deserialize(JSON.parse(JSON.stringify(gameState.serialize())));
+        expect(restored.getActiveQuest(hero.id).serialize()).toEqual(quest.serialize());
+
+        const replay = ReplayEngine.fromGameState(gameState);
+        replay.goTo(replay.getLength());
+        const replayedState = replay.getGameState();
+        const replayed = replayedState.getActiveQuest(replayedState.getPlayerHeroes(0)[0].id);
+
+        expect(replayed.getDescription()).toBe(quest.getDescription());
+        expect(replayed.reward).toEqual(quest.reward);
+    });
+
+    test('should list quests with progress in the journal', () => {
+        const quest = giveQuest(QUEST_TYPES.CAPTURE_CITY, { cityId: capital.id, name: capital.name, x: capital.x, y: capital.y });
+        const journal = new QuestJournal(manager);
+        journal.show();
+
+        const row = document.querySelector(`#quest-journal [data-quest="${quest.id}"]`);
+        expect(row.textContent).toContain(hero.heroName);
+        expect(row.textContent).toContain(`Capture ${capital.name}`);
+        expect(row.textContent).toContain(`${QUEST_DURATION[QUEST_TYPES.CAPTURE_CITY]} turns left`);
+        expect(row.textContent).toContain('200 gold');
+
+        document.getElementById('quest-journal-close').click();
+        expect(document.getElementById('quest-journal')).toBeNull();
+    });
+});
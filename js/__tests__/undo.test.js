@@ -0,0 +1,224 @@
+/**
+ * Undo tests
+ * Tests taking back moves and production changes within the current turn
+ */
+
+import { GameState } from '../core/GameState.js';
+import { GameManager } from '../core/GameManager.js';
+import { ACTION_TYPES } from '../core/ActionLog.js';
+import { Unit, UNIT_TYPES } from '../core/Unit.js';
+
+describe('Undo', () => {
+    let gameState;
+    let unit;
+    let target;
+
+    const startGame = (fogOfWar) => {
+        gameState = new GameState();
+        gameState.initialize({
+            seed: 99,
+            map: { width: 20, height: 15 },
+            players: [
+                { id: 0, name: 'Alice', faction: 'HUMANS', color: '#0066CC', isAI: false },
+                { id: 1, name: 'Bob', faction: 'ELVES', color: '#00CC66', isAI: false }
+            ],
+            gameSettings: { fogOfWar }
+        });
+
+        const capital = gameState.getPlayerCities(0)[0];
+        unit = new Unit(UNIT_TYPES.CAVALRY, 0, capital.x, capital.y);
+        gameState.addUnit(unit);
+        gameState.getHex(capital.x, capital.y).setUnit(unit);
+        gameState.fogOfWar.updateAll();
+
+        target = gameState.getMap().getNeighbors(capital.x, capital.y)
+            .find(hex => hex.isPassable() && !hex.hasCity());
+    };
+
+    describe('Moves', () => {
+        beforeEach(() => startGame(false));
+
+        test('should restore position, movement points and hex occupancy', () => {
+            const start = { x: unit.x, y: unit.y, movement: unit.movement };
+
+            expect(gameState.moveUnit(unit, target.x, target.y).success).toBe(true);
+            expect(gameState.canUndo()).toBe(true);
+
+            const result = gameState.undoLastAction();
+
+            expect(result.success).toBe(true);
+            expect(result.action.type).toBe(ACTION_TYPES.MOVE_UNIT);
+            expect({ x: unit.x, y: unit.y, movement: unit.movement }).toEqual(start);
+            expect(gameState.getHex(start.x, start.y).unit).toBe(unit);
+            expect(target.unit).toBeNull();
+            expect(gameState.actionLog.size()).toBe(0);
+            expect(gameState.movementManager.getMovementHistory()).toHaveLength(0);
+            expect(gameState.canUndo()).toBe(false);
+        });
+
+        test('should undo several moves in reverse order', () => {
+            const start = { x: unit.x, y: unit.y };
+            gameState.moveUnit(unit, target.x, target.y);
+            gameState.moveUnit(unit, start.x, start.y);
+
+            gameState.undoLastAction();
+            expect({ x: unit.x, y: unit.y }).toEqual({ x: target.x, y: target.y });
+
+            gameState.undoLastAction();
+            expect({ x: unit.x, y: unit.y }).toEqual(start);
+        });
+
+        test('should not undo past a battle', () => {
+            const enemy = new Unit(UNIT_TYPES.WARRIOR, 1, target.x, target.y);
+            gameState.addUnit(enemy);
+            target.setUnit(enemy);
+            gameState.produceUnit(gameState.getPlayerCities(0)[0], 'WARRIOR');
+
+            gameState.initiateCombat(unit, enemy);
+
+            expect(gameState.canUndo()).toBe(false);
+            expect(gameState.undoLastAction().success).toBe(false);
+        });
+
+        test('should not let the next player undo the previous turn', () => {
+            const manager = new GameManager(null, { headless: true });
+            manager.initializeGame({
+                map: { width: 20, height: 15 },
+                players: [
+                    { id: 0, name: 'Alice', faction: 'HUMANS', color: '#0066CC', isAI: false },
+                    { id: 1, name: 'Bob', faction: 'ELVES', color: '#00CC66', isAI: false }
+                ],
+                gameSettings: { fogOfWar: false }
+            });
+            const city = manager.getGameState().getPlayerCities(0)[0];
+            manager.processAction({ type: ACTION_TYPES.PRODUCE_UNIT, cityId: city.id, unitType: 'WARRIOR' });
+
+            manager.endTurn();
+
+            expect(manager.undoLastAction()).toBe(false);
+            expect(city.currentProduction).toBe('WARRIOR');
+        });
+    });
+
+    describe('Stacks', () => {
+        let escort;
+        let start;
+
+        // A second cavalry shares the first one's hex
+        beforeEach(() => {
+            startGame(false);
+            start = { x: unit.x, y: unit.y };
+            escort = new Unit(UNIT_TYPES.CAVALRY, 0, start.x, start.y);
+            gameState.addUnit(escort);
+        });
+
+        test('should split units off a stack and undo the split', () => {
+            const movement = escort.movement;
+            expect(gameState.splitStack([unit, escort], target.x, target.y))
+                .toEqual({ success: false, reason: 'Cannot split all units from a stack' });
+
+            expect(gameState.splitStack([escort], target.x, target.y).success).toBe(true);
+            expect({ x: escort.x, y: escort.y }).toEqual({ x: target.x, y: target.y });
+            expect({ x: unit.x, y: unit.y }).toEqual(start);
+            expect(gameState.getHex(start.x, start.y).unit).toBe(unit);
+            expect(target.unit).toBe(escort);
+            expect(gameState.actionLog.getActions().map(action => action.type)).toEqual([ACTION_TYPES.SPLIT_STACK]);
+
+            expect(gameState.canUndo()).toBe(true);
+            expect(gameState.undoLastAction().action.type).toBe(ACTION_TYPES.SPLIT_STACK);
+            expect({ x: escort.x, y: escort.y, movement: escort.movement }).toEqual({ ...start, movement });
+            expect(gameState.getUnitsAt(start.x, start.y)).toEqual([unit, escort]);
+            expect(target.unit).toBeNull();
+            expect(gameState.actionLog.size()).toBe(0);
+        });
+
+        test('should merge a stack into its neighbour and undo the merge', () => {
+            gameState.splitStack([escort], target.x, target.y);
+            const movement = unit.movement;
+
+            expect(gameState.mergeStack([unit], target.x + 5, target.y).success).toBe(false);
+            expect(gameState.mergeStack([unit], target.x, target.y).success).toBe(true);
+            expect(gameState.getUnitsAt(target.x, target.y)).toEqual([unit, escort]);
+            expect(unit.movement).toBeLessThan(movement);
+            expect(target.unit).toBe(escort);
+            expect(gameState.getHex(start.x, start.y).unit).toBeNull();
+
+            expect(gameState.undoLastAction().action.type).toBe(ACTION_TYPES.MERGE_STACK);
+            expect({ x: unit.x, y: unit.y, movement: unit.movement }).toEqual({ ...start, movement });
+            expect(gameState.getHex(start.x, start.y).unit).toBe(unit);
+            expect(gameState.getUnitsAt(target.x, target.y)).toEqual([escort]);
+
+            // The split before it can be taken back too
+            gameState.undoLastAction();
+            expect(gameState.getUnitsAt(start.x, start.y)).toEqual([unit, escort]);
+            expect(gameState.canUndo()).toBe(false);
+        });
+
+        test('should only merge into a stack of the same owner', () => {
+            const enemy = new Unit(UNIT_TYPES.WARRIOR, 1, target.x, target.y);
+            gameState.addUnit(enemy);
+            target.setUnit(enemy);
+
+            expect(gameState.mergeStack([unit, escort], target.x, target.y))
+                .toEqual({ success: false, reason: 'No friendly stack to join' });
+            expect(gameState.canUndo()).toBe(false);
+        });
+    });
+
+    describe('Hidden information', () => {
+        beforeEach(() => startGame(true));
+
+        test('should not undo a move that explored new hexes', () => {
+            const explored = gameState.fogOfWar.getKnowledge(0).explored;
+
+            gameState.moveUnit(unit, target.x, target.y);
+
+            expect(gameState.fogOfWar.getKnowledge(0).explored).toBeGreaterThan(explored);
+            expect(gameState.canUndo()).toBe(false);
+        });
+
+        test('should undo a move through already explored hexes', () => {
+            const start = { x: unit.x, y: unit.y };
+            gameState.moveUnit(unit, target.x, target.y);
+
+            gameState.moveUnit(unit, start.x, start.y);
+
+            expect(gameState.canUndo()).toBe(true);
+            gameState.undoLastAction();
+            expect({ x: unit.x, y: unit.y }).toEqual({ x: target.x, y: target.y });
+            expect(gameState.canUndo()).toBe(false);
+        });
+    });
+
+    describe('Production', () => {
+        beforeEach(() => startGame(false));
+
+        test('should refund and clear a production order', () => {
+            const city = gameState.getPlayerCities(0)[0];
+            const player = gameState.getPlayer(0);
+            const gold = player.resources.gold;
+
+            expect(gameState.produceUnit(city, 'WARRIOR')).toBe(true);
+            expect(player.resources.gold).toBeLessThan(gold);
+
+            gameState.undoLastAction();
+
+            expect(city.currentProduction).toBeNull();
+            expect(player.resources.gold).toBe(gold);
+        });
+
+        test('should restore a cancelled production order', () => {
+            const city = gameState.getPlayerCities(0)[0];
+            const player = gameState.getPlayer(0);
+            gameState.produceUnit(city, 'WARRIOR');
+            const gold = player.resources.gold;
+
+            expect(gameState.cancelProduction(city)).toBe(true);
+            gameState.undoLastAction();
+
+            expect(city.currentProduction).toBe('WARRIOR');
+            expect(player.resources.gold).toBe(gold);
+            expect(gameState.actionLog.getActions().map(action => action.type)).toEqual([ACTION_TYPES.PRODUCE_UNIT]);
+        });
+    });
+});
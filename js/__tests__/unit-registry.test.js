@@ -0,0 +1,118 @@
+/**
+ * UnitRegistry tests
+ * Tests loading, validation and faction coverage of the data-driven unit catalogue
+ */
+
+import { UnitRegistry, unitRegistry, MOVEMENT_TYPES } from '../core/UnitRegistry.js';
+import { Unit, UNIT_TYPES, UNIT_CONFIG } from '../core/Unit.js';
+import { City } from '../core/City.js';
+import { Player } from '../core/Player.js';
+import { factionManager } from '../core/Faction.js';
+
+describe('UnitRegistry', () => {
+    const validDefinition = {
+        type: 'GOLEM',
+        name: 'Golem',
+        health: 20,
+        attack: 4,
+        defense: 5,
+        movement: 1,
+        cost: 120,
+        productionPoints: 120,
+        movementType: MOVEMENT_TYPES.FOOT,
+        abilities: ['REGENERATE']
+    };
+
+    describe('Default catalogue', () => {
+        test('should define the classic units with their original stats', () => {
+            expect(UNIT_CONFIG[UNIT_TYPES.WARRIOR]).toMatchObject({ health: 10, attack: 3, defense: 2, movement: 2, cost: 50 });
+            expect(UNIT_CONFIG[UNIT_TYPES.ARCHER]).toMatchObject({ health: 8, attack: 4, defense: 1, movement: 2, cost: 60 });
+            expect(UNIT_CONFIG[UNIT_TYPES.CAVALRY]).toMatchObject({ health: 12, attack: 5, defense: 2, movement: 4, cost: 80 });
+            expect(UNIT_CONFIG[UNIT_TYPES.HERO]).toMatchObject({ health: 20, attack: 6, defense: 4, movement: 3, cost: 0 });
+        });
+
+        test('should cover every unit listed by every faction', () => {
+            const result = factionManager.validateUnitCatalogue();
+
+            expect(result.missing).toEqual([]);
+            expect(result.valid).toBe(true);
+        });
+
+        test('should let every faction city produce each of its units', () => {
+            for (const faction of factionManager.getAllFactions()) {
+                const players = [new Player(0, 'Tester', faction.name, '#FFFFFF', false)];
+                const city = new City('Capital', 0, 0, 0, 2);
+
+                for (const unitType of faction.getAvailableUnitTypes()) {
+                    expect(city.canProduce(unitType, players)).toBe(true);
+                    expect(city.getAvailableUnits(players)).toContain(unitType);
+                }
+            }
+        });
+
+        test('should start production of a faction-specific unit', () => {
+            const players = [new Player(0, 'Elf Lord', 'ELVES', '#00CC66', false)];
+            const city = new City('Lothlann', 0, 0, 0, 2);
+
+            expect(city.produceUnit('RANGER', players)).toBe(true);
+            expect(city.currentProduction).toBe('RANGER');
+            expect(players[0].resources.gold).toBe(930);
+            expect(city.getRequiredProductionPoints('RANGER')).toBe(UNIT_CONFIG.RANGER.productionPoints);
+        });
+    });
+
+    describe('Units built from definitions', () => {
+        test('should carry movement type and abilities', () => {
+            const imp = new Unit('IMP', 0, 0, 0);
+            const cavalry = new Unit(UNIT_TYPES.CAVALRY, 0, 0, 0);
+
+            expect(imp.movementType).toBe(MOVEMENT_TYPES.FLYING);
+            expect(cavalry.movementType).toBe(MOVEMENT_TYPES.MOUNTED);
+            expect(new Unit('TREANT', 0, 0, 0).hasAbility('REGENERATE')).toBe(true);
+            expect(cavalry.hasAbility('REGENERATE')).toBe(false);
+        });
+
+        test('should not share ability arrays between units', () => {
+            const first = new Unit('ARCHER', 0, 0, 0);
+            first.abilities.push('TEMPORARY');
+
+            expect(new Unit('ARCHER', 0, 0, 0).hasAbility('TEMPORARY')).toBe(false);
+            expect(unitRegistry.hasAbility('ARCHER', 'TEMPORARY')).toBe(false);
+        });
+    });
+
+    describe('Loading and validation', () => {
+        test('should load custom definitions into a new registry', () => {
+            const registry = new UnitRegistry();
+
+            expect(registry.loadDefinitions({ units: [validDefinition] })).toBe(1);
+            expect(registry.has('GOLEM')).toBe(true);
+            expect(registry.get('GOLEM').name).toBe('Golem');
+            expect(registry.get('GOLEM').experienceValue).toBe(10);
+            expect(registry.getTypes()).toEqual(['GOLEM']);
+        });
+
+        test('should reject definitions with missing or invalid fields', () => {
+            const registry = new UnitRegistry();
+
+            expect(() => registry.loadDefinitions({})).toThrow('"units" array');
+            expect(() => registry.loadDefinitions({
+                units: [{ ...validDefinition, attack: 'strong' }]
+            })).toThrow('attack must be a non-negative number');
+            expect(() => registry.loadDefinitions({
+                units: [{ ...validDefinition, movementType: 'TUNNELING' }]
+            })).toThrow('unknown movement type');
+            expect(registry.getTypes()).toEqual([]);
+        });
+
+        test('should report faction units missing from the catalogue', () => {
+            const registry = new UnitRegistry();
+            registry.loadDefinitions({ units: [validDefinition] });
+
+            const result = registry.validateFactions([factionManager.getFaction('HUMANS')]);
+
+            expect(result.valid).toBe(false);
+            expect(result.missing).toContainEqual({ faction: 'HUMANS', unitType: 'WARRIOR' });
+        });
+    });
+});
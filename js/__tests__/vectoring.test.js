@@ -0,0 +1,147 @@
+/**
+ * Vectoring tests
+ * Tests cities sending newly produced units to a rally point
+ */
+
+import { GameManager } from '../core/GameManager.js';
+import { GameState } from '../core/GameState.js';
+import { ReplayEngine } from '../core/ReplayEngine.js';
+import { ACTION_TYPES } from '../core/ActionLog.js';
+import { UNIT_TYPES, UNIT_CONFIG } from '../core/Unit.js';
+import { VectorPanel } from '../ui/VectorPanel.js';
+
+describe('Vectoring', () => {
+    const config = {
+        seed: 1234,
+        map: { width: 20, height: 15 },
+        players: [
+            { id: 0, name: 'Alice', faction: 'HUMANS', color: '#0066CC', isAI: false },
+            { id: 1, name: 'Bob', faction: 'ELVES', color: '#00CC66', isAI: false }
+        ],
+        gameSettings: { fogOfWar: false }
+    };
+
+    let manager;
+    let gameState;
+    let city;
+
+    beforeEach(() => {
+        manager = new GameManager(null, { headless: true });
+        manager.initializeGame(config);
+        gameState = manager.getGameState();
+        city = gameState.getPlayerCities(0)[0];
+    });
+
+    afterEach(() => {
+        document.body.innerHTML = '';
+    });
+
+    // An empty hex a few hexes from the city, away from Bob, that a warrior
+    // can walk to (no step costs more than its whole movement allowance)
+    const findRallyPoint = () => {
+        const map = gameState.getMap();
+        const bobCapital = gameState.getPlayerCities(1)[0];
+        const maxMovement = UNIT_CONFIG[UNIT_TYPES.WARRIOR].movement;
+
+        return map.hexes.find(hex => {
+            const distance = Math.abs(hex.x - city.x) + Math.abs(hex.y - city.y);
+            if (!hex.isPassable() || hex.hasCity() || distance < 4 || distance > 6 ||
+                Math.abs(hex.x - bobCapital.x) + Math.abs(hex.y - bobCapital.y) <= distance) {
+                return false;
+            }
+
+            const path = map.findPath(city.x, city.y, hex.x, hex.y);
+            return path && path.every(step => map.getHex(step.x, step.y).getMovementCost() <= maxMovement);
+        });
+    };
+
+    // End rounds until Alice has a unit (production finishes at her turn start)
+    const playUntilProduced = () => {
+        for (let i = 0; i < 10 && gameState.getPlayerUnits(0).length === 0; i++) {
+            manager.endTurn();
+            manager.endTurn();
+        }
+        return gameState.getPlayerUnits(0)[0];
+    };
+
+    test('should send new units marching to the rally point', () => {
+        const rally = findRallyPoint();
+        manager.processAction({ type: ACTION_TYPES.SET_VECTOR, cityId: city.id, target: { x: rally.x, y: rally.y } });
+        manager.processAction({ type: ACTION_TYPES.PRODUCE_UNIT, cityId: city.id, unitType: UNIT_TYPES.WARRIOR });
+
+        const unit = playUntilProduced();
+
+        expect({ x: unit.x, y: unit.y }).toEqual({ x: city.x, y: city.y });
+        expect(unit.goToOrder).toMatchObject({ x: rally.x, y: rally.y });
+
+        for (let i = 0; i < 10 && unit.goToOrder; i++) {
+            manager.endTurn();
+            manager.endTurn();
+        }
+
+        expect({ x: unit.x, y: unit.y }).toEqual({ x: rally.x, y: rally.y });
+        expect(city.vectorTarget).toEqual({ x: rally.x, y: rally.y });
+    });
+
+    test('should drop a vector to a city the player no longer owns', () => {
+        const bobCapital = gameState.getPlayerCities(1)[0];
+        gameState.setCityVector(city, { x: bobCapital.x, y: bobCapital.y });
+        gameState.produceUnit(city, UNIT_TYPES.WARRIOR);
+
+        const unit = playUntilProduced();
+
+        expect(unit.goToOrder).toBeNull();
+        expect(city.vectorTarget).toBeNull();
+    });
+
+    test('should validate rally points', () => {
+        const water = gameState.getMap().hexes.find(hex => !hex.isPassable());
+        const rally = findRallyPoint();
+
+        expect(gameState.setCityVector(city, { x: water.x, y: water.y }).success).toBe(false);
+        expect(gameState.setCityVector(city, { x: city.x, y: city.y }).success).toBe(false);
+        expect(gameState.setCityVector(city, null).success).toBe(false);
+        expect(gameState.setCityVector(gameState.getPlayerCities(1)[0], { x: rally.x, y: rally.y }).success).toBe(false);
+        expect(gameState.actionLog.size()).toBe(0);
+    });
+
+    test('should list, undo, save and replay vectors', () => {
+        const rally = findRallyPoint();
+        manager.processAction({ type: ACTION_TYPES.SET_VECTOR, city: { x: city.x, y: city.y }, target: { x: rally.x, y: rally.y } });
+
+        expect(gameState.getPlayerVectors(0)).toEqual([{ city, target: { x: rally.x, y: rally.y }, targetCity: null }]);
+
+        const loaded = new GameState();
+        loaded.deserialize(JSON.parse(JSON.stringify(gameState.serialize())));
+        expect(loaded.getCityAt(city.x, city.y).vectorTarget).toEqual({ x: rally.x, y: rally.y });
+
+        const replay = ReplayEngine.fromGameState(gameState);
+        replay.goTo(replay.getLength());
+        expect(replay.getGameState().getCityAt(city.x, city.y).vectorTarget).toEqual({ x: rally.x, y: rally.y });
+
+        expect(gameState.undoLastAction().success).toBe(true);
+        expect(city.vectorTarget).toBeNull();
+    });
+
+    test('should list vectors in the panel and clear them from it', () => {
+        const rally = findRallyPoint();
+        gameState.setCityVector(city, { x: rally.x, y: rally.y });
+
+        const panel = new VectorPanel(manager);
+        panel.show();
+
+        const rows = document.querySelectorAll('#vector-panel .vector-row');
+        expect(rows).toHaveLength(1);
+        expect(rows[0].textContent).toContain(city.name);
+
+        rows[0].querySelector('.vector-clear').click();
+
+        expect(city.vectorTarget).toBeNull();
+        expect(document.querySelectorAll('#vector-panel .vector-row')).toHaveLength(0);
+        expect(gameState.actionLog.getActions().map(action => action.type))
+            .toEqual([ACTION_TYPES.SET_VECTOR, ACTION_TYPES.SET_VECTOR]);
+
+        panel.close();
+        expect(document.getElementById('vector-panel')).toBeNull();
+    });
+});
@@ -4,9 +4,41 @@
  * Requirements: 1.5, 7.2
  */
 
+import { unitRegistry } from './UnitRegistry.js';
+import { CAPTURE_OPTIONS } from './City.js';
+import { DIPLOMATIC_STATES } from './Diplomacy.js';
+import { NEUTRAL_OWNER } from './Unit.js';
+import { monsterRegistry, MONSTER_BEHAVIORS } from './MonsterRegistry.js';
+import { HERO_SKILLS, SKILL_TREES } from './HeroSkill.js';
+import { getCraftableRecipes } from './Crafting.js';
+import { ACTION_TYPES } from './ActionLog.js';
+import { LOCATION_TYPES } from './ItemGenerator.js';
+
+// How keen each personality is on each treaty before weighing up the proposer
+const TREATY_WILLINGNESS = {
+    AGGRESSIVE: { PEACE: 0.2, ALLIANCE: 0.3 },
+    BALANCED: { PEACE: 0.5, ALLIANCE: 0.4 },
+    ECONOMIC: { PEACE: 0.8, ALLIANCE: 0.5 },
+    DEFENSIVE: { PEACE: 0.9, ALLIANCE: 0.6 }
+};
+
+// Skill trees each personality develops its heroes along, most wanted first
+const SKILL_PREFERENCES = {
+    AGGRESSIVE: [SKILL_TREES.LEADERSHIP, SKILL_TREES.LOGISTICS, SKILL_TREES.MAGIC, SKILL_TREES.SCOUTING],
+    BALANCED: [SKILL_TREES.LEADERSHIP, SKILL_TREES.MAGIC, SKILL_TREES.LOGISTICS, SKILL_TREES.SCOUTING],
+    ECONOMIC: [SKILL_TREES.LOGISTICS, SKILL_TREES.SCOUTING, SKILL_TREES.MAGIC, SKILL_TREES.LEADERSHIP],
+    DEFENSIVE: [SKILL_TREES.LEADERSHIP, SKILL_TREES.MAGIC, SKILL_TREES.SCOUTING, SKILL_TREES.LOGISTICS]
+};
+
 export class AIEngine {
-    constructor(gameState) {
+    /**
+     * @param {GameState} gameState - Game state
+     * @param {GameManager|null} gameManager - Game manager; AI battles go through it
+     *     so eliminations and victory are checked as for players' attacks (optional)
+     */
+    constructor(gameState, gameManager = null) {
         this.gameState = gameState;
+        this.gameManager = gameManager;
         this.difficulty = 'NORMAL'; // EASY, NORMAL, HARD
         this.personality = 'BALANCED'; // AGGRESSIVE, DEFENSIVE, BALANCED, ECONOMIC
 
@@ -124,11 +156,22 @@ export class AIEngine {
         this.lastDecisionTime = Date.now();
 
         try {
+            // Answer treaty offers before deciding who to fight
+            this.handleDiplomacy(playerId);
+            this.handleHeroOffer(playerId);
+            this.chooseHeroSkills(playerId);
+
             // Phase 1: City Management
             await this.manageCities(playerId);
 
             // Phase 2: Unit Movement and Combat
             await this.manageUnits(playerId);
+            if (this.isGameOver()) {
+                return;
+            }
+            this.resolveCaptures(playerId);
+            this.manageHeroItems(playerId);
+            this.chooseHeroSkills(playerId);
 
             // Phase 3: Strategic Decisions
             await this.makeStrategicDecisions(playerId);
@@ -177,7 +220,7 @@ export class AIEngine {
         const productionChoice = this.evaluateProductionChoice(city, player, availableUnits);
 
         if (productionChoice) {
-            const success = city.produceUnit(productionChoice, this.gameState.getPlayers());
+            const success = this.gameState.produceUnit(city, productionChoice);
             if (success) {
                 this.turnActions.push({
                     type: 'CITY_PRODUCTION',
@@ -283,15 +326,11 @@ export class AIEngine {
                 // Good for mobility and offense
                 needScore = Math.max(0, 2 - currentCount) * 25;
                 break;
-            case 'HERO':
-                // Heroes are valuable but expensive to maintain
-                needScore = Math.max(0, 1 - currentCount) * 50;
-                break;
         }
 
         // Adjust based on personality
         if (this.personality === 'AGGRESSIVE') {
-            if (unitType === 'CAVALRY' || unitType === 'HERO') {
+            if (unitType === 'CAVALRY') {
                 needScore *= 1.5;
             }
         } else if (this.personality === 'DEFENSIVE') {
@@ -320,12 +359,24 @@ export class AIEngine {
         });
 
         for (const unit of sortedUnits) {
+            // A battle may have won or lost the game
+            if (this.isGameOver()) {
+                return;
+            }
             if (this.gameState.canUnitMove(unit)) {
                 await this.manageUnit(unit);
             }
         }
     }
 
+    /**
+     * Check if the game has ended, after which the AI takes no more actions
+     * @returns {boolean} - True if the game is over
+     */
+    isGameOver() {
+        return !!this.gameManager && this.gameManager.gamePhase !== 'PLAYING';
+    }
+
     /**
      * Manage a single unit
      * @param {Unit} unit - Unit to manage
@@ -338,6 +389,11 @@ export class AIEngine {
             return;
         }
 
+        // Heroes explore the sites in reach before wandering off
+        if (unit.type === 'HERO' && await this.exploreNearbySite(unit)) {
+            return;
+        }
+
         // If no combat, look for movement opportunities
         const moveTarget = this.findBestMoveTarget(unit);
         if (moveTarget) {
@@ -389,7 +445,7 @@ export class AIEngine {
         const allUnits = Array.from(this.gameState.getUnits().values());
 
         for (const otherUnit of allUnits) {
-            if (otherUnit.owner === unit.owner || !otherUnit.isAlive()) {
+            if (!this.isEnemy(unit.owner, otherUnit.owner) || !otherUnit.isAlive() || !this.canSeeUnit(unit.owner, otherUnit)) {
                 continue;
             }
 
@@ -402,6 +458,36 @@ export class AIEngine {
         return enemies;
     }
 
+    /**
+     * Check if another player's units and cities are fair game (only players at war are)
+     * @param {number} playerId - AI player ID
+     * @param {number} otherId - Other player ID
+     * @returns {boolean} - True if at war
+     */
+    isEnemy(playerId, otherId) {
+        return otherId !== playerId && this.gameState.isAtWar(playerId, otherId);
+    }
+
+    /**
+     * Get the fog of war tracker if fog is enabled
+     * @returns {FogOfWar|null} - Fog of war or null when everything is visible
+     */
+    getFogOfWar() {
+        const fogOfWar = this.gameState.fogOfWar;
+        return fogOfWar && fogOfWar.isEnabled() ? fogOfWar : null;
+    }
+
+    /**
+     * Check if a player can see a unit under fog of war
+     * @param {number} playerId - Player ID
+     * @param {Unit} unit - Unit to check
+     * @returns {boolean} - True if visible
+     */
+    canSeeUnit(playerId, unit) {
+        const fogOfWar = this.getFogOfWar();
+        return fogOfWar ? fogOfWar.canSeeUnit(playerId, unit) : true;
+    }
+
     /**
      * Calculate distance between two points
      * @param {number} x1 - First point X
@@ -564,21 +650,24 @@ export class AIEngine {
 
         // Attack the target
         if (this.calculateDistance(attacker.x, attacker.y, target.x, target.y) === 1) {
-            const combatResult = attacker.attackSync(target);
-            if (combatResult.success) {
+            // Fight through the game manager, like a player's attack, so the battle
+            // is logged, the fallen removed and the game ended if it was decided
+            const combatResult = this.gameManager
+                ? this.gameManager.resolveAttack(attacker, target)
+                : this.gameState.initiateCombat(attacker, target);
+            if (combatResult && combatResult.success) {
+                const targetKilled = combatResult.defenderLosses.includes(target);
                 this.turnActions.push({
                     type: 'UNIT_COMBAT',
                     attackerId: attacker.id,
                     targetId: target.id,
-                    damage: combatResult.damage,
-                    targetKilled: combatResult.targetKilled
+                    winner: combatResult.winner,
+                    targetKilled: targetKilled
                 });
 
-                console.log(`AIEngine: Unit ${attacker.id} attacked ${target.id} for ${combatResult.damage} damage`);
+                console.log(`AIEngine: Unit ${attacker.id} attacked ${target.id} (${combatResult.winner} won)`);
 
-                // Remove dead unit from game state
-                if (combatResult.targetKilled) {
-                    this.gameState.removeUnit(target.id);
+                if (targetKilled) {
                     console.log(`AIEngine: Unit ${target.id} was destroyed`);
                 }
             }
@@ -692,7 +781,7 @@ export class AIEngine {
         }
 
         // Exploration bonus (prefer unexplored areas)
-        score += this.getExplorationBonus(targetX, targetY);
+        score += this.getExplorationBonus(targetX, targetY, unit.owner);
 
         // Apply personality weights
         if (this.personality === 'AGGRESSIVE') {
@@ -724,7 +813,7 @@ export class AIEngine {
         let nearestDistance = Infinity;
 
         for (const otherUnit of allUnits) {
-            if (otherUnit.owner === unit.owner || !otherUnit.isAlive()) {
+            if (!this.isEnemy(unit.owner, otherUnit.owner) || !otherUnit.isAlive() || !this.canSeeUnit(unit.owner, otherUnit)) {
                 continue;
             }
 
@@ -745,11 +834,14 @@ export class AIEngine {
      */
     findNearestEnemyCity(unit) {
         const allCities = Array.from(this.gameState.getCities().values());
+        const fogOfWar = this.getFogOfWar();
         let nearestCity = null;
         let nearestDistance = Infinity;
 
         for (const city of allCities) {
-            if (city.owner === unit.owner) {
+            // Under fog, only cities the player has discovered count, with their last known owner
+            const knownCity = fogOfWar ? fogOfWar.getKnownCity(unit.owner, city) : city;
+            if (!knownCity || !this.isEnemy(unit.owner, knownCity.owner)) {
                 continue;
             }
 
@@ -788,11 +880,17 @@ export class AIEngine {
      * Get exploration bonus for a hex
      * @param {number} x - X coordinate
      * @param {number} y - Y coordinate
+     * @param {number} playerId - Player ID (optional, used with fog of war)
      * @returns {number} - Exploration bonus
      */
-    getExplorationBonus(x, y) {
-        // Simple exploration bonus - prefer hexes further from starting position
-        // This is a placeholder - could be enhanced with fog of war system
+    getExplorationBonus(x, y, playerId = null) {
+        // With fog of war, head for hexes the player has never seen
+        const fogOfWar = this.getFogOfWar();
+        if (fogOfWar && playerId !== null) {
+            return fogOfWar.isExplored(playerId, x, y) ? 0 : 20 * this.weights.exploration;
+        }
+
+        // Otherwise prefer hexes further from starting position
         const mapCenter = {
             x: Math.floor((this.gameState.getMap()?.width || 20) / 2),
             y: Math.floor((this.gameState.getMap()?.height || 15) / 2)
@@ -825,6 +923,357 @@ export class AIEngine {
         }
     }
 
+    /**
+     * Send a hero to the nearest site it can reach this turn and explore it.
+     * Exploring goes through the game manager, like a player's command.
+     * @param {Hero} hero - Hero
+     * @returns {Promise<boolean>} - True if the hero explored a site
+     */
+    async exploreNearbySite(hero) {
+        if (!this.gameManager) {
+            return false;
+        }
+
+        const site = this.findSiteToExplore(hero);
+        if (!site) {
+            return false;
+        }
+
+        if (site.x !== hero.x || site.y !== hero.y) {
+            await this.executeUnitMovement(hero, site.x, site.y);
+            if (site.x !== hero.x || site.y !== hero.y) {
+                return false;
+            }
+        }
+
+        const explored = this.gameManager.processAction({ type: ACTION_TYPES.EXPLORE_LOCATION, heroId: hero.id });
+        if (explored) {
+            this.turnActions.push({ type: 'EXPLORE_LOCATION', heroId: hero.id, site: site.name });
+            console.log(`AIEngine: ${hero.heroName} explored the ${site.name}`);
+        }
+        return explored;
+    }
+
+    /**
+     * Find the nearest site worth exploring on the hero's hex or in its reach
+     * @param {Hero} hero - Hero
+     * @returns {Object|null} - Site or null
+     */
+    findSiteToExplore(hero) {
+        const hexes = [{ x: hero.x, y: hero.y }, ...this.gameState.getUnitReachableHexes(hero)];
+        let bestSite = null;
+        let bestDistance = Infinity;
+
+        for (const hex of hexes) {
+            const site = this.gameState.getSiteAt(hex.x, hex.y);
+            if (!this.isSiteWorthExploring(hero, site)) {
+                continue;
+            }
+
+            const distance = this.calculateDistance(hero.x, hero.y, hex.x, hex.y);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                bestSite = site;
+            }
+        }
+
+        return bestSite;
+    }
+
+    /**
+     * Check if a hero should explore a site. Guardians are only taken on by
+     * a hero whose level outnumbers them. Heroes without a quest seek one at
+     * the temples they come to; one the temple had nothing for moves on.
+     * @param {Hero} hero - Hero
+     * @param {Object|null} site - Site
+     * @returns {boolean} - True if the site is worth exploring
+     */
+    isSiteWorthExploring(hero, site) {
+        if (!site || site.explored) {
+            return false;
+        }
+        if (site.type === LOCATION_TYPES.TEMPLE) {
+            return !this.gameState.getActiveQuest(hero.id) && (site.x !== hero.x || site.y !== hero.y);
+        }
+        return site.guardians.length < hero.level;
+    }
+
+    /**
+     * Answer every treaty offered to the AI player
+     * @param {number} playerId - AI player ID
+     */
+    handleDiplomacy(playerId) {
+        for (const proposal of this.gameState.diplomacy.getProposalsTo(playerId)) {
+            const accept = this.evaluateTreatyProposal(proposal, playerId);
+            const result = this.gameState.respondToProposal(proposal.from, accept);
+            if (result.success) {
+                this.turnActions.push({
+                    type: 'TREATY_RESPONSE',
+                    from: proposal.from,
+                    treaty: proposal.treaty,
+                    accept
+                });
+                console.log(`AIEngine: ${accept ? 'Accepted' : 'Rejected'} ${proposal.treaty} from player ${proposal.from}`);
+            }
+        }
+    }
+
+    /**
+     * Decide whether to accept a treaty. Peaceful personalities like
+     * treaties, a stronger proposer is worth keeping sweet, and a proposer
+     * known for breaking treaties is not trusted.
+     * @param {Object} proposal - Proposal { from, to, treaty }
+     * @param {number} playerId - AI player ID
+     * @returns {boolean} - True to accept
+     */
+    evaluateTreatyProposal(proposal, playerId) {
+        const willingness = TREATY_WILLINGNESS[this.personality] || TREATY_WILLINGNESS.BALANCED;
+        let score = proposal.treaty === DIPLOMATIC_STATES.ALLIANCE ? willingness.ALLIANCE : willingness.PEACE;
+
+        const ownStrength = this.calculateMilitaryStrength(this.gameState.getPlayerUnits(playerId));
+        const theirStrength = this.calculateMilitaryStrength(this.gameState.getPlayerUnits(proposal.from));
+        // +1 keeps two players without armies evenly matched
+        const ratio = (theirStrength + 1) / (ownStrength + 1);
+        score += (Math.min(ratio, 3) - 1) * 0.5;
+
+        score += this.gameState.diplomacy.getReputation(proposal.from) * 0.25;
+
+        return score >= 0.5;
+    }
+
+    /**
+     * Hire the hero offering to join if the fee leaves enough gold in reserve.
+     * Economic players keep a bigger reserve; aggressive ones a smaller one.
+     * @param {number} playerId - AI player ID
+     */
+    handleHeroOffer(playerId) {
+        const offer = this.gameState.getHeroOffer(playerId);
+        if (!offer) {
+            return;
+        }
+
+        const reserves = { AGGRESSIVE: 0, BALANCED: 100, DEFENSIVE: 100, ECONOMIC: 300 };
+        const reserve = reserves[this.personality] ?? 100;
+        const player = this.gameState.getPlayer(playerId);
+        const accept = player.resources.gold - offer.fee >= reserve;
+
+        const result = accept ? this.gameState.acceptHeroOffer() : this.gameState.declineHeroOffer();
+        if (result.success) {
+            this.turnActions.push({ type: 'HERO_OFFER', name: offer.name, fee: offer.fee, accept });
+            console.log(`AIEngine: ${accept ? 'Hired' : 'Sent away'} ${offer.name} for ${offer.fee} gold`);
+        }
+    }
+
+    /**
+     * Pick a skill for every level the player's heroes have gained, from the
+     * trees the personality prefers
+     * @param {number} playerId - AI player ID
+     */
+    chooseHeroSkills(playerId) {
+        const preferences = SKILL_PREFERENCES[this.personality] || SKILL_PREFERENCES.BALANCED;
+
+        for (const hero of this.gameState.getHeroesAwaitingSkill(playerId)) {
+            while (hero.getSkillChoices().length > 0) {
+                const [skillId] = [...hero.getSkillChoices()].sort((a, b) =>
+                    preferences.indexOf(HERO_SKILLS[a].tree) - preferences.indexOf(HERO_SKILLS[b].tree));
+                if (!this.gameState.chooseHeroSkill(hero, skillId).success) {
+                    break;
+                }
+                this.turnActions.push({ type: 'HERO_SKILL', heroId: hero.id, skill: skillId });
+                console.log(`AIEngine: ${hero.heroName} learned ${HERO_SKILLS[skillId].name}`);
+            }
+        }
+    }
+
+    /**
+     * Have the player's heroes pick up whatever lies where they stand and
+     * craft what they can when they are in one of the player's cities
+     * @param {number} playerId - AI player ID
+     */
+    manageHeroItems(playerId) {
+        for (const hero of this.gameState.getPlayerHeroes(playerId)) {
+            while (this.gameState.getItemsAt(hero.x, hero.y).length > 0) {
+                const result = this.gameState.pickUpItem(hero, 0);
+                if (!result.success) {
+                    break;
+                }
+                this.turnActions.push({ type: 'PICK_UP_ITEM', heroId: hero.id, item: result.item.name });
+                console.log(`AIEngine: ${hero.heroName} picked up ${result.item.name}`);
+            }
+
+            // Every recipe uses up more items than it makes, so this ends
+            let recipes = getCraftableRecipes(hero.items);
+            while (recipes.length > 0) {
+                const result = this.gameState.craftItem(hero, recipes[0]);
+                if (!result.success) {
+                    break;
+                }
+                this.turnActions.push({ type: 'CRAFT_ITEM', heroId: hero.id, item: result.item.name });
+                console.log(`AIEngine: ${hero.heroName} crafted ${result.item.name}`);
+                recipes = getCraftableRecipes(hero.items);
+            }
+        }
+    }
+
+    /**
+     * Decide what to do with every city captured this turn
+     * @param {number} playerId - AI player ID
+     */
+    resolveCaptures(playerId) {
+        for (const city of this.gameState.getPendingCaptures(playerId)) {
+            const option = this.chooseCaptureOption(city, playerId);
+            const result = this.gameState.resolveCityCapture(city, option);
+            if (result.success) {
+                this.turnActions.push({
+                    type: 'CITY_CAPTURE',
+                    cityId: city.id,
+                    option,
+                    gold: result.gold
+                });
+                console.log(`AIEngine: Chose to ${option} ${city.name}`);
+            }
+        }
+    }
+
+    /**
+     * Choose what to do with a captured city. Cities that enemies in sight
+     * could take straight back are plundered or razed; otherwise the
+     * personality decides between keeping the city and its plunder.
+     * @param {City} city - Captured city
+     * @param {number} playerId - AI player ID
+     * @returns {string} - Option from CAPTURE_OPTIONS
+     */
+    chooseCaptureOption(city, playerId) {
+        const player = this.gameState.getPlayer(playerId);
+        const nearby = Array.from(this.gameState.getUnits().values())
+            .filter(unit => this.calculateDistance(unit.x, unit.y, city.x, city.y) <= 3);
+        const enemies = nearby.filter(unit => this.isEnemy(playerId, unit.owner) && this.canSeeUnit(playerId, unit)).length;
+        const defenders = nearby.filter(unit => unit.owner === playerId).length;
+        const plunder = city.improvements.length > 0 ? CAPTURE_OPTIONS.SACK : CAPTURE_OPTIONS.PILLAGE;
+
+        if (enemies > defenders) {
+            if (this.personality === 'AGGRESSIVE' || (city.size === 1 && this.personality !== 'DEFENSIVE')) {
+                return CAPTURE_OPTIONS.RAZE;
+            }
+            return plunder;
+        }
+
+        switch (this.personality) {
+            case 'AGGRESSIVE':
+                return plunder;
+            case 'DEFENSIVE':
+                return CAPTURE_OPTIONS.OCCUPY;
+            default:
+                // Short of gold: take some now and keep the city
+                return player && player.resources.gold < 100 ? CAPTURE_OPTIONS.PILLAGE : CAPTURE_OPTIONS.OCCUPY;
+        }
+    }
+
+    /**
+     * Move the neutral monsters at the start of a round. A monster stack
+     * attacks a unit next to it if it can; otherwise guards close in on
+     * intruders near their ruins or head back to them, and roamers wander.
+     * Runs synchronously on the game's random numbers so replays repeat it.
+     * @returns {Array} - Results of the battles the monsters fought
+     */
+    processMonsterTurn() {
+        const battles = [];
+        if (!this.gameState.getMap()) {
+            return battles;
+        }
+
+        for (const monsters of this.gameState.getMonsterStacks()) {
+            monsters.forEach(monster => monster.resetForTurn());
+
+            const prey = this.findMonsterPrey(monsters);
+            if (prey) {
+                const defenders = this.gameState.getUnitsAt(prey.x, prey.y).filter(unit => unit.owner === prey.owner);
+                const result = this.gameState.resolveBattle(monsters, defenders);
+                if (result) {
+                    battles.push(result);
+                    this.turnActions.push({ type: 'MONSTER_ATTACK', x: prey.x, y: prey.y, winner: result.winner });
+                }
+                continue;
+            }
+
+            this.rankMonsterSteps(monsters).find(hex => this.gameState.moveMonsterStack(monsters, hex.x, hex.y));
+        }
+
+        return battles;
+    }
+
+    /**
+     * Find a unit next to a monster stack for it to attack. Monsters leave
+     * cities alone, and guards only strike near the ruins they guard.
+     * @param {Array} monsters - Monsters sharing a hex
+     * @returns {Unit|null} - Unit on the weakest neighbouring hex, or null
+     */
+    findMonsterPrey(monsters) {
+        const [leader] = monsters;
+        let prey = null;
+        let weakest = Infinity;
+
+        for (const hex of this.gameState.getMap().getNeighbors(leader.x, leader.y)) {
+            if (!hex.unit || hex.hasCity() || !this.isEnemy(NEUTRAL_OWNER, hex.unit.owner) || !this.isNearMonsterHome(leader, hex)) {
+                continue;
+            }
+
+            const strength = this.calculateMilitaryStrength(this.gameState.getUnitsAt(hex.x, hex.y));
+            if (strength < weakest) {
+                weakest = strength;
+                prey = hex.unit;
+            }
+        }
+
+        return prey;
+    }
+
+    /**
+     * Check if a hex is within the ground a monster keeps to.
+     * Roaming monsters go anywhere; guards stay close to their ruins.
+     * @param {Unit} monster - Monster
+     * @param {Hex} hex - Hex to check
+     * @returns {boolean} - True if the monster may go or strike there
+     */
+    isNearMonsterHome(monster, hex) {
+        const home = monster.behavior;
+        if (!home || home.type !== MONSTER_BEHAVIORS.GUARD) {
+            return true;
+        }
+        return hex.distanceTo(this.gameState.getHex(home.x, home.y)) <= monsterRegistry.spawning.guardRange;
+    }
+
+    /**
+     * List the hexes a monster stack could step to, best first. Roamers
+     * pick at random; guards only take steps that bring them closer to an
+     * intruder or, with none about, back to their ruins.
+     * @param {Array} monsters - Monsters sharing a hex
+     * @returns {Array} - Neighbouring hexes to try in order
+     */
+    rankMonsterSteps(monsters) {
+        const [leader] = monsters;
+        const map = this.gameState.getMap();
+        const open = map.getNeighbors(leader.x, leader.y)
+            .filter(hex => hex.isPassable() && !hex.unit && !hex.hasCity() && this.isNearMonsterHome(leader, hex));
+
+        const home = leader.behavior;
+        if (!home || home.type !== MONSTER_BEHAVIORS.GUARD) {
+            return this.gameState.random.shuffle(open);
+        }
+
+        const intruder = Array.from(this.gameState.getUnits().values())
+            .filter(unit => this.isEnemy(NEUTRAL_OWNER, unit.owner) && !this.gameState.getCityAt(unit.x, unit.y) &&
+                this.isNearMonsterHome(leader, map.getHex(unit.x, unit.y)))
+            .sort((a, b) => this.calculateDistance(leader.x, leader.y, a.x, a.y) -
+                this.calculateDistance(leader.x, leader.y, b.x, b.y))[0];
+        const target = intruder ? map.getHex(intruder.x, intruder.y) : map.getHex(home.x, home.y);
+        const distance = map.getHex(leader.x, leader.y).distanceTo(target);
+
+        return open
+            .filter(hex => hex.distanceTo(target) < distance)
+            .sort((a, b) => a.distanceTo(target) - b.distanceTo(target));
+    }
+
     /**
      * Make strategic decisions (long-term planning)
      * @param {number} playerId - AI player ID
@@ -918,14 +1367,7 @@ export class AIEngine {
      * @returns {Object|null} - Unit configuration or null
      */
     getUnitConfig(unitType) {
-        // Fallback unit configs (avoid circular imports)
-        const fallbackConfigs = {
-            'WARRIOR': { attack: 3, defense: 2, movement: 2, cost: 50 },
-            'ARCHER': { attack: 4, defense: 1, movement: 2, cost: 60 },
-            'CAVALRY': { attack: 5, defense: 2, movement: 4, cost: 80 },
-            'HERO': { attack: 6, defense: 4, movement: 3, cost: 0 }
-        };
-        return fallbackConfigs[unitType] || null;
+        return unitRegistry.get(unitType);
     }
 
     /**
@@ -0,0 +1,116 @@
+/**
+ * ActionLog - Ordered record of every state-changing command in a game
+ * Actions are plain serializable objects; units are referenced by position
+ * (see GameState.getUnitRef) so a log can be replayed on a fresh game
+ */
+
+export const ACTION_TYPES = {
+    MOVE_UNIT: 'MOVE_UNIT',
+    MOVE_STACK: 'MOVE_STACK',
+    SPLIT_STACK: 'SPLIT_STACK',
+    MERGE_STACK: 'MERGE_STACK',
+    GO_TO: 'GO_TO',
+    ATTACK: 'ATTACK',
+    PRODUCE_UNIT: 'PRODUCE_UNIT',
+    CANCEL_PRODUCTION: 'CANCEL_PRODUCTION',
+    QUEUE_PRODUCTION: 'QUEUE_PRODUCTION',
+    MOVE_QUEUED_PRODUCTION: 'MOVE_QUEUED_PRODUCTION',
+    REMOVE_QUEUED_PRODUCTION: 'REMOVE_QUEUED_PRODUCTION',
+    SET_VECTOR: 'SET_VECTOR',
+    START_CONSTRUCTION: 'START_CONSTRUCTION',
+    CANCEL_CONSTRUCTION: 'CANCEL_CONSTRUCTION',
+    RESOLVE_CAPTURE: 'RESOLVE_CAPTURE',
+    PROPOSE_TREATY: 'PROPOSE_TREATY',
+    RESPOND_TREATY: 'RESPOND_TREATY',
+    DECLARE_WAR: 'DECLARE_WAR',
+    RESOLVE_HERO_OFFER: 'RESOLVE_HERO_OFFER',
+    CHOOSE_SKILL: 'CHOOSE_SKILL',
+    END_TURN: 'END_TURN',
+    CAST_SPELL: 'CAST_SPELL',
+    USE_ITEM: 'USE_ITEM',
+    EQUIP_ITEM: 'EQUIP_ITEM',
+    DROP_ITEM: 'DROP_ITEM',
+    PICK_UP_ITEM: 'PICK_UP_ITEM',
+    TRANSFER_ITEM: 'TRANSFER_ITEM',
+    CRAFT_ITEM: 'CRAFT_ITEM',
+    EXPLORE_LOCATION: 'EXPLORE_LOCATION'
+};
+
+export class ActionLog {
+    constructor() {
+        this.actions = [];
+    }
+
+    /**
+     * Append an action to the log
+     * @param {Object} action - Action with a type from ACTION_TYPES
+     * @returns {Object} - Logged action (with its index)
+     */
+    record(action) {
+        if (!action || !ACTION_TYPES[action.type]) {
+            throw new Error(`Unknown action type: ${action ? action.type : action}`);
+        }
+
+        const entry = { ...action, index: this.actions.length };
+        this.actions.push(entry);
+        return entry;
+    }
+
+    /**
+     * Get all logged actions in order
+     * @returns {Array} - Copy of the action list
+     */
+    getActions() {
+        return [...this.actions];
+    }
+
+    /**
+     * Get a logged action by index
+     * @param {number} index - Action index
+     * @returns {Object|null} - Action or null
+     */
+    getAction(index) {
+        return this.actions[index] || null;
+    }
+
+    /**
+     * Get number of logged actions
+     * @returns {number} - Action count
+     */
+    size() {
+        return this.actions.length;
+    }
+
+    /**
+     * Drop actions from the end of the log (used when an action is undone)
+     * @param {number} size - Number of actions to keep
+     */
+    truncate(size) {
+        this.actions.length = Math.min(this.actions.length, Math.max(0, size));
+    }
+
+    /**
+     * Remove all logged actions
+     */
+    clear() {
+        this.actions = [];
+    }
+
+    /**
+     * Serialize the log
+     * @returns {Object} - Serialized data
+     */
+    serialize() {
+        return {
+            actions: JSON.parse(JSON.stringify(this.actions))
+        };
+    }
+
+    /**
+     * Restore the log
+     * @param {Object} data - Serialized data
+     */
+    deserialize(data) {
+        this.actions = (data.actions || []).map(action => ({ ...action }));
+    }
+}
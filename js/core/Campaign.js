@@ -0,0 +1,238 @@
+/**
+ * Campaign - A run of scenarios (chapters) played one after another. Winning
+ * a chapter unlocks the chapter its outcome leads to, so the story can branch,
+ * and the heroes the player picks march on into it with their items, spells
+ * and experience.
+ */
+
+import { Scenario } from './Scenario.js';
+
+// Heroes a player may take from one chapter into the next unless the campaign says otherwise
+export const DEFAULT_CARRIED_HEROES = 2;
+
+export const CHAPTER_STATES = {
+    LOCKED: 'LOCKED',
+    UNLOCKED: 'UNLOCKED',
+    COMPLETED: 'COMPLETED'
+};
+
+export class Campaign {
+    constructor(data = {}) {
+        this.id = data.id || null;
+        this.name = data.name || 'Untitled Campaign';
+        this.description = data.description || '';
+
+        // The seat the campaign's player takes in every chapter
+        this.player = data.player ?? 0;
+        this.maxHeroes = data.maxHeroes ?? DEFAULT_CARRIED_HEROES;
+
+        // [{ id, name, description, scenario, next: { outcome: chapterId, default?: chapterId } }]
+        this.chapters = (data.chapters || []).map(chapter => ({
+            ...chapter,
+            scenario: new Scenario(chapter.scenario),
+            next: { ...(chapter.next || {}) }
+        }));
+        this.start = data.start || (this.chapters[0] ? this.chapters[0].id : null);
+    }
+
+    /**
+     * Load a campaign file, rejecting it if it does not hold together
+     * @param {Object} data - Parsed campaign JSON
+     * @returns {Campaign} - Campaign instance
+     */
+    static load(data) {
+        const errors = Campaign.validate(data);
+        if (errors.length > 0) {
+            throw new Error(`Invalid campaign: ${errors.join('; ')}`);
+        }
+        return new Campaign(data);
+    }
+
+    /**
+     * Check a campaign file for mistakes
+     * @param {Object} data - Parsed campaign JSON
+     * @returns {Array} - List of validation errors (empty if valid)
+     */
+    static validate(data) {
+        if (!data || typeof data !== 'object') {
+            return ['Campaign must be an object'];
+        }
+
+        const errors = [];
+        if (!data.id) {
+            errors.push('Campaign needs an id');
+        }
+
+        const chapters = Array.isArray(data.chapters) ? data.chapters : [];
+        if (chapters.length === 0) {
+            return [...errors, 'Campaign needs at least one chapter'];
+        }
+
+        const ids = chapters.map(chapter => chapter.id);
+        if (ids.some(id => !id) || new Set(ids).size !== ids.length) {
+            errors.push('Every chapter needs an id of its own');
+        }
+        if (data.start !== undefined && !ids.includes(data.start)) {
+            errors.push(`Unknown start chapter ${data.start}`);
+        }
+        if (data.maxHeroes !== undefined && (!Number.isInteger(data.maxHeroes) || data.maxHeroes < 0)) {
+            errors.push('maxHeroes must be a non-negative integer');
+        }
+
+        const player = data.player ?? 0;
+        for (const chapter of chapters) {
+            const label = `Chapter ${chapter.id}`;
+            for (const error of Scenario.validate(chapter.scenario)) {
+                errors.push(`${label}: ${error}`);
+            }
+            if (chapter.scenario && Array.isArray(chapter.scenario.players) &&
+                !chapter.scenario.players.some(seat => seat.id === player)) {
+                errors.push(`${label}: has no seat for player ${player}`);
+            }
+            for (const [outcome, next] of Object.entries(chapter.next || {})) {
+                if (!ids.includes(next)) {
+                    errors.push(`${label}: outcome ${outcome} leads to unknown chapter ${next}`);
+                }
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Get a chapter
+     * @param {string} chapterId - Chapter ID
+     * @returns {Object|null} - Chapter or null
+     */
+    getChapter(chapterId) {
+        return this.chapters.find(chapter => chapter.id === chapterId) || null;
+    }
+
+    /**
+     * List where a chapter can lead
+     * @param {string} chapterId - Chapter ID
+     * @returns {Array} - [{ outcome, chapter }]
+     */
+    getBranches(chapterId) {
+        const chapter = this.getChapter(chapterId);
+        if (!chapter) {
+            return [];
+        }
+        return Object.entries(chapter.next).map(([outcome, next]) => ({ outcome, chapter: this.getChapter(next) }));
+    }
+
+    /**
+     * Start a fresh run through the campaign
+     * @returns {Object} - Progress { campaignId, unlocked, completed, heroes, finished }
+     */
+    createProgress() {
+        return {
+            campaignId: this.id,
+            unlocked: this.start ? [this.start] : [],
+            completed: {},
+            heroes: [],
+            finished: false
+        };
+    }
+
+    /**
+     * Check whether a chapter is locked, open to play or already won
+     * @param {Object} progress - Campaign progress
+     * @param {string} chapterId - Chapter ID
+     * @returns {string} - One of CHAPTER_STATES
+     */
+    getChapterState(progress, chapterId) {
+        if (progress.completed[chapterId] !== undefined) {
+            return CHAPTER_STATES.COMPLETED;
+        }
+        return progress.unlocked.includes(chapterId) ? CHAPTER_STATES.UNLOCKED : CHAPTER_STATES.LOCKED;
+    }
+
+    /**
+     * Build the game configuration for playing a chapter. The heroes carried
+     * over from earlier chapters travel in the configuration, so saved games
+     * and replays of the chapter start with them too.
+     * @param {Object} progress - Campaign progress
+     * @param {string} chapterId - Chapter ID
+     * @param {Object} gameSettings - Extra game settings (e.g. use3DRendering)
+     * @returns {Object|null} - Game configuration, or null if the chapter is locked
+     */
+    buildConfig(progress, chapterId, gameSettings = {}) {
+        const chapter = this.getChapter(chapterId);
+        if (!chapter || this.getChapterState(progress, chapterId) !== CHAPTER_STATES.UNLOCKED) {
+            return null;
+        }
+
+        const scenario = chapter.scenario;
+        return {
+            map: { width: scenario.map.width, height: scenario.map.height },
+            players: scenario.players.map(seat => ({
+                id: seat.id,
+                name: seat.name || `Player ${seat.id + 1}`,
+                faction: seat.faction,
+                color: seat.color,
+                // Every other seat is the computer's
+                isAI: seat.id !== this.player
+            })),
+            gameSettings: { neutralMonsters: false, ...gameSettings },
+            scenario: scenario.serialize(),
+            campaign: {
+                id: this.id,
+                chapter: chapterId,
+                player: this.player,
+                heroes: progress.heroes.map(hero => JSON.parse(JSON.stringify(hero)))
+            }
+        };
+    }
+
+    /**
+     * Record a won chapter: unlock the chapter its outcome leads to and keep
+     * the heroes chosen to go on
+     * @param {Object} progress - Campaign progress (updated in place)
+     * @param {string} chapterId - Chapter won
+     * @param {string} outcome - How the scenario ended (its victory outcome)
+     * @param {Array} heroes - Campaign records of the heroes going on (Hero.toCampaignRecord)
+     * @returns {Object|null} - The chapter unlocked, or null if the campaign is over
+     */
+    completeChapter(progress, chapterId, outcome, heroes = []) {
+        const chapter = this.getChapter(chapterId);
+        if (!chapter) {
+            return null;
+        }
+
+        progress.completed[chapterId] = outcome;
+        progress.heroes = heroes.slice(0, this.maxHeroes);
+
+        const nextId = chapter.next[outcome] || chapter.next.default;
+        const next = nextId ? this.getChapter(nextId) : null;
+        if (!next) {
+            progress.finished = true;
+            return null;
+        }
+
+        if (!progress.unlocked.includes(next.id)) {
+            progress.unlocked.push(next.id);
+        }
+        return next;
+    }
+
+    /**
+     * Serialize campaign data
+     * @returns {Object} - Serialized data (the campaign file format)
+     */
+    serialize() {
+        return {
+            id: this.id,
+            name: this.name,
+            description: this.description,
+            player: this.player,
+            maxHeroes: this.maxHeroes,
+            start: this.start,
+            chapters: this.chapters.map(chapter => ({
+                ...chapter,
+                scenario: chapter.scenario.serialize(),
+                next: { ...chapter.next }
+            }))
+        };
+    }
+}
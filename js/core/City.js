@@ -4,11 +4,44 @@
  * Requirements: 5.1, 5.2, 5.3, 5.4, 5.5
  */
 
-import { UNIT_TYPES, UNIT_CONFIG } from './Unit.js';
+import { UNIT_CONFIG } from './Unit.js';
 import { factionManager } from './Faction.js';
+import { StatusEffectList } from './StatusEffect.js';
 
 let cityIdCounter = 1;
 
+// Most orders a city's production queue can hold
+export const MAX_PRODUCTION_QUEUE = 8;
+
+// Buildings a city can construct once each (cost in gold, build time in turns)
+export const CITY_IMPROVEMENTS = {
+    WALLS: { name: 'Walls', cost: 150, turns: 3, description: '+2 defense for the city\'s defenders' },
+    MARKETPLACE: { name: 'Marketplace', cost: 120, turns: 3, description: '+50% gold' },
+    BARRACKS: { name: 'Barracks', cost: 100, turns: 2, description: '+50% production, units are built faster' },
+    TEMPLE: { name: 'Temple', cost: 100, turns: 2, description: 'Units in the city heal half their health each turn' }
+};
+
+// Construction project that grows the city by one size level
+export const CITY_UPGRADE = 'UPGRADE';
+
+// Largest city size (the renderers draw three tiers)
+export const MAX_CITY_SIZE = 3;
+
+// Defense bonus walls add to the city's own bonus
+export const WALLS_DEFENSE_BONUS = 2;
+
+// What a conqueror can do with a city they have just taken
+export const CAPTURE_OPTIONS = {
+    OCCUPY: 'OCCUPY',
+    PILLAGE: 'PILLAGE',
+    SACK: 'SACK',
+    RAZE: 'RAZE'
+};
+
+// Gold a pillaged city yields per size level, and how many turns its production stays halved
+export const PILLAGE_GOLD_PER_SIZE = 50;
+export const PILLAGE_RECOVERY_TURNS = 5;
+
 /**
  * Generate unique city ID
  * @returns {string} - Unique city ID
@@ -40,37 +73,173 @@ export class City {
         this.y = y;
         this.size = size;
 
-        // Production queue - array of unit types to produce
+        // Production queue - orders waiting to be built: { unitType, count, repeat }
+        // (repeat orders are built until removed; others count down to zero)
         this.production = [];
 
         // Garrison - units stationed in the city
         this.garrison = [];
 
-        // City resources and production capacity
-        this.goldPerTurn = this.calculateGoldProduction();
+        // Finished improvements (keys of CITY_IMPROVEMENTS) and the project
+        // being built: { project, turnsLeft, cost, turns } or null
+        this.improvements = [];
+        this.construction = null;
+
+        // Turn the city was captured on while its conqueror has yet to choose
+        // what to do with it (null otherwise), and turns left to recover from pillaging
+        this.capturedTurn = null;
+        this.pillagedTurns = 0;
+
+        // Timed spell effects on the city (e.g. a Shield raising its defense)
+        this.statusEffects = new StatusEffectList();
+
+        // City production capacity (gold comes from getIncome)
         this.productionCapacity = this.calculateProductionCapacity();
 
         // Production state
         this.currentProduction = null; // Currently producing unit
         this.productionProgress = 0; // Progress towards completing current production
 
+        // Vector: rally point { x, y } that newly produced units march to, or null
+        this.vectorTarget = null;
+
         console.log(`City created: ${this.name} (${this.id}) at (${x}, ${y}) for player ${owner}, size ${size}`);
     }
 
     /**
-     * Calculate gold production per turn based on city size
+     * Calculate production capacity based on city size
+     * @returns {number} - Production points per turn
+     */
+    calculateProductionCapacity() {
+        const base = this.size * 10; // Base 10 production points per size level
+        const capacity = this.hasImprovement('BARRACKS') ? Math.floor(base * 1.5) : base;
+        return this.pillagedTurns > 0 ? Math.floor(capacity / 2) : capacity;
+    }
+
+    /**
+     * Gold the city adds to its owner's treasury each turn
      * @returns {number} - Gold per turn
      */
-    calculateGoldProduction() {
-        return this.size * 50; // Base 50 gold per size level
+    getIncome() {
+        const base = this.size * 5;
+        return this.hasImprovement('MARKETPLACE') ? Math.floor(base * 1.5) : base;
     }
 
     /**
-     * Calculate production capacity based on city size
-     * @returns {number} - Production points per turn
+     * Defense bonus the city gives its owner's defenders
+     * @returns {number} - Defense bonus
      */
-    calculateProductionCapacity() {
-        return this.size * 10; // Base 10 production points per size level
+    getDefenseBonus() {
+        return this.size + (this.hasImprovement('WALLS') ? WALLS_DEFENSE_BONUS : 0) +
+            this.statusEffects.getModifier('defense');
+    }
+
+    /**
+     * Check if an improvement has been built
+     * @param {string} improvement - Improvement key
+     * @returns {boolean} - True if built
+     */
+    hasImprovement(improvement) {
+        return this.improvements.includes(improvement);
+    }
+
+    /**
+     * Get the gold cost and build time of a construction project
+     * @param {string} project - Improvement key or CITY_UPGRADE
+     * @returns {Object|null} - { cost, turns }, or null if it cannot be built here
+     */
+    getConstructionCost(project) {
+        if (project === CITY_UPGRADE) {
+            if (this.size >= MAX_CITY_SIZE) {
+                return null;
+            }
+            return { cost: this.size * 200, turns: this.size + 2 };
+        }
+
+        const improvement = CITY_IMPROVEMENTS[project];
+        if (!improvement || this.hasImprovement(project)) {
+            return null;
+        }
+        return { cost: improvement.cost, turns: improvement.turns };
+    }
+
+    /**
+     * Start building an improvement or a size upgrade, paying for it now
+     * @param {string} project - Improvement key or CITY_UPGRADE
+     * @param {Array} players - Array of players
+     * @returns {boolean} - True if construction started
+     */
+    startConstruction(project, players) {
+        if (this.construction) {
+            console.warn(`City ${this.name} is already building ${this.construction.project}`);
+            return false;
+        }
+
+        const price = this.getConstructionCost(project);
+        if (!price) {
+            console.warn(`City ${this.name} cannot build ${project}`);
+            return false;
+        }
+
+        const player = players.find(p => p.id === this.owner);
+        if (!player || !player.spendGold(price.cost)) {
+            console.warn(`City ${this.name} cannot afford ${project} (cost: ${price.cost})`);
+            return false;
+        }
+
+        this.construction = { project, turnsLeft: price.turns, cost: price.cost, turns: price.turns };
+        console.log(`City ${this.name} started building ${project} for ${price.cost} gold`);
+        return true;
+    }
+
+    /**
+     * Advance construction by one turn
+     * @returns {string|null} - Finished project or null
+     */
+    processConstruction() {
+        if (!this.construction) {
+            return null;
+        }
+
+        this.construction.turnsLeft--;
+        if (this.construction.turnsLeft > 0) {
+            return null;
+        }
+
+        const { project } = this.construction;
+        this.construction = null;
+
+        if (project === CITY_UPGRADE) {
+            this.size++;
+        } else {
+            this.improvements.push(project);
+        }
+        this.productionCapacity = this.calculateProductionCapacity();
+
+        console.log(`City ${this.name} finished building ${project}`);
+        return project;
+    }
+
+    /**
+     * Cancel construction, refunding the gold for the turns not yet worked
+     * @param {Array} players - Array of players
+     * @returns {boolean} - True if construction was cancelled
+     */
+    cancelConstruction(players) {
+        if (!this.construction) {
+            return false;
+        }
+
+        const { project, cost, turns, turnsLeft } = this.construction;
+        const refund = Math.floor(cost * turnsLeft / turns);
+        const player = players.find(p => p.id === this.owner);
+        if (player && refund > 0) {
+            player.addGold(refund);
+        }
+
+        console.log(`City ${this.name} cancelled building ${project}, refunded ${refund} gold`);
+        this.construction = null;
+        return true;
     }
 
     /**
@@ -124,11 +293,6 @@ export class City {
         // Get base cost from unit config
         let baseCost = UNIT_CONFIG[unitType].cost;
 
-        // Heroes are free but can only be produced once per city
-        if (unitType === UNIT_TYPES.HERO) {
-            baseCost = 0;
-        }
-
         // Get faction-specific cost modifications
         const ownerFaction = this.getOwnerFaction(players);
         if (ownerFaction) {
@@ -215,10 +379,185 @@ export class City {
     }
 
     /**
-     * Process production for one turn
+     * Add an order to the production queue. Nothing is charged until an
+     * item starts; an idle city starts the first item at once.
+     * @param {string} unitType - Unit type to produce
+     * @param {Array} players - Array of players
+     * @param {Object} options - { count: items to build, repeat: build until removed }
+     * @returns {boolean} - True if the order was queued
+     */
+    queueProduction(unitType, players, { count = 1, repeat = false } = {}) {
+        if (!this.canProduce(unitType, players)) {
+            console.warn(`City ${this.name} cannot produce ${unitType}`);
+            return false;
+        }
+
+        if (!Number.isInteger(count) || count < 1) {
+            console.warn(`Invalid production count: ${count}`);
+            return false;
+        }
+
+        if (this.production.length >= MAX_PRODUCTION_QUEUE) {
+            console.warn(`City ${this.name} production queue is full`);
+            return false;
+        }
+
+        this.production.push({ unitType, count, repeat: !!repeat });
+        console.log(`City ${this.name} queued ${repeat ? 'repeating' : count} ${unitType}`);
+
+        if (!this.currentProduction) {
+            this.startNextProduction(players);
+        }
+        return true;
+    }
+
+    /**
+     * Start building the next queued item, paying for it now.
+     * If the owner cannot afford it the order waits in the queue.
+     * @param {Array} players - Array of players
+     * @returns {boolean} - True if production started
+     */
+    startNextProduction(players) {
+        if (this.currentProduction || this.production.length === 0) {
+            return false;
+        }
+
+        const order = this.production[0];
+        if (!this.produceUnit(order.unitType, players)) {
+            return false;
+        }
+
+        // Repeating orders stay at the head of the queue until removed
+        if (!order.repeat) {
+            order.count--;
+            if (order.count <= 0) {
+                this.production.shift();
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Move a queued order to another place in the queue
+     * @param {number} fromIndex - Current queue index
+     * @param {number} toIndex - New queue index
+     * @returns {boolean} - True if the order was moved
+     */
+    moveQueuedProduction(fromIndex, toIndex) {
+        const size = this.production.length;
+        if (fromIndex < 0 || fromIndex >= size || toIndex < 0 || toIndex >= size || fromIndex === toIndex) {
+            return false;
+        }
+
+        const [order] = this.production.splice(fromIndex, 1);
+        this.production.splice(toIndex, 0, order);
+        return true;
+    }
+
+    /**
+     * Remove an order from the production queue (queued items are unpaid, so nothing is refunded)
+     * @param {number} index - Queue index
+     * @returns {boolean} - True if the order was removed
+     */
+    removeQueuedProduction(index) {
+        if (index < 0 || index >= this.production.length) {
+            return false;
+        }
+
+        const [order] = this.production.splice(index, 1);
+        console.log(`City ${this.name} removed ${order.unitType} from its production queue`);
+        return true;
+    }
+
+    /**
+     * Send newly produced units to a rally point
+     * @param {number} x - Target X coordinate
+     * @param {number} y - Target Y coordinate
+     */
+    setVector(x, y) {
+        this.vectorTarget = { x, y };
+        console.log(`City ${this.name} now vectors new units to (${x}, ${y})`);
+    }
+
+    /**
+     * Stop vectoring new units
+     */
+    clearVector() {
+        this.vectorTarget = null;
+    }
+
+    /**
+     * Gold a conqueror takes by pillaging the city
+     * @returns {number} - Gold
+     */
+    getPillageGold() {
+        return this.size * PILLAGE_GOLD_PER_SIZE;
+    }
+
+    /**
+     * Gold a conqueror takes by sacking the city: the pillage plus
+     * half the cost of every improvement torn down
+     * @returns {number} - Gold
+     */
+    getSackGold() {
+        return this.improvements.reduce(
+            (total, key) => total + Math.floor(CITY_IMPROVEMENTS[key].cost / 2),
+            this.getPillageGold()
+        );
+    }
+
+    /**
+     * Pillage the city: production is halved until it recovers
+     * @returns {number} - Gold taken
+     */
+    pillage() {
+        const gold = this.getPillageGold();
+        this.pillagedTurns = PILLAGE_RECOVERY_TURNS;
+        this.productionCapacity = this.calculateProductionCapacity();
+        console.log(`City ${this.name} was pillaged for ${gold} gold`);
+        return gold;
+    }
+
+    /**
+     * Sack the city: pillage it and strip its improvements
+     * @returns {number} - Gold taken
+     */
+    sack() {
+        const gold = this.getSackGold();
+        this.improvements = [];
+        this.pillagedTurns = PILLAGE_RECOVERY_TURNS;
+        this.productionCapacity = this.calculateProductionCapacity();
+        console.log(`City ${this.name} was sacked for ${gold} gold`);
+        return gold;
+    }
+
+    /**
+     * Count down pillage damage, restoring full production when it is repaired
+     */
+    recoverFromPillage() {
+        if (this.pillagedTurns <= 0) {
+            return;
+        }
+
+        this.pillagedTurns--;
+        if (this.pillagedTurns === 0) {
+            this.productionCapacity = this.calculateProductionCapacity();
+        }
+    }
+
+    /**
+     * Process production for one turn. When players are given, an idle
+     * city first starts the next item in its queue.
+     * @param {Array} players - Array of players (optional)
      * @returns {string|null} - Completed unit type or null if nothing completed
      */
-    processProduction() {
+    processProduction(players = null) {
+        this.recoverFromPillage();
+
+        if (!this.currentProduction && players) {
+            this.startNextProduction(players);
+        }
+
         if (!this.currentProduction) {
             return null;
         }
@@ -252,15 +591,8 @@ export class City {
             return 100; // Default
         }
 
-        // Production points roughly equal to unit cost
-        const baseCost = UNIT_CONFIG[unitType].cost;
-
-        // Heroes require special handling
-        if (unitType === UNIT_TYPES.HERO) {
-            return 200; // Heroes take longer to produce even though they're free
-        }
-
-        return Math.max(10, baseCost); // Minimum 10 production points
+        // Production time comes from the unit catalogue
+        return Math.max(10, UNIT_CONFIG[unitType].productionPoints); // Minimum 10 production points
     }
 
     /**
@@ -310,6 +642,15 @@ export class City {
         if (this.currentProduction) {
             this.cancelProduction(players);
         }
+        this.production = [];
+        this.vectorTarget = null;
+
+        // Unfinished building work is lost; finished buildings stay
+        this.construction = null;
+        this.capturedTurn = null;
+
+        // The old owner's spells on the city end with their rule
+        this.statusEffects = new StatusEffectList();
 
         // Clear garrison (units flee or are captured)
         this.garrison = [];
@@ -375,13 +716,13 @@ export class City {
         // Generate gold for owner
         const player = players.find(p => p.id === this.owner);
         if (player) {
-            const goldGenerated = this.goldPerTurn;
+            const goldGenerated = this.getIncome();
             player.addGold(goldGenerated);
             results.goldGenerated = goldGenerated;
         }
 
         // Process production
-        const completedUnit = this.processProduction();
+        const completedUnit = this.processProduction(players);
         if (completedUnit) {
             results.unitCompleted = completedUnit;
         }
@@ -405,10 +746,15 @@ export class City {
             ownerFaction: ownerFaction,
             position: { x: this.x, y: this.y },
             size: this.size,
-            goldPerTurn: this.goldPerTurn,
+            goldPerTurn: this.getIncome(),
             productionCapacity: this.productionCapacity,
             currentProduction: this.currentProduction,
             productionProgress: this.productionProgress,
+            productionQueue: this.production.map(order => ({ ...order })),
+            vectorTarget: this.vectorTarget ? { ...this.vectorTarget } : null,
+            improvements: [...this.improvements],
+            construction: this.construction ? { ...this.construction } : null,
+            pillagedTurns: this.pillagedTurns,
             garrisonSize: this.garrison.length,
             garrisonStrength: this.getGarrisonStrength(),
             availableUnits: availableUnits
@@ -427,12 +773,17 @@ export class City {
             x: this.x,
             y: this.y,
             size: this.size,
-            production: [...this.production],
+            production: this.production.map(order => ({ ...order })),
             garrison: this.garrison.map(unit => unit.serialize()),
-            goldPerTurn: this.goldPerTurn,
             productionCapacity: this.productionCapacity,
             currentProduction: this.currentProduction,
-            productionProgress: this.productionProgress
+            productionProgress: this.productionProgress,
+            vectorTarget: this.vectorTarget ? { ...this.vectorTarget } : null,
+            improvements: [...this.improvements],
+            construction: this.construction ? { ...this.construction } : null,
+            capturedTurn: this.capturedTurn,
+            pillagedTurns: this.pillagedTurns,
+            statusEffects: this.statusEffects.serialize()
         };
     }
 
@@ -446,11 +797,19 @@ export class City {
 
         // Restore state
         city.id = data.id;
-        city.production = data.production || [];
-        city.goldPerTurn = data.goldPerTurn || city.calculateGoldProduction();
+        // Older saves stored bare unit types
+        city.production = (data.production || []).map(order => typeof order === 'string'
+            ? { unitType: order, count: 1, repeat: false }
+            : { ...order });
         city.productionCapacity = data.productionCapacity || city.calculateProductionCapacity();
         city.currentProduction = data.currentProduction || null;
         city.productionProgress = data.productionProgress || 0;
+        city.vectorTarget = data.vectorTarget || null;
+        city.improvements = data.improvements ? [...data.improvements] : [];
+        city.construction = data.construction ? { ...data.construction } : null;
+        city.capturedTurn = typeof data.capturedTurn === 'number' ? data.capturedTurn : null;
+        city.pillagedTurns = data.pillagedTurns || 0;
+        city.statusEffects = StatusEffectList.deserialize(data.statusEffects);
 
         // Garrison will be restored separately by the game state manager
         city.garrison = [];
@@ -60,6 +60,63 @@ export class CityRenderer {
         ctx.restore();
     }
 
+    /**
+     * Draw a wall ring around a city that has built walls
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} x - Center X
+     * @param {number} y - Center Y
+     * @param {number} size - Size of the city (hexSize)
+     */
+    drawWalls(ctx, x, y, size) {
+        const radius = size * 0.45;
+        const towers = 6;
+
+        ctx.save();
+        ctx.translate(x, y);
+
+        ctx.strokeStyle = '#5D5D5D';
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.arc(0, 0, radius, 0, Math.PI * 2);
+        ctx.stroke();
+
+        ctx.fillStyle = '#7F7F7F';
+        for (let i = 0; i < towers; i++) {
+            const angle = (i / towers) * Math.PI * 2;
+            ctx.fillRect(Math.cos(angle) * radius - 2.5, Math.sin(angle) * radius - 2.5, 5, 5);
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * Draw the ruins left where a city was razed
+     * @param {CanvasRenderingContext2D} ctx - Canvas context
+     * @param {number} x - Center X
+     * @param {number} y - Center Y
+     * @param {number} size - Size of the hex (hexSize)
+     */
+    drawRuins(ctx, x, y, size) {
+        ctx.save();
+        ctx.translate(x, y);
+
+        // Broken wall stubs of uneven height
+        ctx.fillStyle = '#6E6E6E';
+        ctx.strokeStyle = '#3A3A3A';
+        ctx.lineWidth = 1;
+        const stubs = [[-0.3, 0.12], [-0.12, 0.22], [0.08, 0.08], [0.24, 0.16]];
+        for (const [offset, height] of stubs) {
+            ctx.fillRect(offset * size, size * 0.15 - height * size, size * 0.1, height * size);
+            ctx.strokeRect(offset * size, size * 0.15 - height * size, size * 0.1, height * size);
+        }
+
+        // Rubble
+        ctx.fillStyle = '#8B8378';
+        ctx.fillRect(-size * 0.35, size * 0.15, size * 0.7, size * 0.06);
+
+        ctx.restore();
+    }
+
     drawHumanCity(ctx, size, color) {
         const w = size * 0.6;
         const h = size * 0.5;
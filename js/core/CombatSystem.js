@@ -4,6 +4,13 @@
  * Requirements: 3.5, 6.1, 6.2, 6.3, 6.4
  */
 
+import { unitRegistry } from './UnitRegistry.js';
+import { GameRandom, gameRandom } from './GameRandom.js';
+
+// Previews roll on their own generator so hovering over a target never
+// changes the outcome of the real battle (or of a replay)
+const previewRandom = new GameRandom();
+
 export class CombatSystem {
     /**
      * Resolve combat between two units
@@ -95,10 +102,11 @@ export class CombatSystem {
     
     /**
      * Roll a six-sided die
+     * @param {GameRandom} random - Random number generator
      * @returns {number} - Random number between 1 and 6
      */
-    static rollDice() {
-        return Math.floor(Math.random() * 6) + 1;
+    static rollDice(random = gameRandom) {
+        return random.rollDie(6);
     }
     
     /**
@@ -113,23 +121,15 @@ export class CombatSystem {
             return 0;
         }
         
-        // Base experience based on defeated unit type
-        let baseExperience = 10; // Default for regular units
+        // Base experience based on defeated unit type (from the unit catalogue)
+        const loserConfig = unitRegistry.get(loser.type);
+        const baseExperience = loserConfig ? loserConfig.experienceValue : 10; // Default for unknown units
         
-        if (loser.type === 'HERO') {
-            baseExperience = 50; // More experience for defeating heroes
-        } else if (loser.type === 'CAVALRY') {
-            baseExperience = 20; // Strong units give more experience
-        } else if (loser.type === 'ARCHER') {
-            baseExperience = 15;
-        } else if (loser.type === 'WARRIOR') {
-            baseExperience = 10;
-        }
-        
-        // Level difference modifier
+        // Level difference modifier (monsters have a level in the catalogue instead of earning one)
+        const loserLevel = loser.level || (loserConfig ? loserConfig.level : undefined);
         let levelModifier = 1.0;
-        if (winner.level && loser.level) {
-            const levelDifference = loser.level - winner.level;
+        if (winner.level && loserLevel) {
+            const levelDifference = loserLevel - winner.level;
             if (levelDifference > 0) {
                 levelModifier = 1.0 + (levelDifference * 0.2); // More exp for defeating higher level units
             } else if (levelDifference < 0) {
@@ -146,9 +146,10 @@ export class CombatSystem {
      * @param {Unit} attacker - Attacking unit
      * @param {Unit} defender - Defending unit
      * @param {Map} map - Game map (optional, for future range checks)
+     * @param {Diplomacy} diplomacy - Diplomatic states (optional; without it everyone is at war)
      * @returns {Object} - Combat eligibility result
      */
-    static canEngageInCombat(attacker, defender, map = null) {
+    static canEngageInCombat(attacker, defender, map = null, diplomacy = null) {
         // Basic validation
         if (!attacker || !defender) {
             return {
@@ -185,6 +186,13 @@ export class CombatSystem {
             };
         }
         
+        if (diplomacy && !diplomacy.isAtWar(attacker.owner, defender.owner)) {
+            return {
+                canFight: false,
+                reason: 'Players are not at war'
+            };
+        }
+        
         // Check adjacency if map is provided
         if (map) {
             const attackerHex = map.getHex(attacker.x, attacker.y);
@@ -233,8 +241,8 @@ export class CombatSystem {
         }
         
         for (let i = 0; i < iterations; i++) {
-            const attackRoll = this.rollDice();
-            const defenseRoll = this.rollDice();
+            const attackRoll = previewRandom.rollDie(6);
+            const defenseRoll = previewRandom.rollDie(6);
             
             const totalAttack = attackValue + attackRoll;
             const totalDefense = defenseValue + defenseRoll + terrainDefenseBonus;
@@ -353,4 +361,458 @@ export class CombatSystem {
             averageDamage: simulation.averageDamageToDefender
         };
     }
-}
\ No newline at end of file
+    
+    /**
+     * Get the units of a battle side (Stack, array of units or single unit)
+     * @param {Stack|Array|Unit} side - Side of the battle
+     * @returns {Array} - Living units on that side
+     */
+    static getCombatants(side) {
+        if (!side) {
+            return [];
+        }
+        
+        let units;
+        if (Array.isArray(side)) {
+            units = side;
+        } else if (typeof side.getUnits === 'function') {
+            units = side.getUnits();
+        } else {
+            units = [side];
+        }
+        
+        return units.filter(unit => unit && unit.isAlive());
+    }
+    
+    /**
+     * Get the order in which a stack's units enter battle.
+     * Weakest units fight first, heroes always fight last (Warlords rule).
+     * @param {Stack|Array|Unit} side - Side of the battle
+     * @returns {Array} - Units in battle order
+     */
+    static getBattleOrder(side) {
+        const units = this.getCombatants(side);
+        
+        return units
+            .map((unit, index) => ({ unit, index }))
+            .sort((a, b) => {
+                const heroA = a.unit.type === 'HERO' ? 1 : 0;
+                const heroB = b.unit.type === 'HERO' ? 1 : 0;
+                if (heroA !== heroB) {
+                    return heroA - heroB;
+                }
+                
+                const strengthA = a.unit.getAttackValue() + a.unit.getDefenseValue();
+                const strengthB = b.unit.getAttackValue() + b.unit.getDefenseValue();
+                if (strengthA !== strengthB) {
+                    return strengthA - strengthB;
+                }
+                
+                // Keep stack order for equally strong units
+                return a.index - b.index;
+            })
+            .map(entry => entry.unit);
+    }
+    
+    /**
+     * Get defense bonus granted by a city to its own defenders
+     * @param {City} city - City at the defended hex (optional)
+     * @param {number} defenderOwner - Owner of the defending stack
+     * @returns {number} - City defense bonus
+     */
+    static getCityDefenseBonus(city, defenderOwner) {
+        if (!city || city.owner !== defenderOwner) {
+            return 0;
+        }
+        
+        // Size plus walls; plain city records only have a size
+        return city.getDefenseBonus ? city.getDefenseBonus() : (city.size || 1);
+    }
+    
+    /**
+     * Get the bonuses every unit of a battle side shares: its heroes' leadership
+     * skills and banners (command) and its faction's affinity for the terrain
+     * @param {Array} units - Units of the side
+     * @param {Hex} terrain - Hex the battle is fought on (optional)
+     * @param {Faction} faction - Faction of the side (optional)
+     * @returns {Object} - Modifiers { attack, defense, sources: [{ source, attack, defense }] }
+     */
+    static getStackModifiers(units, terrain = null, faction = null) {
+        const sources = [];
+        
+        for (const unit of units) {
+            if (!unit.isAlive()) {
+                continue;
+            }
+            if (typeof unit.getSkillBonus === 'function') {
+                const attack = unit.getSkillBonus('stackAttack');
+                const defense = unit.getSkillBonus('stackDefense');
+                if (attack || defense) {
+                    sources.push({ source: `${unit.heroName}'s leadership`, attack, defense });
+                }
+            }
+            if (typeof unit.getCommandBonus === 'function') {
+                const command = unit.getCommandBonus();
+                if (command) {
+                    sources.push({ source: `${unit.heroName}'s command`, attack: command, defense: command });
+                }
+            }
+        }
+        
+        const config = terrain && terrain.getTerrainConfig ? terrain.getTerrainConfig() : null;
+        const affinity = config && config.combatBonus && faction ? faction.getBonus(config.combatBonus) : 0;
+        if (affinity) {
+            sources.push({ source: `${terrain.getTerrainName()} affinity`, attack: affinity, defense: affinity });
+        }
+        
+        return {
+            attack: sources.reduce((total, entry) => total + entry.attack, 0),
+            defense: sources.reduce((total, entry) => total + entry.defense, 0),
+            sources
+        };
+    }
+    
+    /**
+     * Get the shared bonuses of both sides of a battle fought on a hex
+     * @param {Array} attackers - Attacking units
+     * @param {Array} defenders - Defending units
+     * @param {Hex} terrain - Hex where the defender stands (optional)
+     * @param {Function} getFaction - (playerId) => Faction|null (optional)
+     * @returns {Object} - Modifiers { attacker, defender }
+     */
+    static getBattleModifiers(attackers, defenders, terrain = null, getFaction = null) {
+        const factionOf = units => (getFaction && units.length > 0 ? getFaction(units[0].owner) : null);
+        return {
+            attacker: this.getStackModifiers(attackers, terrain, factionOf(attackers)),
+            defender: this.getStackModifiers(defenders, terrain, factionOf(defenders))
+        };
+    }
+    
+    /**
+     * Fight a stack battle on combatant records without touching the units.
+     * Front units duel each round; the loser of the roll takes the damage.
+     * @param {Array} attackers - Attacking units in battle order
+     * @param {Array} defenders - Defending units in battle order
+     * @param {number} defenseBonus - Terrain and city bonus for the defender
+     * @param {number} maxRounds - Round limit before the defender holds
+     * @param {Function} rollDie - Die roller (defaults to the game dice)
+     * @param {Object} modifiers - Shared bonuses { attacker, defender } (defaults to
+     *     getStackModifiers of each side without terrain or faction)
+     * @returns {Object} - Raw battle outcome with rounds and final health
+     */
+    static fightStackBattle(attackers, defenders, defenseBonus, maxRounds, rollDie = () => this.rollDice(), modifiers = null) {
+        const attackerQueue = attackers.map(unit => ({ unit, health: unit.health }));
+        const defenderQueue = defenders.map(unit => ({ unit, health: unit.health }));
+        const attackerRecords = [...attackerQueue];
+        const defenderRecords = [...defenderQueue];
+        const rounds = [];
+        const kills = [];
+        
+        // Heroes, banners and terrain affinities lift every unit on their side
+        const attackerModifiers = modifiers ? modifiers.attacker : this.getStackModifiers(attackers);
+        const defenderModifiers = modifiers ? modifiers.defender : this.getStackModifiers(defenders);
+        
+        while (attackerQueue.length > 0 && defenderQueue.length > 0 && rounds.length < maxRounds) {
+            const attacker = attackerQueue[0];
+            const defender = defenderQueue[0];
+            
+            const attackValue = attacker.unit.getAttackValue() + attackerModifiers.attack;
+            const defenseValue = defender.unit.getDefenseValue() + defenderModifiers.defense;
+            const attackRoll = rollDie();
+            const defenseRoll = rollDie();
+            const totalAttack = attackValue + attackRoll;
+            const totalDefense = defenseValue + defenseRoll + defenseBonus;
+            
+            let damage = 0;
+            let damaged = null;
+            let killer = null;
+            let victim = null;
+            
+            if (totalAttack > totalDefense) {
+                damage = Math.max(1, totalAttack - totalDefense);
+                damaged = 'defender';
+                defender.health = Math.max(0, defender.health - damage);
+                if (defender.health === 0) {
+                    killer = attacker;
+                    victim = defender;
+                    defenderQueue.shift();
+                }
+            } else if (totalDefense > totalAttack) {
+                damage = Math.max(1, totalDefense - totalAttack);
+                damaged = 'attacker';
+                attacker.health = Math.max(0, attacker.health - damage);
+                if (attacker.health === 0) {
+                    killer = defender;
+                    victim = attacker;
+                    attackerQueue.shift();
+                }
+            }
+            
+            rounds.push({
+                round: rounds.length + 1,
+                attacker: attacker.unit,
+                defender: defender.unit,
+                attackRoll: attackRoll,
+                defenseRoll: defenseRoll,
+                totalAttack: totalAttack,
+                totalDefense: totalDefense,
+                damage: damage,
+                damaged: damaged,
+                attackerHealth: attacker.health,
+                defenderHealth: defender.health,
+                killed: victim ? victim.unit : null
+            });
+            
+            if (victim) {
+                kills.push({ killer: killer.unit, victim: victim.unit });
+            }
+        }
+        
+        let winner;
+        if (defenderQueue.length === 0) {
+            winner = 'attacker';
+        } else {
+            // Defender holds if the attackers fall or the round limit is reached
+            winner = 'defender';
+        }
+        
+        return {
+            winner,
+            rounds,
+            kills,
+            attackerRecords,
+            defenderRecords,
+            attackerModifiers,
+            defenderModifiers,
+            roundLimitReached: attackerQueue.length > 0 && defenderQueue.length > 0
+        };
+    }
+    
+    /**
+     * Resolve a full battle between two stacks, fought round by round until one side is wiped out
+     * @param {Stack|Array|Unit} attackingStack - Attacking stack
+     * @param {Stack|Array|Unit} defendingStack - Defending stack
+     * @param {Hex} terrain - Hex where the defender stands (optional)
+     * @param {City} city - City on the defended hex (optional)
+     * @param {Object} options - Battle options ({ maxRounds, getFaction, random })
+     *     getFaction: (playerId) => Faction|null, for terrain affinities
+     *     random: the game's GameRandom, for the dice
+     * @returns {Object} - Battle result
+     */
+    static resolveStackCombat(attackingStack, defendingStack, terrain = null, city = null, options = {}) {
+        if (!attackingStack || !defendingStack) {
+            throw new Error('Both attacking and defending stacks must be provided');
+        }
+        
+        const attackers = this.getBattleOrder(attackingStack);
+        const defenders = this.getBattleOrder(defendingStack);
+        
+        if (attackers.length === 0 || defenders.length === 0) {
+            return {
+                success: false,
+                reason: 'Both stacks need living units to fight'
+            };
+        }
+        
+        const attackerOwner = attackers[0].owner;
+        const defenderOwner = defenders[0].owner;
+        if (attackerOwner === defenderOwner) {
+            return {
+                success: false,
+                reason: 'Cannot attack units of the same player'
+            };
+        }
+        
+        const terrainDefenseBonus = terrain && terrain.getDefenseBonus ? terrain.getDefenseBonus() : 0;
+        const cityDefenseBonus = this.getCityDefenseBonus(city, defenderOwner);
+        const maxRounds = options.maxRounds || 200;
+        const modifiers = this.getBattleModifiers(attackers, defenders, terrain, options.getFaction);
+        
+        const battle = this.fightStackBattle(
+            attackers,
+            defenders,
+            terrainDefenseBonus + cityDefenseBonus,
+            maxRounds,
+            () => this.rollDice(options.random),
+            modifiers
+        );
+        
+        // Apply the battle outcome to the real units
+        for (const record of [...battle.attackerRecords, ...battle.defenderRecords]) {
+            const damage = record.unit.health - record.health;
+            if (damage > 0) {
+                record.unit.takeDamage(damage);
+            }
+        }
+        
+        // Heroes earn experience for every unit they personally defeat
+        const experienceAwarded = [];
+        for (const kill of battle.kills) {
+            if (kill.killer.gainExperience && kill.killer.isAlive()) {
+                const experience = this.calculateExperienceGain(kill.killer, kill.victim);
+                kill.killer.gainExperience(experience);
+                experienceAwarded.push({ hero: kill.killer, experience });
+            }
+        }
+        
+        // Attacking units have spent their action
+        for (const unit of attackers) {
+            unit.hasActed = true;
+        }
+        
+        // Dead units leave their stacks
+        for (const side of [attackingStack, defendingStack]) {
+            if (side && typeof side.removeUnit === 'function' && typeof side.getUnits === 'function') {
+                for (const unit of side.getUnits()) {
+                    if (!unit.isAlive()) {
+                        side.removeUnit(unit);
+                    }
+                }
+            }
+        }
+        
+        const result = {
+            success: true,
+            winner: battle.winner,
+            attackerOwner: attackerOwner,
+            defenderOwner: defenderOwner,
+            terrain: terrain,
+            city: city,
+            terrainDefenseBonus: terrainDefenseBonus,
+            cityDefenseBonus: cityDefenseBonus,
+            attackerModifiers: battle.attackerModifiers,
+            defenderModifiers: battle.defenderModifiers,
+            attackerOrder: attackers,
+            defenderOrder: defenders,
+            rounds: battle.rounds,
+            attackerLosses: attackers.filter(unit => !unit.isAlive()),
+            defenderLosses: defenders.filter(unit => !unit.isAlive()),
+            attackerSurvivors: attackers.filter(unit => unit.isAlive()),
+            defenderSurvivors: defenders.filter(unit => unit.isAlive()),
+            experienceAwarded: experienceAwarded,
+            roundLimitReached: battle.roundLimitReached,
+            timestamp: Date.now()
+        };
+        
+        console.log(`Stack battle: ${attackers.length} attackers vs ${defenders.length} defenders, ${battle.rounds.length} rounds`);
+        console.log(`Winner: ${battle.winner}, attacker losses: ${result.attackerLosses.length}, defender losses: ${result.defenderLosses.length}`);
+        
+        return result;
+    }
+    
+    /**
+     * Simulate a stack battle without changing any unit (for previews and AI planning)
+     * @param {Stack|Array|Unit} attackingStack - Attacking stack
+     * @param {Stack|Array|Unit} defendingStack - Defending stack
+     * @param {Hex} terrain - Hex where the defender stands (optional)
+     * @param {City} city - City on the defended hex (optional)
+     * @param {number} iterations - Number of simulations to run (default: 100)
+     * @param {Object} options - Battle options ({ getFaction }, see resolveStackCombat)
+     * @returns {Object} - Stack battle simulation results
+     */
+    static simulateStackCombat(attackingStack, defendingStack, terrain = null, city = null, iterations = 100, options = {}) {
+        if (!attackingStack || !defendingStack) {
+            throw new Error('Both attacking and defending stacks must be provided for simulation');
+        }
+        
+        const attackers = this.getBattleOrder(attackingStack);
+        const defenders = this.getBattleOrder(defendingStack);
+        const defenderOwner = defenders.length > 0 ? defenders[0].owner : null;
+        const terrainDefenseBonus = terrain && terrain.getDefenseBonus ? terrain.getDefenseBonus() : 0;
+        const cityDefenseBonus = this.getCityDefenseBonus(city, defenderOwner);
+        const modifiers = this.getBattleModifiers(attackers, defenders, terrain, options.getFaction);
+        
+        let attackerWins = 0;
+        let totalAttackerLosses = 0;
+        let totalDefenderLosses = 0;
+        let totalRounds = 0;
+        
+        if (attackers.length > 0 && defenders.length > 0) {
+            for (let i = 0; i < iterations; i++) {
+                const battle = this.fightStackBattle(
+                    attackers,
+                    defenders,
+                    terrainDefenseBonus + cityDefenseBonus,
+                    200,
+                    () => previewRandom.rollDie(6),
+                    modifiers
+                );
+                
+                if (battle.winner === 'attacker') {
+                    attackerWins++;
+                }
+                totalAttackerLosses += battle.attackerRecords.filter(record => record.health === 0).length;
+                totalDefenderLosses += battle.defenderRecords.filter(record => record.health === 0).length;
+                totalRounds += battle.rounds.length;
+            }
+        }
+        
+        const attackerWinRate = iterations > 0 ? attackerWins / iterations : 0;
+        
+        return {
+            attackerWinRate: attackerWinRate,
+            defenderWinRate: 1 - attackerWinRate,
+            averageAttackerLosses: iterations > 0 ? totalAttackerLosses / iterations : 0,
+            averageDefenderLosses: iterations > 0 ? totalDefenderLosses / iterations : 0,
+            averageRounds: iterations > 0 ? totalRounds / iterations : 0,
+            iterations: iterations,
+            attackerCount: attackers.length,
+            defenderCount: defenders.length,
+            terrainDefenseBonus: terrainDefenseBonus,
+            cityDefenseBonus: cityDefenseBonus,
+            attackerModifiers: modifiers.attacker,
+            defenderModifiers: modifiers.defender
+        };
+    }
+    
+    /**
+     * Get stack battle preview information for UI display
+     * @param {Stack|Array|Unit} attackingStack - Attacking stack
+     * @param {Stack|Array|Unit} defendingStack - Defending stack
+     * @param {Hex} terrain - Hex where the defender stands (optional)
+     * @param {City} city - City on the defended hex (optional)
+     * @param {Object} options - Battle options ({ getFaction }, see resolveStackCombat)
+     * @returns {Object|null} - Stack battle preview data
+     */
+    static getStackCombatPreview(attackingStack, defendingStack, terrain = null, city = null, options = {}) {
+        if (!attackingStack || !defendingStack) {
+            return null;
+        }
+        
+        const attackers = this.getBattleOrder(attackingStack);
+        const defenders = this.getBattleOrder(defendingStack);
+        const simulation = this.simulateStackCombat(attackingStack, defendingStack, terrain, city, 50, options);
+        const attackerModifiers = simulation.attackerModifiers;
+        const defenderModifiers = simulation.defenderModifiers;
+        
+        const describe = modifiers => unit => ({
+            name: unit.getDisplayName(),
+            health: unit.health,
+            maxHealth: unit.getMaxHealth(),
+            attack: unit.getAttackValue() + modifiers.attack,
+            defense: unit.getDefenseValue() + modifiers.defense
+        });
+        
+        return {
+            attacker: {
+                units: attackers.map(describe(attackerModifiers)),
+                totalAttack: attackers.reduce((total, unit) => total + unit.getAttackValue() + attackerModifiers.attack, 0),
+                modifiers: attackerModifiers,
+                winRate: simulation.attackerWinRate,
+                expectedLosses: simulation.averageAttackerLosses
+            },
+            defender: {
+                units: defenders.map(describe(defenderModifiers)),
+                totalDefense: defenders.reduce((total, unit) => total + unit.getDefenseValue() + defenderModifiers.defense, 0),
+                modifiers: defenderModifiers,
+                terrainBonus: simulation.terrainDefenseBonus,
+                cityBonus: simulation.cityDefenseBonus,
+                winRate: simulation.defenderWinRate,
+                expectedLosses: simulation.averageDefenderLosses
+            },
+            terrain: terrain ? terrain.getTerrainName() : 'Unknown',
+            city: city ? city.name : null,
+            averageRounds: simulation.averageRounds
+        };
+    }
+}
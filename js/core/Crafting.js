@@ -0,0 +1,85 @@
+/**
+ * Crafting - Recipes that combine items a hero carries into a better one
+ * Every recipe makes an item of a higher rarity than any of its ingredients.
+ * Heroes craft in cities their owner holds (see GameState.craftItem).
+ */
+
+import { Item, ITEM_TEMPLATES } from './Item.js';
+
+// Result template -> ingredient templates (a template listed twice is needed twice)
+export const CRAFTING_RECIPES = {
+    STEEL_SWORD: ['IRON_SWORD', 'IRON_SWORD'],
+    CHAIN_MAIL: ['LEATHER_ARMOR', 'LEATHER_ARMOR'],
+    ENCHANTED_BLADE: ['STEEL_SWORD', 'MANA_POTION'],
+    PLATE_ARMOR: ['CHAIN_MAIL', 'CHAIN_MAIL'],
+    ROYAL_STANDARD: ['WAR_BANNER', 'RING_OF_POWER']
+};
+
+/**
+ * Get the template an item was made from
+ * @param {Item} item - Item
+ * @returns {string|null} - Template key from ITEM_TEMPLATES, or null
+ */
+export function getItemTemplateId(item) {
+    return Object.keys(ITEM_TEMPLATES).find(key => ITEM_TEMPLATES[key].name === item.name) || null;
+}
+
+/**
+ * Find the items a recipe would use up
+ * @param {Array} items - Items to craft from
+ * @param {string} recipeId - Recipe (result template) ID
+ * @returns {Array|null} - One item per ingredient, or null if any is missing
+ */
+export function findIngredients(items, recipeId) {
+    const recipe = CRAFTING_RECIPES[recipeId];
+    if (!recipe) {
+        return null;
+    }
+
+    const remaining = [...items];
+    const used = [];
+    for (const ingredient of recipe) {
+        const index = remaining.findIndex(item => getItemTemplateId(item) === ingredient);
+        if (index === -1) {
+            return null;
+        }
+        used.push(remaining.splice(index, 1)[0]);
+    }
+    return used;
+}
+
+/**
+ * Get the recipes that can be made from a set of items
+ * @param {Array} items - Items to craft from
+ * @returns {Array} - Recipe IDs
+ */
+export function getCraftableRecipes(items) {
+    return Object.keys(CRAFTING_RECIPES).filter(recipeId => findIngredients(items, recipeId) !== null);
+}
+
+/**
+ * Craft an item from a hero's inventory: the ingredients are used up and the
+ * result goes into the inventory
+ * @param {Hero} hero - Hero carrying the ingredients
+ * @param {string} recipeId - Recipe (result template) ID
+ * @returns {Object} - Result { success, item, ingredients } or { success: false, reason }
+ */
+export function craftItem(hero, recipeId) {
+    if (!CRAFTING_RECIPES[recipeId]) {
+        return { success: false, reason: 'Unknown recipe' };
+    }
+
+    const ingredients = findIngredients(hero.items, recipeId);
+    if (!ingredients) {
+        return { success: false, reason: 'Missing ingredients' };
+    }
+
+    for (const ingredient of ingredients) {
+        hero.unequipItem(ingredient.id);
+    }
+    const item = Item.create(recipeId);
+    hero.receiveItem(item);
+
+    console.log(`Hero ${hero.heroName} crafted ${item.name}`);
+    return { success: true, item, ingredients };
+}
@@ -0,0 +1,200 @@
+/**
+ * Diplomacy - Diplomatic state between each pair of players, pending treaty
+ * proposals and each player's reputation for keeping their word
+ * Players without a treaty are at war, so a game starts with everyone at war
+ */
+
+export const DIPLOMATIC_STATES = {
+    WAR: 'WAR',
+    PEACE: 'PEACE',
+    ALLIANCE: 'ALLIANCE'
+};
+
+// Treaties that can be proposed, and the state each one has to follow on from
+export const TREATY_REQUIREMENTS = {
+    [DIPLOMATIC_STATES.PEACE]: DIPLOMATIC_STATES.WAR,
+    [DIPLOMATIC_STATES.ALLIANCE]: DIPLOMATIC_STATES.PEACE
+};
+
+// Reputation lost each time a player declares war on a partner
+export const TREATY_BREAK_REPUTATION_PENALTY = 1;
+
+export class Diplomacy {
+    constructor() {
+        this.relations = new Map(); // "a,b" (a < b) -> { state, since }
+        this.proposals = []; // { from, to, treaty, turn }
+        this.reputation = new Map(); // playerId -> reputation (0 is spotless)
+    }
+
+    /**
+     * Build lookup key for a pair of players
+     * @param {number} a - Player ID
+     * @param {number} b - Player ID
+     * @returns {string} - Pair key (same either way round)
+     */
+    static key(a, b) {
+        return a < b ? `${a},${b}` : `${b},${a}`;
+    }
+
+    /**
+     * Get the diplomatic state between two players
+     * @param {number} a - Player ID
+     * @param {number} b - Player ID
+     * @returns {string} - State from DIPLOMATIC_STATES
+     */
+    getState(a, b) {
+        if (a === b) {
+            return DIPLOMATIC_STATES.ALLIANCE;
+        }
+
+        const relation = this.relations.get(Diplomacy.key(a, b));
+        return relation ? relation.state : DIPLOMATIC_STATES.WAR;
+    }
+
+    /**
+     * Get the turn two players entered their current state
+     * @param {number} a - Player ID
+     * @param {number} b - Player ID
+     * @returns {number|null} - Turn or null if they have always been at war
+     */
+    getStateSince(a, b) {
+        const relation = this.relations.get(Diplomacy.key(a, b));
+        return relation ? relation.since : null;
+    }
+
+    /**
+     * Set the diplomatic state between two players
+     * @param {number} a - Player ID
+     * @param {number} b - Player ID
+     * @param {string} state - State from DIPLOMATIC_STATES
+     * @param {number} turn - Turn the state starts
+     */
+    setState(a, b, state, turn) {
+        if (!DIPLOMATIC_STATES[state]) {
+            throw new Error(`Unknown diplomatic state: ${state}`);
+        }
+        if (a === b) {
+            return;
+        }
+
+        this.relations.set(Diplomacy.key(a, b), { state, since: turn });
+    }
+
+    /**
+     * Check if two players are at war
+     * @param {number} a - Player ID
+     * @param {number} b - Player ID
+     * @returns {boolean} - True if at war
+     */
+    isAtWar(a, b) {
+        return this.getState(a, b) === DIPLOMATIC_STATES.WAR;
+    }
+
+    /**
+     * Check if two different players are allied
+     * @param {number} a - Player ID
+     * @param {number} b - Player ID
+     * @returns {boolean} - True if allied
+     */
+    areAllied(a, b) {
+        return a !== b && this.getState(a, b) === DIPLOMATIC_STATES.ALLIANCE;
+    }
+
+    /**
+     * Get the players allied with a player
+     * @param {number} playerId - Player ID
+     * @param {Array} playerIds - Players to consider
+     * @returns {Array} - Allied player IDs
+     */
+    getAllies(playerId, playerIds) {
+        return playerIds.filter(other => this.areAllied(playerId, other));
+    }
+
+    /**
+     * Add a treaty proposal
+     * @param {Object} proposal - { from, to, treaty, turn }
+     */
+    addProposal(proposal) {
+        this.proposals.push({ ...proposal });
+    }
+
+    /**
+     * Find the pending proposal between two players, sent either way
+     * @param {number} a - Player ID
+     * @param {number} b - Player ID
+     * @returns {Object|null} - Proposal or null
+     */
+    findProposal(a, b) {
+        return this.proposals.find(proposal =>
+            (proposal.from === a && proposal.to === b) || (proposal.from === b && proposal.to === a)) || null;
+    }
+
+    /**
+     * Get proposals waiting for a player's answer
+     * @param {number} playerId - Player ID
+     * @returns {Array} - Proposals to the player
+     */
+    getProposalsTo(playerId) {
+        return this.proposals.filter(proposal => proposal.to === playerId);
+    }
+
+    /**
+     * Remove the pending proposals between two players
+     * @param {number} a - Player ID
+     * @param {number} b - Player ID
+     */
+    removeProposals(a, b) {
+        this.proposals = this.proposals.filter(proposal =>
+            !((proposal.from === a && proposal.to === b) || (proposal.from === b && proposal.to === a)));
+    }
+
+    /**
+     * Remove every proposal a player has not answered
+     * @param {number} playerId - Player ID
+     * @returns {Array} - Removed proposals
+     */
+    expireProposalsTo(playerId) {
+        const expired = this.getProposalsTo(playerId);
+        this.proposals = this.proposals.filter(proposal => proposal.to !== playerId);
+        return expired;
+    }
+
+    /**
+     * Get a player's reputation (negative once they have broken treaties)
+     * @param {number} playerId - Player ID
+     * @returns {number} - Reputation
+     */
+    getReputation(playerId) {
+        return this.reputation.get(playerId) || 0;
+    }
+
+    /**
+     * Mark a player as having broken a treaty
+     * @param {number} playerId - Player ID
+     */
+    recordTreatyBreak(playerId) {
+        this.reputation.set(playerId, this.getReputation(playerId) - TREATY_BREAK_REPUTATION_PENALTY);
+    }
+
+    /**
+     * Serialize diplomacy data
+     * @returns {Object} - Serialized data
+     */
+    serialize() {
+        return {
+            relations: Array.from(this.relations.entries()).map(([key, relation]) => [key, { ...relation }]),
+            proposals: this.proposals.map(proposal => ({ ...proposal })),
+            reputation: Array.from(this.reputation.entries())
+        };
+    }
+
+    /**
+     * Restore diplomacy data
+     * @param {Object} data - Serialized data
+     */
+    deserialize(data) {
+        this.relations = new Map((data.relations || []).map(([key, relation]) => [key, { ...relation }]));
+        this.proposals = (data.proposals || []).map(proposal => ({ ...proposal }));
+        this.reputation = new Map(data.reputation || []);
+    }
+}
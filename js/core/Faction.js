@@ -3,6 +3,8 @@
  * Defines faction-specific characteristics, units, and bonuses
  */
 
+import { unitRegistry } from './UnitRegistry.js';
+
 export class Faction {
     constructor(name, displayName, description, color, bonuses = {}) {
         this.name = name;
@@ -174,6 +176,11 @@ export class FactionManager {
     constructor() {
         this.factions = new Map();
         this.initializeDefaultFactions();
+
+        const catalogue = this.validateUnitCatalogue();
+        if (!catalogue.valid) {
+            console.warn('Factions list units missing from the unit catalogue:', catalogue.missing);
+        }
     }
     
     /**
@@ -191,21 +198,19 @@ export class FactionManager {
         humans.addAvailableUnit('WARRIOR', { cost: 50 });
         humans.addAvailableUnit('ARCHER', { cost: 60 });
         humans.addAvailableUnit('CAVALRY', { cost: 80 });
-        humans.addAvailableUnit('HERO', { cost: 0 });
         this.addFaction(humans);
         
         // Elves faction
         const elves = new Faction(
             'ELVES',
             'Elves',
-            'Forest dwellers with bonuses to archery and movement in forests',
+            'Forest dwellers with bonuses to archery, movement and fighting in forests',
             '#00CC66',
-            { archery: 0.2, forestMovement: 0.5 } // 20% archery bonus, 50% forest movement bonus
+            { archery: 0.2, forestMovement: 0.5, forestCombat: 1 } // 20% archery bonus, 50% forest movement bonus, +1 in forest battles
         );
         elves.addAvailableUnit('ARCHER', { cost: 50 }); // Cheaper archers
         elves.addAvailableUnit('RANGER', { cost: 70 });
         elves.addAvailableUnit('TREANT', { cost: 100 });
-        elves.addAvailableUnit('HERO', { cost: 0 });
         this.addFaction(elves);
         
         // Demons faction
@@ -219,7 +224,6 @@ export class FactionManager {
         demons.addAvailableUnit('IMP', { cost: 40 });
         demons.addAvailableUnit('DEMON', { cost: 80 });
         demons.addAvailableUnit('BALROG', { cost: 150 });
-        demons.addAvailableUnit('HERO', { cost: 0 });
         this.addFaction(demons);
         
         // Dwarves faction
@@ -228,12 +232,11 @@ export class FactionManager {
             'Dwarves',
             'Hardy mountain folk with defensive bonuses and strong cities',
             '#8B4513',
-            { defense: 0.2, mountainMovement: 0.5 } // 20% defense bonus, 50% mountain movement bonus
+            { defense: 0.2, mountainMovement: 0.5, mountainCombat: 1 } // 20% defense bonus, 50% mountain movement bonus, +1 in mountain battles
         );
         dwarves.addAvailableUnit('WARRIOR', { cost: 55 });
         dwarves.addAvailableUnit('CROSSBOW', { cost: 65 });
         dwarves.addAvailableUnit('BERSERKER', { cost: 90 });
-        dwarves.addAvailableUnit('HERO', { cost: 0 });
         this.addFaction(dwarves);
         
         console.log(`FactionManager initialized with ${this.factions.size} factions`);
@@ -318,6 +321,19 @@ export class FactionManager {
         return this.hasFaction(factionName);
     }
     
+    /**
+     * Check that every unit the given factions can produce exists in the unit catalogue
+     * @param {Array} factionNames - Faction names to check (default: all factions)
+     * @returns {Object} - { valid, missing: [{ faction, unitType }] }
+     */
+    validateUnitCatalogue(factionNames = this.getFactionNames()) {
+        const factions = factionNames
+            .map(name => this.getFaction(name))
+            .filter(faction => faction !== null);
+
+        return unitRegistry.validateFactions(factions);
+    }
+
     /**
      * Serialize all factions
      * @returns {Object} - Serialized factions data
@@ -0,0 +1,311 @@
+/**
+ * FogOfWar - Tracks per-player visibility and exploration memory
+ * Visibility comes from unit and city sight radii; explored hexes keep the
+ * last known terrain and city so they can be drawn as "seen but not visible"
+ */
+
+export const DEFAULT_SIGHT_RADIUS = 2;
+
+export class FogOfWar {
+    constructor(gameState) {
+        this.gameState = gameState;
+        this.enabled = false;
+        this.viewingPlayer = null; // Player whose view is rendered
+
+        this.visible = new Map(); // playerId -> Set of "x,y"
+        this.explored = new Map(); // playerId -> Map of "x,y" -> memory
+
+        // Bumped whenever visibility changes so renderers know to redraw
+        this.revision = 0;
+    }
+
+    /**
+     * Build lookup key for a hex
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {string} - Hex key
+     */
+    static key(x, y) {
+        return `${x},${y}`;
+    }
+
+    /**
+     * Enable or disable fog of war
+     * @param {boolean} enabled - True to enable
+     */
+    setEnabled(enabled) {
+        this.enabled = Boolean(enabled);
+        this.revision++;
+    }
+
+    /**
+     * Check if fog of war is enabled
+     * @returns {boolean} - True if enabled
+     */
+    isEnabled() {
+        return this.enabled;
+    }
+
+    /**
+     * Set the player whose view is rendered
+     * @param {number|null} playerId - Player ID or null for a full view
+     */
+    setViewingPlayer(playerId) {
+        if (this.viewingPlayer !== playerId) {
+            this.viewingPlayer = playerId;
+            this.revision++;
+        }
+    }
+
+    /**
+     * Get the player whose view is rendered
+     * @returns {number|null} - Player ID or null
+     */
+    getViewingPlayer() {
+        return this.viewingPlayer;
+    }
+
+    /**
+     * Get sight radius of a unit
+     * @param {Unit} unit - Unit to check
+     * @returns {number} - Sight radius in hexes
+     */
+    getUnitSightRadius(unit) {
+        if (typeof unit.getSightRadius === 'function') {
+            return unit.getSightRadius();
+        }
+        return DEFAULT_SIGHT_RADIUS;
+    }
+
+    /**
+     * Get sight radius of a city (larger cities see further)
+     * @param {City} city - City to check
+     * @returns {number} - Sight radius in hexes
+     */
+    getCitySightRadius(city) {
+        return DEFAULT_SIGHT_RADIUS + Math.floor(((city.size || 1) - 1) / 2);
+    }
+
+    /**
+     * Compute the hexes a player can currently see
+     * @param {number} playerId - Player ID
+     * @returns {Set} - Set of visible hex keys
+     */
+    computeVisibility(playerId) {
+        const visible = new Set();
+        const map = this.gameState.getMap();
+        if (!map) {
+            return visible;
+        }
+
+        const reveal = (x, y, radius) => {
+            for (const hex of map.getHexesInRange(x, y, radius)) {
+                visible.add(FogOfWar.key(hex.x, hex.y));
+            }
+        };
+
+        for (const unit of this.gameState.getPlayerUnits(playerId)) {
+            if (unit.isAlive && !unit.isAlive()) continue;
+            reveal(unit.x, unit.y, this.getUnitSightRadius(unit));
+        }
+
+        for (const city of this.gameState.getPlayerCities(playerId)) {
+            reveal(city.x, city.y, this.getCitySightRadius(city));
+        }
+
+        return visible;
+    }
+
+    /**
+     * Recompute visibility for a player and remember everything currently in sight
+     * @param {number} playerId - Player ID
+     * @returns {Set} - Set of visible hex keys
+     */
+    updatePlayer(playerId) {
+        const visible = this.computeVisibility(playerId);
+        this.visible.set(playerId, visible);
+
+        if (!this.explored.has(playerId)) {
+            this.explored.set(playerId, new Map());
+        }
+        const memory = this.explored.get(playerId);
+        const turn = this.gameState.getCurrentTurn();
+
+        for (const key of visible) {
+            const [x, y] = key.split(',').map(Number);
+            const hex = this.gameState.getHex(x, y);
+            const city = this.gameState.getCityAt(x, y);
+
+            memory.set(key, {
+                terrain: hex ? hex.terrain : null,
+                city: city ? {
+                    id: city.id,
+                    name: city.name,
+                    owner: city.owner,
+                    size: city.size,
+                    improvements: [...(city.improvements || [])],
+                    x: city.x,
+                    y: city.y
+                } : null,
+                turn: turn
+            });
+        }
+
+        this.revision++;
+        return visible;
+    }
+
+    /**
+     * Recompute visibility for every player
+     */
+    updateAll() {
+        for (const player of this.gameState.getPlayers()) {
+            this.updatePlayer(player.id);
+        }
+    }
+
+    /**
+     * Check if a hex is currently visible to a player
+     * @param {number} playerId - Player ID
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {boolean} - True if visible
+     */
+    isVisible(playerId, x, y) {
+        if (!this.enabled || playerId === null || playerId === undefined) {
+            return true;
+        }
+
+        if (!this.visible.has(playerId)) {
+            this.updatePlayer(playerId);
+        }
+        return this.visible.get(playerId).has(FogOfWar.key(x, y));
+    }
+
+    /**
+     * Check if a player has ever seen a hex
+     * @param {number} playerId - Player ID
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {boolean} - True if explored
+     */
+    isExplored(playerId, x, y) {
+        if (!this.enabled || playerId === null || playerId === undefined) {
+            return true;
+        }
+
+        const memory = this.explored.get(playerId);
+        return memory ? memory.has(FogOfWar.key(x, y)) : false;
+    }
+
+    /**
+     * Get what a player remembers about a hex
+     * @param {number} playerId - Player ID
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {Object|null} - Memory ({ terrain, city, turn }) or null
+     */
+    getMemory(playerId, x, y) {
+        const memory = this.explored.get(playerId);
+        return memory ? memory.get(FogOfWar.key(x, y)) || null : null;
+    }
+
+    /**
+     * Check if a player can see a unit (own units are always visible)
+     * @param {number} playerId - Player ID
+     * @param {Unit} unit - Unit to check
+     * @returns {boolean} - True if visible
+     */
+    canSeeUnit(playerId, unit) {
+        return unit.owner === playerId || this.isVisible(playerId, unit.x, unit.y);
+    }
+
+    /**
+     * Summarise what a player knows, to tell whether an action revealed anything
+     * @param {number} playerId - Player ID
+     * @returns {Object} - { explored: explored hex count, units: Set of visible enemy unit IDs }
+     */
+    getKnowledge(playerId) {
+        const units = new Set();
+        if (!this.enabled) {
+            return { explored: 0, units };
+        }
+
+        for (const unit of this.gameState.getUnits().values()) {
+            if (unit.owner !== playerId && this.isVisible(playerId, unit.x, unit.y)) {
+                units.add(unit.id);
+            }
+        }
+
+        const memory = this.explored.get(playerId);
+        return { explored: memory ? memory.size : 0, units };
+    }
+
+    /**
+     * Check if a player learned something between two knowledge summaries
+     * @param {Object} before - Knowledge from getKnowledge
+     * @param {Object} after - Later knowledge from getKnowledge
+     * @returns {boolean} - True if new hexes or enemy units came into view
+     */
+    hasRevealed(before, after) {
+        if (after.explored > before.explored) {
+            return true;
+        }
+
+        for (const unitId of after.units) {
+            if (!before.units.has(unitId)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Get the city a player believes is on a hex
+     * @param {number} playerId - Player ID
+     * @param {City} city - Actual city
+     * @returns {Object|null} - City (if visible), remembered snapshot, or null if unexplored
+     */
+    getKnownCity(playerId, city) {
+        if (this.isVisible(playerId, city.x, city.y)) {
+            return city;
+        }
+
+        const memory = this.getMemory(playerId, city.x, city.y);
+        return memory ? memory.city : null;
+    }
+
+    /**
+     * Serialize fog of war data
+     * @returns {Object} - Serialized data
+     */
+    serialize() {
+        const explored = {};
+        for (const [playerId, memory] of this.explored) {
+            explored[playerId] = Array.from(memory.entries());
+        }
+
+        return {
+            enabled: this.enabled,
+            viewingPlayer: this.viewingPlayer,
+            explored: explored
+        };
+    }
+
+    /**
+     * Restore fog of war data
+     * @param {Object} data - Serialized data
+     */
+    deserialize(data) {
+        this.enabled = Boolean(data.enabled);
+        this.viewingPlayer = data.viewingPlayer !== undefined ? data.viewingPlayer : null;
+        this.visible.clear();
+        this.explored.clear();
+
+        for (const [playerId, entries] of Object.entries(data.explored || {})) {
+            this.explored.set(Number(playerId), new Map(entries));
+        }
+
+        this.revision++;
+    }
+}
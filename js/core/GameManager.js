@@ -9,12 +9,38 @@ import { RenderEngine3D } from './RenderEngine3D.js';
 import { InputEngine } from './InputEngine.js';
 import { AIEngine } from './AIEngine.js';
 import { SpellGenerator } from './SpellGenerator.js';
+import { SPELL_TARGETS } from './Spell.js';
+import { ItemGenerator, LOCATION_TYPES } from './ItemGenerator.js';
+import { QUEST_STATUS } from './Quest.js';
+import { monsterRegistry } from './MonsterRegistry.js';
+import { Scenario } from './Scenario.js';
+import { Campaign } from './Campaign.js';
+import { Stack } from './Stack.js';
+import { StatusEffect } from './StatusEffect.js';
+import { ACTION_TYPES } from './ActionLog.js';
 import { saveLoadManager } from './SaveLoadManager.js';
 import { SaveLoadUI } from './SaveLoadUI.js';
+import { factionManager } from './Faction.js';
+import { ReplayEngine } from './ReplayEngine.js';
+import { ReplayViewer } from '../ui/ReplayViewer.js';
+import { VectorPanel } from '../ui/VectorPanel.js';
+import { CaptureDialog } from '../ui/CaptureDialog.js';
+import { DiplomacyPanel } from '../ui/DiplomacyPanel.js';
+import { HeroOfferDialog } from '../ui/HeroOfferDialog.js';
+import { SkillDialog } from '../ui/SkillDialog.js';
+import { QuestJournal } from '../ui/QuestJournal.js';
+import { ItemPanel } from '../ui/ItemPanel.js';
+import { CampaignScreen } from '../ui/CampaignScreen.js';
+import { CITY_IMPROVEMENTS, CITY_UPGRADE } from './City.js';
 
 export class GameManager {
-    constructor(canvasId) {
+    constructor(canvasId, options = {}) {
         this.canvasId = canvasId;
+
+        // Headless managers run the rules only: no rendering, input, AI or DOM
+        // (used to re-simulate games for replays)
+        this.headless = options.headless === true;
+
         this.gameState = null;
         this.renderEngine = null;
         this.inputEngine = null;
@@ -27,9 +53,26 @@ export class GameManager {
         this.isInitialized = false;
         this.gameStartTime = null;
 
+        // Hotseat: board stays hidden until the next human confirms the handoff
+        this.awaitingHandoff = false;
+
+        // Open level-up skill choice, so it is not offered twice at once
+        this.skillDialog = null;
+
+        // How the campaign chapter being played ended ({ won, outcome }), until it is recorded
+        this.campaignResult = null;
+
         console.log('GameManager created with canvas:', canvasId);
     }
 
+    /**
+     * Check if this manager draws to and reads from the page
+     * @returns {boolean} - True if there is a display to update
+     */
+    hasDisplay() {
+        return !this.headless && typeof document !== 'undefined';
+    }
+
     /**
      * Initialize the game with the given configuration
      * @param {Object} config - Game configuration object
@@ -46,25 +89,28 @@ export class GameManager {
             // Initialize game state
             this.gameState = new GameState();
             this.gameState.initialize(config);
+            this.gameState.subscribe((event, data) => this.handleScenarioEvent(event, data));
+
+            if (!this.headless) {
+                // Initialize render engine (use 3D by default, can be switched via use3DRendering config)
+                const use3D = config.gameSettings?.use3DRendering !== false; // Default to 3D, set to false to use 2D
+                if (use3D) {
+                    console.log('Initializing 3D render engine with Three.js');
+                    this.renderEngine = new RenderEngine3D(this.canvasId);
+                } else {
+                    console.log('Initializing 2D render engine with Canvas');
+                    this.renderEngine = new RenderEngine(this.canvasId);
+                }
 
-            // Initialize render engine (use 3D by default, can be switched via use3DRendering config)
-            const use3D = config.gameSettings?.use3DRendering !== false; // Default to 3D, set to false to use 2D
-            if (use3D) {
-                console.log('Initializing 3D render engine with Three.js');
-                this.renderEngine = new RenderEngine3D(this.canvasId);
-            } else {
-                console.log('Initializing 2D render engine with Canvas');
-                this.renderEngine = new RenderEngine(this.canvasId);
-            }
-
-            // Initialize input engine
-            this.inputEngine = new InputEngine(this);
+                // Initialize input engine
+                this.inputEngine = new InputEngine(this);
 
-            // Initialize AI engine
-            this.aiEngine = new AIEngine(this.gameState);
+                // Initialize AI engine
+                this.aiEngine = new AIEngine(this.gameState, this);
 
-            // Initialize save/load UI
-            this.saveLoadUI = new SaveLoadUI(this);
+                // Initialize save/load UI
+                this.saveLoadUI = new SaveLoadUI(this);
+            }
 
             // Set initial game state
             this.currentPlayer = 0;
@@ -72,6 +118,22 @@ export class GameManager {
             this.isInitialized = true;
             this.gameStartTime = Date.now();
 
+            this.awaitingHandoff = false;
+            this.campaignResult = null;
+
+            // Show the board from the first human player's point of view
+            const firstHuman = this.gameState.getPlayers().find(player => !player.isAI);
+            this.gameState.fogOfWar.setViewingPlayer(firstHuman ? firstHuman.id : null);
+
+            // In hotseat games the first player also has to take the device
+            const firstPlayer = this.gameState.getPlayer(this.currentPlayer);
+            if (firstPlayer && !firstPlayer.isAI && this.isHotseatGame() && !this.headless) {
+                this.showTurnHandoff(firstPlayer.id);
+            }
+
+            // Scenario triggers waiting for the start of the game fire now
+            this.gameState.checkScenario();
+
             // Initial render
             this.render();
 
@@ -115,6 +177,34 @@ export class GameManager {
             }
         }
 
+        const heroLimit = config.gameSettings?.heroLimit;
+        if (heroLimit !== undefined && (!Number.isInteger(heroLimit) || heroLimit < 0)) {
+            console.error('Invalid hero limit:', heroLimit);
+            return false;
+        }
+
+        // A scenario seats exactly the players it was written for
+        if (config.scenario) {
+            const errors = Scenario.validate(config.scenario);
+            if (errors.length > 0) {
+                console.error('Invalid scenario:', errors);
+                return false;
+            }
+            if (config.players.length !== config.scenario.players.length) {
+                console.error(`Scenario needs ${config.scenario.players.length} players`);
+                return false;
+            }
+        }
+
+        // Every unit a chosen faction lists must be buildable
+        const catalogue = factionManager.validateUnitCatalogue(
+            [...new Set(config.players.map(player => player.faction))]
+        );
+        if (!catalogue.valid) {
+            console.error('Faction units missing from the unit catalogue:', catalogue.missing);
+            return false;
+        }
+
         return true;
     }
 
@@ -143,16 +233,135 @@ export class GameManager {
         // Process turn start activities
         this.processTurnStart(playerId);
 
+        // Refresh what this player can see
+        this.updateFogOfWar(playerId);
+
+        // Human players see the board from their own point of view; in hotseat
+        // games it stays hidden until they confirm they have the device
+        const player = this.gameState.getPlayer(playerId);
+        if (player && !player.isAI) {
+            if (this.isHotseatGame() && !this.headless) {
+                this.showTurnHandoff(playerId);
+            } else {
+                this.showPlayerView(playerId);
+            }
+        }
+
         // Update UI
         this.updateUI();
 
-        // If it's an AI player, process AI turn
-        const player = this.gameState.getPlayer(playerId);
-        if (player && player.isAI) {
+        // If it's an AI player, process AI turn (a replay plays back its logged actions instead)
+        if (player && player.isAI && !this.headless) {
             this.processAITurn(playerId);
         }
     }
 
+    /**
+     * Recompute a player's visibility
+     * @param {number} playerId - Player ID
+     */
+    updateFogOfWar(playerId) {
+        const fogOfWar = this.gameState.fogOfWar;
+        if (fogOfWar) {
+            fogOfWar.updatePlayer(playerId);
+        }
+    }
+
+    /**
+     * Render the board from a player's point of view
+     * @param {number} playerId - Player ID
+     */
+    showPlayerView(playerId) {
+        if (this.gameState.fogOfWar) {
+            this.gameState.fogOfWar.setViewingPlayer(playerId);
+        }
+        this.render();
+    }
+
+    /**
+     * Check if more than one human is playing on this machine
+     * @returns {boolean} - True for hotseat games
+     */
+    isHotseatGame() {
+        return this.gameState.getPlayers().filter(player => !player.isAI).length > 1;
+    }
+
+    /**
+     * Hide the board behind a "pass the device" curtain until the next player confirms
+     * @param {number} playerId - Player who takes over
+     */
+    showTurnHandoff(playerId) {
+        const player = this.gameState.getPlayer(playerId);
+        if (!player) {
+            return;
+        }
+
+        this.awaitingHandoff = true;
+
+        // Check if we're in a browser environment
+        if (!this.hasDisplay()) {
+            console.log(`HANDOFF - Pass the device to ${player.name}`);
+            return;
+        }
+
+        const existing = document.getElementById('turn-handoff');
+        if (existing) {
+            existing.remove();
+        }
+
+        const overlay = document.createElement('div');
+        overlay.id = 'turn-handoff';
+        overlay.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background-color: #1a252f;
+            z-index: 2500;
+            display: flex;
+            justify-content: center;
+            align-items: center;
+        `;
+
+        overlay.innerHTML = `
+            <div style="text-align: center; color: white; padding: 30px 40px; border-top: 6px solid ${player.color}; background-color: #2c3e50; border-radius: 10px; box-shadow: 0 4px 20px rgba(0,0,0,0.5);">
+                <p style="margin: 0 0 10px 0; color: #bdc3c7;">Turn ${this.gameState.getCurrentTurn()}</p>
+                <h2 style="margin: 0 0 20px 0;">Pass the device to <span style="color: ${player.color};">${player.name}</span></h2>
+                <button id="confirm-handoff-btn" style="padding: 10px 20px; background-color: #27ae60; color: white; border: none; border-radius: 5px; cursor: pointer; font-size: 16px;">
+                    I'm ${player.name} - Start Turn
+                </button>
+            </div>
+        `;
+
+        document.body.appendChild(overlay);
+
+        document.getElementById('confirm-handoff-btn').addEventListener('click', () => {
+            this.confirmTurnHandoff();
+        });
+    }
+
+    /**
+     * Remove the handoff curtain and reveal the board to the current player
+     */
+    confirmTurnHandoff() {
+        if (!this.awaitingHandoff) {
+            return;
+        }
+
+        this.awaitingHandoff = false;
+
+        if (this.hasDisplay()) {
+            const overlay = document.getElementById('turn-handoff');
+            if (overlay) {
+                overlay.remove();
+            }
+        }
+
+        this.showPlayerView(this.currentPlayer);
+        this.updateUI();
+    }
+
     /**
      * Process turn start activities for a player
      * @param {number} playerId - Player ID
@@ -169,15 +378,49 @@ export class GameManager {
         // Reset unit actions and movement for current player
         this.gameState.resetPlayerUnits(playerId);
 
+        // Stacks with standing "go to" orders carry on along their routes
+        const goToReports = this.gameState.executeGoToOrders(playerId);
+        if (!player.isAI) {
+            for (const report of goToReports) {
+                if (report.status === 'enemy_sighted') {
+                    this.showMessage(`Enemy sighted! Units at (${report.x}, ${report.y}) stopped their march.`);
+                } else if (report.status === 'blocked') {
+                    this.showMessage(`Route blocked. Units at (${report.x}, ${report.y}) need new orders.`);
+                } else if (report.status === 'captured') {
+                    this.handleCityCapture(this.gameState.getCityAt(report.x, report.y));
+                }
+            }
+
+            this.reportQuests(goToReports.finishedQuests);
+
+            for (const proposal of this.gameState.diplomacy.getProposalsTo(playerId)) {
+                const sender = this.gameState.getPlayer(proposal.from);
+                this.showMessage(`${sender ? sender.name : 'A rival'} offers ${proposal.treaty.toLowerCase()}. Answer in the diplomacy panel.`);
+            }
+        }
+
+        // Quests whose deadline has passed are given up
+        this.reportQuests(this.gameState.processQuestDeadlines(playerId));
+
         // Handle unit maintenance (healing, upkeep, etc.)
         this.processUnitMaintenance(playerId);
 
         // Handle city production and resource generation
         this.processCityProduction(playerId);
+        this.processCityConstruction(playerId);
 
         // Handle resource generation
         this.processResourceGeneration(playerId);
 
+        // A hero may offer to join for a fee
+        const heroOffer = this.gameState.rollHeroOffer(playerId);
+        if (heroOffer && !player.isAI) {
+            this.showHeroOffer(heroOffer);
+        }
+
+        // Scenario triggers waiting for this turn fire now
+        this.gameState.checkScenario();
+
         // Notify observers
         this.gameState.notifyObservers('turnStarted', { playerId, player });
 
@@ -204,7 +447,12 @@ export class GameManager {
                 console.log(`Hero ${unit.heroName} restored ${manaRegen} mana`);
             }
 
-            // TODO: Add healing logic when health system is implemented
+            // Temples heal the units resting in them
+            const city = this.gameState.getCityAt(unit.x, unit.y);
+            if (city && city.owner === playerId && city.hasImprovement('TEMPLE')) {
+                unit.heal(Math.ceil(unit.getMaxHealth() / 2));
+            }
+
             // TODO: Add upkeep costs when economy system is expanded
         }
 
@@ -216,15 +464,35 @@ export class GameManager {
      * @param {number} playerId - Player ID
      */
     processCityProduction(playerId) {
-        const cities = this.gameState.getPlayerCities(playerId);
+        const completed = this.gameState.processCityProduction(playerId);
+        const player = this.gameState.getPlayer(playerId);
 
-        for (const city of cities) {
-            // TODO: Process city production when city system is fully implemented
-            // For now, just log the processing
-            console.log(`Processing production for city ${city.name || city.id}`);
+        if (player && !player.isAI) {
+            for (const { city, unit, vectored } of completed) {
+                this.showMessage(vectored
+                    ? `${city.name} finished ${unit.name} and sent it to the rally point`
+                    : `${city.name} finished ${unit.name}`);
+            }
         }
 
-        console.log(`Processed production for ${cities.length} cities`);
+        console.log(`Processed production: ${completed.length} units finished`);
+    }
+
+    /**
+     * Process city improvements and upgrades for a player
+     * @param {number} playerId - Player ID
+     */
+    processCityConstruction(playerId) {
+        const completed = this.gameState.processCityConstruction(playerId);
+        const player = this.gameState.getPlayer(playerId);
+
+        if (player && !player.isAI) {
+            for (const { city, project } of completed) {
+                this.showMessage(project === CITY_UPGRADE
+                    ? `${city.name} has grown to size ${city.size}`
+                    : `${city.name} finished building ${CITY_IMPROVEMENTS[project].name}`);
+            }
+        }
     }
 
     /**
@@ -237,7 +505,8 @@ export class GameManager {
 
         // Generate base income
         const baseIncome = 10; // Base gold per turn
-        const cityIncome = this.gameState.getPlayerCities(playerId).length * 5; // Gold per city
+        const cityIncome = this.gameState.getPlayerCities(playerId)
+            .reduce((total, city) => total + city.getIncome(), 0); // Gold per city, more for big cities and markets
         const totalIncome = baseIncome + cityIncome;
 
         player.addGold(totalIncome);
@@ -254,6 +523,11 @@ export class GameManager {
             return;
         }
 
+        if (this.awaitingHandoff) {
+            console.warn('Cannot end turn - waiting for the next player to take the device');
+            return;
+        }
+
         const currentPlayer = this.gameState.getPlayer(this.currentPlayer);
         if (!currentPlayer) {
             console.error('Current player not found');
@@ -262,6 +536,8 @@ export class GameManager {
 
         console.log(`Ending turn for player ${currentPlayer.name}`);
 
+        this.gameState.recordAction(ACTION_TYPES.END_TURN);
+
         // Process turn end activities
         this.processTurnEnd(this.currentPlayer);
 
@@ -302,10 +578,29 @@ export class GameManager {
         // Mark player as having acted this turn
         player.hasActed = true;
 
+        // Offers left unanswered lapse
+        this.gameState.expireProposals(playerId);
+        this.gameState.expireHeroOffer(playerId);
+
+        // Spell and potion effects count down at the end of their owner's turn
+        const expired = this.gameState.tickStatusEffects(playerId);
+        if (!player.isAI) {
+            for (const { target, effect } of expired) {
+                this.showMessage(`${effect.name} on ${target.getDisplayName ? target.getDisplayName() : target.name} has worn off.`);
+            }
+        }
+
+        // Summoned units go back where they came from
+        const vanished = this.gameState.expireSummons(playerId);
+        if (!player.isAI) {
+            for (const unit of vanished) {
+                this.showMessage(`The summoned ${unit.name} has vanished.`);
+            }
+        }
+
         // TODO: Process end-of-turn effects when implemented
         // - Unit abilities that trigger at turn end
         // - City effects that happen at turn end
-        // - Spell effects that expire
 
         // Notify observers
         this.gameState.notifyObservers('turnEnded', { playerId, player });
@@ -324,6 +619,17 @@ export class GameManager {
         // - Environmental changes
         // - Random events
 
+        // Neutral monsters move and fight before the first player's turn, then
+        // new ones may turn up. A replay has no AI engine, so it borrows one.
+        if (this.gameState.neutralMonsters) {
+            const monsterAI = this.aiEngine || new AIEngine(this.gameState);
+            for (const battle of monsterAI.processMonsterTurn()) {
+                this.reportMonsterAttack(battle);
+            }
+            this.checkAllPlayersForElimination();
+            this.gameState.rollMonsterSpawn();
+        }
+
         // Notify observers
         this.gameState.notifyObservers('roundStarted', {
             turn: this.gameState.getCurrentTurn()
@@ -383,6 +689,8 @@ export class GameManager {
 
     /**
      * Process an action from the player or AI
+     * Units may be given by ID or by a position reference (see GameState.getUnitRef),
+     * which is how they appear in the action log
      * @param {Object} action - Action object to process
      */
     processAction(action) {
@@ -395,16 +703,91 @@ export class GameManager {
 
         try {
             switch (action.type) {
-                case 'CAST_SPELL':
+                case ACTION_TYPES.MOVE_UNIT:
+                    return this.processMoveUnitAction(action);
+
+                case ACTION_TYPES.MOVE_STACK:
+                    return this.processMoveStackAction(action);
+
+                case ACTION_TYPES.SPLIT_STACK:
+                    return this.processSplitStackAction(action);
+
+                case ACTION_TYPES.MERGE_STACK:
+                    return this.processMergeStackAction(action);
+
+                case ACTION_TYPES.GO_TO:
+                    return this.processGoToAction(action);
+
+                case ACTION_TYPES.ATTACK:
+                    return this.processAttackAction(action);
+
+                case ACTION_TYPES.PRODUCE_UNIT:
+                    return this.processProduceUnitAction(action);
+
+                case ACTION_TYPES.CANCEL_PRODUCTION:
+                    return this.processCancelProductionAction(action);
+
+                case ACTION_TYPES.QUEUE_PRODUCTION:
+                    return this.processQueueProductionAction(action);
+
+                case ACTION_TYPES.MOVE_QUEUED_PRODUCTION:
+                    return this.processMoveQueuedProductionAction(action);
+
+                case ACTION_TYPES.REMOVE_QUEUED_PRODUCTION:
+                    return this.processRemoveQueuedProductionAction(action);
+
+                case ACTION_TYPES.SET_VECTOR:
+                    return this.processSetVectorAction(action);
+
+                case ACTION_TYPES.START_CONSTRUCTION:
+                    return this.processStartConstructionAction(action);
+
+                case ACTION_TYPES.CANCEL_CONSTRUCTION:
+                    return this.processCancelConstructionAction(action);
+
+                case ACTION_TYPES.RESOLVE_CAPTURE:
+                    return this.processResolveCaptureAction(action);
+
+                case ACTION_TYPES.PROPOSE_TREATY:
+                    return this.processProposeTreatyAction(action);
+
+                case ACTION_TYPES.RESPOND_TREATY:
+                    return this.processRespondTreatyAction(action);
+
+                case ACTION_TYPES.DECLARE_WAR:
+                    return this.processDeclareWarAction(action);
+
+                case ACTION_TYPES.RESOLVE_HERO_OFFER:
+                    return this.processResolveHeroOfferAction(action);
+
+                case ACTION_TYPES.CHOOSE_SKILL:
+                    return this.processChooseSkillAction(action);
+
+                case ACTION_TYPES.END_TURN:
+                    return this.processEndTurnAction(action);
+
+                case ACTION_TYPES.CAST_SPELL:
                     return this.processCastSpellAction(action);
 
-                case 'USE_ITEM':
+                case ACTION_TYPES.USE_ITEM:
                     return this.processUseItemAction(action);
 
-                case 'EQUIP_ITEM':
+                case ACTION_TYPES.EQUIP_ITEM:
                     return this.processEquipItemAction(action);
 
-                case 'EXPLORE_LOCATION':
+                case ACTION_TYPES.DROP_ITEM:
+                    return this.processDropItemAction(action);
+
+                case ACTION_TYPES.PICK_UP_ITEM:
+                    return this.processPickUpItemAction(action);
+
+                case ACTION_TYPES.TRANSFER_ITEM:
+                    return this.processTransferItemAction(action);
+
+                case ACTION_TYPES.CRAFT_ITEM:
+                    return this.processCraftItemAction(action);
+
+                case ACTION_TYPES.EXPLORE_LOCATION:
                     return this.processExploreLocationAction(action);
 
                 default:
@@ -418,121 +801,716 @@ export class GameManager {
     }
 
     /**
-     * Process spell casting action
-     * @param {Object} action - Spell casting action
-     * @returns {boolean} - True if successful
+     * Find the unit an action refers to
+     * @param {Object} ref - Unit position reference (optional)
+     * @param {string} unitId - Unit ID, used when there is no reference
+     * @returns {Unit|null} - Unit or null
      */
-    processCastSpellAction(action) {
-        const { heroId, spellId, targetId, targetX, targetY } = action;
+    getActionUnit(ref, unitId) {
+        return ref ? this.gameState.resolveUnitRef(ref) : this.gameState.getUnit(unitId);
+    }
+
+    /**
+     * Find the current player's city an action refers to
+     * @param {Object} action - City action (with a city position or cityId)
+     * @returns {City|null} - City or null
+     */
+    getActionCity(action) {
+        const city = action.city
+            ? this.gameState.getCityAt(action.city.x, action.city.y)
+            : this.gameState.getCity(action.cityId);
+        return city && city.owner === this.currentPlayer ? city : null;
+    }
 
-        // Get the hero
-        const hero = this.gameState.getUnit(heroId);
+    /**
+     * Find the hero an action refers to, checking it is its owner's turn
+     * @param {Object} action - Hero action
+     * @param {string} purpose - What the hero is doing (for error messages)
+     * @returns {Hero|null} - Hero or null
+     */
+    getActionHero(action, purpose) {
+        const hero = this.getActionUnit(action.hero, action.heroId);
         if (!hero || hero.type !== 'HERO') {
-            console.error('Invalid hero for spell casting');
-            return false;
+            console.error(`Invalid hero for ${purpose}`);
+            return null;
         }
 
         // Check if it's the hero's owner's turn
         if (hero.owner !== this.currentPlayer) {
             console.error('Not the hero owner\'s turn');
-            return false;
-        }
-
-        // Get target (if specified)
-        let target = null;
-        if (targetId) {
-            target = this.gameState.getUnit(targetId);
-        } else if (targetX !== undefined && targetY !== undefined) {
-            // Target is a location
-            target = { x: targetX, y: targetY };
+            return null;
         }
 
-        // Cast the spell
-        const result = hero.castSpell(spellId, target, this.gameState.getMap());
-
-        if (result.success) {
-            console.log(`${hero.heroName} successfully cast ${result.spell.name}`);
-
-            // Apply spell effects to game state
-            this.applySpellEffects(result);
+        return hero;
+    }
 
-            // Update UI
-            this.updateUI();
+    /**
+     * Resolve the units of a stack action, checking it is their owner's turn
+     * @param {Object} action - Action with unit references
+     * @param {string} purpose - What the units are doing (for error messages)
+     * @returns {Array|null} - Units or null
+     */
+    getActionUnits(action, purpose) {
+        const units = (action.units || []).map(ref => this.gameState.resolveUnitRef(ref));
+        if (units.length === 0 || units.some(unit => !unit || unit.owner !== this.currentPlayer)) {
+            console.error(`Invalid units for ${purpose}`);
+            return null;
+        }
+        return units;
+    }
 
-            // Notify observers
-            this.gameState.notifyObservers('spellCast', result);
+    /**
+     * Process unit movement action
+     * @param {Object} action - Movement action
+     * @returns {boolean} - True if successful
+     */
+    processMoveUnitAction(action) {
+        const unit = this.getActionUnit(action.unit, action.unitId);
+        if (!unit || unit.owner !== this.currentPlayer) {
+            console.error('Invalid unit for movement');
+            return false;
+        }
 
-            return true;
-        } else {
-            console.warn(`Spell casting failed: ${result.reason}`);
+        const result = this.gameState.moveUnit(unit, action.toX, action.toY);
+        if (!result.success) {
+            console.warn(`Movement failed: ${result.reason}`);
             return false;
         }
+
+        this.handleCityCapture(result.capturedCity);
+        this.reportQuests(result.finishedQuests);
+        this.updateUI();
+        return true;
     }
 
     /**
-     * Process item usage action
-     * @param {Object} action - Item usage action
+     * Process stack movement action
+     * @param {Object} action - Stack movement action
      * @returns {boolean} - True if successful
      */
-    processUseItemAction(action) {
-        const { heroId, itemId } = action;
-
-        // Get the hero
-        const hero = this.gameState.getUnit(heroId);
-        if (!hero || hero.type !== 'HERO') {
-            console.error('Invalid hero for item usage');
+    processMoveStackAction(action) {
+        const units = this.getActionUnits(action, 'stack movement');
+        if (!units) {
             return false;
         }
 
-        // Check if it's the hero's owner's turn
-        if (hero.owner !== this.currentPlayer) {
-            console.error('Not the hero owner\'s turn');
+        const stack = this.gameState.createStack(units);
+        if (!stack) {
+            console.error('Units cannot move as a stack');
             return false;
         }
 
-        // Use the item
-        const result = hero.useItem(itemId);
-
-        if (result.success) {
-            console.log(`${hero.heroName} successfully used item`);
+        const result = this.gameState.moveStack(stack, action.toX, action.toY);
+        if (!result.success) {
+            console.warn(`Stack movement failed: ${result.reason}`);
+            return false;
+        }
 
-            // Update UI
-            this.updateUI();
+        this.handleCityCapture(result.capturedCity);
+        this.reportQuests(result.finishedQuests);
+        this.updateUI();
+        return true;
+    }
 
-            // Notify observers
-            this.gameState.notifyObservers('itemUsed', { hero, result });
+    /**
+     * Process stack split action: some units leave their hex, the rest stay
+     * @param {Object} action - Split action
+     * @returns {boolean} - True if successful
+     */
+    processSplitStackAction(action) {
+        const units = this.getActionUnits(action, 'stack split');
+        if (!units) {
+            return false;
+        }
 
-            return true;
-        } else {
-            console.warn(`Item usage failed: ${result.reason}`);
+        const result = this.gameState.splitStack(units, action.toX, action.toY);
+        if (!result.success) {
+            console.warn(`Stack split failed: ${result.reason}`);
             return false;
         }
+
+        this.handleCityCapture(result.capturedCity);
+        this.reportQuests(result.finishedQuests);
+        this.updateUI();
+        return true;
     }
 
     /**
-     * Process item equipping action
-     * @param {Object} action - Item equipping action
+     * Process stack merge action: units join a friendly stack next to them
+     * @param {Object} action - Merge action
      * @returns {boolean} - True if successful
      */
-    processEquipItemAction(action) {
-        const { heroId, itemId } = action;
-
-        // Get the hero
-        const hero = this.gameState.getUnit(heroId);
-        if (!hero || hero.type !== 'HERO') {
-            console.error('Invalid hero for item equipping');
+    processMergeStackAction(action) {
+        const units = this.getActionUnits(action, 'stack merge');
+        if (!units) {
             return false;
         }
 
-        // Check if it's the hero's owner's turn
-        if (hero.owner !== this.currentPlayer) {
-            console.error('Not the hero owner\'s turn');
+        const result = this.gameState.mergeStack(units, action.toX, action.toY);
+        if (!result.success) {
+            console.warn(`Stack merge failed: ${result.reason}`);
             return false;
         }
 
-        // Find the item (this would need to be expanded based on where items come from)
+        this.reportQuests(result.finishedQuests);
+        this.updateUI();
+        return true;
+    }
+
+    /**
+     * Process multi-turn "go to" action
+     * @param {Object} action - Go to action
+     * @returns {boolean} - True if successful
+     */
+    processGoToAction(action) {
+        const units = action.units
+            ? action.units.map(ref => this.gameState.resolveUnitRef(ref))
+            : (action.unitIds || []).map(id => this.gameState.getUnit(id));
+        if (units.length === 0 || units.some(unit => !unit || unit.owner !== this.currentPlayer)) {
+            console.error('Invalid units for go to order');
+            return false;
+        }
+
+        const result = this.gameState.issueGoToOrder(units, action.toX, action.toY);
+        if (!result.success) {
+            console.warn(`Go to order failed: ${result.reason}`);
+            return false;
+        }
+
+        this.updateUI();
+        return true;
+    }
+
+    /**
+     * Process attack action
+     * @param {Object} action - Attack action
+     * @returns {boolean} - True if successful
+     */
+    processAttackAction(action) {
+        const attacker = this.getActionUnit(action.attacker, action.attackerId);
+        const defender = this.getActionUnit(action.defender, action.defenderId);
+        if (!attacker || !defender || attacker.owner !== this.currentPlayer) {
+            console.error('Invalid units for attack');
+            return false;
+        }
+
+        return this.resolveAttack(attacker, defender) !== null;
+    }
+
+    /**
+     * Fight a battle started by a player's or the AI's unit and handle its
+     * outcome: fallen units, eliminations and victory
+     * @param {Unit} attacker - Unit leading the attack
+     * @param {Unit} defender - Unit on the defended hex
+     * @returns {Object|null} - Battle result or null if no battle was fought
+     */
+    resolveAttack(attacker, defender) {
+        const result = this.gameState.initiateCombat(attacker, defender);
+        this.handleBattleResult(result);
+        return result;
+    }
+
+    /**
+     * Process city production action
+     * @param {Object} action - Production action
+     * @returns {boolean} - True if successful
+     */
+    processProduceUnitAction(action) {
+        const city = this.getActionCity(action);
+        if (!city) {
+            console.error('Invalid city for production');
+            return false;
+        }
+
+        if (!this.gameState.produceUnit(city, action.unitType)) {
+            console.warn(`Cannot produce ${action.unitType} in ${city.name}`);
+            return false;
+        }
+
+        this.updateUI();
+        return true;
+    }
+
+    /**
+     * Process production cancel action
+     * @param {Object} action - Production cancel action
+     * @returns {boolean} - True if successful
+     */
+    processCancelProductionAction(action) {
+        const city = this.getActionCity(action);
+        if (!city) {
+            console.error('Invalid city for production cancel');
+            return false;
+        }
+
+        if (!this.gameState.cancelProduction(city)) {
+            console.warn(`${city.name} has no production to cancel`);
+            return false;
+        }
+
+        this.updateUI();
+        return true;
+    }
+
+    /**
+     * Process production queue action
+     * @param {Object} action - Queue action ({ unitType, count, repeat })
+     * @returns {boolean} - True if successful
+     */
+    processQueueProductionAction(action) {
+        const city = this.getActionCity(action);
+        if (!city) {
+            console.error('Invalid city for production queue');
+            return false;
+        }
+
+        const options = { count: action.count || 1, repeat: !!action.repeat };
+        if (!this.gameState.queueProduction(city, action.unitType, options)) {
+            console.warn(`Cannot queue ${action.unitType} in ${city.name}`);
+            return false;
+        }
+
+        this.updateUI();
+        return true;
+    }
+
+    /**
+     * Process production queue reorder action
+     * @param {Object} action - Reorder action ({ fromIndex, toIndex })
+     * @returns {boolean} - True if successful
+     */
+    processMoveQueuedProductionAction(action) {
+        const city = this.getActionCity(action);
+        if (!city || !this.gameState.moveQueuedProduction(city, action.fromIndex, action.toIndex)) {
+            console.warn('Cannot reorder production queue');
+            return false;
+        }
+
+        this.updateUI();
+        return true;
+    }
+
+    /**
+     * Process production queue removal action
+     * @param {Object} action - Removal action ({ index })
+     * @returns {boolean} - True if successful
+     */
+    processRemoveQueuedProductionAction(action) {
+        const city = this.getActionCity(action);
+        if (!city || !this.gameState.removeQueuedProduction(city, action.index)) {
+            console.warn('Cannot remove queued production');
+            return false;
+        }
+
+        this.updateUI();
+        return true;
+    }
+
+    /**
+     * Process city vector action
+     * @param {Object} action - Vector action ({ target: { x, y } or null to clear })
+     * @returns {boolean} - True if successful
+     */
+    processSetVectorAction(action) {
+        const city = this.getActionCity(action);
+        if (!city) {
+            console.error('Invalid city for vectoring');
+            return false;
+        }
+
+        const result = this.gameState.setCityVector(city, action.target || null);
+        if (!result.success) {
+            console.warn(`Cannot vector ${city.name}: ${result.reason}`);
+            return false;
+        }
+
+        this.updateUI();
+        return true;
+    }
+
+    /**
+     * Process the choice of what to do with a captured city
+     * @param {Object} action - Capture action ({ option })
+     * @returns {boolean} - True if successful
+     */
+    processResolveCaptureAction(action) {
+        const city = this.getActionCity(action);
+        if (!city) {
+            console.error('Invalid city for capture choice');
+            return false;
+        }
+
+        const result = this.gameState.resolveCityCapture(city, action.option);
+        if (!result.success) {
+            console.warn(`Cannot ${action.option} ${city.name}: ${result.reason}`);
+            return false;
+        }
+
+        this.updateUI();
+        return true;
+    }
+
+    /**
+     * Ask a human conqueror what to do with the city they just took
+     * @param {City|null} city - Captured city
+     * @returns {CaptureDialog|null} - Dialog, or null if nobody needs asking
+     */
+    handleCityCapture(city) {
+        if (!city || !this.hasDisplay()) {
+            return null;
+        }
+
+        const player = this.gameState.getPlayer(city.owner);
+        if (!player || player.isAI) {
+            return null;
+        }
+
+        const dialog = new CaptureDialog(this, city);
+        dialog.show();
+        return dialog;
+    }
+
+    /**
+     * Process treaty proposal action
+     * @param {Object} action - Proposal action ({ target, treaty })
+     * @returns {boolean} - True if successful
+     */
+    processProposeTreatyAction(action) {
+        const result = this.gameState.proposeTreaty(action.target, action.treaty);
+        if (!result.success) {
+            console.warn(`Cannot propose ${action.treaty}: ${result.reason}`);
+            return false;
+        }
+
+        this.updateUI();
+        return true;
+    }
+
+    /**
+     * Process treaty answer action
+     * @param {Object} action - Answer action ({ from, accept })
+     * @returns {boolean} - True if successful
+     */
+    processRespondTreatyAction(action) {
+        const result = this.gameState.respondToProposal(action.from, action.accept);
+        if (!result.success) {
+            console.warn(`Cannot answer proposal: ${result.reason}`);
+            return false;
+        }
+
+        this.updateUI();
+
+        // An accepted alliance may be the last one needed
+        if (this.gamePhase === 'PLAYING') {
+            this.checkVictoryConditions();
+        }
+        return true;
+    }
+
+    /**
+     * Process declaration of war action
+     * @param {Object} action - War action ({ target })
+     * @returns {boolean} - True if successful
+     */
+    processDeclareWarAction(action) {
+        const result = this.gameState.declareWar(action.target);
+        if (!result.success) {
+            console.warn(`Cannot declare war: ${result.reason}`);
+            return false;
+        }
+
+        const target = this.gameState.getPlayer(action.target);
+        for (const allyId of result.joined) {
+            const ally = this.gameState.getPlayer(allyId);
+            this.showMessage(`${ally.name} joins the war on the side of ${target.name}!`, 'warning');
+        }
+
+        this.updateUI();
+        return true;
+    }
+
+    /**
+     * Process the answer to a hero's offer to join
+     * @param {Object} action - Offer action ({ accept })
+     * @returns {boolean} - True if successful
+     */
+    processResolveHeroOfferAction(action) {
+        const result = action.accept
+            ? this.gameState.acceptHeroOffer()
+            : this.gameState.declineHeroOffer();
+        if (!result.success) {
+            console.warn(`Cannot answer hero offer: ${result.reason}`);
+            return false;
+        }
+
+        if (action.accept) {
+            const allies = result.allies.length > 0 ? ` with ${result.allies.length} allies` : '';
+            this.showMessage(`${result.hero.heroName} joins your cause${allies}!`, 'success');
+        }
+
+        this.updateUI();
+        return true;
+    }
+
+    /**
+     * Ask a human player whether to hire the hero offering to join
+     * @param {Object} offer - Hero offer (see GameState.rollHeroOffer)
+     * @returns {HeroOfferDialog|null} - Dialog, or null without a display
+     */
+    showHeroOffer(offer) {
+        if (!offer || !this.hasDisplay()) {
+            return null;
+        }
+
+        const dialog = new HeroOfferDialog(this, offer);
+        dialog.show();
+        return dialog;
+    }
+
+    /**
+     * Process a hero's skill choice for a level gained
+     * @param {Object} action - Skill action ({ hero or heroId, skill })
+     * @returns {boolean} - True if successful
+     */
+    processChooseSkillAction(action) {
+        const hero = this.getActionHero(action, 'skill choice');
+        if (!hero) {
+            return false;
+        }
+
+        const result = this.gameState.chooseHeroSkill(hero, action.skill);
+        if (!result.success) {
+            console.warn(`Cannot learn skill: ${result.reason}`);
+            return false;
+        }
+
+        this.updateUI();
+        return true;
+    }
+
+    /**
+     * Ask the current human player to pick a skill for a hero that has gained a level
+     * @returns {SkillDialog|null} - Dialog, or null if no hero is waiting (or without a display)
+     */
+    promptSkillChoice() {
+        if (!this.hasDisplay() || this.awaitingHandoff || (this.skillDialog && this.skillDialog.overlay)) {
+            return null;
+        }
+
+        const player = this.gameState.getPlayer(this.currentPlayer);
+        const [hero] = player && !player.isAI ? this.gameState.getHeroesAwaitingSkill(this.currentPlayer) : [];
+        if (!hero) {
+            return null;
+        }
+
+        this.skillDialog = new SkillDialog(this, hero);
+        this.skillDialog.show();
+        return this.skillDialog;
+    }
+
+    /**
+     * Process city construction action
+     * @param {Object} action - Construction action ({ project })
+     * @returns {boolean} - True if successful
+     */
+    processStartConstructionAction(action) {
+        const city = this.getActionCity(action);
+        if (!city) {
+            console.error('Invalid city for construction');
+            return false;
+        }
+
+        if (!this.gameState.startConstruction(city, action.project)) {
+            console.warn(`Cannot build ${action.project} in ${city.name}`);
+            return false;
+        }
+
+        this.updateUI();
+        return true;
+    }
+
+    /**
+     * Process construction cancel action
+     * @param {Object} action - Construction cancel action
+     * @returns {boolean} - True if successful
+     */
+    processCancelConstructionAction(action) {
+        const city = this.getActionCity(action);
+        if (!city || !this.gameState.cancelConstruction(city)) {
+            console.warn('No construction to cancel');
+            return false;
+        }
+
+        this.updateUI();
+        return true;
+    }
+
+    /**
+     * Take back the current player's last move or production change
+     * @returns {boolean} - True if something was undone
+     */
+    undoLastAction() {
+        if (!this.isInitialized || this.gamePhase !== 'PLAYING' || this.awaitingHandoff) {
+            return false;
+        }
+
+        const result = this.gameState.undoLastAction();
+        if (!result.success) {
+            console.warn(`Cannot undo: ${result.reason}`);
+            return false;
+        }
+
+        if (this.inputEngine) {
+            this.inputEngine.clearSelection();
+        }
+
+        this.updateUI();
+        return true;
+    }
+
+    /**
+     * Process end of turn action
+     * @param {Object} action - End turn action
+     * @returns {boolean} - True if the turn ended
+     */
+    processEndTurnAction(action) {
+        const player = this.currentPlayer;
+        this.endTurn();
+        return this.currentPlayer !== player || this.gamePhase !== 'PLAYING';
+    }
+
+    /**
+     * Process spell casting action
+     * @param {Object} action - Spell casting action
+     * @returns {boolean} - True if successful
+     */
+    processCastSpellAction(action) {
+        const { targetId, targetX, targetY } = action;
+
+        const hero = this.getActionHero(action, 'spell casting');
+        if (!hero) {
+            return false;
+        }
+
+        const heroRef = this.gameState.getUnitRef(hero);
+        const spell = action.spellIndex !== undefined
+            ? hero.spells[action.spellIndex]
+            : hero.spells.find(s => s.id === action.spellId);
+        const spellId = spell ? spell.id : action.spellId;
+
+        // Get target (if specified)
+        let target = null;
+        if (action.target || targetId) {
+            target = this.getActionUnit(action.target, targetId);
+        } else if (targetX !== undefined && targetY !== undefined) {
+            // Target is a location
+            target = { x: targetX, y: targetY };
+        }
+        const targetRef = target && target.id ? this.gameState.getUnitRef(target) : null;
+
+        // Mana is only spent if there is room for what the spell moves or calls up
+        const blocked = spell ? this.getSpellPlacementProblem(hero, spell, target) : null;
+        if (blocked) {
+            console.warn(`Spell casting failed: ${blocked}`);
+            return false;
+        }
+
+        // Cast the spell
+        const result = hero.castSpell(spellId, target, this.gameState.getMap(), this.gameState.random);
+
+        if (result.success) {
+            console.log(`${hero.heroName} successfully cast ${result.spell.name}`);
+
+            const logged = { hero: heroRef, spellIndex: hero.spells.indexOf(spell) };
+            if (targetRef) {
+                logged.target = targetRef;
+            } else if (target) {
+                logged.targetX = target.x;
+                logged.targetY = target.y;
+            }
+            this.gameState.recordAction(ACTION_TYPES.CAST_SPELL, logged);
+
+            // Apply spell effects to game state
+            this.applySpellEffects(result);
+
+            // Update UI
+            this.updateUI();
+
+            // Notify observers
+            this.gameState.notifyObservers('spellCast', result);
+
+            return true;
+        } else {
+            console.warn(`Spell casting failed: ${result.reason}`);
+            return false;
+        }
+    }
+
+    /**
+     * Process item usage action
+     * @param {Object} action - Item usage action
+     * @returns {boolean} - True if successful
+     */
+    processUseItemAction(action) {
+        const hero = this.getActionHero(action, 'item usage');
+        if (!hero) {
+            return false;
+        }
+
+        const heroRef = this.gameState.getUnitRef(hero);
+        const itemIndex = action.itemIndex !== undefined
+            ? action.itemIndex
+            : hero.items.findIndex(i => i.id === action.itemId);
+        const item = hero.items[itemIndex];
+
+        // Use the item
+        const result = hero.useItem(item ? item.id : action.itemId);
+
+        if (result.success) {
+            console.log(`${hero.heroName} successfully used item`);
+
+            this.gameState.recordAction(ACTION_TYPES.USE_ITEM, { hero: heroRef, itemIndex });
+
+            // Potions that last a few turns become status effects on the hero
+            for (const effect of result.effects) {
+                const status = effect.type === 'temporary_buff' ? StatusEffect.fromItemEffect(effect, item.name) : null;
+                if (status) {
+                    this.gameState.applyStatusEffect(hero, status);
+                }
+            }
+
+            // Update UI
+            this.updateUI();
+
+            // Notify observers
+            this.gameState.notifyObservers('itemUsed', { hero, result });
+
+            return true;
+        } else {
+            console.warn(`Item usage failed: ${result.reason}`);
+            return false;
+        }
+    }
+
+    /**
+     * Process item equipping action
+     * @param {Object} action - Item equipping action
+     * @returns {boolean} - True if successful
+     */
+    processEquipItemAction(action) {
+        const hero = this.getActionHero(action, 'item equipping');
+        if (!hero) {
+            return false;
+        }
+
+        const heroRef = this.gameState.getUnitRef(hero);
+
+        // Find the item (this would need to be expanded based on where items come from)
         // For now, assume the item is already in hero's inventory
-        const item = hero.items.find(i => i.id === itemId);
+        const itemIndex = action.itemIndex !== undefined
+            ? action.itemIndex
+            : hero.items.findIndex(i => i.id === action.itemId);
+        const item = hero.items[itemIndex];
         if (!item) {
             console.error('Item not found in hero inventory');
             return false;
@@ -544,17 +1522,104 @@ export class GameManager {
         if (success) {
             console.log(`${hero.heroName} successfully equipped ${item.name}`);
 
+            this.gameState.recordAction(ACTION_TYPES.EQUIP_ITEM, { hero: heroRef, itemIndex });
+
             // Update UI
             this.updateUI();
 
-            // Notify observers
-            this.gameState.notifyObservers('itemEquipped', { hero, item });
+            // Notify observers
+            this.gameState.notifyObservers('itemEquipped', { hero, item });
+
+            return true;
+        } else {
+            console.warn('Item equipping failed');
+            return false;
+        }
+    }
+
+    /**
+     * Process a hero putting down one of its items on its hex
+     * @param {Object} action - Drop action ({ hero or heroId, itemIndex })
+     * @returns {boolean} - True if successful
+     */
+    processDropItemAction(action) {
+        const hero = this.getActionHero(action, 'dropping an item');
+        if (!hero) {
+            return false;
+        }
+
+        const result = this.gameState.dropItem(hero, action.itemIndex);
+        if (!result.success) {
+            console.warn(`Cannot drop item: ${result.reason}`);
+            return false;
+        }
+
+        this.updateUI();
+        return true;
+    }
+
+    /**
+     * Process a hero picking up an item from the pile on its hex
+     * @param {Object} action - Pick-up action ({ hero or heroId, pileIndex })
+     * @returns {boolean} - True if successful
+     */
+    processPickUpItemAction(action) {
+        const hero = this.getActionHero(action, 'picking up an item');
+        if (!hero) {
+            return false;
+        }
+
+        const result = this.gameState.pickUpItem(hero, action.pileIndex);
+        if (!result.success) {
+            console.warn(`Cannot pick up item: ${result.reason}`);
+            return false;
+        }
+
+        this.updateUI();
+        return true;
+    }
+
+    /**
+     * Process a hero handing an item to another hero of its stack
+     * @param {Object} action - Transfer action ({ hero or heroId, recipient or recipientId, itemIndex })
+     * @returns {boolean} - True if successful
+     */
+    processTransferItemAction(action) {
+        const hero = this.getActionHero(action, 'handing over an item');
+        if (!hero) {
+            return false;
+        }
+
+        const recipient = this.getActionUnit(action.recipient, action.recipientId);
+        const result = this.gameState.transferItem(hero, recipient, action.itemIndex);
+        if (!result.success) {
+            console.warn(`Cannot hand over item: ${result.reason}`);
+            return false;
+        }
+
+        this.updateUI();
+        return true;
+    }
+
+    /**
+     * Process a hero crafting an item in a city
+     * @param {Object} action - Craft action ({ hero or heroId, recipe })
+     * @returns {boolean} - True if successful
+     */
+    processCraftItemAction(action) {
+        const hero = this.getActionHero(action, 'crafting');
+        if (!hero) {
+            return false;
+        }
 
-            return true;
-        } else {
-            console.warn('Item equipping failed');
+        const result = this.gameState.craftItem(hero, action.recipe);
+        if (!result.success) {
+            console.warn(`Cannot craft item: ${result.reason}`);
             return false;
         }
+
+        this.updateUI();
+        return true;
     }
 
     /**
@@ -563,47 +1628,80 @@ export class GameManager {
      * @returns {boolean} - True if successful
      */
     processExploreLocationAction(action) {
-        const { heroId, locationType } = action;
-
-        // Get the hero
-        const hero = this.gameState.getUnit(heroId);
-        if (!hero || hero.type !== 'HERO') {
-            console.error('Invalid hero for location exploration');
+        const hero = this.getActionHero(action, 'location exploration');
+        if (!hero) {
             return false;
         }
 
-        // Check if it's the hero's owner's turn
-        if (hero.owner !== this.currentPlayer) {
-            console.error('Not the hero owner\'s turn');
+        // The site on the hero's hex decides what is explored
+        const site = this.gameState.getSiteAt(hero.x, hero.y);
+        if (!site) {
+            this.showMessage(`There is nothing for ${hero.heroName} to explore here.`);
+            return false;
+        }
+        if (site.explored) {
+            this.showMessage(`The ${site.name} has already been looted.`);
             return false;
         }
+        const locationType = site.type;
 
-        // Import ItemGenerator dynamically to avoid circular dependencies
-        import('./ItemGenerator.js').then(({ ItemGenerator }) => {
-            const result = ItemGenerator.exploreLocation(hero, locationType);
+        this.gameState.recordAction(ACTION_TYPES.EXPLORE_LOCATION, {
+            hero: this.gameState.getUnitRef(hero),
+            locationType
+        });
 
-            if (result.success && result.found) {
-                if (result.rewardType === 'item' && result.reward) {
-                    hero.equipItem(result.reward);
-                } else if (result.rewardType === 'spell' && result.reward) {
-                    hero.learnSpell(result.reward);
-                }
+        // Guardians have to be beaten before the site gives anything up
+        if (site.guardians.length > 0) {
+            const battle = this.gameState.fightSiteGuardians(hero);
+            if (battle) {
+                this.showBattleReport(battle);
+                this.reportQuests(battle.finishedQuests);
+                this.checkPlayerElimination(hero.owner);
+            }
+            if (!battle || battle.winner !== 'attacker') {
+                this.showMessage(`The guardians of the ${site.name} drove ${hero.heroName}'s party off.`);
+                this.updateUI();
+                return true;
+            }
+        }
 
-                // Show message to player
-                this.showMessage(result.message);
+        this.gameState.markSiteExplored(site, hero.owner);
 
-                // Update UI
+        // Temples hand out quests instead of loot
+        if (locationType === LOCATION_TYPES.TEMPLE) {
+            const result = this.gameState.issueQuest(hero);
+            if (result.success) {
+                this.showMessage(`Quest for ${hero.heroName}: ${result.quest.getDescription()} ` +
+                    `by turn ${result.quest.deadline}. Reward: ${result.quest.getRewardDescription()}.`);
                 this.updateUI();
+            } else {
+                this.showMessage(`The temple has nothing new for ${hero.heroName}. ${result.reason}.`);
+            }
+            return true;
+        }
 
-                // Notify observers
-                this.gameState.notifyObservers('locationExplored', { hero, result });
-            } else if (result.success) {
-                // Nothing found
-                this.showMessage(result.message);
+        // Explore synchronously so the loot rolls happen in action order
+        const result = ItemGenerator.exploreLocation(hero, locationType, this.gameState.random);
+
+        if (result.success && result.found) {
+            if (result.rewardType === 'item' && result.reward) {
+                hero.equipItem(result.reward);
+            } else if (result.rewardType === 'spell' && result.reward) {
+                hero.learnSpell(result.reward);
             }
-        }).catch(error => {
-            console.error('Failed to process exploration:', error);
-        });
+
+            // Show message to player
+            this.showMessage(result.message);
+
+            // Update UI
+            this.updateUI();
+
+            // Notify observers
+            this.gameState.notifyObservers('locationExplored', { hero, result });
+        } else if (result.success) {
+            // Nothing found
+            this.showMessage(result.message);
+        }
 
         return true;
     }
@@ -636,10 +1734,24 @@ export class GameManager {
                     }
                     break;
 
-                case 'buff':
-                    // Apply temporary buff (simplified - would need proper buff system)
-                    console.log(`${effect.target.name || effect.target.id} buffed with +${effect.amount} ${effect.stat} for ${effect.duration} turns`);
+                case 'buff': {
+                    // The buff stays on the unit (or the city at the target hex) as a status effect
+                    const target = this.getStatusEffectTarget(effect.target);
+                    const status = StatusEffect.fromSpellEffect(effect);
+                    if (target && status) {
+                        this.gameState.applyStatusEffect(target, status);
+                    }
+                    break;
+                }
+
+                case 'dispel': {
+                    const target = this.getStatusEffectTarget(effect.target);
+                    if (target) {
+                        const removed = this.gameState.dispelStatusEffects(target);
+                        console.log(`${effect.spell} removed ${removed.length} effects from ${target.name}`);
+                    }
                     break;
+                }
 
                 case 'area_damage':
                     // Handle area damage (simplified)
@@ -647,14 +1759,59 @@ export class GameManager {
                     this.applyAreaDamage(effect.center, effect.radius, effect.damage);
                     break;
 
-                case 'teleport':
-                    console.log(`${effect.target.name || effect.target.id} can teleport up to ${effect.range} hexes`);
-                    // Would need UI interaction to select destination
+                case 'teleport': {
+                    const { x, y } = effect.destination;
+                    const result = this.gameState.teleportStack(effect.target, x, y);
+                    if (result.success) {
+                        this.reportQuests(result.finishedQuests);
+                    }
+                    break;
+                }
+
+                case 'summon': {
+                    const unit = this.gameState.summonUnit(effect.target, effect.unitType, effect.duration);
+                    if (unit) {
+                        console.log(`${effect.spell} called up ${unit.name} at (${unit.x}, ${unit.y})`);
+                    }
                     break;
+                }
             }
         }
     }
 
+    /**
+     * Check that a spell which moves or calls up units has room to do so
+     * @param {Hero} hero - Hero casting the spell
+     * @param {Spell} spell - Spell being cast
+     * @param {Object} target - Spell target (a location { x, y } for Teleport)
+     * @returns {string|null} - Why the spell cannot be cast, or null if it can
+     */
+    getSpellPlacementProblem(hero, spell, target) {
+        if (spell.target === SPELL_TARGETS.LOCATION && target) {
+            const check = this.gameState.canTeleport(hero, target.x, target.y);
+            return check.success ? null : check.reason;
+        }
+        if (spell.summon && !this.gameState.findSummonHex(hero, spell.summon)) {
+            return 'No room to summon';
+        }
+        return null;
+    }
+
+    /**
+     * Find what a status effect lands on: the unit targeted, or the city on the targeted hex
+     * @param {Object} target - Unit or location { x, y }
+     * @returns {Unit|City|null} - Target carrying status effects, or null
+     */
+    getStatusEffectTarget(target) {
+        if (!target) {
+            return null;
+        }
+        if (target.statusEffects) {
+            return target;
+        }
+        return this.gameState.getCityAt(target.x, target.y);
+    }
+
     /**
      * Apply area damage to units in range
      * @param {Object} center - Center point {x, y}
@@ -689,8 +1846,9 @@ export class GameManager {
     handleUnitDestroyed(unit) {
         console.log(`Unit ${unit.name || unit.id} has been destroyed`);
 
-        // Remove unit from game state
+        // Remove unit from game state; a fallen hero's items stay where it fell
         this.gameState.removeUnit(unit.id);
+        this.gameState.dropLoot(unit);
 
         // Update player statistics
         const owner = this.gameState.getPlayer(unit.owner);
@@ -705,6 +1863,198 @@ export class GameManager {
         this.checkPlayerElimination(unit.owner);
     }
 
+    /**
+     * Tell human players how their quests ended
+     * @param {Array} quests - Quests that just finished
+     */
+    reportQuests(quests) {
+        for (const quest of quests || []) {
+            const player = this.gameState.getPlayer(quest.owner);
+            if (!player || player.isAI) continue;
+
+            if (quest.status === QUEST_STATUS.COMPLETED) {
+                this.showMessage(`Quest complete: ${quest.outcome}! Reward: ${quest.getRewardDescription()}.`);
+            } else {
+                this.showMessage(`Quest failed: ${quest.getDescription()}. ${quest.outcome}.`);
+            }
+        }
+    }
+
+    /**
+     * Tell a player that monsters fell on their units at the start of the round
+     * @param {Object} battleResult - Result from GameState.resolveBattle
+     */
+    reportMonsterAttack(battleResult) {
+        for (const unit of [...battleResult.attackerLosses, ...battleResult.defenderLosses]) {
+            this.gameState.notifyObservers('unitDestroyed', { unit });
+        }
+        this.reportQuests(battleResult.finishedQuests);
+
+        const player = this.gameState.getPlayer(battleResult.defenderOwner);
+        if (!player || player.isAI) {
+            return;
+        }
+
+        const [monster] = [...battleResult.attackerSurvivors, ...battleResult.attackerLosses];
+        const [defender] = [...battleResult.defenderSurvivors, ...battleResult.defenderLosses];
+        const name = monsterRegistry.get(monster.type)?.name || monster.name;
+        const outcome = battleResult.winner === 'attacker' ? 'and destroyed them' : 'but were beaten off';
+        this.showMessage(`${name} attacked ${player.name}'s units at (${defender.x}, ${defender.y}) ${outcome}.`);
+    }
+
+    /**
+     * Show what the scenario's triggers did and end the game once its
+     * victory or defeat conditions settle it
+     * @param {string} event - Game state event
+     * @param {Object} data - Report from GameState.checkScenario
+     */
+    handleScenarioEvent(event, data) {
+        if (event !== 'scenarioTriggered') {
+            return;
+        }
+
+        for (const message of data.messages) {
+            const player = message.player === undefined ? null : this.gameState.getPlayer(message.player);
+            if (!player || !player.isAI) {
+                this.showMessage(message.text);
+            }
+        }
+
+        for (const playerId of data.defeated) {
+            const player = this.gameState.getPlayer(playerId);
+            this.showMessage(`${player.name} has been defeated.`);
+        }
+
+        if (this.gamePhase === 'PLAYING' && (data.outcome || data.defeated.length > 0)) {
+            this.checkVictoryConditions();
+        }
+    }
+
+    /**
+     * Handle the outcome of a stack battle
+     * @param {Object} battleResult - Result from GameState.initiateCombat
+     */
+    handleBattleResult(battleResult) {
+        if (!battleResult || !battleResult.success) {
+            return;
+        }
+
+        for (const unit of [...battleResult.attackerLosses, ...battleResult.defenderLosses]) {
+            this.gameState.notifyObservers('unitDestroyed', { unit });
+        }
+
+        this.showBattleReport(battleResult);
+        this.reportQuests(battleResult.finishedQuests);
+
+        this.checkAllPlayersForElimination();
+        if (!this.checkVictoryConditions()) {
+            this.updateUI();
+        }
+    }
+
+    /**
+     * Show round-by-round battle report
+     * @param {Object} battleResult - Result from CombatSystem.resolveStackCombat
+     */
+    showBattleReport(battleResult) {
+        const attackingPlayer = this.gameState.getPlayer(battleResult.attackerOwner);
+        const defendingPlayer = this.gameState.getPlayer(battleResult.defenderOwner);
+        const attackerName = attackingPlayer ? attackingPlayer.name : 'Attacker';
+        const defenderName = defendingPlayer ? defendingPlayer.name : 'Defender';
+        const winnerName = battleResult.winner === 'attacker' ? attackerName : defenderName;
+
+        // Check if we're in a browser environment
+        if (!this.hasDisplay()) {
+            console.log(`BATTLE - ${attackerName} vs ${defenderName}: ${winnerName} wins in ${battleResult.rounds.length} rounds`);
+            return;
+        }
+
+        const overlay = document.createElement('div');
+        overlay.id = 'battle-report';
+        overlay.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background-color: rgba(0, 0, 0, 0.7);
+            z-index: 2000;
+            display: flex;
+            justify-content: center;
+            align-items: center;
+        `;
+
+        const report = document.createElement('div');
+        report.style.cssText = `
+            background-color: #2c3e50;
+            color: white;
+            padding: 20px 30px;
+            border-radius: 10px;
+            max-width: 560px;
+            max-height: 80vh;
+            overflow-y: auto;
+            box-shadow: 0 4px 20px rgba(0,0,0,0.5);
+        `;
+
+        const bonuses = [];
+        if (battleResult.terrainDefenseBonus > 0) {
+            bonuses.push(`Terrain +${battleResult.terrainDefenseBonus}`);
+        }
+        if (battleResult.cityDefenseBonus > 0) {
+            bonuses.push(`City +${battleResult.cityDefenseBonus}`);
+        }
+
+        // Bonuses every unit of a side shares (leadership, command, terrain affinity)
+        const describeModifiers = (label, modifiers) => {
+            if (!modifiers || modifiers.sources.length === 0) return '';
+            const sources = modifiers.sources
+                .map(entry => `${entry.source} +${entry.attack}/+${entry.defense}`)
+                .join(', ');
+            return `<p style="text-align: center; color: #bdc3c7;">${label} stack bonuses (ATK/DEF): ${sources}</p>`;
+        };
+
+        const rounds = battleResult.rounds.map(round => {
+            const target = round.damaged === 'defender' ? round.defender : round.attacker;
+            const outcome = round.damaged
+                ? `${target.getDisplayName()} takes ${round.damage}${round.killed ? ' and falls' : ''}`
+                : 'no damage';
+            return `<div style="font-size: 12px;">
+                Round ${round.round}: ${round.attacker.getDisplayName()} (${round.totalAttack}) vs
+                ${round.defender.getDisplayName()} (${round.totalDefense}) - ${outcome}
+            </div>`;
+        }).join('');
+
+        report.innerHTML = `
+            <h2 style="margin-top: 0; text-align: center;">Battle Report</h2>
+            <p style="text-align: center;">
+                <strong style="color: ${attackingPlayer ? attackingPlayer.color : '#ecf0f1'};">${attackerName}</strong> attacks
+                <strong style="color: ${defendingPlayer ? defendingPlayer.color : '#ecf0f1'};">${defenderName}</strong>
+                ${battleResult.city ? ` at ${battleResult.city.name}` : ''}
+            </p>
+            ${bonuses.length > 0 ? `<p style="text-align: center; color: #bdc3c7;">Defense bonuses: ${bonuses.join(', ')}</p>` : ''}
+            ${describeModifiers(attackerName, battleResult.attackerModifiers)}
+            ${describeModifiers(defenderName, battleResult.defenderModifiers)}
+            <div style="margin-bottom: 15px; padding: 10px; background-color: rgba(255,255,255,0.1); border-radius: 5px;">
+                ${rounds}
+            </div>
+            <p><strong>Attacker losses:</strong> ${battleResult.attackerLosses.length} |
+               <strong>Defender losses:</strong> ${battleResult.defenderLosses.length}</p>
+            <h3 style="text-align: center;">${winnerName} wins!</h3>
+            <div style="text-align: center;">
+                <button id="close-battle-report-btn" style="padding: 8px 16px; background-color: #3498db; color: white; border: none; border-radius: 5px; cursor: pointer;">
+                    Continue
+                </button>
+            </div>
+        `;
+
+        overlay.appendChild(report);
+        document.body.appendChild(overlay);
+
+        document.getElementById('close-battle-report-btn').addEventListener('click', () => {
+            document.body.removeChild(overlay);
+        });
+    }
+
     /**
      * Check if victory conditions are met
      * @returns {boolean} - True if game should end
@@ -716,6 +2066,14 @@ export class GameManager {
 
         console.log('Checking victory conditions...');
 
+        // A scenario's own victory conditions come first
+        const scenarioOutcome = this.gameState.scenarioOutcome;
+        if (scenarioOutcome) {
+            const winner = this.gameState.getPlayer(scenarioOutcome.winner);
+            this.handleGameEnd(winner, 'scenario', winner ? this.getActiveAllies(winner) : []);
+            return true;
+        }
+
         const activePlayers = this.gameState.getActivePlayers();
 
         // Check if only one player remains (elimination victory)
@@ -725,17 +2083,30 @@ export class GameManager {
             return true;
         }
 
+        // Check if every remaining player is allied with every other (shared victory)
+        const alliance = this.checkAllianceVictory();
+        if (alliance) {
+            this.handleGameEnd(alliance[0], 'alliance', alliance.slice(1));
+            return true;
+        }
+
+        // Scenarios may turn off winning by conquest
+        const scenario = this.gameState.scenario;
+        if (scenario && !scenario.standardVictory) {
+            return false;
+        }
+
         // Check city conquest victory
         const cityConquestWinner = this.checkCityConquestVictory();
         if (cityConquestWinner) {
-            this.handleGameEnd(cityConquestWinner, 'city_conquest');
+            this.handleGameEnd(cityConquestWinner, 'city_conquest', this.getActiveAllies(cityConquestWinner));
             return true;
         }
 
         // Check total domination victory (all enemy units eliminated)
         const dominationWinner = this.checkDominationVictory();
         if (dominationWinner) {
-            this.handleGameEnd(dominationWinner, 'domination');
+            this.handleGameEnd(dominationWinner, 'domination', this.getActiveAllies(dominationWinner));
             return true;
         }
 
@@ -747,6 +2118,37 @@ export class GameManager {
         return false;
     }
 
+    /**
+     * Check for a shared victory: every remaining player allied with every other
+     * @returns {Array|null} - Allied winners or null
+     */
+    checkAllianceVictory() {
+        const activePlayers = this.gameState.getActivePlayers();
+        if (activePlayers.length < 2) {
+            return null;
+        }
+
+        const diplomacy = this.gameState.diplomacy;
+        const allAllied = activePlayers.every(player =>
+            activePlayers.every(other => player === other || diplomacy.areAllied(player.id, other.id)));
+        if (!allAllied) {
+            return null;
+        }
+
+        console.log(`Alliance victory: ${activePlayers.map(player => player.name).join(', ')}`);
+        return activePlayers;
+    }
+
+    /**
+     * Get the remaining players allied with a player, who share their victory
+     * @param {Object} player - Player
+     * @returns {Array} - Allied players
+     */
+    getActiveAllies(player) {
+        return this.gameState.getActivePlayers()
+            .filter(other => this.gameState.diplomacy.areAllied(player.id, other.id));
+    }
+
     /**
      * Check for city conquest victory condition
      * @returns {Object|null} - Winning player or null
@@ -801,14 +2203,17 @@ export class GameManager {
             unitsByOwner.get(unit.owner).push(unit);
         }
 
-        // Check if only one player has units remaining
+        // Check if only one player has units remaining. Players who still
+        // hold cities can build new armies, so they are not beaten yet.
         const playersWithUnits = Array.from(unitsByOwner.keys())
             .filter(playerId => {
                 const player = this.gameState.getPlayer(playerId);
                 return player && !player.isEliminated;
             });
+        const rebuildingPlayers = this.gameState.getActivePlayers()
+            .filter(player => !unitsByOwner.has(player.id) && this.gameState.getPlayerCities(player.id).length > 0);
 
-        if (playersWithUnits.length === 1) {
+        if (playersWithUnits.length === 1 && rebuildingPlayers.length === 0) {
             const winner = this.gameState.getPlayer(playersWithUnits[0]);
             console.log(`Domination victory: ${winner.name} has eliminated all enemy units`);
             return winner;
@@ -867,12 +2272,23 @@ export class GameManager {
      * Handle game end
      * @param {Object} winner - Winning player or null for draw
      * @param {string} victoryType - Type of victory achieved
+     * @param {Array} allies - Allied players sharing the victory
      */
-    handleGameEnd(winner, victoryType = 'unknown') {
+    handleGameEnd(winner, victoryType = 'unknown', allies = []) {
         console.log(`Game ended. Victory type: ${victoryType}. Winner:`, winner);
 
         this.gamePhase = 'ENDED';
 
+        // A campaign chapter is won when the campaign player or an ally wins
+        const campaign = this.gameState.setupConfig && this.gameState.setupConfig.campaign;
+        if (campaign) {
+            const won = !!winner && [winner, ...allies].some(player => player.id === campaign.player);
+            this.campaignResult = {
+                won,
+                outcome: won ? (this.gameState.scenarioOutcome ? this.gameState.scenarioOutcome.outcome : 'victory') : null
+            };
+        }
+
         // Calculate game statistics
         const gameStats = this.calculateGameStatistics();
 
@@ -880,12 +2296,14 @@ export class GameManager {
         this.updateUI();
 
         // Show victory screen
-        this.showVictoryScreen(winner, victoryType, gameStats);
+        this.showVictoryScreen(winner, victoryType, gameStats, allies);
 
         // Notify observers
         this.gameState.notifyObservers('gameEnded', {
             winner,
+            allies,
             victoryType,
+            outcome: this.gameState.scenarioOutcome ? this.gameState.scenarioOutcome.outcome : null,
             gameStats,
             turn: this.gameState.getCurrentTurn()
         });
@@ -922,6 +2340,11 @@ export class GameManager {
                 unitsKilled: player.stats.unitsKilled,
                 citiesCapture: player.stats.citiesCapture,
                 citiesLost: player.stats.citiesLost,
+                citiesPillaged: player.stats.citiesPillaged,
+                citiesSacked: player.stats.citiesSacked,
+                citiesRazed: player.stats.citiesRazed,
+                goldPlundered: player.stats.goldPlundered,
+                treatiesBroken: player.stats.treatiesBroken,
                 battlesWon: player.stats.battlesWon,
                 battlesLost: player.stats.battlesLost,
                 killDeathRatio: player.getKillDeathRatio(),
@@ -937,11 +2360,14 @@ export class GameManager {
      * @param {Object} winner - Winning player or null
      * @param {string} victoryType - Type of victory
      * @param {Object} gameStats - Game statistics
+     * @param {Array} allies - Allied players sharing the victory
      */
-    showVictoryScreen(winner, victoryType, gameStats) {
+    showVictoryScreen(winner, victoryType, gameStats, allies = []) {
+        const winners = winner ? [winner, ...allies].map(player => player.name).join(' & ') : null;
+
         // Check if we're in a browser environment
-        if (typeof document === 'undefined') {
-            console.log(`GAME OVER - ${winner ? `${winner.name} wins` : 'Draw'} (${victoryType})`);
+        if (!this.hasDisplay()) {
+            console.log(`GAME OVER - ${winners ? `${winners} ${allies.length ? 'win' : 'wins'}` : 'Draw'} (${victoryType})`);
             return;
         }
 
@@ -979,7 +2405,7 @@ export class GameManager {
 
         victoryScreen.innerHTML = `
             <h1 style="color: ${winner ? winner.color : '#ecf0f1'}; margin-bottom: 20px;">
-                ${winner ? `${winner.name} Wins!` : 'Game Over - Draw'}
+                ${winner ? `${winners} ${allies.length ? 'Win' : 'Wins'}!` : 'Game Over - Draw'}
             </h1>
             <h2 style="color: #bdc3c7; margin-bottom: 30px;">
                 ${victoryMessage}
@@ -1002,6 +2428,12 @@ export class GameManager {
                 <button id="new-game-btn" style="padding: 10px 20px; background-color: #3498db; color: white; border: none; border-radius: 5px; cursor: pointer;">
                     New Game
                 </button>
+                <button id="watch-replay-btn" style="padding: 10px 20px; background-color: #8e44ad; color: white; border: none; border-radius: 5px; cursor: pointer;">
+                    Watch Replay
+                </button>
+                ${this.campaignResult ? `<button id="continue-campaign-btn" style="padding: 10px 20px; background-color: #f39c12; color: white; border: none; border-radius: 5px; cursor: pointer;">
+                    Continue Campaign
+                </button>` : ''}
                 <button id="close-victory-btn" style="padding: 10px 20px; background-color: #e74c3c; color: white; border: none; border-radius: 5px; cursor: pointer;">
                     Close
                 </button>
@@ -1021,11 +2453,165 @@ export class GameManager {
             this.startNewGame();
         });
 
+        document.getElementById('watch-replay-btn').addEventListener('click', () => {
+            document.body.removeChild(overlay);
+            this.showReplayViewer();
+        });
+
+        if (this.campaignResult) {
+            document.getElementById('continue-campaign-btn').addEventListener('click', () => {
+                document.body.removeChild(overlay);
+                this.showCampaignDebrief();
+            });
+        }
+
         document.getElementById('close-victory-btn').addEventListener('click', () => {
             document.body.removeChild(overlay);
         });
     }
 
+    /**
+     * Get the heroes of the campaign player who lived to the end of the chapter
+     * @returns {Array} - Heroes that may go on to the next chapter
+     */
+    getCampaignSurvivors() {
+        const campaign = this.gameState && this.gameState.setupConfig && this.gameState.setupConfig.campaign;
+        return campaign ? this.gameState.getPlayerHeroes(campaign.player) : [];
+    }
+
+    /**
+     * Record the chapter just played in the saved campaign progress, taking
+     * the chosen heroes on to the next chapter
+     * @param {Array} heroIds - IDs of the surviving heroes going on
+     * @returns {Object} - Result { success, campaign, progress, next } or { success: false, reason }
+     */
+    finishCampaignChapter(heroIds = []) {
+        const campaignInfo = this.gameState && this.gameState.setupConfig && this.gameState.setupConfig.campaign;
+        if (!campaignInfo || !this.campaignResult) {
+            return { success: false, reason: 'No campaign chapter has been played to the end' };
+        }
+
+        const saved = saveLoadManager.loadCampaignProgress(campaignInfo.id);
+        if (!saved.success) {
+            return { success: false, reason: saved.message };
+        }
+
+        const campaign = new Campaign(saved.campaign);
+        const progress = saved.progress;
+        let next = null;
+
+        // A lost chapter stays open to be tried again with the same heroes
+        if (this.campaignResult.won) {
+            const heroes = this.getCampaignSurvivors()
+                .filter(hero => heroIds.includes(hero.id))
+                .map(hero => hero.toCampaignRecord());
+            next = campaign.completeChapter(progress, campaignInfo.chapter, this.campaignResult.outcome, heroes);
+        }
+
+        const result = saveLoadManager.saveCampaignProgress(campaign, progress);
+        if (!result.success) {
+            return { success: false, reason: result.message };
+        }
+
+        this.campaignResult = null;
+        return { success: true, campaign, progress, next };
+    }
+
+    /**
+     * Let the player pick the heroes going on and return to the campaign map
+     * @returns {CampaignScreen|null} - Screen, or null without a display
+     */
+    showCampaignDebrief() {
+        if (!this.campaignResult || !this.hasDisplay()) {
+            return null;
+        }
+
+        const screen = new CampaignScreen(this);
+        screen.showDebrief(this.campaignResult);
+        return screen;
+    }
+
+    /**
+     * Open the replay viewer for the current game
+     * @returns {ReplayViewer|null} - Viewer, or null if the game cannot be replayed
+     */
+    showReplayViewer() {
+        if (!this.gameState || !this.hasDisplay()) {
+            return null;
+        }
+
+        let replay;
+        try {
+            replay = ReplayEngine.fromGameState(this.gameState);
+        } catch (error) {
+            console.error('Failed to create replay:', error);
+            this.showMessage('This game cannot be replayed', 'error');
+            return null;
+        }
+
+        const viewer = new ReplayViewer(replay);
+        viewer.show();
+        return viewer;
+    }
+
+    /**
+     * Open the list of the current player's city vectors
+     * @returns {VectorPanel|null} - Panel, or null without a display
+     */
+    showVectorPanel() {
+        if (!this.gameState || !this.hasDisplay()) {
+            return null;
+        }
+
+        const panel = new VectorPanel(this);
+        panel.show();
+        return panel;
+    }
+
+    /**
+     * Open the diplomacy panel for the current player
+     * @returns {DiplomacyPanel|null} - Panel, or null without a display
+     */
+    showDiplomacyPanel() {
+        if (!this.gameState || !this.hasDisplay()) {
+            return null;
+        }
+
+        const panel = new DiplomacyPanel(this);
+        panel.show();
+        return panel;
+    }
+
+    /**
+     * Show the quest journal for the current player
+     * @returns {QuestJournal|null} - Journal, or null when headless
+     */
+    showQuestJournal() {
+        if (!this.gameState || !this.hasDisplay()) {
+            return null;
+        }
+
+        const journal = new QuestJournal(this);
+        journal.show();
+        return journal;
+    }
+
+    /**
+     * Open the item panel of one of the current player's heroes: its items,
+     * the pile on its hex, the other heroes of its stack and what it can craft
+     * @param {Hero} hero - Hero
+     * @returns {ItemPanel|null} - Panel, or null when headless
+     */
+    showItemPanel(hero) {
+        if (!this.gameState || !this.hasDisplay()) {
+            return null;
+        }
+
+        const panel = new ItemPanel(this, hero);
+        panel.show();
+        return panel;
+    }
+
     /**
      * Get victory message based on victory type
      * @param {Object} winner - Winning player
@@ -1044,6 +2630,10 @@ export class GameManager {
                 return 'Victory by eliminating all enemy forces!';
             case 'elimination':
                 return 'Victory by eliminating all opponents!';
+            case 'alliance':
+                return 'Victory shared by the alliance!';
+            case 'scenario':
+                return 'Victory by completing the scenario objectives!';
             default:
                 return 'Victory achieved!';
         }
@@ -1205,7 +2795,7 @@ export class GameManager {
      */
     showAIThinking(player) {
         // Check if we're in a browser environment
-        if (typeof document === 'undefined') {
+        if (!this.hasDisplay()) {
             return;
         }
 
@@ -1222,7 +2812,7 @@ export class GameManager {
      */
     hideAIThinking() {
         // Check if we're in a browser environment
-        if (typeof document === 'undefined') {
+        if (!this.hasDisplay()) {
             return;
         }
 
@@ -1305,12 +2895,13 @@ export class GameManager {
             }
 
             if (!this.aiEngine) {
-                this.aiEngine = new AIEngine(null); // Will be set when gameState is restored
+                this.aiEngine = new AIEngine(null, this); // Will be set when gameState is restored
             }
 
             // Create new game state and deserialize
             this.gameState = new GameState();
             this.gameState.deserialize(saveData.gameState);
+            this.gameState.subscribe((event, data) => this.handleScenarioEvent(event, data));
 
             // Update AI engine with new game state
             if (this.aiEngine) {
@@ -1322,6 +2913,13 @@ export class GameManager {
             this.gamePhase = saveData.gameManager.gamePhase || 'PLAYING';
             this.gameStartTime = saveData.gameManager.gameStartTime || Date.now();
             this.isInitialized = true;
+            this.awaitingHandoff = false;
+
+            // Whoever loaded a hotseat game may not be the player whose turn it is
+            const currentPlayer = this.gameState.getPlayer(this.currentPlayer);
+            if (currentPlayer && !currentPlayer.isAI && this.isHotseatGame()) {
+                this.showTurnHandoff(currentPlayer.id);
+            }
 
             // Update UI
             this.updateUI();
@@ -1453,7 +3051,7 @@ export class GameManager {
      */
     updateUI() {
         // Check if we're in a browser environment
-        if (typeof document === 'undefined') {
+        if (!this.hasDisplay()) {
             return;
         }
 
@@ -1499,7 +3097,7 @@ export class GameManager {
         const endTurnBtn = document.getElementById('end-turn-btn');
         if (endTurnBtn) {
             const currentPlayer = this.gameState ? this.gameState.getPlayer(this.currentPlayer) : null;
-            endTurnBtn.disabled = this.gamePhase !== 'PLAYING' || (currentPlayer && currentPlayer.isAI);
+            endTurnBtn.disabled = this.gamePhase !== 'PLAYING' || this.awaitingHandoff || (currentPlayer && currentPlayer.isAI);
 
             // Update button text for AI turns
             if (currentPlayer && currentPlayer.isAI) {
@@ -1509,6 +3107,16 @@ export class GameManager {
             }
         }
 
+        const undoBtn = document.getElementById('undo-btn');
+        if (undoBtn) {
+            undoBtn.disabled = this.gamePhase !== 'PLAYING' || this.awaitingHandoff || !this.gameState || !this.gameState.canUndo();
+        }
+
+        // A hero who has gained a level picks a skill
+        if (this.gamePhase === 'PLAYING' && this.gameState) {
+            this.promptSkillChoice();
+        }
+
         // Trigger render
         this.render();
     }
@@ -1529,7 +3137,7 @@ export class GameManager {
      */
     showMessage(message, type = 'info') {
         // Check if we're in a browser environment
-        if (typeof document === 'undefined') {
+        if (!this.hasDisplay()) {
             console.log(`[${type.toUpperCase()}] ${message}`);
             return;
         }
@@ -0,0 +1,114 @@
+/**
+ * GameRandom - Seedable random number generator for all game randomness
+ * Every dice roll, loot roll and random pick goes through one generator so a
+ * game can be reproduced exactly from its seed (saves, replays, bug reports, tests)
+ */
+
+export class GameRandom {
+    constructor(seed = Date.now()) {
+        this.setSeed(seed);
+    }
+
+    /**
+     * Restart the sequence from a seed
+     * @param {number} seed - Seed value (converted to an unsigned 32-bit integer)
+     */
+    setSeed(seed) {
+        this.seed = Number(seed) >>> 0;
+        this.state = this.seed;
+    }
+
+    /**
+     * Get the seed the current sequence started from
+     * @returns {number} - Seed
+     */
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * Get the next random number (mulberry32)
+     * @returns {number} - Number in [0, 1)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Get a random integer in an inclusive range
+     * @param {number} min - Lowest value
+     * @param {number} max - Highest value
+     * @returns {number} - Random integer
+     */
+    nextInt(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    /**
+     * Roll a die
+     * @param {number} sides - Number of sides
+     * @returns {number} - Number between 1 and sides
+     */
+    rollDie(sides = 6) {
+        return this.nextInt(1, sides);
+    }
+
+    /**
+     * Check a probability
+     * @param {number} probability - Chance of success (0-1)
+     * @returns {boolean} - True on success
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+
+    /**
+     * Pick a random element of an array
+     * @param {Array} items - Items to pick from
+     * @returns {*} - Picked item, or undefined for an empty array
+     */
+    pick(items) {
+        return items[Math.floor(this.next() * items.length)];
+    }
+
+    /**
+     * Get a shuffled copy of an array (Fisher-Yates)
+     * @param {Array} items - Items to shuffle
+     * @returns {Array} - Shuffled copy
+     */
+    shuffle(items) {
+        const result = [...items];
+        for (let i = result.length - 1; i > 0; i--) {
+            const j = Math.floor(this.next() * (i + 1));
+            [result[i], result[j]] = [result[j], result[i]];
+        }
+        return result;
+    }
+
+    /**
+     * Serialize generator state
+     * @returns {Object} - Serialized data
+     */
+    serialize() {
+        return {
+            seed: this.seed,
+            state: this.state
+        };
+    }
+
+    /**
+     * Restore generator state
+     * @param {Object} data - Serialized data
+     */
+    deserialize(data) {
+        this.seed = data.seed >>> 0;
+        this.state = (data.state !== undefined ? data.state : data.seed) >>> 0;
+    }
+}
+
+// Export singleton instance shared by every system that rolls dice
+export const gameRandom = new GameRandom();
@@ -8,6 +8,25 @@ import { factionManager } from './Faction.js';
 import { Map as GameMap } from './Map.js';
 import { mapGenerator } from './MapGenerator.js';
 import { MovementManager } from './MovementManager.js';
+import { CombatSystem } from './CombatSystem.js';
+import { FogOfWar } from './FogOfWar.js';
+import { Stack } from './Stack.js';
+import { Unit, UNIT_TYPES, UNIT_CONFIG, NEUTRAL_OWNER } from './Unit.js';
+import {
+    Hero, HERO_NAMES, DEFAULT_HERO_LIMIT, HERO_BASE_FEE, HERO_OFFER_CHANCE,
+    HERO_ALLY_CHANCE, MAX_HERO_ALLIES, MAX_OFFER_LEVEL
+} from './Hero.js';
+import { City, CAPTURE_OPTIONS } from './City.js';
+import { Quest, QUEST_TYPES, QUEST_REWARDS, QUEST_STATUS } from './Quest.js';
+import { Item } from './Item.js';
+import { craftItem as craftFromInventory } from './Crafting.js';
+import { LOCATION_TYPES } from './ItemGenerator.js';
+import { monsterRegistry, MONSTER_BEHAVIORS } from './MonsterRegistry.js';
+import { Scenario, SCENARIO_ACTIONS } from './Scenario.js';
+import { Diplomacy, DIPLOMATIC_STATES, TREATY_REQUIREMENTS } from './Diplomacy.js';
+import { GameRandom } from './GameRandom.js';
+import { ActionLog, ACTION_TYPES } from './ActionLog.js';
+import { UndoHistory, UNDOABLE_ACTIONS } from './UndoHistory.js';
 
 export class GameState {
     constructor() {
@@ -22,6 +41,40 @@ export class GameState {
         // Movement manager for turn-based constraints
         this.movementManager = new MovementManager(this);
 
+        // Per-player visibility and exploration memory
+        this.fogOfWar = new FogOfWar(this);
+
+        // War, peace and alliances between players
+        this.diplomacy = new Diplomacy();
+
+        // Heroes each player may own, and the hero (if any) offering to join each player this turn
+        this.heroLimit = DEFAULT_HERO_LIMIT;
+        this.heroOffers = new Map();
+
+        // Quests handed out by temples, finished ones included (the quest journal)
+        this.quests = [];
+
+        // Whether neutral monsters roam the map and new ones turn up during play
+        this.neutralMonsters = true;
+
+        // The scenario being played (if any), the triggers it has already fired
+        // and how it ended once a scenario victory is reached
+        this.scenario = null;
+        this.firedTriggers = [];
+        this.scenarioOutcome = null;
+
+        // The game's own random number generator; every roll goes through it,
+        // so two games (e.g. a live game and its replay) never share dice
+        this.random = new GameRandom();
+
+        // Setup used to start the game (with its seed) and every command since,
+        // which together are enough to replay the game
+        this.setupConfig = null;
+        this.actionLog = new ActionLog();
+
+        // Snapshots for taking back moves and production changes this turn
+        this.undoHistory = new UndoHistory();
+
         // Observer pattern for state changes
         this.observers = [];
 
@@ -36,6 +89,22 @@ export class GameState {
         try {
             console.log('Initializing GameState with config:', config);
 
+            // Seed the game RNG first so the whole game can be reproduced from config.seed
+            this.random.setSeed(config.seed !== undefined ? config.seed : Date.now());
+            console.log(`Game seed: ${this.random.getSeed()}`);
+
+            this.setupConfig = JSON.parse(JSON.stringify({ ...config, seed: this.random.getSeed() }));
+            this.actionLog = new ActionLog();
+            this.undoHistory = new UndoHistory();
+            this.diplomacy = new Diplomacy();
+            this.heroLimit = config.gameSettings?.heroLimit ?? DEFAULT_HERO_LIMIT;
+            this.heroOffers = new Map();
+            this.quests = [];
+            this.neutralMonsters = config.gameSettings?.neutralMonsters !== false;
+            this.scenario = config.scenario ? Scenario.load(config.scenario) : null;
+            this.firedTriggers = [];
+            this.scenarioOutcome = null;
+
             // Initialize players using Player class
             this.players = config.players.map(playerConfig => {
                 // Validate faction exists
@@ -52,12 +121,20 @@ export class GameState {
                 );
             });
 
-            // Initialize map using MapGenerator
-            this.map = mapGenerator.generateMap(
-                config.map.width,
-                config.map.height,
-                config.map.generationOptions || {}
-            );
+            // Initialize map using MapGenerator, or take the scenario's own map
+            if (this.scenario) {
+                this.map = GameMap.deserialize(this.scenario.map);
+            } else {
+                this.map = mapGenerator.generateMap(
+                    config.map.width,
+                    config.map.height,
+                    {
+                        seed: this.random.nextInt(1, 233279),
+                        ...(config.map.generationOptions || {})
+                    }
+                );
+            }
+            this.bindMap();
 
             // Initialize empty collections for units and cities
             this.units.clear();
@@ -65,25 +142,38 @@ export class GameState {
             this.units.clear();
             this.cities.clear();
 
-            // Extract cities placed by the map generator
-            // Iterate through all hexes to find cities
-            for (let y = 0; y < this.map.height; y++) {
-                for (let x = 0; x < this.map.width; x++) {
-                    const hex = this.map.getHex(x, y);
-                    if (hex && hex.city) {
-                        // hex.city is the City object placed by MapGenerator
-                        this.addCity(hex.city);
+            if (this.scenario) {
+                // Scenarios list their cities and starting armies
+                this.placeScenario();
+            } else {
+                // Extract cities placed by the map generator
+                // Iterate through all hexes to find cities
+                for (let y = 0; y < this.map.height; y++) {
+                    for (let x = 0; x < this.map.width; x++) {
+                        const hex = this.map.getHex(x, y);
+                        if (hex && hex.city) {
+                            // hex.city is the City object placed by MapGenerator
+                            this.addCity(hex.city);
+                        }
                     }
                 }
-            }
 
-            // Distribute cities to players
-            this.assignStartingCities(config.players);
+                // Distribute cities to players
+                this.assignStartingCities(config.players);
+            }
+            if (this.neutralMonsters) {
+                this.spawnStartingMonsters();
+            }
 
             // Reset turn counter
             this.currentTurn = 1;
             this.activePlayer = 0;
 
+            // Fog of war is on unless the game settings turn it off
+            this.fogOfWar = new FogOfWar(this);
+            this.fogOfWar.setEnabled(config.gameSettings?.fogOfWar !== false);
+            this.fogOfWar.updateAll();
+
             console.log('GameState initialized successfully');
             this.notifyObservers('gameInitialized', { config });
 
@@ -140,7 +230,20 @@ export class GameState {
             cities: Array.from(this.cities.entries()),
             currentTurn: this.currentTurn,
             activePlayer: this.activePlayer,
-            map: this.map ? this.map.serialize() : null
+            map: this.map ? this.map.serialize() : null,
+            fogOfWar: this.fogOfWar.serialize(),
+            diplomacy: this.diplomacy.serialize(),
+            heroLimit: this.heroLimit,
+            heroOffers: Array.from(this.heroOffers.entries()),
+            quests: this.quests.map(quest => quest.serialize()),
+            neutralMonsters: this.neutralMonsters,
+            // The scenario's map is already in the setup config and the saved map
+            scenario: this.scenario ? { ...this.scenario.serialize(), map: null } : null,
+            firedTriggers: [...this.firedTriggers],
+            scenarioOutcome: this.scenarioOutcome,
+            random: this.random.serialize(),
+            setupConfig: this.setupConfig,
+            actionLog: this.actionLog.serialize()
         };
     }
 
@@ -166,6 +269,39 @@ export class GameState {
                 }
             }
 
+            this.fogOfWar = new FogOfWar(this);
+            if (data.fogOfWar) {
+                this.fogOfWar.deserialize(data.fogOfWar);
+            }
+
+            this.diplomacy = new Diplomacy();
+            if (data.diplomacy) {
+                this.diplomacy.deserialize(data.diplomacy);
+            }
+            if (this.map) {
+                this.bindMap();
+            }
+
+            this.heroLimit = data.heroLimit ?? DEFAULT_HERO_LIMIT;
+            this.heroOffers = new Map(data.heroOffers || []);
+            this.quests = (data.quests || []).map(questData => Quest.deserialize(questData));
+            // Games saved before monsters existed carry on without them
+            this.neutralMonsters = data.neutralMonsters ?? false;
+            this.scenario = data.scenario ? new Scenario(data.scenario) : null;
+            this.firedTriggers = [...(data.firedTriggers || [])];
+            this.scenarioOutcome = data.scenarioOutcome || null;
+
+            if (data.random) {
+                this.random.deserialize(data.random);
+            }
+
+            this.setupConfig = data.setupConfig || null;
+            this.actionLog = new ActionLog();
+            this.undoHistory = new UndoHistory();
+            if (data.actionLog) {
+                this.actionLog.deserialize(data.actionLog);
+            }
+
             console.log('GameState deserialized successfully');
             this.notifyObservers('gameLoaded', data);
 
@@ -284,6 +420,226 @@ export class GameState {
         this.notifyObservers('unitsReset', { playerId });
     }
 
+    /**
+     * Lay a status effect on a unit, on every unit of a stack, or on a city.
+     * A unit gains at once any movement the effect adds (e.g. Haste).
+     * @param {Unit|Stack|City} target - Target of the effect
+     * @param {StatusEffect} effect - Effect to lay
+     * @returns {Array} - Effects now in force because of it (empty if its stacking rule refused it)
+     */
+    applyStatusEffect(target, effect) {
+        if (target instanceof Stack) {
+            return target.getUnits().flatMap(unit => this.applyStatusEffect(unit, effect.clone()));
+        }
+
+        const maxMovement = target.getMaxMovement ? target.getMaxMovement() : 0;
+        const applied = target.statusEffects.apply(effect);
+        if (!applied) {
+            return [];
+        }
+        if (target.getMaxMovement) {
+            target.movement += Math.max(0, target.getMaxMovement() - maxMovement);
+        }
+
+        console.log(`${effect.name} laid on ${target.name} for ${applied.duration} turns`);
+        this.notifyObservers('statusEffectApplied', { target, effect: applied });
+        return [applied];
+    }
+
+    /**
+     * Remove the dispellable status effects from a unit or city (DISPEL_MAGIC)
+     * @param {Unit|City} target - Target
+     * @returns {Array} - Effects removed
+     */
+    dispelStatusEffects(target) {
+        const removed = target.statusEffects.dispel();
+        this.limitMovement(target);
+
+        if (removed.length > 0) {
+            this.notifyObservers('statusEffectsDispelled', { target, effects: removed });
+        }
+        return removed;
+    }
+
+    /**
+     * Count down the status effects on a player's units and cities at the end
+     * of the player's turn, dropping those that run out
+     * @param {number} playerId - Player ID
+     * @returns {Array} - Expired effects [{ target, effect }]
+     */
+    tickStatusEffects(playerId) {
+        const expired = [];
+        for (const target of [...this.getPlayerUnits(playerId), ...this.getPlayerCities(playerId)]) {
+            for (const effect of target.statusEffects.tick()) {
+                expired.push({ target, effect });
+            }
+            this.limitMovement(target);
+        }
+
+        if (expired.length > 0) {
+            this.notifyObservers('statusEffectsExpired', { playerId, expired });
+        }
+        return expired;
+    }
+
+    /**
+     * Take away movement a unit no longer has once an effect is gone
+     * @param {Unit|City} target - Unit (cities have no movement)
+     */
+    limitMovement(target) {
+        if (target.getMaxMovement) {
+            target.movement = Math.min(target.movement, target.getMaxMovement());
+        }
+    }
+
+    /**
+     * Check if a hero's stack (the hero and its owner's units on its hex) can
+     * be teleported to a hex
+     * @param {Hero} hero - Hero casting the spell
+     * @param {number} x - Destination X coordinate
+     * @param {number} y - Destination Y coordinate
+     * @returns {Object} - { success, stack } or { success: false, reason }
+     */
+    canTeleport(hero, x, y) {
+        const map = this.getMap();
+        const stack = this.createStack(this.getUnitsAt(hero.x, hero.y).filter(unit => unit.owner === hero.owner));
+        if (!map || !stack) {
+            return { success: false, reason: 'Nothing to teleport' };
+        }
+
+        if (!map.canOccupy(x, y, stack) || this.getUnitsAt(x, y).length > 0) {
+            return { success: false, reason: 'Destination is blocked' };
+        }
+
+        return { success: true, stack };
+    }
+
+    /**
+     * Get the hexes within a range a hero's stack can be teleported to
+     * @param {Hero} hero - Hero casting the spell
+     * @param {number} range - Spell range in hexes
+     * @returns {Array} - Destination hexes
+     */
+    getTeleportDestinations(hero, range) {
+        const map = this.getMap();
+        if (!map) {
+            return [];
+        }
+
+        // getHexesInRange counts steps along rows and columns, so cast a wider net
+        return map.getHexesInRange(hero.x, hero.y, range * 2).filter(hex =>
+            map.getDistance(hero.x, hero.y, hex.x, hex.y) <= range && this.canTeleport(hero, hex.x, hex.y).success);
+    }
+
+    /**
+     * Teleport a hero's stack to a hex. The jump costs no movement but
+     * cancels any standing "go to" order.
+     * @param {Hero} hero - Hero casting the spell
+     * @param {number} x - Destination X coordinate
+     * @param {number} y - Destination Y coordinate
+     * @returns {Object} - { success, units, finishedQuests } or { success: false, reason }
+     */
+    teleportStack(hero, x, y) {
+        const check = this.canTeleport(hero, x, y);
+        if (!check.success) {
+            return check;
+        }
+
+        const units = check.stack.getUnits();
+        const fromHex = this.getHex(hero.x, hero.y);
+        if (fromHex && units.includes(fromHex.unit)) {
+            fromHex.removeUnit();
+        }
+
+        for (const unit of units) {
+            unit.x = x;
+            unit.y = y;
+        }
+        check.stack.clearGoToOrder();
+        this.getHex(x, y).setUnit(units[0]);
+
+        console.log(`${hero.name} teleported ${units.length} units to (${x}, ${y})`);
+        this.fogOfWar.updatePlayer(hero.owner);
+        this.notifyObservers('stackTeleported', { hero, units, x, y });
+
+        const finishedQuests = this.checkQuests();
+        this.checkScenario();
+        return { success: true, units, finishedQuests };
+    }
+
+    /**
+     * Find the first free hex next to a hero where a summoned unit can stand
+     * @param {Hero} hero - Hero casting the spell
+     * @param {string} unitType - Unit type to summon
+     * @returns {Hex|null} - Hex, or null if the hero is hemmed in
+     */
+    findSummonHex(hero, unitType) {
+        const map = this.getMap();
+        if (!map || !UNIT_CONFIG[unitType]) {
+            return null;
+        }
+
+        const mover = { movementType: UNIT_CONFIG[unitType].movementType, owner: hero.owner };
+        return map.getNeighbors(hero.x, hero.y).find(hex =>
+            map.canOccupy(hex.x, hex.y, mover) && this.getUnitsAt(hex.x, hex.y).length === 0) || null;
+    }
+
+    /**
+     * Summon a unit next to a hero for a number of its owner's turns
+     * @param {Hero} hero - Hero casting the spell
+     * @param {string} unitType - Unit type to summon
+     * @param {number} duration - Turns before the unit vanishes
+     * @returns {Unit|null} - The summoned unit, or null if there is no room
+     */
+    summonUnit(hero, unitType, duration) {
+        const hex = this.findSummonHex(hero, unitType);
+        if (!hex) {
+            return null;
+        }
+
+        const unit = new Unit(unitType, hero.owner, hex.x, hex.y);
+        unit.summonedTurns = duration;
+        this.addUnit(unit);
+        hex.setUnit(unit);
+
+        this.fogOfWar.updatePlayer(hero.owner);
+        this.notifyObservers('unitSummoned', { hero, unit });
+        return unit;
+    }
+
+    /**
+     * Count down a player's summoned units at the end of the player's turn,
+     * removing those whose time is up
+     * @param {number} playerId - Player ID
+     * @returns {Array} - Units that vanished
+     */
+    expireSummons(playerId) {
+        const vanished = [];
+        for (const unit of this.getPlayerUnits(playerId)) {
+            if (!unit.summonedTurns) {
+                continue;
+            }
+            unit.summonedTurns--;
+            if (unit.summonedTurns <= 0) {
+                vanished.push(unit);
+            }
+        }
+
+        if (vanished.length > 0) {
+            this.removeDeadUnits(vanished);
+            this.notifyObservers('summonsExpired', { playerId, units: vanished });
+        }
+        return vanished;
+    }
+
+    /**
+     * Get the seed this game was started with
+     * @returns {number} - Game seed
+     */
+    getSeed() {
+        return this.random.getSeed();
+    }
+
     /**
      * Get current turn number
      * @returns {number} - Current turn
@@ -436,6 +792,15 @@ export class GameState {
         }
     }
 
+    /**
+     * Point the map at this game's diplomacy and factions, which decide whose
+     * cities units may enter and how quickly they cross forests and mountains
+     */
+    bindMap() {
+        this.map.setDiplomacy(this.diplomacy);
+        this.map.setFactionLookup(playerId => this.getPlayerFaction(playerId));
+    }
+
     /**
      * Generate a new map with the given dimensions and options
      * @param {number} width - Map width
@@ -444,6 +809,7 @@ export class GameState {
      */
     generateNewMap(width, height, options = {}) {
         this.map = mapGenerator.generateMap(width, height, options);
+        this.bindMap();
         console.log('New map generated');
         this.notifyObservers('mapGenerated', { width, height, options });
     }
@@ -456,6 +822,7 @@ export class GameState {
      */
     generateTestMap(width, height, pattern = 'checkerboard') {
         this.map = mapGenerator.generateTestMap(width, height, pattern);
+        this.bindMap();
         console.log(`Test map generated with pattern: ${pattern}`);
         this.notifyObservers('testMapGenerated', { width, height, pattern });
     }
@@ -518,6 +885,16 @@ export class GameState {
         return null;
     }
 
+    /**
+     * Get all units at specific coordinates (a stack)
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {Array} - Units at coordinates
+     */
+    getUnitsAt(x, y) {
+        return Array.from(this.units.values()).filter(unit => unit.x === x && unit.y === y);
+    }
+
     /**
      * Get city at specific coordinates
      * @param {number} x - X coordinate
@@ -570,7 +947,138 @@ export class GameState {
      * @returns {Object} - Movement result
      */
     moveUnit(unit, targetX, targetY) {
-        return this.movementManager.moveUnit(unit, targetX, targetY);
+        const unitRef = this.getUnitRef(unit);
+        const undoState = this.captureUndoState({ units: [unit], hexes: [{ x: targetX, y: targetY }] });
+        const result = this.movementManager.moveUnit(unit, targetX, targetY);
+        if (result.success) {
+            this.recordAction(ACTION_TYPES.MOVE_UNIT, { unit: unitRef, toX: targetX, toY: targetY });
+            // Moving by hand cancels any standing "go to" order
+            unit.goToOrder = null;
+            this.fogOfWar.updatePlayer(unit.owner);
+            this.commitUndoState(undoState);
+            result.capturedCity = this.captureCityAt(targetX, targetY, unit.owner);
+            result.finishedQuests = this.checkQuests();
+            this.checkScenario();
+        }
+        return result;
+    }
+
+    /**
+     * Get the options stack battles are fought with: the players' factions
+     * supply their terrain affinities and the game's generator the dice
+     * @returns {Object} - Options for CombatSystem.resolveStackCombat
+     */
+    getBattleOptions() {
+        return { getFaction: playerId => this.getPlayerFaction(playerId), random: this.random };
+    }
+
+    /**
+     * Resolve a stack battle started by a unit against an enemy hex.
+     * Every ready unit sharing the attacker's hex joins the attack and
+     * every unit on the defender's hex defends.
+     * @param {Unit} attacker - Unit leading the attack
+     * @param {Unit} defender - Unit on the defended hex
+     * @returns {Object|null} - Battle result or null if no battle was fought
+     */
+    initiateCombat(attacker, defender) {
+        const eligibility = CombatSystem.canEngageInCombat(attacker, defender, this.map, this.diplomacy);
+        if (!eligibility.canFight) {
+            console.warn(`Cannot initiate combat: ${eligibility.reason}`);
+            return null;
+        }
+
+        const attackerRef = this.getUnitRef(attacker);
+        const defenderRef = this.getUnitRef(defender);
+
+        const attackingStack = this.getUnitsAt(attacker.x, attacker.y)
+            .filter(unit => unit.owner === attacker.owner && (unit === attacker || !unit.hasActed));
+        const defendingStack = this.getUnitsAt(defender.x, defender.y)
+            .filter(unit => unit.owner === defender.owner);
+
+        const result = this.resolveBattle(attackingStack, defendingStack);
+        if (result) {
+            this.recordAction(ACTION_TYPES.ATTACK, { attacker: attackerRef, defender: defenderRef });
+        }
+        return result;
+    }
+
+    /**
+     * Fight out a stack battle and apply its outcome: statistics, quests,
+     * fallen units and fog of war. Does not record an action, so neutral
+     * monsters attacking at the start of a round use it directly.
+     * @param {Array} attackingStack - Attacking units, all of one owner
+     * @param {Array} defendingStack - Defending units, all on one hex
+     * @returns {Object|null} - Battle result or null if the battle could not be fought
+     */
+    resolveBattle(attackingStack, defendingStack) {
+        const [defender] = defendingStack;
+        const result = CombatSystem.resolveStackCombat(
+            attackingStack,
+            defendingStack,
+            this.getHex(defender.x, defender.y),
+            this.getCityAt(defender.x, defender.y),
+            this.getBattleOptions()
+        );
+
+        if (!result.success) {
+            console.warn(`Combat failed: ${result.reason}`);
+            return null;
+        }
+
+        // Update battle statistics
+        const attackingPlayer = this.getPlayer(result.attackerOwner);
+        const defendingPlayer = this.getPlayer(result.defenderOwner);
+        const winningPlayer = result.winner === 'attacker' ? attackingPlayer : defendingPlayer;
+        const losingPlayer = result.winner === 'attacker' ? defendingPlayer : attackingPlayer;
+
+        if (winningPlayer) winningPlayer.recordBattleWin();
+        if (losingPlayer) losingPlayer.recordBattleLoss();
+
+        for (const unit of result.attackerLosses) {
+            if (attackingPlayer) attackingPlayer.recordUnitLoss();
+            if (defendingPlayer) defendingPlayer.recordUnitKill();
+        }
+        for (const unit of result.defenderLosses) {
+            if (defendingPlayer) defendingPlayer.recordUnitLoss();
+            if (attackingPlayer) attackingPlayer.recordUnitKill();
+        }
+
+        // Heroes slain in the battle settle the quests to hunt them
+        const slainQuests = [
+            ...this.resolveSlainHeroes(result.attackerLosses, result.defenderOwner),
+            ...this.resolveSlainHeroes(result.defenderLosses, result.attackerOwner)
+        ];
+
+        this.removeDeadUnits([...result.attackerLosses, ...result.defenderLosses]);
+        result.finishedQuests = [...slainQuests, ...this.checkQuests()];
+
+        if (attackingPlayer) this.fogOfWar.updatePlayer(result.attackerOwner);
+        if (defendingPlayer) this.fogOfWar.updatePlayer(result.defenderOwner);
+
+        this.notifyObservers('battleResolved', { result });
+        this.checkScenario();
+        return result;
+    }
+
+    /**
+     * Remove destroyed units from the state and keep hex occupancy pointing at a survivor
+     * @param {Array} deadUnits - Units destroyed in battle
+     */
+    removeDeadUnits(deadUnits) {
+        for (const unit of deadUnits) {
+            this.removeUnit(unit.id);
+            this.dropLoot(unit);
+
+            const hex = this.getHex(unit.x, unit.y);
+            if (hex && hex.unit === unit) {
+                const survivor = this.getUnitsAt(unit.x, unit.y).find(other => other.isAlive());
+                if (survivor) {
+                    hex.setUnit(survivor);
+                } else {
+                    hex.removeUnit();
+                }
+            }
+        }
     }
 
     /**
@@ -581,7 +1089,1782 @@ export class GameState {
      * @returns {Object} - Movement result
      */
     moveStack(stack, targetX, targetY) {
-        return this.movementManager.moveStack(stack, targetX, targetY);
+        const unitRefs = stack.getUnits().map(unit => this.getUnitRef(unit));
+        const undoState = this.captureUndoState({ units: stack.getUnits(), hexes: [{ x: targetX, y: targetY }] });
+        const result = this.movementManager.moveStack(stack, targetX, targetY);
+        if (result.success) {
+            this.recordAction(ACTION_TYPES.MOVE_STACK, { units: unitRefs, toX: targetX, toY: targetY });
+            stack.clearGoToOrder();
+            this.fogOfWar.updatePlayer(stack.owner);
+            this.commitUndoState(undoState);
+            result.capturedCity = this.captureCityAt(targetX, targetY, stack.owner);
+            result.finishedQuests = this.checkQuests();
+            this.checkScenario();
+        }
+        return result;
+    }
+
+    /**
+     * Move some of the units on a hex to another hex; the rest stay behind
+     * @param {Array} units - Units leaving, all of one owner on one hex
+     * @param {number} targetX - Target X coordinate
+     * @param {number} targetY - Target Y coordinate
+     * @returns {Object} - Movement result, or { success: false, reason }
+     */
+    splitStack(units, targetX, targetY) {
+        const stack = this.createStack(units);
+        if (!stack) {
+            return { success: false, reason: 'Units cannot move as a stack' };
+        }
+
+        const from = this.getHex(stack.x, stack.y);
+        const remaining = this.getUnitsAt(stack.x, stack.y)
+            .filter(unit => unit.owner === stack.owner && !units.includes(unit));
+        if (remaining.length === 0) {
+            return { success: false, reason: 'Cannot split all units from a stack' };
+        }
+
+        const unitRefs = units.map(unit => this.getUnitRef(unit));
+        const undoState = this.captureUndoState({ units, hexes: [{ x: targetX, y: targetY }] });
+        const result = this.movementManager.moveStack(stack, targetX, targetY);
+        if (result.success) {
+            // The units left behind keep holding their hex
+            from.setUnit(remaining[0]);
+            this.recordAction(ACTION_TYPES.SPLIT_STACK, { units: unitRefs, toX: targetX, toY: targetY });
+            stack.clearGoToOrder();
+            this.fogOfWar.updatePlayer(stack.owner);
+            this.commitUndoState(undoState);
+            result.capturedCity = this.captureCityAt(targetX, targetY, stack.owner);
+            result.finishedQuests = this.checkQuests();
+            this.checkScenario();
+        }
+        return result;
+    }
+
+    /**
+     * Move units onto a neighbouring hex held by their owner's units, joining
+     * the stack there
+     * @param {Array} units - Units joining, all of one owner on one hex
+     * @param {number} targetX - X coordinate of the stack to join
+     * @param {number} targetY - Y coordinate of the stack to join
+     * @returns {Object} - Result { success, units, remainingMovement } or { success: false, reason }
+     */
+    mergeStack(units, targetX, targetY) {
+        const stack = this.createStack(units);
+        if (!stack) {
+            return { success: false, reason: 'Units cannot move as a stack' };
+        }
+
+        const hosts = this.getUnitsAt(targetX, targetY);
+        if (hosts.length === 0 || hosts.some(unit => unit.owner !== stack.owner)) {
+            return { success: false, reason: 'No friendly stack to join' };
+        }
+        if (!this.map.getNeighbors(stack.x, stack.y).some(hex => hex.x === targetX && hex.y === targetY)) {
+            return { success: false, reason: 'Stacks must be next to each other' };
+        }
+
+        const cost = this.map.calculateMovementCost(stack.x, stack.y, targetX, targetY, stack, { ignoreOccupant: true });
+        if (!this.movementManager.canStackMove(stack) || cost > this.movementManager.getAvailableStackMovement(stack)) {
+            return { success: false, reason: 'Insufficient movement points' };
+        }
+
+        const from = this.getHex(stack.x, stack.y);
+        const unitRefs = units.map(unit => this.getUnitRef(unit));
+        const undoState = this.captureUndoState({ units, hexes: [{ x: targetX, y: targetY }] });
+
+        for (const unit of units) {
+            unit.x = targetX;
+            unit.y = targetY;
+            unit.movement = Math.max(0, unit.movement - cost);
+        }
+        const [left] = this.getUnitsAt(from.x, from.y);
+        if (left) {
+            from.setUnit(left);
+        } else {
+            from.removeUnit();
+        }
+
+        this.recordAction(ACTION_TYPES.MERGE_STACK, { units: unitRefs, toX: targetX, toY: targetY });
+        stack.clearGoToOrder();
+        this.fogOfWar.updatePlayer(stack.owner);
+        this.commitUndoState(undoState);
+        const finishedQuests = this.checkQuests();
+        this.checkScenario();
+
+        return {
+            success: true,
+            units,
+            remainingMovement: Math.min(...units.map(unit => unit.movement)),
+            finishedQuests
+        };
+    }
+
+    /**
+     * Group units on one hex into a stack
+     * @param {Array} units - Units of one owner on one hex
+     * @returns {Stack|null} - Stack, or null if the units cannot travel together
+     */
+    createStack(units) {
+        if (!units || units.length === 0) {
+            return null;
+        }
+
+        const stack = new Stack(units[0].x, units[0].y, units[0].owner);
+        for (const unit of units) {
+            if (!stack.addUnit(unit)) {
+                return null;
+            }
+        }
+        return stack;
+    }
+
+    /**
+     * Order a stack to travel to a hex over as many turns as it takes.
+     * The stack sets off at once with whatever movement it has left.
+     * @param {Array} units - Units travelling together
+     * @param {number} targetX - Destination X coordinate
+     * @param {number} targetY - Destination Y coordinate
+     * @returns {Object} - Result { success, status, path } or { success: false, reason }
+     */
+    issueGoToOrder(units, targetX, targetY) {
+        const stack = this.createStack(units);
+        if (!stack) {
+            return { success: false, reason: 'Units must share a hex and an owner' };
+        }
+
+        if (stack.owner !== this.activePlayer) {
+            return { success: false, reason: 'Not the owner\'s turn' };
+        }
+
+        const path = this.map.findPath(stack.x, stack.y, targetX, targetY, stack);
+        if (!path || path.length === 0) {
+            return { success: false, reason: 'No path to destination' };
+        }
+
+        this.recordAction(ACTION_TYPES.GO_TO, {
+            units: units.map(unit => this.getUnitRef(unit)),
+            toX: targetX,
+            toY: targetY
+        });
+
+        stack.setGoToOrder(targetX, targetY, path);
+        const status = this.advanceGoToOrder(stack);
+
+        return { success: true, status, path };
+    }
+
+    /**
+     * Walk a stack along its "go to" path as far as its movement allows.
+     * The order is cancelled when the path is blocked or an enemy comes into view.
+     * @param {Stack} stack - Stack with a standing order
+     * @returns {string} - 'arrived', 'waiting' (out of movement), 'blocked', 'enemy_sighted'
+     * or 'captured' (marched into a foreign city and took it)
+     */
+    advanceGoToOrder(stack) {
+        const order = stack.getGoToOrder();
+        if (!order) {
+            return 'arrived';
+        }
+
+        const path = [...order.path];
+        const maxMovement = Math.min(...stack.getMovers().map(unit => unit.maxMovement));
+
+        while (path.length > 0) {
+            const step = path[0];
+            const cost = this.movementManager.calculateStackMovementCost(stack, step.x, step.y);
+            if (cost === Infinity || cost > maxMovement) {
+                stack.clearGoToOrder();
+                return 'blocked';
+            }
+
+            if (!this.movementManager.canStackAffordMove(stack, step.x, step.y)) {
+                stack.setGoToOrder(order.x, order.y, path);
+                return 'waiting';
+            }
+
+            const enemiesInView = this.getEnemiesInView(stack.owner);
+            if (!this.movementManager.moveStack(stack, step.x, step.y).success) {
+                stack.clearGoToOrder();
+                return 'blocked';
+            }
+            path.shift();
+            this.fogOfWar.updatePlayer(stack.owner);
+
+            if (this.captureCityAt(step.x, step.y, stack.owner)) {
+                stack.clearGoToOrder();
+                return 'captured';
+            }
+
+            const sighted = Array.from(this.getEnemiesInView(stack.owner)).some(unitId => !enemiesInView.has(unitId));
+            if (sighted) {
+                stack.clearGoToOrder();
+                return 'enemy_sighted';
+            }
+        }
+
+        stack.clearGoToOrder();
+        return 'arrived';
+    }
+
+    /**
+     * Carry out a player's standing "go to" orders (at the start of their turn)
+     * @param {number} playerId - Player ID
+     * @returns {Array} - One report { units, x, y, status } per stack
+     */
+    executeGoToOrders(playerId) {
+        // Units on the same hex heading for the same destination travel together
+        const groups = new Map();
+        for (const unit of this.getPlayerUnits(playerId)) {
+            if (!unit.goToOrder) continue;
+
+            const key = `${unit.x},${unit.y}>${unit.goToOrder.x},${unit.goToOrder.y}`;
+            if (!groups.has(key)) {
+                groups.set(key, []);
+            }
+            groups.get(key).push(unit);
+        }
+
+        const reports = [];
+        for (const units of groups.values()) {
+            const stack = this.createStack(units);
+            if (!stack) continue;
+
+            const status = this.advanceGoToOrder(stack);
+            reports.push({ units, x: stack.x, y: stack.y, status });
+        }
+        if (reports.length > 0) {
+            reports.finishedQuests = this.checkQuests();
+        }
+
+        if (reports.length > 0) {
+            this.notifyObservers('goToOrdersExecuted', { playerId, reports });
+        }
+        return reports;
+    }
+
+    /**
+     * Get the enemy units within sight of a player's units and cities (fog or not)
+     * @param {number} playerId - Player ID
+     * @returns {Set} - Set of enemy unit IDs
+     */
+    getEnemiesInView(playerId) {
+        const visible = this.fogOfWar.computeVisibility(playerId);
+        const enemies = new Set();
+
+        for (const unit of this.units.values()) {
+            if (unit.owner !== playerId && this.isAtWar(playerId, unit.owner) && visible.has(FogOfWar.key(unit.x, unit.y))) {
+                enemies.add(unit.id);
+            }
+        }
+        return enemies;
+    }
+
+    /**
+     * Order a city to produce a unit
+     * @param {City} city - Producing city
+     * @param {string} unitType - Unit type to produce
+     * @returns {boolean} - True if production started
+     */
+    produceUnit(city, unitType) {
+        const undoState = this.captureUndoState({ cities: [city] });
+        const success = city.produceUnit(unitType, this.players);
+        if (success) {
+            this.recordAction(ACTION_TYPES.PRODUCE_UNIT, { city: { x: city.x, y: city.y }, unitType });
+            this.commitUndoState(undoState);
+        }
+        return success;
+    }
+
+    /**
+     * Cancel a city's production (with partial refund)
+     * @param {City} city - Producing city
+     * @returns {boolean} - True if production was cancelled
+     */
+    cancelProduction(city) {
+        const undoState = this.captureUndoState({ cities: [city] });
+        const success = city.cancelProduction(this.players);
+        if (success) {
+            this.recordAction(ACTION_TYPES.CANCEL_PRODUCTION, { city: { x: city.x, y: city.y } });
+            this.commitUndoState(undoState);
+        }
+        return success;
+    }
+
+    /**
+     * Add an order to a city's production queue
+     * @param {City} city - Producing city
+     * @param {string} unitType - Unit type to produce
+     * @param {Object} options - { count, repeat } (see City.queueProduction)
+     * @returns {boolean} - True if the order was queued
+     */
+    queueProduction(city, unitType, { count = 1, repeat = false } = {}) {
+        const undoState = this.captureUndoState({ cities: [city] });
+        const success = city.queueProduction(unitType, this.players, { count, repeat });
+        if (success) {
+            this.recordAction(ACTION_TYPES.QUEUE_PRODUCTION, { city: { x: city.x, y: city.y }, unitType, count, repeat });
+            this.commitUndoState(undoState);
+        }
+        return success;
+    }
+
+    /**
+     * Move an order within a city's production queue
+     * @param {City} city - Producing city
+     * @param {number} fromIndex - Current queue index
+     * @param {number} toIndex - New queue index
+     * @returns {boolean} - True if the order was moved
+     */
+    moveQueuedProduction(city, fromIndex, toIndex) {
+        const undoState = this.captureUndoState({ cities: [city] });
+        const success = city.moveQueuedProduction(fromIndex, toIndex);
+        if (success) {
+            this.recordAction(ACTION_TYPES.MOVE_QUEUED_PRODUCTION, { city: { x: city.x, y: city.y }, fromIndex, toIndex });
+            this.commitUndoState(undoState);
+        }
+        return success;
+    }
+
+    /**
+     * Remove an order from a city's production queue
+     * @param {City} city - Producing city
+     * @param {number} index - Queue index
+     * @returns {boolean} - True if the order was removed
+     */
+    removeQueuedProduction(city, index) {
+        const undoState = this.captureUndoState({ cities: [city] });
+        const success = city.removeQueuedProduction(index);
+        if (success) {
+            this.recordAction(ACTION_TYPES.REMOVE_QUEUED_PRODUCTION, { city: { x: city.x, y: city.y }, index });
+            this.commitUndoState(undoState);
+        }
+        return success;
+    }
+
+    /**
+     * Take the foreign city on a hex a player's units have just entered.
+     * The conqueror then chooses what to do with it (see resolveCityCapture);
+     * choosing nothing before the turn ends occupies it.
+     * @param {number} x - Hex X coordinate
+     * @param {number} y - Hex Y coordinate
+     * @param {number} playerId - Conquering player ID
+     * @returns {City|null} - Captured city or null
+     */
+    captureCityAt(x, y, playerId) {
+        const city = this.getCityAt(x, y);
+        if (!city || city.owner === playerId || !this.isAtWar(playerId, city.owner)) {
+            return null;
+        }
+
+        const previousOwner = city.owner;
+        city.changeOwner(playerId, this.players);
+        city.capturedTurn = this.currentTurn;
+
+        // A conquest cannot be taken back
+        this.undoHistory.clear();
+
+        this.fogOfWar.updatePlayer(playerId);
+        if (this.getPlayer(previousOwner)) {
+            this.fogOfWar.updatePlayer(previousOwner);
+        }
+
+        this.notifyObservers('cityCaptured', { city, playerId, previousOwner });
+        return city;
+    }
+
+    /**
+     * Check if the active player has yet to choose what to do with a city they captured this turn
+     * @param {City} city - City to check
+     * @returns {boolean} - True if a capture choice is pending
+     */
+    isAwaitingCaptureChoice(city) {
+        return city.capturedTurn === this.currentTurn && city.owner === this.activePlayer;
+    }
+
+    /**
+     * Get the cities a player captured this turn and has not yet decided on
+     * @param {number} playerId - Player ID
+     * @returns {Array} - Cities awaiting a capture choice
+     */
+    getPendingCaptures(playerId) {
+        return playerId === this.activePlayer
+            ? this.getPlayerCities(playerId).filter(city => this.isAwaitingCaptureChoice(city))
+            : [];
+    }
+
+    /**
+     * Decide what to do with a city captured this turn: occupy it, pillage it
+     * (gold now, halved production for a while), sack it (also tear down its
+     * improvements for more gold) or raze it to the ground
+     * @param {City} city - Captured city
+     * @param {string} option - Option from CAPTURE_OPTIONS
+     * @returns {Object} - Result { success, option, gold } or { success: false, reason }
+     */
+    resolveCityCapture(city, option) {
+        if (!CAPTURE_OPTIONS[option]) {
+            return { success: false, reason: `Unknown capture option: ${option}` };
+        }
+        if (!city || !this.isAwaitingCaptureChoice(city)) {
+            return { success: false, reason: 'No captured city awaiting a choice' };
+        }
+
+        const player = this.getPlayer(city.owner);
+        const cityRef = { x: city.x, y: city.y };
+        let gold = 0;
+
+        city.capturedTurn = null;
+        switch (option) {
+            case CAPTURE_OPTIONS.PILLAGE:
+                gold = city.pillage();
+                break;
+            case CAPTURE_OPTIONS.SACK:
+                gold = city.sack();
+                break;
+            case CAPTURE_OPTIONS.RAZE:
+                this.razeCity(city);
+                break;
+        }
+
+        if (player) {
+            player.addGold(gold);
+            player.recordCityCapture(option, gold);
+        }
+
+        this.recordAction(ACTION_TYPES.RESOLVE_CAPTURE, { city: cityRef, option });
+        this.notifyObservers('captureResolved', { city, option, gold });
+        return { success: true, option, gold };
+    }
+
+    /**
+     * Destroy a city, leaving ruins on its hex
+     * @param {City} city - City to raze
+     */
+    razeCity(city) {
+        const hex = this.getHex(city.x, city.y);
+        if (hex) {
+            hex.setRuins(city.name, this.currentTurn);
+        }
+
+        this.removeCity(city.id);
+        this.fogOfWar.updatePlayer(city.owner);
+        console.log(`City ${city.name} was razed`);
+    }
+
+    /**
+     * Get the diplomatic state between two players
+     * @param {number} a - Player ID
+     * @param {number} b - Player ID
+     * @returns {string} - State from DIPLOMATIC_STATES
+     */
+    getDiplomaticState(a, b) {
+        return this.diplomacy.getState(a, b);
+    }
+
+    /**
+     * Check if two players are at war
+     * @param {number} a - Player ID
+     * @param {number} b - Player ID
+     * @returns {boolean} - True if at war
+     */
+    isAtWar(a, b) {
+        return this.diplomacy.isAtWar(a, b);
+    }
+
+    /**
+     * Offer a treaty from the active player to another player.
+     * Peace ends a war and an alliance builds on peace; the other player
+     * answers with respondToProposal before the end of their next turn.
+     * @param {number} targetId - Player receiving the offer
+     * @param {string} treaty - DIPLOMATIC_STATES.PEACE or DIPLOMATIC_STATES.ALLIANCE
+     * @returns {Object} - Result { success } or { success: false, reason }
+     */
+    proposeTreaty(targetId, treaty) {
+        const playerId = this.activePlayer;
+        const target = this.getPlayer(targetId);
+
+        if (!TREATY_REQUIREMENTS[treaty]) {
+            return { success: false, reason: `Unknown treaty: ${treaty}` };
+        }
+        if (!target || targetId === playerId || target.isEliminated) {
+            return { success: false, reason: 'Invalid treaty partner' };
+        }
+        if (this.diplomacy.getState(playerId, targetId) !== TREATY_REQUIREMENTS[treaty]) {
+            return { success: false, reason: `${treaty} requires ${TREATY_REQUIREMENTS[treaty]}` };
+        }
+        if (this.diplomacy.findProposal(playerId, targetId)) {
+            return { success: false, reason: 'A proposal is already pending' };
+        }
+
+        this.diplomacy.addProposal({ from: playerId, to: targetId, treaty, turn: this.currentTurn });
+        this.recordAction(ACTION_TYPES.PROPOSE_TREATY, { target: targetId, treaty });
+        this.notifyObservers('treatyProposed', { from: playerId, to: targetId, treaty });
+        return { success: true };
+    }
+
+    /**
+     * Accept or reject a treaty offered to the active player
+     * @param {number} fromId - Player who made the offer
+     * @param {boolean} accept - True to accept
+     * @returns {Object} - Result { success, state } or { success: false, reason }
+     */
+    respondToProposal(fromId, accept) {
+        const playerId = this.activePlayer;
+        const proposal = this.diplomacy.getProposalsTo(playerId).find(offer => offer.from === fromId);
+        if (!proposal) {
+            return { success: false, reason: 'No proposal from that player' };
+        }
+
+        this.diplomacy.removeProposals(playerId, fromId);
+        if (accept) {
+            this.diplomacy.setState(playerId, fromId, proposal.treaty, this.currentTurn);
+        }
+
+        this.recordAction(ACTION_TYPES.RESPOND_TREATY, { from: fromId, accept: !!accept });
+        this.notifyObservers('treatyAnswered', { from: fromId, to: playerId, treaty: proposal.treaty, accept: !!accept });
+        return { success: true, state: this.diplomacy.getState(playerId, fromId) };
+    }
+
+    /**
+     * Declare war on a player. Breaking a peace or alliance costs the active
+     * player reputation, and the victim's allies join the war against them.
+     * @param {number} targetId - Player to declare war on
+     * @returns {Object} - Result { success, brokenTreaty, joined } or { success: false, reason }
+     */
+    declareWar(targetId) {
+        const playerId = this.activePlayer;
+        const target = this.getPlayer(targetId);
+        if (!target || targetId === playerId || target.isEliminated) {
+            return { success: false, reason: 'Invalid target' };
+        }
+
+        const previousState = this.diplomacy.getState(playerId, targetId);
+        if (previousState === DIPLOMATIC_STATES.WAR) {
+            return { success: false, reason: 'Already at war' };
+        }
+
+        this.diplomacy.setState(playerId, targetId, DIPLOMATIC_STATES.WAR, this.currentTurn);
+        this.diplomacy.removeProposals(playerId, targetId);
+        this.diplomacy.recordTreatyBreak(playerId);
+        this.getPlayer(playerId).stats.treatiesBroken++;
+
+        // Allies stand by the victim
+        const playerIds = this.players.filter(player => !player.isEliminated).map(player => player.id);
+        const joined = this.diplomacy.getAllies(targetId, playerIds)
+            .filter(ally => ally !== playerId && !this.diplomacy.isAtWar(ally, playerId));
+        for (const ally of joined) {
+            this.diplomacy.setState(ally, playerId, DIPLOMATIC_STATES.WAR, this.currentTurn);
+            this.diplomacy.removeProposals(ally, playerId);
+        }
+
+        this.recordAction(ACTION_TYPES.DECLARE_WAR, { target: targetId });
+        this.notifyObservers('warDeclared', { playerId, targetId, brokenTreaty: previousState, joined });
+        return { success: true, brokenTreaty: previousState, joined };
+    }
+
+    /**
+     * Drop the offers a player let pass without answering
+     * @param {number} playerId - Player whose turn is ending
+     * @returns {Array} - Expired proposals
+     */
+    expireProposals(playerId) {
+        return this.diplomacy.expireProposalsTo(playerId);
+    }
+
+    /**
+     * Get the heroes a player owns
+     * @param {number} playerId - Player ID
+     * @returns {Array} - Player's heroes
+     */
+    getPlayerHeroes(playerId) {
+        return this.getPlayerUnits(playerId).filter(unit => unit.type === UNIT_TYPES.HERO);
+    }
+
+    /**
+     * Check if a player is below the hero limit
+     * @param {number} playerId - Player ID
+     * @returns {boolean} - True if another hero may join
+     */
+    canRecruitHero(playerId) {
+        return this.getPlayerHeroes(playerId).length < this.heroLimit;
+    }
+
+    /**
+     * Get the fee a hero asks to join a player; every hero already in service raises it
+     * @param {number} playerId - Player ID
+     * @returns {number} - Fee in gold
+     */
+    getHeroFee(playerId) {
+        return HERO_BASE_FEE * (this.getPlayerHeroes(playerId).length + 1);
+    }
+
+    /**
+     * Get the hero offering to join a player this turn
+     * @param {number} playerId - Player ID
+     * @returns {Object|null} - Offer { name, level, stats, fee, city, allies } or null
+     */
+    getHeroOffer(playerId) {
+        return this.heroOffers.get(playerId) || null;
+    }
+
+    /**
+     * Roll for a hero offering to join a player at the start of their turn.
+     * Only players below the hero limit who can pay the fee get offers.
+     * Later in the game heroes arrive with more experience, and some bring allies.
+     * @param {number} playerId - Player ID
+     * @returns {Object|null} - New offer or null
+     */
+    rollHeroOffer(playerId) {
+        this.heroOffers.delete(playerId);
+
+        const player = this.getPlayer(playerId);
+        const cities = this.getPlayerCities(playerId);
+        if (!player || cities.length === 0 || !this.canRecruitHero(playerId)) {
+            return null;
+        }
+
+        const fee = this.getHeroFee(playerId);
+        if (!player.canAfford(fee) || !this.random.chance(HERO_OFFER_CHANCE)) {
+            return null;
+        }
+
+        const city = this.random.pick(cities);
+        const namesInUse = new Set(Array.from(this.units.values())
+            .filter(unit => unit.type === UNIT_TYPES.HERO)
+            .map(hero => hero.heroName));
+        const freeNames = HERO_NAMES.filter(name => !namesInUse.has(name));
+        const name = this.random.pick(freeNames.length > 0 ? freeNames : HERO_NAMES);
+        const level = this.random.nextInt(1, Math.min(MAX_OFFER_LEVEL, 1 + Math.floor(this.currentTurn / 10)));
+
+        const allies = [];
+        if (this.random.chance(HERO_ALLY_CHANCE)) {
+            const faction = factionManager.getFaction(player.faction);
+            const types = faction
+                ? faction.getAvailableUnitTypes().filter(type => UNIT_TYPES[type])
+                : [];
+            if (types.length > 0) {
+                const type = this.random.pick(types);
+                const count = this.random.nextInt(1, MAX_HERO_ALLIES);
+                for (let i = 0; i < count; i++) {
+                    allies.push(type);
+                }
+            }
+        }
+
+        // Size up the hero as they would arrive
+        const preview = Hero.recruit(name, playerId, city.x, city.y, level);
+        const offer = {
+            name,
+            level,
+            stats: {
+                attack: preview.getAttackValue(),
+                defense: preview.getDefenseValue(),
+                health: preview.getMaxHealth(),
+                movement: preview.getMaxMovement(),
+                mana: preview.getMaxMana()
+            },
+            fee,
+            city: { x: city.x, y: city.y },
+            allies
+        };
+
+        this.heroOffers.set(playerId, offer);
+        this.notifyObservers('heroOffered', { playerId, offer });
+        return offer;
+    }
+
+    /**
+     * Pay the active player's hero offer and bring the hero (and any allies)
+     * into the city they are waiting in
+     * @returns {Object} - Result { success, hero, allies } or { success: false, reason }
+     */
+    acceptHeroOffer() {
+        const playerId = this.activePlayer;
+        const offer = this.getHeroOffer(playerId);
+        if (!offer) {
+            return { success: false, reason: 'No hero is offering to join' };
+        }
+
+        const player = this.getPlayer(playerId);
+        const city = this.getCityAt(offer.city.x, offer.city.y);
+        if (!city || city.owner !== playerId) {
+            return { success: false, reason: 'The hero\'s city has been lost' };
+        }
+        if (!this.canRecruitHero(playerId)) {
+            return { success: false, reason: `Hero limit of ${this.heroLimit} reached` };
+        }
+        if (!player.spendGold(offer.fee)) {
+            return { success: false, reason: `Cannot afford the fee of ${offer.fee} gold` };
+        }
+
+        this.heroOffers.delete(playerId);
+
+        const hero = Hero.recruit(offer.name, playerId, city.x, city.y, offer.level);
+        const allies = offer.allies.map(type => new Unit(type, playerId, city.x, city.y));
+        const hex = this.getHex(city.x, city.y);
+        for (const unit of [hero, ...allies]) {
+            this.addUnit(unit);
+            if (hex && !hex.unit) {
+                hex.setUnit(unit);
+            }
+        }
+
+        this.fogOfWar.updatePlayer(playerId);
+        this.recordAction(ACTION_TYPES.RESOLVE_HERO_OFFER, { accept: true });
+        this.notifyObservers('heroRecruited', { playerId, hero, allies });
+        return { success: true, hero, allies };
+    }
+
+    /**
+     * Turn down the active player's hero offer
+     * @returns {Object} - Result { success } or { success: false, reason }
+     */
+    declineHeroOffer() {
+        if (!this.getHeroOffer(this.activePlayer)) {
+            return { success: false, reason: 'No hero is offering to join' };
+        }
+
+        this.heroOffers.delete(this.activePlayer);
+        this.recordAction(ACTION_TYPES.RESOLVE_HERO_OFFER, { accept: false });
+        return { success: true };
+    }
+
+    /**
+     * Drop a hero offer the player let pass
+     * @param {number} playerId - Player whose turn is ending
+     */
+    expireHeroOffer(playerId) {
+        this.heroOffers.delete(playerId);
+    }
+
+    /**
+     * Get a player's heroes that have gained a level and still have to pick its skill
+     * @param {number} playerId - Player ID
+     * @returns {Array} - Heroes
+     */
+    getHeroesAwaitingSkill(playerId) {
+        return this.getPlayerHeroes(playerId).filter(hero => hero.getSkillChoices().length > 0);
+    }
+
+    /**
+     * Pick the skill for a level a hero has gained
+     * @param {Hero} hero - Hero
+     * @param {string} skillId - Skill ID (see HERO_SKILLS)
+     * @returns {Object} - Result { success, skill } or { success: false, reason }
+     */
+    chooseHeroSkill(hero, skillId) {
+        const heroRef = this.getUnitRef(hero);
+        const result = hero.learnSkill(skillId);
+        if (!result.success) {
+            return result;
+        }
+
+        this.recordAction(ACTION_TYPES.CHOOSE_SKILL, { hero: heroRef, skill: skillId });
+        // Scouting skills widen the hero's view at once
+        this.fogOfWar.updatePlayer(hero.owner);
+        this.notifyObservers('heroSkillLearned', { hero, skill: skillId });
+        return result;
+    }
+
+    /**
+     * Get the items lying on a hex
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {Array} - Items in the pile (empty off the map)
+     */
+    getItemsAt(x, y) {
+        const hex = this.getHex(x, y);
+        return hex ? hex.items : [];
+    }
+
+    /**
+     * Put down an item a hero carries on the hero's hex
+     * @param {Hero} hero - Hero carrying the item
+     * @param {number} itemIndex - Index in the hero's items
+     * @returns {Object} - Result { success, item } or { success: false, reason }
+     */
+    dropItem(hero, itemIndex) {
+        const item = hero.items[itemIndex];
+        const hex = this.getHex(hero.x, hero.y);
+        if (!item || !hex) {
+            return { success: false, reason: 'Item not found' };
+        }
+
+        const heroRef = this.getUnitRef(hero);
+        hero.unequipItem(item.id);
+        hex.addItem(item);
+
+        this.recordAction(ACTION_TYPES.DROP_ITEM, { hero: heroRef, itemIndex });
+        this.notifyObservers('itemDropped', { hero, item });
+        return { success: true, item };
+    }
+
+    /**
+     * Pick up an item from the pile on a hero's hex
+     * @param {Hero} hero - Hero picking it up
+     * @param {number} pileIndex - Index in the hex's pile
+     * @returns {Object} - Result { success, item } or { success: false, reason }
+     */
+    pickUpItem(hero, pileIndex) {
+        const hex = this.getHex(hero.x, hero.y);
+        const item = hex ? hex.items[pileIndex] : null;
+        if (!item) {
+            return { success: false, reason: 'Nothing to pick up' };
+        }
+
+        const heroRef = this.getUnitRef(hero);
+        hex.removeItem(pileIndex);
+        hero.receiveItem(item);
+
+        this.recordAction(ACTION_TYPES.PICK_UP_ITEM, { hero: heroRef, pileIndex });
+        this.notifyObservers('itemPickedUp', { hero, item });
+        return { success: true, item };
+    }
+
+    /**
+     * Hand an item from one hero to another hero of the same stack
+     * @param {Hero} hero - Hero giving the item
+     * @param {Hero} recipient - Hero receiving it
+     * @param {number} itemIndex - Index in the giver's items
+     * @returns {Object} - Result { success, item } or { success: false, reason }
+     */
+    transferItem(hero, recipient, itemIndex) {
+        const item = hero.items[itemIndex];
+        if (!item) {
+            return { success: false, reason: 'Item not found' };
+        }
+        if (!recipient || recipient === hero || recipient.type !== UNIT_TYPES.HERO || recipient.owner !== hero.owner ||
+            recipient.x !== hero.x || recipient.y !== hero.y) {
+            return { success: false, reason: 'Heroes must share a stack' };
+        }
+
+        const heroRef = this.getUnitRef(hero);
+        const recipientRef = this.getUnitRef(recipient);
+        hero.unequipItem(item.id);
+        recipient.receiveItem(item);
+
+        this.recordAction(ACTION_TYPES.TRANSFER_ITEM, { hero: heroRef, recipient: recipientRef, itemIndex });
+        this.notifyObservers('itemTransferred', { hero, recipient, item });
+        return { success: true, item };
+    }
+
+    /**
+     * Craft an item from a hero's inventory in one of its owner's cities
+     * @param {Hero} hero - Hero carrying the ingredients
+     * @param {string} recipeId - Recipe (result template) ID (see CRAFTING_RECIPES)
+     * @returns {Object} - Result { success, item, ingredients } or { success: false, reason }
+     */
+    craftItem(hero, recipeId) {
+        const city = this.getCityAt(hero.x, hero.y);
+        if (!city || city.owner !== hero.owner) {
+            return { success: false, reason: 'Items are crafted in your own cities' };
+        }
+
+        const heroRef = this.getUnitRef(hero);
+        const result = craftFromInventory(hero, recipeId);
+        if (!result.success) {
+            return result;
+        }
+
+        this.recordAction(ACTION_TYPES.CRAFT_ITEM, { hero: heroRef, recipe: recipeId });
+        this.notifyObservers('itemCrafted', { hero, item: result.item, ingredients: result.ingredients });
+        return result;
+    }
+
+    /**
+     * Leave everything a fallen hero carried on the hex where it fell
+     * @param {Unit} unit - Destroyed unit (anything but a hero carries nothing)
+     * @returns {Array} - Items dropped
+     */
+    dropLoot(unit) {
+        const hex = this.getHex(unit.x, unit.y);
+        if (!hex || !Array.isArray(unit.items) || unit.items.length === 0) {
+            return [];
+        }
+
+        const loot = unit.items.splice(0);
+        for (const item of loot) {
+            hex.addItem(item);
+        }
+
+        this.notifyObservers('lootDropped', { unit, items: loot });
+        return loot;
+    }
+
+    /**
+     * Get the explorable site on a hex
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {Object|null} - Site or null
+     */
+    getSiteAt(x, y) {
+        const hex = this.getHex(x, y);
+        return hex ? hex.site : null;
+    }
+
+    /**
+     * Send a hero and the units with them against the monsters guarding
+     * the site they stand on. Surviving guardians keep the site.
+     * @param {Hero} hero - Hero exploring the site
+     * @returns {Object|null} - Stack battle result, or null if nothing guards the site
+     */
+    fightSiteGuardians(hero) {
+        const site = this.getSiteAt(hero.x, hero.y);
+        if (!site || site.guardians.length === 0) {
+            return null;
+        }
+
+        const party = this.getUnitsAt(hero.x, hero.y).filter(unit => unit.owner === hero.owner);
+        const guardians = site.guardians.map(type => new Unit(type, NEUTRAL_OWNER, site.x, site.y));
+
+        const result = CombatSystem.resolveStackCombat(party, guardians, this.getHex(hero.x, hero.y), null, this.getBattleOptions());
+        if (!result.success) {
+            console.warn(`Guardian battle failed: ${result.reason}`);
+            return null;
+        }
+
+        const player = this.getPlayer(hero.owner);
+        if (player) {
+            if (result.winner === 'attacker') {
+                player.recordBattleWin();
+            } else {
+                player.recordBattleLoss();
+            }
+            result.attackerLosses.forEach(() => player.recordUnitLoss());
+            result.defenderLosses.forEach(() => player.recordUnitKill());
+        }
+
+        site.guardians = result.defenderSurvivors.map(guardian => guardian.type);
+
+        this.removeDeadUnits(result.attackerLosses);
+        result.finishedQuests = this.checkQuests();
+        this.fogOfWar.updatePlayer(hero.owner);
+
+        this.notifyObservers('battleResolved', { result });
+        return result;
+    }
+
+    /**
+     * Mark a site as looted. Temples stay open: they hand out quests, not loot.
+     * @param {Object} site - Site that was explored
+     * @param {number} playerId - Player whose hero explored it
+     */
+    markSiteExplored(site, playerId) {
+        if (!site.exploredBy.includes(playerId)) {
+            site.exploredBy.push(playerId);
+        }
+        if (site.type !== LOCATION_TYPES.TEMPLE) {
+            site.explored = true;
+        }
+        this.notifyObservers('siteExplored', { site, playerId });
+    }
+
+    /**
+     * Get the neutral monsters on the map, grouped by the hex they share
+     * @returns {Array} - One array of units per monster stack
+     */
+    getMonsterStacks() {
+        const stacks = new Map();
+        for (const unit of this.getPlayerUnits(NEUTRAL_OWNER)) {
+            const key = `${unit.x},${unit.y}`;
+            if (!stacks.has(key)) {
+                stacks.set(key, []);
+            }
+            stacks.get(key).push(unit);
+        }
+        return Array.from(stacks.values());
+    }
+
+    /**
+     * Check if monsters may appear on a hex: an empty hex away from every
+     * city, on terrain some monster lives on
+     * @param {Hex} hex - Hex to check
+     * @returns {boolean} - True if monsters may appear there
+     */
+    canSpawnMonstersAt(hex) {
+        if (!hex || !hex.isPassable() || hex.hasCity() || hex.unit || this.getUnitsAt(hex.x, hex.y).length > 0) {
+            return false;
+        }
+
+        const { minCityDistance } = monsterRegistry.spawning;
+        for (const city of this.cities.values()) {
+            if (hex.distanceTo(this.getHex(city.x, city.y)) < minCityDistance) {
+                return false;
+            }
+        }
+
+        return monsterRegistry.getForTerrain(hex.terrain).length > 0;
+    }
+
+    /**
+     * Put a stack of monsters suited to the terrain on a hex
+     * @param {Hex} hex - Hex the monsters appear on (and call home)
+     * @param {string} behavior - MONSTER_BEHAVIORS.ROAM or MONSTER_BEHAVIORS.GUARD
+     * @returns {Array} - The new monsters (empty if none lives on the terrain)
+     */
+    spawnMonsterStack(hex, behavior) {
+        const monster = monsterRegistry.pick(hex.terrain, this.random);
+        if (!monster) {
+            return [];
+        }
+
+        const units = [];
+        const count = monsterRegistry.rollCount(monster, this.random);
+        for (let i = 0; i < count; i++) {
+            const unit = new Unit(monster.type, NEUTRAL_OWNER, hex.x, hex.y);
+            unit.behavior = { type: behavior, x: hex.x, y: hex.y };
+            this.addUnit(unit);
+            units.push(unit);
+        }
+        hex.setUnit(units[0]);
+
+        this.notifyObservers('monstersSpawned', { units, behavior });
+        return units;
+    }
+
+    /**
+     * Set the monsters out at the start of the game: a guard on every ruin
+     * clear of the cities and roaming stacks scattered over the wilds.
+     * The guard stack takes the place of the ruin's own guardians, so heroes
+     * fight their way in once.
+     */
+    spawnStartingMonsters() {
+        for (const site of this.map.getSites()) {
+            const hex = this.getHex(site.x, site.y);
+            if (site.type === LOCATION_TYPES.RUINS && this.canSpawnMonstersAt(hex) &&
+                this.spawnMonsterStack(hex, MONSTER_BEHAVIORS.GUARD).length > 0) {
+                site.guardians = [];
+            }
+        }
+
+        const roaming = Math.floor(this.map.hexes.length / monsterRegistry.spawning.hexesPerStack);
+        for (let i = 0; i < roaming; i++) {
+            this.spawnRoamingMonsters();
+        }
+    }
+
+    /**
+     * Put a roaming monster stack on a random open hex
+     * @returns {Array} - The new monsters (empty if there was no room)
+     */
+    spawnRoamingMonsters() {
+        const lairs = this.map.hexes.filter(hex => this.canSpawnMonstersAt(hex));
+        if (lairs.length === 0) {
+            return [];
+        }
+        return this.spawnMonsterStack(this.random.pick(lairs), MONSTER_BEHAVIORS.ROAM);
+    }
+
+    /**
+     * Roll for a new roaming stack at the start of a round, unless the map
+     * already holds as many as it may
+     * @returns {Array} - The new monsters (empty if none turned up)
+     */
+    rollMonsterSpawn() {
+        const { maxStacks, spawnChance } = monsterRegistry.spawning;
+        if (!this.neutralMonsters || this.getMonsterStacks().length >= maxStacks || !this.random.chance(spawnChance)) {
+            return [];
+        }
+        return this.spawnRoamingMonsters();
+    }
+
+    /**
+     * Move a monster stack. Monsters act at the start of a round, outside
+     * any player's turn, so they skip the movement manager and the action log.
+     * @param {Array} units - Monsters sharing a hex
+     * @param {number} targetX - Target X coordinate
+     * @param {number} targetY - Target Y coordinate
+     * @returns {boolean} - True if the monsters moved
+     */
+    moveMonsterStack(units, targetX, targetY) {
+        const stack = this.createStack(units);
+        if (!stack || !stack.move(targetX, targetY, this.map)) {
+            return false;
+        }
+        this.fogOfWar.updateAll();
+        return true;
+    }
+
+    /**
+     * Set out the scenario's cities and each player's starting army
+     */
+    placeScenario() {
+        for (const entry of this.scenario.cities) {
+            const city = new City(entry.name, NEUTRAL_OWNER, entry.x, entry.y, entry.size || 1);
+            if (entry.owner !== NEUTRAL_OWNER && this.getPlayer(entry.owner)) {
+                city.changeOwner(entry.owner, this.players);
+            }
+            this.getHex(entry.x, entry.y).setCity(city);
+            this.addCity(city);
+        }
+
+        // In a campaign the heroes carried over from the last chapter take the
+        // places of the campaign player's own heroes
+        const campaign = this.setupConfig && this.setupConfig.campaign;
+        const veterans = campaign ? [...campaign.heroes] : [];
+
+        for (const player of this.scenario.players) {
+            if (!this.getPlayer(player.id)) continue;
+            for (const entry of player.units) {
+                if (campaign && player.id === campaign.player && entry.type === UNIT_TYPES.HERO && veterans.length > 0) {
+                    this.placeCampaignHero(veterans.shift(), player.id, entry.x, entry.y);
+                } else {
+                    this.placeScenarioUnit(entry.type, player.id, entry.x, entry.y, entry.name);
+                }
+            }
+        }
+
+        // Any more wait in the campaign player's first city
+        if (veterans.length > 0) {
+            const [home] = this.getPlayerCities(campaign.player);
+            const [firstUnit] = this.scenario.players.find(player => player.id === campaign.player)?.units || [];
+            const spot = home || firstUnit;
+            for (const record of spot ? veterans : []) {
+                this.placeCampaignHero(record, campaign.player, spot.x, spot.y);
+            }
+        }
+    }
+
+    /**
+     * Put a hero carried over from an earlier campaign chapter on the map
+     * @param {Object} record - Campaign record (see Hero.toCampaignRecord)
+     * @param {number} owner - Owning player ID
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {Hero} - The hero
+     */
+    placeCampaignHero(record, owner, x, y) {
+        const hero = Hero.fromCampaignRecord(record, owner, x, y);
+        const hex = this.getHex(x, y);
+        this.addUnit(hero);
+        if (hex && !hex.unit) {
+            hex.setUnit(hero);
+        }
+        return hero;
+    }
+
+    /**
+     * Put a unit on the map for a scenario. Heroes keep the name the
+     * scenario gives them.
+     * @param {string} unitType - Unit type
+     * @param {number} owner - Owning player ID (or NEUTRAL_OWNER)
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {string} name - Hero name (optional)
+     * @returns {Unit|null} - The unit, or null if an enemy holds the hex
+     */
+    placeScenarioUnit(unitType, owner, x, y, name = null) {
+        const hex = this.getHex(x, y);
+        if (!hex || (hex.unit && hex.unit.owner !== owner)) {
+            console.warn(`Scenario unit ${unitType} cannot be placed at (${x}, ${y})`);
+            return null;
+        }
+
+        const unit = unitType === UNIT_TYPES.HERO
+            ? new Hero(name || this.random.pick(HERO_NAMES), owner, x, y)
+            : new Unit(unitType, owner, x, y);
+        if (owner === NEUTRAL_OWNER) {
+            unit.behavior = { type: MONSTER_BEHAVIORS.GUARD, x, y };
+        }
+        this.addUnit(unit);
+        if (!hex.unit) {
+            hex.setUnit(unit);
+        }
+        return unit;
+    }
+
+    /**
+     * Fire the scenario triggers whose conditions now hold and apply its
+     * defeat and victory conditions. Called after moves and battles and at
+     * the start of every turn; uses no randomness and records no actions,
+     * so replays fire the same triggers at the same moments.
+     * @returns {Object|null} - Report { triggers, messages, defeated, outcome },
+     *     or null if there is no scenario or nothing happened
+     */
+    checkScenario() {
+        if (!this.scenario || this.scenarioOutcome) {
+            return null;
+        }
+
+        const report = { triggers: [], messages: [], defeated: [], outcome: null };
+        const defeat = playerId => {
+            if (!this.isPlayerEliminated(playerId)) {
+                this.eliminatePlayer(playerId);
+                report.defeated.push(playerId);
+            }
+        };
+
+        this.scenario.triggers.forEach((trigger, index) => {
+            if (this.firedTriggers.includes(index) || !this.scenario.isConditionMet(trigger.when, this)) {
+                return;
+            }
+            this.firedTriggers.push(index);
+            report.triggers.push(trigger.id || index);
+
+            for (const action of trigger.actions) {
+                switch (action.type) {
+                    case SCENARIO_ACTIONS.SHOW_MESSAGE:
+                        report.messages.push({ text: action.text, player: action.player });
+                        break;
+                    case SCENARIO_ACTIONS.SPAWN_UNITS:
+                        for (const unitType of action.units) {
+                            this.placeScenarioUnit(unitType, action.player, action.x, action.y);
+                        }
+                        this.fogOfWar.updateAll();
+                        break;
+                    case SCENARIO_ACTIONS.GIVE_GOLD:
+                        this.playerAddGold(action.player, action.amount);
+                        break;
+                    case SCENARIO_ACTIONS.PLAYER_WINS:
+                        this.scenarioOutcome = this.scenarioOutcome ||
+                            { winner: action.player, outcome: action.outcome || 'victory' };
+                        break;
+                    case SCENARIO_ACTIONS.PLAYER_LOSES:
+                        defeat(action.player);
+                        break;
+                }
+            }
+        });
+
+        for (const entry of this.scenario.defeat) {
+            if (this.scenario.isConditionMet(entry.when, this)) {
+                defeat(entry.player);
+            }
+        }
+
+        if (!this.scenarioOutcome) {
+            const won = this.scenario.victory.find(entry =>
+                !this.isPlayerEliminated(entry.player) && this.scenario.isConditionMet(entry.when, this));
+            if (won) {
+                this.scenarioOutcome = { winner: won.player, outcome: won.outcome || 'victory' };
+            }
+        }
+        report.outcome = this.scenarioOutcome;
+
+        if (report.triggers.length === 0 && report.defeated.length === 0 && !report.outcome) {
+            return null;
+        }
+
+        // A scripted event cannot be taken back
+        this.undoHistory.clear();
+        this.notifyObservers('scenarioTriggered', report);
+        return report;
+    }
+
+    /**
+     * Give a hero a quest at a temple. A hero works on one quest at a time.
+     * @param {Hero} hero - Hero visiting the temple
+     * @returns {Object} - Result { success, quest } or { success: false, reason }
+     */
+    issueQuest(hero) {
+        if (!hero || hero.type !== UNIT_TYPES.HERO) {
+            return { success: false, reason: 'Only heroes take quests' };
+        }
+
+        const current = this.getActiveQuest(hero.id);
+        if (current) {
+            return { success: false, reason: `${hero.heroName} is already on a quest`, quest: current };
+        }
+
+        const quest = Quest.generate(hero, this);
+        if (!quest) {
+            return { success: false, reason: 'The temple has no task to give' };
+        }
+
+        this.quests.push(quest);
+        this.notifyObservers('questIssued', { hero, quest });
+        return { success: true, quest };
+    }
+
+    /**
+     * Get every quest a hero has taken, finished ones included
+     * @param {string} heroId - Hero unit ID
+     * @returns {Array} - Quests
+     */
+    getHeroQuests(heroId) {
+        return this.quests.filter(quest => quest.heroId === heroId);
+    }
+
+    /**
+     * Get the quest a hero is working on
+     * @param {string} heroId - Hero unit ID
+     * @returns {Quest|null} - Active quest or null
+     */
+    getActiveQuest(heroId) {
+        return this.quests.find(quest => quest.heroId === heroId && quest.isActive()) || null;
+    }
+
+    /**
+     * Get a player's quests, for the quest journal
+     * @param {number} playerId - Player ID
+     * @returns {Array} - Quests
+     */
+    getPlayerQuests(playerId) {
+        return this.quests.filter(quest => quest.owner === playerId);
+    }
+
+    /**
+     * Settle the hunts for heroes slain in battle
+     * @param {Array} losses - Units destroyed
+     * @param {number} killerId - Player whose units won
+     * @returns {Array} - Quests that finished
+     */
+    resolveSlainHeroes(losses, killerId) {
+        const finished = [];
+        for (const unit of losses) {
+            if (unit.type !== UNIT_TYPES.HERO) continue;
+
+            for (const quest of this.quests) {
+                if (!quest.isActive() || quest.type !== QUEST_TYPES.KILL_HERO || quest.target.heroId !== unit.id) continue;
+
+                if (quest.owner === killerId) {
+                    this.completeQuest(quest, `${quest.target.name} was slain`);
+                } else {
+                    this.failQuest(quest, `${quest.target.name} fell to another`);
+                }
+                finished.push(quest);
+            }
+        }
+        return finished;
+    }
+
+    /**
+     * Check every active quest against the board: deliveries made, target
+     * cities taken or destroyed, heroes or their quarry gone
+     * @returns {Array} - Quests that finished
+     */
+    checkQuests() {
+        const finished = [];
+
+        for (const quest of this.quests) {
+            if (!quest.isActive()) continue;
+
+            const hero = this.getUnit(quest.heroId);
+            if (!hero || !hero.isAlive() || hero.owner !== quest.owner) {
+                this.failQuest(quest, 'The hero fell');
+                finished.push(quest);
+                continue;
+            }
+
+            switch (quest.type) {
+                case QUEST_TYPES.KILL_HERO:
+                    if (!this.getUnit(quest.target.heroId)) {
+                        this.failQuest(quest, `${quest.target.name} vanished`);
+                        finished.push(quest);
+                    }
+                    break;
+
+                case QUEST_TYPES.CAPTURE_CITY: {
+                    const city = this.getCity(quest.target.cityId);
+                    if (!city) {
+                        this.failQuest(quest, `${quest.target.name} was destroyed`);
+                        finished.push(quest);
+                    } else if (city.owner === quest.owner) {
+                        this.completeQuest(quest, `${quest.target.name} was taken`);
+                        finished.push(quest);
+                    }
+                    break;
+                }
+
+                case QUEST_TYPES.DELIVER_ITEM: {
+                    const item = hero.items.find(carried => carried.name === quest.target.item);
+                    if (item && hero.x === quest.target.x && hero.y === quest.target.y) {
+                        hero.unequipItem(item.id);
+                        this.completeQuest(quest, `The ${quest.target.item} was delivered`);
+                        finished.push(quest);
+                    }
+                    break;
+                }
+            }
+        }
+
+        return finished;
+    }
+
+    /**
+     * Settle quests at the start of a player's turn: anything that changed
+     * on other players' turns (a target city razed, say), then deadlines
+     * @param {number} playerId - Player whose turn is starting
+     * @returns {Array} - Quests that finished
+     */
+    processQuestDeadlines(playerId) {
+        const finished = this.checkQuests();
+        const expired = this.getPlayerQuests(playerId)
+            .filter(quest => quest.isActive() && quest.isOverdue(this.currentTurn));
+        for (const quest of expired) {
+            this.failQuest(quest, 'The deadline passed');
+        }
+        return [...finished, ...expired];
+    }
+
+    /**
+     * Finish a quest and pay its reward to the hero and their owner
+     * @param {Quest} quest - Quest to complete
+     * @param {string} outcome - What happened
+     */
+    completeQuest(quest, outcome) {
+        quest.finish(QUEST_STATUS.COMPLETED, outcome);
+
+        const hero = this.getUnit(quest.heroId);
+        const player = this.getPlayer(quest.owner);
+        const { reward } = quest;
+
+        switch (reward.type) {
+            case QUEST_REWARDS.GOLD:
+                if (player) player.addGold(reward.amount);
+                break;
+            case QUEST_REWARDS.ITEM:
+                if (hero) hero.equipItem(Item.create(reward.item));
+                break;
+            case QUEST_REWARDS.EXPERIENCE:
+                if (hero) hero.gainExperience(reward.amount);
+                break;
+            case QUEST_REWARDS.ALLIES:
+                if (hero) {
+                    for (let i = 0; i < reward.count; i++) {
+                        this.addUnit(new Unit(reward.unitType, quest.owner, hero.x, hero.y));
+                    }
+                    this.fogOfWar.updatePlayer(quest.owner);
+                }
+                break;
+        }
+
+        // A paid reward cannot be taken back
+        this.undoHistory.clear();
+        this.notifyObservers('questCompleted', { quest });
+    }
+
+    /**
+     * Give up a quest
+     * @param {Quest} quest - Quest that failed
+     * @param {string} outcome - What happened
+     */
+    failQuest(quest, outcome) {
+        quest.finish(QUEST_STATUS.FAILED, outcome);
+        this.notifyObservers('questFailed', { quest });
+    }
+
+    /**
+     * Start building an improvement or size upgrade in a city
+     * @param {City} city - Building city
+     * @param {string} project - Improvement key or CITY_UPGRADE
+     * @returns {boolean} - True if construction started
+     */
+    startConstruction(city, project) {
+        const undoState = this.captureUndoState({ cities: [city] });
+        const success = city.startConstruction(project, this.players);
+        if (success) {
+            this.recordAction(ACTION_TYPES.START_CONSTRUCTION, { city: { x: city.x, y: city.y }, project });
+            this.commitUndoState(undoState);
+        }
+        return success;
+    }
+
+    /**
+     * Cancel a city's construction (with partial refund)
+     * @param {City} city - Building city
+     * @returns {boolean} - True if construction was cancelled
+     */
+    cancelConstruction(city) {
+        const undoState = this.captureUndoState({ cities: [city] });
+        const success = city.cancelConstruction(this.players);
+        if (success) {
+            this.recordAction(ACTION_TYPES.CANCEL_CONSTRUCTION, { city: { x: city.x, y: city.y } });
+            this.commitUndoState(undoState);
+        }
+        return success;
+    }
+
+    /**
+     * Advance construction in a player's cities
+     * @param {number} playerId - Player ID
+     * @returns {Array} - Finished projects { city, project }
+     */
+    processCityConstruction(playerId) {
+        const completed = [];
+
+        for (const city of this.getPlayerCities(playerId)) {
+            const project = city.processConstruction();
+            if (project) {
+                completed.push({ city, project });
+            }
+        }
+
+        if (completed.length > 0) {
+            // Bigger cities see further
+            this.fogOfWar.updatePlayer(playerId);
+            this.notifyObservers('constructionCompleted', { playerId, completed });
+        }
+        return completed;
+    }
+
+    /**
+     * Set or clear the rally point a city sends its new units to
+     * @param {City} city - Vectoring city
+     * @param {Object|null} target - Rally point { x, y }, or null to stop vectoring
+     * @returns {Object} - Result { success } or { success: false, reason }
+     */
+    setCityVector(city, target) {
+        if (city.owner !== this.activePlayer) {
+            return { success: false, reason: 'Not the owner\'s turn' };
+        }
+
+        if (target) {
+            const hex = this.getHex(target.x, target.y);
+            if (!hex || !hex.isPassable()) {
+                return { success: false, reason: 'Units cannot go there' };
+            }
+            if (target.x === city.x && target.y === city.y) {
+                return { success: false, reason: 'A city cannot vector to itself' };
+            }
+        } else if (!city.vectorTarget) {
+            return { success: false, reason: 'City is not vectoring' };
+        }
+
+        const undoState = this.captureUndoState({ cities: [city] });
+        if (target) {
+            city.setVector(target.x, target.y);
+        } else {
+            city.clearVector();
+        }
+
+        this.recordAction(ACTION_TYPES.SET_VECTOR, {
+            city: { x: city.x, y: city.y },
+            target: target ? { x: target.x, y: target.y } : null
+        });
+        this.commitUndoState(undoState);
+        return { success: true };
+    }
+
+    /**
+     * Get every active vector of a player
+     * @param {number} playerId - Player ID
+     * @returns {Array} - Vectors { city, target, targetCity }
+     */
+    getPlayerVectors(playerId) {
+        return this.getPlayerCities(playerId)
+            .filter(city => city.vectorTarget)
+            .map(city => ({
+                city,
+                target: city.vectorTarget,
+                targetCity: this.getCityAt(city.vectorTarget.x, city.vectorTarget.y)
+            }));
+    }
+
+    /**
+     * Give a newly produced unit a "go to" order to its city's rally point.
+     * A vector to a city the player no longer owns is dropped.
+     * @param {City} city - Producing city
+     * @param {Unit} unit - New unit
+     * @returns {boolean} - True if the unit was sent on its way
+     */
+    sendToVector(city, unit) {
+        const target = city.vectorTarget;
+        if (!target) {
+            return false;
+        }
+
+        const targetCity = this.getCityAt(target.x, target.y);
+        if (targetCity && targetCity.owner !== city.owner) {
+            city.clearVector();
+            return false;
+        }
+
+        const path = this.map.findPath(city.x, city.y, target.x, target.y, unit);
+        if (!path || path.length === 0) {
+            return false;
+        }
+
+        this.createStack([unit]).setGoToOrder(target.x, target.y, path);
+        return true;
+    }
+
+    /**
+     * Advance production in a player's cities and place finished units in them.
+     * Units from vectoring cities set off for the rally point next turn.
+     * @param {number} playerId - Player ID
+     * @returns {Array} - Finished units { city, unit, vectored }
+     */
+    processCityProduction(playerId) {
+        const completed = [];
+
+        for (const city of this.getPlayerCities(playerId)) {
+            const unitType = city.processProduction(this.players);
+            if (!unitType) continue;
+
+            const unit = new Unit(unitType, city.owner, city.x, city.y);
+            this.addUnit(unit);
+
+            const hex = this.getHex(city.x, city.y);
+            if (hex && !hex.unit) {
+                hex.setUnit(unit);
+            }
+
+            completed.push({ city, unit, vectored: this.sendToVector(city, unit) });
+        }
+
+        if (completed.length > 0) {
+            this.fogOfWar.updatePlayer(playerId);
+            this.notifyObservers('productionCompleted', { playerId, completed });
+        }
+        return completed;
+    }
+
+    /**
+     * Snapshot the state an undoable action may change
+     * @param {Object} scope - { units, cities, hexes } the action touches
+     * @returns {Object} - Snapshot for commitUndoState
+     */
+    captureUndoState({ units = [], cities = [], hexes = [] }) {
+        const touchedHexes = new Set(
+            [...units, ...hexes]
+                .map(({ x, y }) => this.getHex(x, y))
+                .filter(hex => hex)
+        );
+
+        return {
+            playerId: this.activePlayer,
+            turn: this.currentTurn,
+            logSize: this.actionLog.size(),
+            moveCount: this.movementManager.getMovementHistory().length,
+            knowledge: this.fogOfWar.getKnowledge(this.activePlayer),
+            units: units.map(unit => ({
+                unit,
+                x: unit.x,
+                y: unit.y,
+                movement: unit.movement,
+                hasActed: unit.hasActed,
+                goToOrder: unit.goToOrder
+            })),
+            hexes: Array.from(touchedHexes).map(hex => ({ hex, unit: hex.unit })),
+            cities: cities.map(city => ({
+                city,
+                currentProduction: city.currentProduction,
+                productionProgress: city.productionProgress,
+                production: city.production.map(order => ({ ...order })),
+                vectorTarget: city.vectorTarget,
+                construction: city.construction ? { ...city.construction } : null
+            })),
+            gold: this.players.map(player => ({ player, gold: player.resources.gold }))
+        };
+    }
+
+    /**
+     * Keep a snapshot for undo, unless the action showed the player something new
+     * @param {Object} undoState - Snapshot from captureUndoState
+     */
+    commitUndoState(undoState) {
+        const knowledge = this.fogOfWar.getKnowledge(undoState.playerId);
+        if (this.fogOfWar.hasRevealed(undoState.knowledge, knowledge)) {
+            this.undoHistory.clear();
+            return;
+        }
+
+        this.undoHistory.push(undoState);
+    }
+
+    /**
+     * Check if the active player can take back their last action
+     * @returns {boolean} - True if undo is available
+     */
+    canUndo() {
+        const undoState = this.undoHistory.peek();
+        return Boolean(undoState) && undoState.playerId === this.activePlayer && undoState.turn === this.currentTurn;
+    }
+
+    /**
+     * Take back the last undoable action: positions, movement points,
+     * hex occupancy, production and gold go back to how they were
+     * @returns {Object} - Result { success, action } or { success: false, reason }
+     */
+    undoLastAction() {
+        if (!this.canUndo()) {
+            return { success: false, reason: 'Nothing to undo' };
+        }
+
+        const undoState = this.undoHistory.pop();
+        const action = this.actionLog.getAction(undoState.logSize);
+
+        for (const { unit, x, y, movement, hasActed, goToOrder } of undoState.units) {
+            unit.x = x;
+            unit.y = y;
+            unit.movement = movement;
+            unit.hasActed = hasActed;
+            unit.goToOrder = goToOrder;
+        }
+
+        for (const { hex, unit } of undoState.hexes) {
+            if (unit) {
+                hex.setUnit(unit);
+            } else {
+                hex.removeUnit();
+            }
+        }
+
+        for (const { city, currentProduction, productionProgress, production, vectorTarget, construction } of undoState.cities) {
+            city.currentProduction = currentProduction;
+            city.productionProgress = productionProgress;
+            city.production = production;
+            city.vectorTarget = vectorTarget;
+            city.construction = construction;
+        }
+
+        for (const { player, gold } of undoState.gold) {
+            player.resources.gold = gold;
+        }
+
+        this.actionLog.truncate(undoState.logSize);
+        this.movementManager.truncateMovementHistory(undoState.moveCount);
+        this.fogOfWar.updatePlayer(undoState.playerId);
+
+        this.notifyObservers('actionUndone', { action });
+        return { success: true, action };
+    }
+
+    /**
+     * Append a command to the action log
+     * @param {string} type - Action type from ACTION_TYPES
+     * @param {Object} data - Serializable action data
+     * @returns {Object} - Logged action
+     */
+    recordAction(type, data = {}) {
+        // Dice rolls, discoveries and turn ends cannot be taken back
+        if (!UNDOABLE_ACTIONS.has(type)) {
+            this.undoHistory.clear();
+        }
+
+        const action = this.actionLog.record({
+            type,
+            playerId: this.activePlayer,
+            turn: this.currentTurn,
+            ...data
+        });
+        this.notifyObservers('actionRecorded', { action });
+        return action;
+    }
+
+    /**
+     * Describe a unit by hex and position among the units there.
+     * Unit IDs differ between a game and its replay, positions do not.
+     * @param {Unit} unit - Unit to describe
+     * @returns {Object} - Unit reference { x, y, index }
+     */
+    getUnitRef(unit) {
+        return {
+            x: unit.x,
+            y: unit.y,
+            index: this.getUnitsAt(unit.x, unit.y).indexOf(unit)
+        };
+    }
+
+    /**
+     * Find the unit a reference describes
+     * @param {Object} ref - Unit reference from getUnitRef
+     * @returns {Unit|null} - Unit or null
+     */
+    resolveUnitRef(ref) {
+        if (!ref) {
+            return null;
+        }
+        return this.getUnitsAt(ref.x, ref.y)[ref.index] || null;
     }
 
     /**
@@ -7,6 +7,9 @@
 import { Unit, UNIT_TYPES } from './Unit.js';
 import { Item, ITEM_TYPES } from './Item.js';
 import { Spell, SPELL_TYPES } from './Spell.js';
+import { gameRandom } from './GameRandom.js';
+import { SpellGenerator } from './SpellGenerator.js';
+import { HERO_SKILLS, getAvailableSkills, getSkillSchools } from './HeroSkill.js';
 
 export const HERO_NAMES = [
     'Aldric', 'Brenna', 'Caelan', 'Dara', 'Ewan', 'Fiona',
@@ -29,6 +32,17 @@ export const EXPERIENCE_LEVELS = [
     2700  // Level 10 (max)
 ];
 
+// Heroes a player may own at once unless the game settings say otherwise
+export const DEFAULT_HERO_LIMIT = 4;
+
+// Recruitment offers: a hero asks HERO_BASE_FEE for each hero already in
+// service plus one, and may bring a few allies of one unit type
+export const HERO_BASE_FEE = 150;
+export const HERO_OFFER_CHANCE = 0.3;
+export const HERO_ALLY_CHANCE = 0.3;
+export const MAX_HERO_ALLIES = 2;
+export const MAX_OFFER_LEVEL = 3;
+
 export class Hero extends Unit {
     constructor(name, owner, x, y) {
         super(UNIT_TYPES.HERO, owner, x, y);
@@ -41,6 +55,8 @@ export class Hero extends Unit {
         this.spells = [];
         this.maxMana = 10;
         this.mana = 10;
+        this.skills = []; // IDs of the skills picked on level-up (see HERO_SKILLS)
+        this.skillPoints = 0; // Levels gained whose skill has not been picked yet
         
         // Override display name
         this.name = this.heroName;
@@ -48,12 +64,30 @@ export class Hero extends Unit {
         console.log(`Hero created: ${this.heroName} (${this.id}) at level ${this.level}`);
     }
     
+    /**
+     * Create a hero who starts at a given level (e.g. a veteran answering a recruitment offer)
+     * @param {string} name - Hero name
+     * @param {number} owner - Owner player ID
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {number} level - Starting level
+     * @returns {Hero} - New hero
+     */
+    static recruit(name, owner, x, y, level = 1) {
+        const hero = new Hero(name, owner, x, y);
+        const startLevel = Math.max(1, Math.min(level, EXPERIENCE_LEVELS.length));
+
+        hero.experience = EXPERIENCE_LEVELS[startLevel - 1];
+        hero.checkLevelUp();
+        return hero;
+    }
+
     /**
      * Generate random hero name
      * @returns {string} - Random hero name
      */
     generateRandomName() {
-        return HERO_NAMES[Math.floor(Math.random() * HERO_NAMES.length)];
+        return gameRandom.pick(HERO_NAMES);
     }
     
     /**
@@ -73,6 +107,8 @@ export class Hero extends Unit {
             }
         }
         
+        attack += this.statusEffects.getModifier('attack');
+        
         return Math.floor(attack);
     }
     
@@ -93,6 +129,8 @@ export class Hero extends Unit {
             }
         }
         
+        defense += this.statusEffects.getModifier('defense');
+        
         return Math.floor(defense);
     }
     
@@ -130,7 +168,17 @@ export class Hero extends Unit {
             }
         }
         
-        return movement;
+        movement += this.getSkillBonus('movement');
+        
+        return movement + this.statusEffects.getModifier('movement');
+    }
+    
+    /**
+     * Get sight radius including scouting skills
+     * @returns {number} - Sight radius in hexes
+     */
+    getSightRadius() {
+        return this.sight + this.getSkillBonus('sight');
     }
     
     /**
@@ -150,6 +198,8 @@ export class Hero extends Unit {
             }
         }
         
+        maxMana += this.getSkillBonus('mana');
+        
         return maxMana;
     }
     
@@ -204,10 +254,79 @@ export class Hero extends Unit {
         this.health += (newMaxHealth - oldMaxHealth);
         this.mana += (newMaxMana - oldMaxMana);
         
+        // Each level gained lets the hero pick a skill
+        this.skillPoints++;
+        
         console.log(`Hero ${this.heroName} reached level ${this.level}!`);
         console.log(`Stats: ATK ${this.getAttackValue()}, DEF ${this.getDefenseValue()}, HP ${this.health}/${newMaxHealth}, MP ${this.mana}/${newMaxMana}`);
     }
     
+    /**
+     * Get the skills the hero may pick for a level gained
+     * @returns {Array} - Skill IDs (empty if no pick is owed)
+     */
+    getSkillChoices() {
+        return this.skillPoints > 0 ? getAvailableSkills(this.skills) : [];
+    }
+    
+    /**
+     * Pick a skill for a level gained
+     * @param {string} skillId - Skill ID from getSkillChoices
+     * @returns {Object} - Result { success, skill } or { success: false, reason }
+     */
+    learnSkill(skillId) {
+        if (!this.getSkillChoices().includes(skillId)) {
+            return { success: false, reason: this.skillPoints > 0 ? 'Skill not available' : 'No skill to pick' };
+        }
+        
+        const oldMaxMana = this.getMaxMana();
+        const oldMaxMovement = this.getMaxMovement();
+        
+        this.skills.push(skillId);
+        this.skillPoints--;
+        
+        // Extra mana and movement can be used at once
+        this.mana += this.getMaxMana() - oldMaxMana;
+        this.movement += this.getMaxMovement() - oldMaxMovement;
+        
+        console.log(`Hero ${this.heroName} learned the ${HERO_SKILLS[skillId].name} skill`);
+        return { success: true, skill: HERO_SKILLS[skillId] };
+    }
+    
+    /**
+     * Get the total of one skill effect over the hero's skills
+     * @param {string} effect - Effect name (e.g. 'movement', 'stackAttack')
+     * @returns {number} - Bonus
+     */
+    getSkillBonus(effect) {
+        return this.skills.reduce((total, skillId) => total + (HERO_SKILLS[skillId].effects[effect] || 0), 0);
+    }
+    
+    /**
+     * Get the command bonus the hero's items (banners) give every unit of its stack
+     * @returns {number} - Bonus to attack and defense
+     */
+    getCommandBonus() {
+        return this.items.reduce((total, item) => total + (item.commandBonus || 0), 0);
+    }
+    
+    /**
+     * Get the total of one magic skill effect for a spell, counting only
+     * skills whose schools the spell belongs to
+     * @param {Spell} spell - Spell being cast
+     * @param {string} effect - 'spellDiscount' or 'spellPower'
+     * @returns {number} - Bonus
+     */
+    getSpellSkillBonus(spell, effect) {
+        return this.skills.reduce((total, skillId) => {
+            const bonus = HERO_SKILLS[skillId].effects[effect] || 0;
+            const schools = getSkillSchools(skillId);
+            return bonus && schools.some(school => SpellGenerator.spellBelongsToSchool(spell, school))
+                ? total + bonus
+                : total;
+        }, 0);
+    }
+    
     /**
      * Equip an item
      * @param {Item} item - Item to equip
@@ -267,6 +386,27 @@ export class Hero extends Unit {
         return item;
     }
     
+    /**
+     * Take an item into the inventory (picked up, handed over or crafted).
+     * Equipment is equipped; consumables are carried until used.
+     * @param {Item} item - Item to take
+     * @returns {boolean} - True if taken
+     */
+    receiveItem(item) {
+        if (!item || this.items.includes(item)) {
+            return false;
+        }
+        
+        if (item.canEquip(this)) {
+            return this.equipItem(item);
+        }
+        
+        item.isEquipped = false;
+        this.items.push(item);
+        console.log(`Hero ${this.heroName} took ${item.name}`);
+        return true;
+    }
+    
     /**
      * Use a consumable item
      * @param {string} itemId - Item ID to use
@@ -331,9 +471,10 @@ export class Hero extends Unit {
      * @param {string} spellId - Spell ID to cast
      * @param {Object} target - Target for the spell (optional)
      * @param {Map} map - Game map for range checking (optional)
+     * @param {GameRandom} random - Random number generator
      * @returns {Object} - Spell result
      */
-    castSpell(spellId, target = null, map = null) {
+    castSpell(spellId, target = null, map = null, random = gameRandom) {
         const spell = this.spells.find(s => s.id === spellId);
         
         if (!spell) {
@@ -341,7 +482,7 @@ export class Hero extends Unit {
         }
         
         // Use the spell's cast method
-        return spell.cast(this, target, map);
+        return spell.cast(this, target, map, random);
     }
     
     /**
@@ -409,6 +550,8 @@ export class Hero extends Unit {
             maxMana: this.getMaxMana(),
             itemCount: this.items.length,
             spellCount: this.spells.length,
+            skills: this.skills.map(skillId => HERO_SKILLS[skillId].name),
+            skillPoints: this.skillPoints,
             items: this.items.map(item => ({ id: item.id, name: item.name })),
             spells: this.spells.map(spell => ({ id: spell.id, name: spell.name, manaCost: spell.manaCost }))
         };
@@ -429,7 +572,9 @@ export class Hero extends Unit {
             items: this.items.map(item => item.serialize()),
             spells: this.spells.map(spell => spell.serialize()),
             maxMana: this.maxMana,
-            mana: this.mana
+            mana: this.mana,
+            skills: [...this.skills],
+            skillPoints: this.skillPoints
         };
     }
     
@@ -442,16 +587,7 @@ export class Hero extends Unit {
         const hero = new Hero(data.heroName, data.owner, data.x, data.y);
         
         // Restore base unit state
-        hero.id = data.id;
-        hero.health = data.health;
-        hero.maxHealth = data.maxHealth;
-        hero.movement = data.movement;
-        hero.maxMovement = data.maxMovement;
-        hero.baseAttack = data.baseAttack;
-        hero.baseDefense = data.baseDefense;
-        hero.cost = data.cost;
-        hero.hasActed = data.hasActed;
-        hero.isSelected = data.isSelected;
+        hero.restoreState(data);
         
         // Restore hero-specific state
         hero.level = data.level;
@@ -460,10 +596,53 @@ export class Hero extends Unit {
         hero.spells = (data.spells || []).map(spellData => Spell.deserialize(spellData));
         hero.maxMana = data.maxMana;
         hero.mana = data.mana;
+        hero.skills = [...(data.skills || [])];
+        hero.skillPoints = data.skillPoints || 0;
         
         return hero;
     }
     
+    /**
+     * Record what a hero takes from one campaign chapter into the next:
+     * name, experience, equipment, learned spells and skills
+     * @returns {Object} - Campaign record
+     */
+    toCampaignRecord() {
+        return {
+            heroName: this.heroName,
+            level: this.level,
+            experience: this.experience,
+            items: this.items.map(item => item.serialize()),
+            spells: this.spells.map(spell => spell.serialize()),
+            maxMana: this.maxMana,
+            skills: [...this.skills]
+        };
+    }
+
+    /**
+     * Bring a hero back from a campaign record, rested and at full strength
+     * @param {Object} record - Record from toCampaignRecord
+     * @param {number} owner - Owner player ID
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {Hero} - Hero
+     */
+    static fromCampaignRecord(record, owner, x, y) {
+        const hero = new Hero(record.heroName, owner, x, y);
+
+        hero.experience = record.experience || 0;
+        hero.checkLevelUp();
+        hero.items = (record.items || []).map(itemData => Item.deserialize(itemData));
+        hero.spells = (record.spells || []).map(spellData => Spell.deserialize(spellData));
+        hero.maxMana = record.maxMana || hero.maxMana;
+        hero.skills = [...(record.skills || [])];
+        hero.skillPoints = Math.max(0, hero.skillPoints - hero.skills.length);
+        hero.health = hero.getMaxHealth();
+        hero.mana = hero.getMaxMana();
+
+        return hero;
+    }
+
     /**
      * Get string representation
      * @returns {string} - String representation
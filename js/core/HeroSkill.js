@@ -0,0 +1,142 @@
+/**
+ * HeroSkill - Skills a hero picks from a tree each time it gains a level
+ * Every skill after the first of its branch needs the one before it. Skill
+ * effects feed into combat (leadership), movement (logistics), spellcasting
+ * (magic) and sight (scouting).
+ */
+
+import { HERO_MAGIC_AFFINITIES } from './SpellGenerator.js';
+
+export const SKILL_TREES = {
+    LEADERSHIP: 'LEADERSHIP',
+    LOGISTICS: 'LOGISTICS',
+    MAGIC: 'MAGIC',
+    SCOUTING: 'SCOUTING'
+};
+
+// Effects a skill can have:
+//   stackAttack, stackDefense - added to every unit of the hero's side in battle
+//   movement, sight, mana - added to the hero's own maximums
+//   spellDiscount, spellPower - for spells of the schools of the skill's affinity
+export const HERO_SKILLS = {
+    // Leadership
+    INSPIRE: {
+        name: 'Inspire',
+        tree: SKILL_TREES.LEADERSHIP,
+        requires: null,
+        effects: { stackAttack: 1 },
+        description: 'Units fighting alongside the hero gain +1 attack.'
+    },
+    RALLY: {
+        name: 'Rally',
+        tree: SKILL_TREES.LEADERSHIP,
+        requires: 'INSPIRE',
+        effects: { stackDefense: 1 },
+        description: 'Units fighting alongside the hero gain +1 defense.'
+    },
+    WARLORD: {
+        name: 'Warlord',
+        tree: SKILL_TREES.LEADERSHIP,
+        requires: 'RALLY',
+        effects: { stackAttack: 1, stackDefense: 1 },
+        description: 'A further +1 attack and defense for the hero\'s side.'
+    },
+
+    // Logistics
+    PATHFINDING: {
+        name: 'Pathfinding',
+        tree: SKILL_TREES.LOGISTICS,
+        requires: null,
+        effects: { movement: 1 },
+        description: '+1 movement.'
+    },
+    FORCED_MARCH: {
+        name: 'Forced March',
+        tree: SKILL_TREES.LOGISTICS,
+        requires: 'PATHFINDING',
+        effects: { movement: 1 },
+        description: 'A further +1 movement.'
+    },
+
+    // Magic: each skill follows the schools of a hero calling in HERO_MAGIC_AFFINITIES
+    DIVINE_CALLING: {
+        name: 'Divine Calling',
+        tree: SKILL_TREES.MAGIC,
+        requires: null,
+        affinity: 'CLERIC',
+        effects: { spellDiscount: 1 },
+        description: 'Divine spells cost 1 less mana.'
+    },
+    ARCANE_STUDIES: {
+        name: 'Arcane Studies',
+        tree: SKILL_TREES.MAGIC,
+        requires: null,
+        affinity: 'MAGE',
+        effects: { spellDiscount: 1 },
+        description: 'Arcane and elemental spells cost 1 less mana.'
+    },
+    NATURE_LORE: {
+        name: 'Nature Lore',
+        tree: SKILL_TREES.MAGIC,
+        requires: null,
+        affinity: 'RANGER',
+        effects: { spellDiscount: 1 },
+        description: 'Nature spells cost 1 less mana.'
+    },
+    HOLY_ORDER: {
+        name: 'Holy Order',
+        tree: SKILL_TREES.MAGIC,
+        requires: 'DIVINE_CALLING',
+        affinity: 'PALADIN',
+        effects: { spellPower: 2, mana: 5 },
+        description: 'Divine spells gain +2 power; +5 mana.'
+    },
+    WIZARDRY: {
+        name: 'Wizardry',
+        tree: SKILL_TREES.MAGIC,
+        requires: 'ARCANE_STUDIES',
+        affinity: 'WIZARD',
+        effects: { spellPower: 2, mana: 5 },
+        description: 'Arcane and elemental spells gain +2 power; +5 mana.'
+    },
+
+    // Scouting
+    KEEN_EYES: {
+        name: 'Keen Eyes',
+        tree: SKILL_TREES.SCOUTING,
+        requires: null,
+        effects: { sight: 1 },
+        description: '+1 sight range.'
+    },
+    FAR_SIGHT: {
+        name: 'Far Sight',
+        tree: SKILL_TREES.SCOUTING,
+        requires: 'KEEN_EYES',
+        effects: { sight: 1 },
+        description: 'A further +1 sight range.'
+    }
+};
+
+/**
+ * Get the skills a hero could pick next: those not yet known whose
+ * prerequisite is known, in tree order
+ * @param {Array} known - IDs of the skills the hero has
+ * @returns {Array} - Skill IDs
+ */
+export function getAvailableSkills(known) {
+    return Object.keys(HERO_SKILLS).filter(skillId => {
+        const skill = HERO_SKILLS[skillId];
+        return !known.includes(skillId) && (!skill.requires || known.includes(skill.requires));
+    });
+}
+
+/**
+ * Get the magic schools a skill works on
+ * @param {string} skillId - Skill ID
+ * @returns {Array} - Magic schools (empty for skills without an affinity)
+ */
+export function getSkillSchools(skillId) {
+    const skill = HERO_SKILLS[skillId];
+    const affinity = skill && skill.affinity ? HERO_MAGIC_AFFINITIES[skill.affinity] : null;
+    return affinity ? affinity.schools : [];
+}
@@ -3,6 +3,9 @@
  * Contains terrain information and references to units/cities
  */
 
+import { MOVEMENT_TYPES } from './UnitRegistry.js';
+import { Item } from './Item.js';
+
 export const TERRAIN_TYPES = {
     PLAINS: 'PLAINS',
     FOREST: 'FOREST',
@@ -23,6 +26,8 @@ export const TERRAIN_CONFIG = {
         movementCost: 2,
         defenseBonus: 1,
         passable: true,
+        movementBonus: 'forestMovement', // Faction bonus that eases the going
+        combatBonus: 'forestCombat', // Faction bonus for every unit fighting here
         name: 'Forest',
         color: '#228B22'
     },
@@ -30,6 +35,8 @@ export const TERRAIN_CONFIG = {
         movementCost: 3,
         defenseBonus: 2,
         passable: true,
+        movementBonus: 'mountainMovement',
+        combatBonus: 'mountainCombat',
         name: 'Mountain',
         color: '#8B4513'
     },
@@ -49,6 +56,58 @@ export const TERRAIN_CONFIG = {
     }
 };
 
+// Cost of entering each terrain per movement class (Infinity = impassable).
+// Foot units pay the plain TERRAIN_CONFIG costs.
+export const MOVEMENT_COSTS = {
+    [MOVEMENT_TYPES.FOOT]: {
+        [TERRAIN_TYPES.PLAINS]: 1,
+        [TERRAIN_TYPES.FOREST]: 2,
+        [TERRAIN_TYPES.MOUNTAIN]: 3,
+        [TERRAIN_TYPES.WATER]: Infinity,
+        [TERRAIN_TYPES.ROAD]: 0.5
+    },
+    [MOVEMENT_TYPES.MOUNTED]: {
+        [TERRAIN_TYPES.PLAINS]: 1,
+        [TERRAIN_TYPES.FOREST]: 3,
+        [TERRAIN_TYPES.MOUNTAIN]: 5,
+        [TERRAIN_TYPES.WATER]: Infinity,
+        [TERRAIN_TYPES.ROAD]: 0.5
+    },
+    [MOVEMENT_TYPES.FLYING]: {
+        [TERRAIN_TYPES.PLAINS]: 1,
+        [TERRAIN_TYPES.FOREST]: 1,
+        [TERRAIN_TYPES.MOUNTAIN]: 1,
+        [TERRAIN_TYPES.WATER]: 1,
+        [TERRAIN_TYPES.ROAD]: 1
+    },
+    [MOVEMENT_TYPES.NAVAL]: {
+        [TERRAIN_TYPES.PLAINS]: Infinity,
+        [TERRAIN_TYPES.FOREST]: Infinity,
+        [TERRAIN_TYPES.MOUNTAIN]: Infinity,
+        [TERRAIN_TYPES.WATER]: 1,
+        [TERRAIN_TYPES.ROAD]: Infinity
+    },
+    [MOVEMENT_TYPES.AMPHIBIOUS]: {
+        [TERRAIN_TYPES.PLAINS]: 1,
+        [TERRAIN_TYPES.FOREST]: 2,
+        [TERRAIN_TYPES.MOUNTAIN]: 3,
+        [TERRAIN_TYPES.WATER]: 2,
+        [TERRAIN_TYPES.ROAD]: 0.5
+    }
+};
+
+/**
+ * Get the movement classes something on the move travels as
+ * @param {Object} mover - Unit, or Stack (which travels at its slowest class)
+ * @returns {Array} - Movement types
+ */
+export function getMovementTypes(mover) {
+    if (typeof mover.getMovementTypes === 'function') {
+        return mover.getMovementTypes();
+    }
+    return [mover.movementType || MOVEMENT_TYPES.FOOT];
+}
+
 export class Hex {
     constructor(x, y, terrain = TERRAIN_TYPES.PLAINS) {
         this.x = x;
@@ -57,6 +116,9 @@ export class Hex {
         this.unit = null;
         this.city = null;
         this.hasRiver = false;
+        this.ruins = null; // { name, turn } left where a city was razed
+        this.site = null; // Explorable ruins, temple, tower... (see ItemGenerator.createSpecialLocation)
+        this.items = []; // Items lying on the ground, dropped or left by fallen heroes
 
         // Validate terrain type
         if (!TERRAIN_CONFIG[terrain]) {
@@ -66,8 +128,8 @@ export class Hex {
 
     /**
      * Get movement cost for this hex
-     * @param {Object} unit - Unit attempting to move (optional, for future unit-specific costs)
-     * @returns {number} - Movement cost
+     * @param {Object} unit - Unit or stack attempting to move (optional; without one the foot cost is used)
+     * @returns {number} - Movement cost (Infinity if the unit cannot enter)
      */
     getMovementCost(unit = null) {
         const config = TERRAIN_CONFIG[this.terrain];
@@ -75,9 +137,27 @@ export class Hex {
             throw new Error(`Unknown terrain type: ${this.terrain}`);
         }
 
-        // TODO: In the future, consider unit-specific movement costs
-        // For example, flying units might ignore terrain costs
-        return config.movementCost;
+        if (!unit) {
+            return config.movementCost;
+        }
+        return this.getMovementCostFor(getMovementTypes(unit));
+    }
+
+    /**
+     * Get movement cost for units of the given movement classes travelling together
+     * @param {Array} movementTypes - Movement types (see MOVEMENT_TYPES)
+     * @returns {number} - Cost for the slowest class, or Infinity if any of them cannot enter
+     */
+    getMovementCostFor(movementTypes) {
+        const types = movementTypes.length > 0 ? movementTypes : [MOVEMENT_TYPES.FOOT];
+        return Math.max(...types.map(type => {
+            // Ships put in at harbours
+            if (type === MOVEMENT_TYPES.NAVAL && this.city) {
+                return 1;
+            }
+            const costs = MOVEMENT_COSTS[type] || MOVEMENT_COSTS[MOVEMENT_TYPES.FOOT];
+            return costs[this.terrain];
+        }));
     }
 
     /**
@@ -95,7 +175,7 @@ export class Hex {
 
     /**
      * Check if this hex is passable
-     * @param {Object} unit - Unit attempting to move (optional, for future unit-specific passability)
+     * @param {Object} unit - Unit or stack attempting to move (optional; without one land is passable)
      * @returns {boolean} - True if passable
      */
     isPassable(unit = null) {
@@ -104,9 +184,10 @@ export class Hex {
             throw new Error(`Unknown terrain type: ${this.terrain}`);
         }
 
-        // TODO: In the future, consider unit-specific passability
-        // For example, flying units might pass over water
-        return config.passable;
+        if (!unit) {
+            return config.passable;
+        }
+        return this.getMovementCost(unit) !== Infinity;
     }
 
     /**
@@ -189,6 +270,61 @@ export class Hex {
         return `(${this.x}, ${this.y})`;
     }
 
+    /**
+     * Leave the ruins of a razed city on this hex
+     * @param {string} name - Name of the razed city
+     * @param {number} turn - Turn the city was razed
+     */
+    setRuins(name, turn) {
+        this.city = null;
+        this.ruins = { name, turn };
+    }
+
+    /**
+     * Place an explorable site on this hex
+     * @param {Object|null} site - Site from ItemGenerator.createSpecialLocation, or null to clear
+     */
+    setSite(site) {
+        this.site = site;
+    }
+
+    /**
+     * Check if this hex has a site that has not been looted yet
+     * @returns {boolean} - True if there is something to explore
+     */
+    hasUnexploredSite() {
+        return this.site !== null && !this.site.explored;
+    }
+
+    /**
+     * Lay an item on the ground here
+     * @param {Item} item - Item to drop
+     */
+    addItem(item) {
+        item.isEquipped = false;
+        this.items.push(item);
+    }
+
+    /**
+     * Take an item from the pile on this hex
+     * @param {number} index - Index in the pile
+     * @returns {Item|null} - Item taken, or null if there is none at that index
+     */
+    removeItem(index) {
+        if (index < 0 || index >= this.items.length) {
+            return null;
+        }
+        return this.items.splice(index, 1)[0];
+    }
+
+    /**
+     * Check if items lie on this hex
+     * @returns {boolean} - True if there is a pile
+     */
+    hasItems() {
+        return this.items.length > 0;
+    }
+
     /**
      * Check if this hex is adjacent to another hex
      * @param {Hex} otherHex - Other hex to check
@@ -224,7 +360,10 @@ export class Hex {
             terrain: this.terrain,
             unit: this.unit ? this.unit.id : null,
             city: this.city ? this.city.id : null,
-            hasRiver: this.hasRiver
+            hasRiver: this.hasRiver,
+            ruins: this.ruins ? { ...this.ruins } : null,
+            site: this.site ? { ...this.site, exploredBy: [...this.site.exploredBy], guardians: [...this.site.guardians] } : null,
+            items: this.items.map(item => item.serialize())
         };
     }
 
@@ -236,6 +375,11 @@ export class Hex {
     static deserialize(data) {
         const hex = new Hex(data.x, data.y, data.terrain);
         if (data.hasRiver) hex.hasRiver = true;
+        if (data.ruins) hex.ruins = { ...data.ruins };
+        if (data.site) {
+            hex.site = { ...data.site, exploredBy: [...(data.site.exploredBy || [])], guardians: [...(data.site.guardians || [])] };
+        }
+        if (data.items) hex.items = data.items.map(itemData => Item.deserialize(itemData));
         // Note: units and cities will be restored by their respective systems
         return hex;
     }
@@ -249,6 +393,9 @@ export class Hex {
         clone.unit = this.unit;
         clone.city = this.city;
         clone.hasRiver = this.hasRiver;
+        clone.ruins = this.ruins;
+        clone.site = this.site;
+        clone.items = [...this.items];
         return clone;
     }
 
@@ -3,6 +3,13 @@
  * Manages mouse clicks, keyboard shortcuts, unit selection, and movement commands
  */
 
+import { CombatSystem } from './CombatSystem.js';
+import { ACTION_TYPES } from './ActionLog.js';
+import { SPELL_TARGETS } from './Spell.js';
+import { HERO_SKILLS } from './HeroSkill.js';
+import { CITY_IMPROVEMENTS, CITY_UPGRADE } from './City.js';
+import { LOCATION_TYPES } from './ItemGenerator.js';
+
 export class InputEngine {
     constructor(gameManager) {
         this.gameManager = gameManager;
@@ -16,6 +23,8 @@ export class InputEngine {
         this.lastMousePos = { x: 0, y: 0 };
         this.dragStartPos = { x: 0, y: 0 };
         this.contextMenuVisible = false;
+        this.pendingVectorCity = null; // City waiting for its rally point to be clicked
+        this.pendingTeleport = null; // { hero, spell } waiting for a destination to be clicked
 
         // Keyboard shortcuts configuration
         this.keyboardShortcuts = {
@@ -47,6 +56,7 @@ export class InputEngine {
             'Delete': () => this.deleteSelectedUnit(),
             'Tab': () => this.selectNextUnit(),
             'Shift+Tab': () => this.selectPreviousUnit(),
+            'e': () => this.exploreSite(this.selectedUnit),
 
             // Save/Load (Requirement 10.1, 10.2)
             'F5': () => this.quickSave(),
@@ -54,6 +64,9 @@ export class InputEngine {
             'Ctrl+s': () => this.quickSave(),
             'Ctrl+o': () => this.quickLoad(),
 
+            // Undo
+            'Ctrl+z': () => this.undoLastAction(),
+
             // UI shortcuts
             'h': () => this.toggleHelp(),
             'i': () => this.toggleUnitInfo(),
@@ -217,13 +230,48 @@ export class InputEngine {
         const hex = map.getHex(hexCoords.x, hexCoords.y);
         if (!hex) return;
 
+        // Picking a rally point for a city
+        if (this.pendingVectorCity) {
+            const city = this.pendingVectorCity;
+            this.pendingVectorCity = null;
+            this.gameManager.processAction({
+                type: ACTION_TYPES.SET_VECTOR,
+                city: { x: city.x, y: city.y },
+                target: { x: hexCoords.x, y: hexCoords.y }
+            });
+            this.displayCityInfo(city);
+            this.gameManager.render();
+            return;
+        }
+
+        // Picking where to teleport a hero's stack
+        if (this.pendingTeleport) {
+            const { hero, spell } = this.pendingTeleport;
+            this.pendingTeleport = null;
+            this.gameManager.processAction({
+                type: ACTION_TYPES.CAST_SPELL,
+                heroId: hero.id,
+                spellId: spell.id,
+                targetX: hexCoords.x,
+                targetY: hexCoords.y
+            });
+            this.selectUnit(hero);
+            this.gameManager.render();
+            return;
+        }
+
         // Check if there's a unit on this hex
         const unit = this.gameState.getUnitAt(hexCoords.x, hexCoords.y);
 
         // Check if there's a city on this hex
         const city = this.gameState.getCityAt(hexCoords.x, hexCoords.y);
 
-        if (unit && unit.owner === this.gameManager.getCurrentPlayer()) {
+        if (unit && unit.owner === this.gameManager.getCurrentPlayer() && this.selectedUnit && event && event.shiftKey) {
+            // Shift-click on a neighbouring stack of ours: join it
+            if (!this.mergeSelectedStack(hexCoords.x, hexCoords.y)) {
+                this.selectUnit(unit);
+            }
+        } else if (unit && unit.owner === this.gameManager.getCurrentPlayer()) {
             // Select our own unit (Requirement 3.1)
             this.selectUnit(unit);
         } else if (city && city.owner === this.gameManager.getCurrentPlayer()) {
@@ -309,6 +357,11 @@ export class InputEngine {
             return;
         }
 
+        // Ignore shortcuts while the hotseat handoff curtain hides the board
+        if (this.gameManager.awaitingHandoff) {
+            return;
+        }
+
         // Handle modifier key combinations
         let keyCombo = '';
         if (event.ctrlKey) keyCombo += 'Ctrl+';
@@ -409,6 +462,8 @@ export class InputEngine {
      */
     clearSelection() {
         this.selectedUnit = null;
+        this.pendingVectorCity = null;
+        this.pendingTeleport = null;
         this.renderEngine.clearSelection();
         this.clearUnitInfo();
         this.clearCityInfo();
@@ -423,6 +478,28 @@ export class InputEngine {
         this.clearTerrainInfo();
     }
 
+    /**
+     * Move the selected unit's stack onto a neighbouring stack of the same owner
+     * @param {number} targetX - X coordinate of the stack to join
+     * @param {number} targetY - Y coordinate of the stack to join
+     * @returns {boolean} - True if the stacks were merged
+     */
+    mergeSelectedStack(targetX, targetY) {
+        const unit = this.selectedUnit;
+        const units = this.gameState.getUnitsAt(unit.x, unit.y)
+            .filter(other => other.owner === unit.owner && (other === unit || !other.hasActed));
+
+        const result = this.gameState.mergeStack(units, targetX, targetY);
+        if (!result.success) {
+            console.log(`Cannot merge stacks: ${result.reason}`);
+            return false;
+        }
+
+        this.selectUnit(unit);
+        this.gameManager.reportQuests(result.finishedQuests);
+        return true;
+    }
+
     /**
      * Handle unit action (movement or attack) (Requirement 3.2)
      * @param {Unit} unit - Unit to act with
@@ -437,21 +514,44 @@ export class InputEngine {
         const canMoveTo = movementRange.some(hex => hex.x === targetX && hex.y === targetY);
 
         if (canMoveTo) {
-            // Move unit
-            const success = this.gameState.moveUnit(unit, targetX, targetY);
-            if (success) {
+            // Move unit, splitting it off if it shares its hex with others of ours
+            const sharesHex = this.gameState.getUnitsAt(unit.x, unit.y)
+                .some(other => other !== unit && other.owner === unit.owner);
+            const result = sharesHex
+                ? this.gameState.splitStack([unit], targetX, targetY)
+                : this.gameState.moveUnit(unit, targetX, targetY);
+            if (result.success) {
                 this.selectUnit(unit); // Refresh selection and movement range
                 console.log(`Moved unit to (${targetX}, ${targetY})`);
+                this.gameManager.handleCityCapture(result.capturedCity);
+                this.gameManager.reportQuests(result.finishedQuests);
             }
         } else {
             // Check for attack target
             const targetUnit = this.gameState.getUnitAt(targetX, targetY);
             if (targetUnit && targetUnit.owner !== unit.owner) {
-                // Initiate combat (Requirement 3.5)
-                const combatResult = this.gameState.initiateCombat(unit, targetUnit);
+                // Initiate stack battle (Requirement 3.5)
+                const combatResult = this.gameManager.resolveAttack(unit, targetUnit);
                 if (combatResult) {
                     console.log('Combat initiated:', combatResult);
-                    this.selectUnit(unit); // Refresh selection
+
+                    if (unit.isAlive()) {
+                        this.selectUnit(unit); // Refresh selection
+                    } else {
+                        this.clearSelection();
+                    }
+                }
+            } else if (!targetUnit) {
+                // Out of reach this turn: send the stack on a multi-turn "go to"
+                const travellers = this.gameState.getUnitsAt(unit.x, unit.y)
+                    .filter(other => other.owner === unit.owner && (other === unit || !other.hasActed));
+                const result = this.gameState.issueGoToOrder(travellers, targetX, targetY);
+                if (result.success) {
+                    console.log(`Go to (${targetX}, ${targetY}): ${result.status}`);
+                    this.selectUnit(unit);
+                    this.gameManager.updateUI();
+                } else {
+                    console.warn(`Cannot go to (${targetX}, ${targetY}): ${result.reason}`);
                 }
             }
         }
@@ -590,7 +690,18 @@ export class InputEngine {
                         action: () => this.showHeroStats(context.unit)
                     });
 
-                    if (context.unit.items && context.unit.items.length > 0) {
+                    const siteHex = this.gameState.getHex(context.unit.x, context.unit.y);
+                    if (siteHex && siteHex.hasUnexploredSite()) {
+                        const temple = siteHex.site.type === LOCATION_TYPES.TEMPLE;
+                        items.push({
+                            label: temple ? `Seek a Quest at the ${siteHex.site.name}` : `Explore ${siteHex.site.name}`,
+                            enabled: true,
+                            action: () => this.exploreSite(context.unit)
+                        });
+                    }
+
+                    const pile = this.gameState.getItemsAt(context.unit.x, context.unit.y);
+                    if ((context.unit.items && context.unit.items.length > 0) || pile.length > 0) {
                         items.push({
                             label: 'Manage Items',
                             enabled: true,
@@ -599,12 +710,19 @@ export class InputEngine {
                     }
                 }
             } else {
+                const canAttack = this.selectedUnit && this.selectedUnit.owner === currentPlayer && !this.selectedUnit.hasActed;
                 items.push({
                     label: 'Attack Unit',
-                    enabled: this.selectedUnit && this.selectedUnit.owner === currentPlayer && !this.selectedUnit.hasActed,
+                    enabled: canAttack,
                     action: () => this.handleUnitAction(this.selectedUnit, context.hexCoords.x, context.hexCoords.y)
                 });
 
+                items.push({
+                    label: 'Battle Odds',
+                    enabled: canAttack,
+                    action: () => this.showBattlePreview(this.selectedUnit, context.unit)
+                });
+
                 items.push({
                     label: 'Enemy Unit Info',
                     enabled: true,
@@ -710,6 +828,35 @@ export class InputEngine {
         return items;
     }
 
+    /**
+     * Show the expected outcome of attacking a hex with the selected unit's stack
+     * @param {Unit} attacker - Unit leading the attack
+     * @param {Unit} defender - Unit on the target hex
+     */
+    showBattlePreview(attacker, defender) {
+        const attackers = this.gameState.getUnitsAt(attacker.x, attacker.y)
+            .filter(unit => unit.owner === attacker.owner && (unit === attacker || !unit.hasActed));
+        const defenders = this.gameState.getUnitsAt(defender.x, defender.y)
+            .filter(unit => unit.owner === defender.owner);
+
+        const preview = CombatSystem.getStackCombatPreview(
+            attackers,
+            defenders,
+            this.gameState.getHex(defender.x, defender.y),
+            this.gameState.getCityAt(defender.x, defender.y),
+            this.gameState.getBattleOptions()
+        );
+
+        if (!preview) return;
+
+        const winChance = Math.round(preview.attacker.winRate * 100);
+        this.gameManager.showMessage(
+            `${attackers.length} vs ${defenders.length}: ${winChance}% to win, ` +
+            `attack ${preview.attacker.totalAttack} vs defense ${preview.defender.totalDefense}, ` +
+            `expected losses ${preview.attacker.expectedLosses.toFixed(1)} / ${preview.defender.expectedLosses.toFixed(1)}`
+        );
+    }
+
     /**
      * Hide context menu
      */
@@ -787,23 +934,113 @@ export class InputEngine {
             if (unitDetails) {
                 const owner = this.gameState.getPlayer(unit.owner);
                 const ownerName = owner ? owner.name : 'Unknown';
+                const effects = unit.statusEffects.getAll()
+                    .map(effect => `${effect.name} (${effect.duration})`)
+                    .join(', ');
 
                 unitDetails.innerHTML = `
                     <div><strong>${unit.type}</strong></div>
                     <div>Owner: ${ownerName}</div>
                     <div>Health: ${unit.health}/${unit.getMaxHealth()}</div>
-                    <div>Attack: ${unit.attack}</div>
-                    <div>Defense: ${unit.defense}</div>
+                    <div>Attack: ${unit.getAttackValue()}</div>
+                    <div>Defense: ${unit.getDefenseValue()}</div>
                     <div>Movement: ${unit.movement}</div>
+                    ${effects ? `<div>Effects: ${effects}</div>` : ''}
+                    ${unit.skills && unit.skills.length > 0 ? `<div>Skills: ${unit.skills.map(skillId => HERO_SKILLS[skillId].name).join(', ')}</div>` : ''}
                     <div>Position: (${unit.x}, ${unit.y})</div>
                     <div>Has Acted: ${unit.hasActed ? 'Yes' : 'No'}</div>
                 `;
+
+                unitDetails.appendChild(this.createStackPanel(unit));
+
+                if (unit.spells && unit.owner === this.gameManager.getCurrentPlayer()) {
+                    unitDetails.appendChild(this.createSpellPanel(unit));
+                }
             }
         } catch (error) {
             console.error('Error displaying unit info:', error);
         }
     }
 
+    /**
+     * Build the stat breakdown of the stack a unit stands in: every unit's
+     * attack and defense with the bonuses the whole stack shares
+     * @param {Unit} unit - Selected unit
+     * @returns {HTMLElement} - Stack panel
+     */
+    createStackPanel(unit) {
+        const panel = document.createElement('div');
+        panel.id = 'stack-panel';
+        panel.style.cssText = 'margin-top: 8px; font-size: 12px;';
+
+        const units = this.gameState.getUnitsAt(unit.x, unit.y).filter(other => other.owner === unit.owner);
+        const modifiers = CombatSystem.getStackModifiers(
+            units,
+            this.gameState.getHex(unit.x, unit.y),
+            this.gameState.getPlayerFaction(unit.owner)
+        );
+        const signed = value => (value >= 0 ? `+${value}` : `${value}`);
+
+        const rows = units.map(member => `
+            <tr>
+                <td>${member.getDisplayName()}</td>
+                <td>${member.getAttackValue()}${modifiers.attack ? ` ${signed(modifiers.attack)}` : ''}</td>
+                <td>${member.getDefenseValue()}${modifiers.defense ? ` ${signed(modifiers.defense)}` : ''}</td>
+            </tr>
+        `).join('');
+        const bonuses = modifiers.sources
+            .map(entry => `<div>${entry.source}: ${signed(entry.attack)} ATK / ${signed(entry.defense)} DEF</div>`)
+            .join('');
+        const totalAttack = units.reduce((total, member) => total + member.getAttackValue() + modifiers.attack, 0);
+        const totalDefense = units.reduce((total, member) => total + member.getDefenseValue() + modifiers.defense, 0);
+
+        panel.innerHTML = `
+            <div><strong>Stack (${units.length})</strong></div>
+            <table style="width: 100%;">
+                <tr><th>Unit</th><th>ATK</th><th>DEF</th></tr>
+                ${rows}
+            </table>
+            ${bonuses}
+            <div>Total: ${totalAttack} ATK / ${totalDefense} DEF</div>
+        `;
+
+        return panel;
+    }
+
+    /**
+     * Build the buttons for a hero's spells that move or call up units
+     * @param {Hero} hero - Hero of the current player
+     * @returns {HTMLElement} - Spell panel
+     */
+    createSpellPanel(hero) {
+        const panel = document.createElement('div');
+        panel.id = 'spell-panel';
+        panel.style.cssText = 'margin-top: 8px; display: flex; gap: 4px;';
+
+        for (const spell of hero.spells) {
+            if (spell.target !== SPELL_TARGETS.LOCATION && !spell.summon) continue;
+
+            const button = document.createElement('button');
+            button.textContent = `${spell.name} (${spell.manaCost} MP)`;
+            button.disabled = hero.hasActed || hero.mana < spell.manaCost;
+            button.addEventListener('click', () => {
+                if (spell.target === SPELL_TARGETS.LOCATION) {
+                    // Show where the stack can land and wait for a click on the map
+                    this.pendingTeleport = { hero, spell };
+                    this.renderEngine.setHighlightedHexes(this.gameState.getTeleportDestinations(hero, spell.range));
+                    button.textContent = 'Click the map...';
+                } else {
+                    this.gameManager.processAction({ type: ACTION_TYPES.CAST_SPELL, heroId: hero.id, spellId: spell.id });
+                    this.selectUnit(hero);
+                }
+                this.gameManager.render();
+            });
+            panel.appendChild(button);
+        }
+
+        return panel;
+    }
+
     /**
      * Display city information in UI
      * @param {City} city - City to display info for
@@ -815,19 +1052,191 @@ export class InputEngine {
                 const owner = city.owner !== null ? this.gameState.getPlayer(city.owner) : null;
                 const ownerName = owner ? owner.name : 'Neutral';
 
+                const current = city.currentProduction
+                    ? `${city.currentProduction} (${city.productionProgress}/${city.getRequiredProductionPoints(city.currentProduction)})`
+                    : 'None';
+
                 cityDetails.innerHTML = `
                     <div><strong>${city.name}</strong></div>
                     <div>Owner: ${ownerName}</div>
                     <div>Size: ${city.size}</div>
-                    <div>Production: ${city.production ? city.production.type : 'None'}</div>
+                    <div>Production: ${current}</div>
                     <div>Position: (${city.x}, ${city.y})</div>
                 `;
+
+                if (city.owner === this.gameManager.getCurrentPlayer()) {
+                    cityDetails.appendChild(this.createProductionQueuePanel(city));
+                    cityDetails.appendChild(this.createConstructionPanel(city));
+                }
             }
         } catch (error) {
             console.error('Error displaying city info:', error);
         }
     }
 
+    /**
+     * Build the production queue controls for one of the current player's cities
+     * @param {City} city - City to manage
+     * @returns {HTMLElement} - Queue panel
+     */
+    createProductionQueuePanel(city) {
+        const panel = document.createElement('div');
+        panel.id = 'production-queue';
+        panel.style.cssText = 'margin-top: 8px; display: flex; flex-direction: column; gap: 4px;';
+
+        const players = this.gameState.getPlayers();
+        const cityRef = { x: city.x, y: city.y };
+        const buttonStyle = 'padding: 0 6px; margin-left: 2px; cursor: pointer;';
+
+        const dispatch = (action) => {
+            this.gameManager.processAction({ ...action, city: cityRef });
+            this.displayCityInfo(city);
+            this.gameManager.render();
+        };
+
+        // Vector: where this city sends its new units
+        const vector = document.createElement('div');
+        vector.textContent = city.vectorTarget
+            ? `Rally point: (${city.vectorTarget.x}, ${city.vectorTarget.y}) `
+            : 'Rally point: none ';
+
+        const setVector = document.createElement('button');
+        setVector.textContent = this.pendingVectorCity === city ? 'Click the map...' : 'Set';
+        setVector.addEventListener('click', () => {
+            this.pendingVectorCity = city;
+            setVector.textContent = 'Click the map...';
+        });
+        vector.appendChild(setVector);
+
+        if (city.vectorTarget) {
+            const clearVector = document.createElement('button');
+            clearVector.textContent = 'Clear';
+            clearVector.addEventListener('click', () => dispatch({ type: ACTION_TYPES.SET_VECTOR, target: null }));
+            vector.appendChild(clearVector);
+        }
+        panel.appendChild(vector);
+
+        if (city.currentProduction) {
+            const cancel = document.createElement('button');
+            cancel.textContent = 'Cancel current';
+            cancel.addEventListener('click', () => dispatch({ type: ACTION_TYPES.CANCEL_PRODUCTION }));
+            panel.appendChild(cancel);
+        }
+
+        city.production.forEach((order, index) => {
+            const row = document.createElement('div');
+            row.className = 'production-queue-item';
+            row.textContent = `${index + 1}. ${order.unitType} ${order.repeat ? '(repeat)' : `x${order.count}`}`;
+
+            const controls = [
+                { label: '\u25B2', title: 'Move up', disabled: index === 0,
+                    action: { type: ACTION_TYPES.MOVE_QUEUED_PRODUCTION, fromIndex: index, toIndex: index - 1 } },
+                { label: '\u25BC', title: 'Move down', disabled: index === city.production.length - 1,
+                    action: { type: ACTION_TYPES.MOVE_QUEUED_PRODUCTION, fromIndex: index, toIndex: index + 1 } },
+                { label: '\u2715', title: 'Remove', disabled: false,
+                    action: { type: ACTION_TYPES.REMOVE_QUEUED_PRODUCTION, index } }
+            ];
+
+            for (const control of controls) {
+                const button = document.createElement('button');
+                button.textContent = control.label;
+                button.title = control.title;
+                button.disabled = control.disabled;
+                button.style.cssText = buttonStyle;
+                button.addEventListener('click', () => dispatch(control.action));
+                row.appendChild(button);
+            }
+
+            panel.appendChild(row);
+        });
+
+        // New order: unit type, how many, or repeat until removed
+        const form = document.createElement('div');
+        form.innerHTML = `
+            <select id="queue-unit-type">
+                ${city.getAvailableUnits(players).map(unitType =>
+                    `<option value="${unitType}">${unitType} (${city.getProductionCost(unitType, players)}g)</option>`).join('')}
+            </select>
+            <input id="queue-count" type="number" min="1" value="1" style="width: 40px;">
+            <label><input id="queue-repeat" type="checkbox"> Repeat</label>
+            <button id="queue-add-btn">Queue</button>
+        `;
+        panel.appendChild(form);
+
+        form.querySelector('#queue-add-btn').addEventListener('click', () => {
+            dispatch({
+                type: ACTION_TYPES.QUEUE_PRODUCTION,
+                unitType: form.querySelector('#queue-unit-type').value,
+                count: Math.max(1, parseInt(form.querySelector('#queue-count').value, 10) || 1),
+                repeat: form.querySelector('#queue-repeat').checked
+            });
+        });
+
+        return panel;
+    }
+
+    /**
+     * Build the improvement and size upgrade controls for one of the current player's cities
+     * @param {City} city - City to manage
+     * @returns {HTMLElement} - Construction panel
+     */
+    createConstructionPanel(city) {
+        const panel = document.createElement('div');
+        panel.id = 'city-construction';
+        panel.style.cssText = 'margin-top: 8px; display: flex; flex-direction: column; gap: 4px;';
+
+        const dispatch = (action) => {
+            this.gameManager.processAction({ ...action, city: { x: city.x, y: city.y } });
+            this.displayCityInfo(city);
+            this.gameManager.render();
+        };
+
+        const built = document.createElement('div');
+        built.textContent = `Improvements: ${city.improvements.length > 0
+            ? city.improvements.map(key => CITY_IMPROVEMENTS[key].name).join(', ')
+            : 'none'}`;
+        panel.appendChild(built);
+
+        if (city.construction) {
+            const { project, turnsLeft } = city.construction;
+            const current = document.createElement('div');
+            current.textContent = `Building: ${project === CITY_UPGRADE ? `Size ${city.size + 1}` : CITY_IMPROVEMENTS[project].name} (${turnsLeft} turns) `;
+
+            const cancel = document.createElement('button');
+            cancel.id = 'construction-cancel-btn';
+            cancel.textContent = 'Cancel';
+            cancel.addEventListener('click', () => dispatch({ type: ACTION_TYPES.CANCEL_CONSTRUCTION }));
+            current.appendChild(cancel);
+            panel.appendChild(current);
+            return panel;
+        }
+
+        const projects = [CITY_UPGRADE, ...Object.keys(CITY_IMPROVEMENTS)]
+            .map(project => ({ project, price: city.getConstructionCost(project) }))
+            .filter(({ price }) => price);
+        if (projects.length === 0) {
+            return panel;
+        }
+
+        const form = document.createElement('div');
+        form.innerHTML = `
+            <select id="construction-project">
+                ${projects.map(({ project, price }) => {
+                    const name = project === CITY_UPGRADE ? `Grow to size ${city.size + 1}` : CITY_IMPROVEMENTS[project].name;
+                    return `<option value="${project}">${name} (${price.cost}g, ${price.turns} turns)</option>`;
+                }).join('')}
+            </select>
+            <button id="construction-build-btn">Build</button>
+        `;
+        panel.appendChild(form);
+
+        form.querySelector('#construction-build-btn').addEventListener('click', () => {
+            dispatch({ type: ACTION_TYPES.START_CONSTRUCTION, project: form.querySelector('#construction-project').value });
+        });
+
+        return panel;
+    }
+
     /**
      * Clear unit information display
      */
@@ -905,6 +1314,12 @@ export class InputEngine {
         }
     }
 
+    undoLastAction() {
+        if (this.gameManager.getGamePhase() === 'PLAYING') {
+            this.gameManager.undoLastAction();
+        }
+    }
+
     centerOnSelectedUnit() {
         if (this.selectedUnit) {
             this.renderEngine.centerOnHex(this.selectedUnit.x, this.selectedUnit.y);
@@ -1016,8 +1431,27 @@ export class InputEngine {
     }
 
     showItemManagement(hero) {
-        // TODO: Show item management interface for hero
-        console.log('Show item management for:', hero);
+        this.gameManager.showItemPanel(hero);
+    }
+
+    /**
+     * Send a hero into the site it stands on (at a temple, to seek a quest)
+     * @param {Hero} hero - Hero exploring
+     */
+    exploreSite(hero) {
+        if (!hero || hero.type !== 'HERO' || hero.owner !== this.gameManager.getCurrentPlayer()) {
+            return;
+        }
+
+        this.gameManager.processAction({ type: ACTION_TYPES.EXPLORE_LOCATION, heroId: hero.id });
+
+        // The hero may have fallen to the site's guardians
+        if (hero.isAlive()) {
+            this.selectUnit(hero);
+        } else {
+            this.clearSelection();
+        }
+        this.gameManager.render();
     }
 
     waitUnit(unit) {
@@ -1084,6 +1518,9 @@ export class InputEngine {
                     <div>3 - Select cavalry</div>
                     <div>4 - Select hero</div>
                     <div>Delete - Skip unit turn</div>
+                    <div>E - Explore the site under the selected hero, or seek a quest at a temple</div>
+                    <div>Shift+Click - Join a neighbouring stack</div>
+                    <div>Ctrl+Z - Undo last move</div>
                     
                     <h4>Save/Load</h4>
                     <div>F5 / Ctrl+S - Quick save</div>
@@ -3,6 +3,8 @@
  * Requirements: 4.3, 4.4
  */
 
+import { gameRandom } from './GameRandom.js';
+
 export const ITEM_TYPES = {
     WEAPON: 'WEAPON',
     ARMOR: 'ARMOR',
@@ -112,6 +114,20 @@ export const ITEM_TEMPLATES = {
         manaBonus: 10,
         description: 'A glowing crystal that increases magical energy.'
     },
+    WAR_BANNER: {
+        name: 'War Banner',
+        type: ITEM_TYPES.ACCESSORY,
+        rarity: ITEM_RARITY.UNCOMMON,
+        commandBonus: 1,
+        description: 'A battle standard that gives every unit in the bearer\'s stack +1 attack and defense.'
+    },
+    ROYAL_STANDARD: {
+        name: 'Royal Standard',
+        type: ITEM_TYPES.ACCESSORY,
+        rarity: ITEM_RARITY.EPIC,
+        commandBonus: 2,
+        description: 'The banner of a kingdom; every unit in the bearer\'s stack fights at +2 attack and defense.'
+    },
     
     // Consumables
     HEALING_POTION: {
@@ -164,6 +180,9 @@ export class Item {
         this.manaBonus = template.manaBonus || 0;
         this.movementBonus = template.movementBonus || 0;
         
+        // Command bonus lifts every unit in the bearer's stack
+        this.commandBonus = template.commandBonus || 0;
+        
         // Consumable properties
         this.healingPower = template.healingPower || 0;
         this.manaPower = template.manaPower || 0;
@@ -264,6 +283,7 @@ export class Item {
         value += (this.healthBonus || 0) * 2;
         value += (this.manaBonus || 0) * 3;
         value += (this.movementBonus || 0) * 15;
+        value += (this.commandBonus || 0) * 20;
         value += (this.healingPower || 0) * 2;
         value += (this.manaPower || 0) * 3;
         
@@ -293,6 +313,7 @@ export class Item {
         if (this.healthBonus > 0) bonuses.push(`+${this.healthBonus} HP`);
         if (this.manaBonus > 0) bonuses.push(`+${this.manaBonus} MP`);
         if (this.movementBonus > 0) bonuses.push(`+${this.movementBonus} MOV`);
+        if (this.commandBonus > 0) bonuses.push(`+${this.commandBonus} CMD`);
         if (this.healingPower > 0) bonuses.push(`Heals ${this.healingPower} HP`);
         if (this.manaPower > 0) bonuses.push(`Restores ${this.manaPower} MP`);
         
@@ -313,9 +334,10 @@ export class Item {
      * Create a random item
      * @param {string} type - Item type filter (optional)
      * @param {string} rarity - Rarity filter (optional)
+     * @param {GameRandom} random - Random number generator
      * @returns {Item} - Random item
      */
-    static createRandom(type = null, rarity = null) {
+    static createRandom(type = null, rarity = null, random = gameRandom) {
         const templates = Object.keys(ITEM_TEMPLATES).filter(key => {
             const template = ITEM_TEMPLATES[key];
             if (type && template.type !== type) return false;
@@ -327,7 +349,7 @@ export class Item {
             throw new Error('No matching item templates found');
         }
         
-        const randomTemplate = templates[Math.floor(Math.random() * templates.length)];
+        const randomTemplate = random.pick(templates);
         return new Item(randomTemplate);
     }
     
@@ -357,6 +379,7 @@ export class Item {
             healthBonus: this.healthBonus,
             manaBonus: this.manaBonus,
             movementBonus: this.movementBonus,
+            commandBonus: this.commandBonus,
             healingPower: this.healingPower,
             manaPower: this.manaPower,
             temporaryAttackBonus: this.temporaryAttackBonus,
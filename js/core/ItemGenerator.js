@@ -5,6 +5,7 @@
 
 import { Item, ITEM_TEMPLATES, ITEM_RARITY } from './Item.js';
 import { Spell, SPELL_TEMPLATES } from './Spell.js';
+import { gameRandom } from './GameRandom.js';
 
 export const LOCATION_TYPES = {
     RUINS: 'RUINS',
@@ -14,14 +15,24 @@ export const LOCATION_TYPES = {
     TOMB: 'TOMB'
 };
 
+// Monsters that may guard each kind of site; temples are sanctuaries
+export const SITE_GUARDIANS = {
+    [LOCATION_TYPES.RUINS]: ['WARRIOR', 'BERSERKER'],
+    [LOCATION_TYPES.TEMPLE]: [],
+    [LOCATION_TYPES.TOWER]: ['IMP', 'DEMON'],
+    [LOCATION_TYPES.CAVE]: ['TREANT', 'BERSERKER'],
+    [LOCATION_TYPES.TOMB]: ['DEMON', 'BALROG']
+};
+
 export class ItemGenerator {
     /**
      * Generate item for hero exploring a location
      * @param {Hero} hero - Hero exploring
      * @param {string} locationType - Type of location
+     * @param {GameRandom} random - Random number generator
      * @returns {Object} - Exploration result
      */
-    static exploreLocation(hero, locationType = LOCATION_TYPES.RUINS) {
+    static exploreLocation(hero, locationType = LOCATION_TYPES.RUINS, random = gameRandom) {
         if (!hero) {
             return { success: false, reason: 'No hero specified' };
         }
@@ -31,7 +42,7 @@ export class ItemGenerator {
         const levelBonus = hero.level * 0.05;
         const findChance = Math.min(0.9, baseChance + levelBonus);
         
-        if (Math.random() > findChance) {
+        if (random.next() > findChance) {
             return {
                 success: true,
                 found: false,
@@ -40,24 +51,24 @@ export class ItemGenerator {
         }
         
         // Determine what type of reward to give
-        const rewardType = this.determineRewardType(locationType, hero);
+        const rewardType = this.determineRewardType(locationType, hero, random);
         
         let reward = null;
         let message = '';
         
         switch (rewardType) {
             case 'item':
-                reward = this.generateLocationItem(locationType, hero);
+                reward = this.generateLocationItem(locationType, hero, random);
                 message = `${hero.heroName} found ${reward.name} in the ${locationType.toLowerCase()}!`;
                 break;
                 
             case 'spell':
-                reward = this.generateLocationSpell(locationType, hero);
+                reward = this.generateLocationSpell(locationType, hero, random);
                 message = `${hero.heroName} learned ${reward.name} from ancient knowledge in the ${locationType.toLowerCase()}!`;
                 break;
                 
             case 'experience':
-                const expGain = this.generateExperienceReward(locationType, hero);
+                const expGain = this.generateExperienceReward(locationType, hero, random);
                 hero.gainExperience(expGain);
                 message = `${hero.heroName} gained ${expGain} experience from exploring the ${locationType.toLowerCase()}!`;
                 break;
@@ -83,17 +94,18 @@ export class ItemGenerator {
      * Determine what type of reward to give
      * @param {string} locationType - Type of location
      * @param {Hero} hero - Hero exploring
+     * @param {GameRandom} random - Random number generator
      * @returns {string} - Reward type
      */
-    static determineRewardType(locationType, hero) {
+    static determineRewardType(locationType, hero, random = gameRandom) {
         const weights = this.getRewardWeights(locationType);
         const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
         
-        let random = Math.random() * totalWeight;
+        let roll = random.next() * totalWeight;
         
         for (const [rewardType, weight] of Object.entries(weights)) {
-            random -= weight;
-            if (random <= 0) {
+            roll -= weight;
+            if (roll <= 0) {
                 return rewardType;
             }
         }
@@ -136,11 +148,12 @@ export class ItemGenerator {
      * Generate an item appropriate for the location
      * @param {string} locationType - Type of location
      * @param {Hero} hero - Hero exploring
+     * @param {GameRandom} random - Random number generator
      * @returns {Item} - Generated item
      */
-    static generateLocationItem(locationType, hero) {
-        const rarity = this.determineItemRarity(hero.level);
-        const itemType = this.determineItemType(locationType);
+    static generateLocationItem(locationType, hero, random = gameRandom) {
+        const rarity = this.determineItemRarity(hero.level, random);
+        const itemType = this.determineItemType(locationType, random);
         
         // Filter templates by type and rarity
         const suitableTemplates = Object.keys(ITEM_TEMPLATES).filter(key => {
@@ -152,10 +165,10 @@ export class ItemGenerator {
         
         if (suitableTemplates.length === 0) {
             // Fallback to any item of the right rarity
-            return Item.createRandom(null, rarity);
+            return Item.createRandom(null, rarity, random);
         }
         
-        const randomTemplate = suitableTemplates[Math.floor(Math.random() * suitableTemplates.length)];
+        const randomTemplate = random.pick(suitableTemplates);
         return new Item(randomTemplate);
     }
     
@@ -163,10 +176,11 @@ export class ItemGenerator {
      * Generate a spell appropriate for the location
      * @param {string} locationType - Type of location
      * @param {Hero} hero - Hero exploring
+     * @param {GameRandom} random - Random number generator
      * @returns {Spell} - Generated spell
      */
-    static generateLocationSpell(locationType, hero) {
-        const spellType = this.determineSpellType(locationType);
+    static generateLocationSpell(locationType, hero, random = gameRandom) {
+        const spellType = this.determineSpellType(locationType, random);
         
         // Filter spells by type and hero level
         const suitableTemplates = Object.keys(SPELL_TEMPLATES).filter(key => {
@@ -178,10 +192,10 @@ export class ItemGenerator {
         
         if (suitableTemplates.length === 0) {
             // Fallback to any spell the hero can learn
-            return Spell.createRandom();
+            return Spell.createRandom(null, random);
         }
         
-        const randomTemplate = suitableTemplates[Math.floor(Math.random() * suitableTemplates.length)];
+        const randomTemplate = random.pick(suitableTemplates);
         return new Spell(randomTemplate);
     }
     
@@ -189,9 +203,10 @@ export class ItemGenerator {
      * Generate experience reward
      * @param {string} locationType - Type of location
      * @param {Hero} hero - Hero exploring
+     * @param {GameRandom} random - Random number generator
      * @returns {number} - Experience amount
      */
-    static generateExperienceReward(locationType, hero) {
+    static generateExperienceReward(locationType, hero, random = gameRandom) {
         const baseExp = 20;
         const levelMultiplier = 1 + (hero.level * 0.1);
         
@@ -204,7 +219,7 @@ export class ItemGenerator {
         };
         
         const multiplier = locationMultipliers[locationType] || 1.0;
-        const randomFactor = 0.8 + (Math.random() * 0.4); // 80% to 120%
+        const randomFactor = 0.8 + (random.next() * 0.4); // 80% to 120%
         
         return Math.floor(baseExp * levelMultiplier * multiplier * randomFactor);
     }
@@ -212,32 +227,33 @@ export class ItemGenerator {
     /**
      * Determine item rarity based on hero level
      * @param {number} heroLevel - Hero's level
+     * @param {GameRandom} random - Random number generator
      * @returns {string} - Item rarity
      */
-    static determineItemRarity(heroLevel) {
-        const random = Math.random();
+    static determineItemRarity(heroLevel, random = gameRandom) {
+        const roll = random.next();
         
         if (heroLevel >= 8) {
             // High level heroes can find legendary items
-            if (random < 0.05) return ITEM_RARITY.LEGENDARY;
-            if (random < 0.20) return ITEM_RARITY.EPIC;
-            if (random < 0.45) return ITEM_RARITY.RARE;
-            if (random < 0.75) return ITEM_RARITY.UNCOMMON;
+            if (roll < 0.05) return ITEM_RARITY.LEGENDARY;
+            if (roll < 0.20) return ITEM_RARITY.EPIC;
+            if (roll < 0.45) return ITEM_RARITY.RARE;
+            if (roll < 0.75) return ITEM_RARITY.UNCOMMON;
             return ITEM_RARITY.COMMON;
         } else if (heroLevel >= 5) {
             // Mid level heroes can find epic items
-            if (random < 0.10) return ITEM_RARITY.EPIC;
-            if (random < 0.35) return ITEM_RARITY.RARE;
-            if (random < 0.65) return ITEM_RARITY.UNCOMMON;
+            if (roll < 0.10) return ITEM_RARITY.EPIC;
+            if (roll < 0.35) return ITEM_RARITY.RARE;
+            if (roll < 0.65) return ITEM_RARITY.UNCOMMON;
             return ITEM_RARITY.COMMON;
         } else if (heroLevel >= 3) {
             // Low-mid level heroes can find rare items
-            if (random < 0.20) return ITEM_RARITY.RARE;
-            if (random < 0.50) return ITEM_RARITY.UNCOMMON;
+            if (roll < 0.20) return ITEM_RARITY.RARE;
+            if (roll < 0.50) return ITEM_RARITY.UNCOMMON;
             return ITEM_RARITY.COMMON;
         } else {
             // Low level heroes mostly find common items
-            if (random < 0.30) return ITEM_RARITY.UNCOMMON;
+            if (roll < 0.30) return ITEM_RARITY.UNCOMMON;
             return ITEM_RARITY.COMMON;
         }
     }
@@ -245,19 +261,20 @@ export class ItemGenerator {
     /**
      * Determine item type based on location
      * @param {string} locationType - Type of location
+     * @param {GameRandom} random - Random number generator
      * @returns {string|null} - Item type or null for any
      */
-    static determineItemType(locationType) {
-        const random = Math.random();
+    static determineItemType(locationType, random = gameRandom) {
+        const roll = random.next();
         
         switch (locationType) {
             case LOCATION_TYPES.TOMB:
                 // Tombs often have weapons and armor
-                return random < 0.5 ? 'WEAPON' : 'ARMOR';
+                return roll < 0.5 ? 'WEAPON' : 'ARMOR';
                 
             case LOCATION_TYPES.TEMPLE:
                 // Temples often have accessories and consumables
-                return random < 0.6 ? 'ACCESSORY' : 'CONSUMABLE';
+                return roll < 0.6 ? 'ACCESSORY' : 'CONSUMABLE';
                 
             case LOCATION_TYPES.TOWER:
                 // Towers often have magical accessories
@@ -277,19 +294,20 @@ export class ItemGenerator {
     /**
      * Determine spell type based on location
      * @param {string} locationType - Type of location
+     * @param {GameRandom} random - Random number generator
      * @returns {string|null} - Spell type or null for any
      */
-    static determineSpellType(locationType) {
-        const random = Math.random();
+    static determineSpellType(locationType, random = gameRandom) {
+        const roll = random.next();
         
         switch (locationType) {
             case LOCATION_TYPES.TEMPLE:
                 // Temples favor healing and defensive spells
-                return random < 0.6 ? 'HEALING' : 'DEFENSIVE';
+                return roll < 0.6 ? 'HEALING' : 'DEFENSIVE';
                 
             case LOCATION_TYPES.TOWER:
                 // Towers favor offensive and utility spells
-                return random < 0.6 ? 'OFFENSIVE' : 'UTILITY';
+                return roll < 0.6 ? 'OFFENSIVE' : 'UTILITY';
                 
             case LOCATION_TYPES.TOMB:
                 // Tombs favor offensive spells
@@ -308,9 +326,10 @@ export class ItemGenerator {
      * @param {string} locationType - Type of location
      * @param {number} x - X coordinate
      * @param {number} y - Y coordinate
+     * @param {Object} random - Random source with pick() (defaults to the game random; map generation passes its own)
      * @returns {Object} - Location data
      */
-    static createSpecialLocation(locationType, x, y) {
+    static createSpecialLocation(locationType, x, y, random = gameRandom) {
         const locationNames = {
             [LOCATION_TYPES.RUINS]: ['Ancient Ruins', 'Forgotten Ruins', 'Crumbling Ruins', 'Lost Ruins'],
             [LOCATION_TYPES.TEMPLE]: ['Sacred Temple', 'Divine Temple', 'Holy Shrine', 'Ancient Temple'],
@@ -320,7 +339,7 @@ export class ItemGenerator {
         };
         
         const names = locationNames[locationType] || ['Special Location'];
-        const name = names[Math.floor(Math.random() * names.length)];
+        const name = random.pick(names);
         
         return {
             type: locationType,
@@ -328,7 +347,24 @@ export class ItemGenerator {
             x: x,
             y: y,
             explored: false,
-            exploredBy: []
+            exploredBy: [],
+            guardians: this.generateGuardians(locationType, random)
         };
     }
+    
+    /**
+     * Choose the monsters guarding a new site
+     * @param {string} locationType - Type of location
+     * @param {Object} random - Random source with pick()
+     * @returns {Array} - Guardian unit types
+     */
+    static generateGuardians(locationType, random = gameRandom) {
+        const types = SITE_GUARDIANS[locationType] || [];
+        if (types.length === 0) {
+            return [];
+        }
+        
+        const count = random.pick([1, 1, 2]);
+        return Array.from({ length: count }, () => random.pick(types));
+    }
 }
\ No newline at end of file
@@ -3,7 +3,9 @@
  * Handles terrain, pathfinding, and spatial queries
  */
 
-import { Hex, TERRAIN_TYPES } from './Hex.js';
+import { Hex, TERRAIN_TYPES, getMovementTypes } from './Hex.js';
+import { DIPLOMATIC_STATES } from './Diplomacy.js';
+import { Stack } from './Stack.js';
 
 export class Map {
     constructor(width, height) {
@@ -21,6 +23,12 @@ export class Map {
         this.height = height;
         this.hexes = new Array(width * height);
 
+        // Diplomatic states decide whose cities units may enter (see setDiplomacy)
+        this.diplomacy = null;
+
+        // Looks up a player's faction for terrain movement bonuses (see setFactionLookup)
+        this.factionLookup = null;
+
         // Initialize with empty plains
         this.initializeTerrain();
 
@@ -158,13 +166,64 @@ export class Map {
         return neighbors;
     }
 
+    /**
+     * Use the game's diplomacy when deciding whose cities units may enter
+     * @param {Diplomacy|null} diplomacy - Diplomacy tracker
+     */
+    setDiplomacy(diplomacy) {
+        this.diplomacy = diplomacy;
+    }
+
+    /**
+     * Apply the players' faction movement bonuses (e.g. forestMovement)
+     * @param {Function|null} lookup - Function (playerId) => Faction|null
+     */
+    setFactionLookup(lookup) {
+        this.factionLookup = lookup;
+    }
+
+    /**
+     * Get the cost of entering a hex for units of the given movement classes,
+     * eased by the owner's faction bonus for that terrain (see Stack.getTerrainBonus)
+     * @param {Hex} hex - Hex being entered
+     * @param {Array} movementTypes - Movement types travelling together
+     * @param {number} owner - Owning player ID
+     * @returns {number} - Movement cost, or Infinity if impassable
+     */
+    getTerrainCost(hex, movementTypes, owner) {
+        const cost = hex.getMovementCostFor(movementTypes);
+        if (cost === Infinity || !this.factionLookup) {
+            return cost;
+        }
+
+        return cost * (1 - Stack.getTerrainBonus(movementTypes, this.factionLookup(owner), hex.terrain));
+    }
+
+    /**
+     * Check if a unit or stack could be set down on a hex without walking
+     * there (teleported or summoned): the terrain must carry it, and the hex
+     * must be empty and not hold another player's city
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {Object} mover - Unit or stack
+     * @returns {boolean} - True if the hex can take it
+     */
+    canOccupy(x, y, mover) {
+        const hex = this.getHex(x, y);
+        if (!hex || !hex.isPassable(mover) || hex.isOccupied()) {
+            return false;
+        }
+        return !hex.city || hex.city.owner === mover.owner;
+    }
+
     /**
      * Calculate movement cost from one hex to another
      * @param {number} fromX - Source X coordinate
      * @param {number} fromY - Source Y coordinate
      * @param {number} toX - Destination X coordinate
      * @param {number} toY - Destination Y coordinate
-     * @param {Object} unit - Unit making the move (optional)
+     * @param {Object} unit - Unit or stack making the move (optional)
+     * @param {Object} options - { ignorePassable, ignoreOccupant } (optional)
      * @returns {number} - Movement cost, or Infinity if impassable
      */
     calculateMovementCost(fromX, fromY, toX, toY, unit = null, options = {}) {
@@ -180,14 +239,25 @@ export class Map {
             return Infinity;
         }
 
-        // Check if destination is occupied by another unit
-        if (toHex.isOccupied() && toHex.unit !== unit) {
+        // Check if destination is occupied by another unit (units joining a
+        // friendly stack there ignore it)
+        if (!options.ignoreOccupant && toHex.isOccupied() && toHex.unit !== unit) {
             // TODO: In the future, consider stacking rules
             return Infinity;
         }
 
-        // Return the movement cost of the destination hex
-        return toHex.getMovementCost(unit);
+        // Cities of players at peace are closed; allied cities are open and
+        // enemy cities can be marched into (and taken)
+        if (toHex.city && unit && this.diplomacy && toHex.city.owner !== unit.owner &&
+            this.diplomacy.getState(unit.owner, toHex.city.owner) === DIPLOMATIC_STATES.PEACE) {
+            return Infinity;
+        }
+
+        // Return the movement cost of the destination hex for the unit's movement class
+        if (!unit) {
+            return toHex.getMovementCost();
+        }
+        return this.getTerrainCost(toHex, getMovementTypes(unit), unit.owner);
     }
 
     /**
@@ -298,6 +368,21 @@ export class Map {
         return Math.abs(x1 - x2) + Math.abs(y1 - y2);
     }
 
+    /**
+     * Get the number of hex steps between two hexes (used for spell ranges)
+     * @param {number} x1 - Start X
+     * @param {number} y1 - Start Y
+     * @param {number} x2 - End X
+     * @param {number} y2 - End Y
+     * @returns {number} - Distance in hexes
+     */
+    getDistance(x1, y1, x2, y2) {
+        // Convert the offset coordinates (even rows shifted right) to axial ones
+        const dq = (x1 - (y1 + (y1 & 1)) / 2) - (x2 - (y2 + (y2 & 1)) / 2);
+        const dr = y1 - y2;
+        return (Math.abs(dq) + Math.abs(dr) + Math.abs(dq + dr)) / 2;
+    }
+
     /**
      * Reconstruct path from A* algorithm
      * @param {Map} cameFrom - Map of parent nodes
@@ -491,6 +576,14 @@ export class Map {
         };
     }
 
+    /**
+     * Get every explorable site on the map
+     * @returns {Array} - Site objects (see ItemGenerator.createSpecialLocation)
+     */
+    getSites() {
+        return this.hexes.filter(hex => hex.site).map(hex => hex.site);
+    }
+
     /**
      * Clear all units and cities from the map
      */
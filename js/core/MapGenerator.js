@@ -6,6 +6,8 @@
 import { Map } from './Map.js';
 import { TERRAIN_TYPES } from './Hex.js';
 import { City } from './City.js';
+import { ItemGenerator, LOCATION_TYPES } from './ItemGenerator.js';
+import { gameRandom } from './GameRandom.js';
 
 export class MapGenerator {
     constructor() {
@@ -26,9 +28,10 @@ export class MapGenerator {
         console.log(`Generating map: ${width}x${height}`);
 
         const config = {
-            seed: options.seed || Math.random(),
+            seed: options.seed || gameRandom.nextInt(1, 233279),
             playerCount: options.players ? options.players.length : 2,
-            cityDensity: options.cityDensity || 0.04 // 4% of land hexes are cities
+            cityDensity: options.cityDensity || 0.04, // 4% of land hexes are cities
+            siteDensity: options.siteDensity !== undefined ? options.siteDensity : 0.02 // 2% are ruins, temples...
         };
 
         const map = new Map(width, height);
@@ -56,7 +59,10 @@ export class MapGenerator {
             if (hex) hex.setCity(city);
         });
 
-        console.log(`Map generation completed. Cities placed: ${cities.length}`);
+        // 7. Scatter explorable sites away from the cities
+        const sites = this.placeSites(map, cities, config);
+
+        console.log(`Map generation completed. Cities placed: ${cities.length}, sites placed: ${sites.length}`);
         return map;
     }
 
@@ -270,6 +276,35 @@ export class MapGenerator {
         return cities;
     }
 
+    /**
+     * Place ruins, temples, towers, caves and tombs on open land
+     */
+    placeSites(map, cities, config) {
+        const validHexes = map.hexes.filter(hex =>
+            (hex.terrain === TERRAIN_TYPES.PLAINS || hex.terrain === TERRAIN_TYPES.FOREST || hex.terrain === TERRAIN_TYPES.MOUNTAIN) &&
+            !hex.hasCity());
+
+        this.shuffleArray(validHexes);
+
+        const targetSiteCount = Math.floor(validHexes.length * config.siteDensity);
+        const locationTypes = Object.values(LOCATION_TYPES);
+        const placed = [];
+
+        for (const hex of validHexes) {
+            if (placed.length >= targetSiteCount) break;
+
+            // Keep sites out of the cities' doorsteps and apart from each other
+            const tooClose = [...cities, ...placed].some(other => Math.abs(other.x - hex.x) + Math.abs(other.y - hex.y) < 3);
+            if (tooClose) continue;
+
+            const site = ItemGenerator.createSpecialLocation(this.pick(locationTypes), hex.x, hex.y, this);
+            hex.setSite(site);
+            placed.push(site);
+        }
+
+        return placed;
+    }
+
     /**
      * Connect cities with roads using pathfinding
      */
@@ -309,6 +344,13 @@ export class MapGenerator {
         });
     }
 
+    /**
+     * Pick a random element with the map's seeded random
+     */
+    pick(array) {
+        return array[Math.floor(this.random() * array.length)];
+    }
+
     shuffleArray(array) {
         for (let i = array.length - 1; i > 0; i--) {
             const j = Math.floor(this.random() * (i + 1));
@@ -0,0 +1,159 @@
+/**
+ * MonsterRegistry - Data-driven table of the neutral monsters that roam the
+ * map or guard ruins: which unit types appear, in what numbers, on which
+ * terrain and how often new ones turn up
+ */
+
+import monsterDefinitions from '../data/monsters.json' with { type: 'json' };
+import { unitRegistry } from './UnitRegistry.js';
+import { TERRAIN_TYPES } from './Hex.js';
+import { gameRandom } from './GameRandom.js';
+
+export const MONSTER_BEHAVIORS = {
+    ROAM: 'ROAM',   // Wanders the map and attacks whoever it meets
+    GUARD: 'GUARD'  // Stays by the ruins it guards and only attacks intruders
+};
+
+const DEFAULT_SPAWNING = {
+    hexesPerStack: 60,   // Map hexes per roaming stack placed at the start of the game
+    maxStacks: 12,       // No new stacks appear while this many roam the map
+    spawnChance: 0.2,    // Chance each round of a new roaming stack
+    minCityDistance: 4,  // Monsters appear at least this far from any city
+    guardRange: 2        // How far guards leave their ruins to chase intruders
+};
+
+export class MonsterRegistry {
+    constructor() {
+        this.monsters = {};
+        this.spawning = { ...DEFAULT_SPAWNING };
+    }
+
+    /**
+     * Load a monster table
+     * @param {Object} data - Parsed JSON ({ spawning: {...}, monsters: [...] })
+     * @returns {number} - Number of monsters loaded
+     */
+    loadDefinitions(data) {
+        if (!data || !Array.isArray(data.monsters)) {
+            throw new Error('Monster definitions must contain a "monsters" array');
+        }
+
+        const errors = [];
+        for (const definition of data.monsters) {
+            errors.push(...this.validateDefinition(definition));
+        }
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid monster definitions: ${errors.join('; ')}`);
+        }
+
+        this.monsters = {};
+        for (const definition of data.monsters) {
+            this.monsters[definition.type] = {
+                ...definition,
+                count: [...definition.count],
+                terrain: [...definition.terrain],
+                weight: definition.weight !== undefined ? definition.weight : 1
+            };
+        }
+        this.spawning = { ...DEFAULT_SPAWNING, ...(data.spawning || {}) };
+
+        console.log(`MonsterRegistry loaded ${data.monsters.length} monster definitions`);
+        return data.monsters.length;
+    }
+
+    /**
+     * Validate a single monster definition. Monsters fight as ordinary
+     * units, so each one must also be in the unit catalogue.
+     * @param {Object} definition - Monster definition
+     * @returns {Array} - List of validation errors (empty if valid)
+     */
+    validateDefinition(definition) {
+        if (!definition || typeof definition !== 'object') {
+            return ['Monster definition must be an object'];
+        }
+
+        const errors = [];
+        const label = definition.type || '(unnamed)';
+
+        if (!unitRegistry.has(definition.type)) {
+            errors.push(`${label}: not in the unit catalogue`);
+        }
+
+        const [min, max] = Array.isArray(definition.count) ? definition.count : [];
+        if (!Number.isInteger(min) || !Number.isInteger(max) || min < 1 || max < min) {
+            errors.push(`${label}: count must be [min, max] with 1 <= min <= max`);
+        }
+
+        if (!Array.isArray(definition.terrain) || definition.terrain.length === 0 ||
+            definition.terrain.some(terrain => !TERRAIN_TYPES[terrain])) {
+            errors.push(`${label}: terrain must list known terrain types`);
+        }
+
+        if (definition.weight !== undefined && (typeof definition.weight !== 'number' || definition.weight <= 0)) {
+            errors.push(`${label}: weight must be a positive number`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Get a monster definition
+     * @param {string} monsterType - Unit type of the monster
+     * @returns {Object|null} - Monster definition or null
+     */
+    get(monsterType) {
+        return this.monsters[monsterType] || null;
+    }
+
+    /**
+     * Get every monster type
+     * @returns {Array} - Unit types
+     */
+    getTypes() {
+        return Object.keys(this.monsters);
+    }
+
+    /**
+     * Get the monsters that live on a terrain
+     * @param {string} terrain - Terrain type
+     * @returns {Array} - Monster definitions
+     */
+    getForTerrain(terrain) {
+        return Object.values(this.monsters).filter(monster => monster.terrain.includes(terrain));
+    }
+
+    /**
+     * Choose a monster for a terrain, commoner monsters more often
+     * @param {string} terrain - Terrain type
+     * @param {GameRandom} random - Random number generator
+     * @returns {Object|null} - Monster definition or null if none lives there
+     */
+    pick(terrain, random = gameRandom) {
+        const candidates = this.getForTerrain(terrain);
+        const totalWeight = candidates.reduce((sum, monster) => sum + monster.weight, 0);
+
+        let roll = random.next() * totalWeight;
+        for (const monster of candidates) {
+            roll -= monster.weight;
+            if (roll < 0) {
+                return monster;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Roll how many monsters make up a stack
+     * @param {Object} monster - Monster definition
+     * @param {GameRandom} random - Random number generator
+     * @returns {number} - Stack size
+     */
+    rollCount(monster, random = gameRandom) {
+        return random.nextInt(monster.count[0], monster.count[1]);
+    }
+}
+
+// Export singleton instance loaded with the default table
+export const monsterRegistry = new MonsterRegistry();
+monsterRegistry.loadDefinitions(monsterDefinitions);
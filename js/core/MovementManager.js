@@ -4,6 +4,8 @@
  * Requirements: 3.4
  */
 
+import { Stack } from './Stack.js';
+
 export class MovementManager {
     constructor(gameState) {
         this.gameState = gameState;
@@ -87,7 +89,7 @@ export class MovementManager {
     
     /**
      * Calculate movement cost for a unit to move to target
-     * @param {Unit} unit - Unit to move
+     * @param {Unit|Stack} unit - Unit (or stack) to move
      * @param {number} targetX - Target X coordinate
      * @param {number} targetY - Target Y coordinate
      * @returns {number} - Movement cost, or Infinity if impossible
@@ -133,9 +135,8 @@ export class MovementManager {
             return Infinity;
         }
         
-        // Use representative unit for pathfinding
-        const representativeUnit = stack.getUnits()[0];
-        return this.calculateMovementCost(representativeUnit, targetX, targetY);
+        // The stack paths at the pace of its slowest movement class
+        return this.calculateMovementCost(stack, targetX, targetY);
     }
     
     /**
@@ -197,10 +198,9 @@ export class MovementManager {
         }
         
         const map = this.gameState.getMap();
-        const representativeUnit = stack.getUnits()[0];
         const availableMovement = this.getAvailableStackMovement(stack);
         
-        return map.getReachableHexes(stack.x, stack.y, availableMovement, representativeUnit);
+        return map.getReachableHexes(stack.x, stack.y, availableMovement, stack);
     }
     
     /**
@@ -338,6 +338,39 @@ export class MovementManager {
         }
     }
     
+    /**
+     * Split a planned route into turns for units travelling together
+     * @param {Array} units - Units travelling together
+     * @param {Array} path - Route ([{ x, y }], excluding the current hex)
+     * @returns {Array} - Route steps { x, y, turn } (turn 1 is the current turn)
+     */
+    planRouteTurns(units, path) {
+        const map = this.gameState.getMap();
+        if (!map || units.length === 0) {
+            return [];
+        }
+        
+        const movers = Stack.getMovers(units);
+        const movementTypes = Stack.getMovementTypes(units);
+        const maxMovement = Math.min(...movers.map(unit => unit.maxMovement));
+        let remaining = Math.min(...movers.map(unit => unit.movement));
+        let turn = 1;
+        
+        return path.map(step => {
+            const hex = map.getHex(step.x, step.y);
+            const cost = hex ? map.getTerrainCost(hex, movementTypes, units[0].owner) : Infinity;
+            
+            // Out of movement: the rest of the route waits for the next turn
+            if (cost > remaining) {
+                turn++;
+                remaining = maxMovement;
+            }
+            remaining -= cost;
+            
+            return { x: step.x, y: step.y, turn };
+        });
+    }
+    
     /**
      * Reset movement for all units of a player
      * @param {number} playerId - Player ID
@@ -378,6 +411,17 @@ export class MovementManager {
         return this.movementHistory.get(targetTurn) || [];
     }
     
+    /**
+     * Drop movement records from the end of the current turn's history (used by undo)
+     * @param {number} count - Number of records to keep
+     */
+    truncateMovementHistory(count) {
+        const history = this.movementHistory.get(this.gameState.getCurrentTurn());
+        if (history) {
+            history.length = Math.min(history.length, Math.max(0, count));
+        }
+    }
+    
     /**
      * Get total movement used by a unit this turn
      * @param {Unit} unit - Unit to check
@@ -23,6 +23,11 @@ export class Player {
             unitsKilled: 0,
             citiesCapture: 0,
             citiesLost: 0,
+            citiesPillaged: 0,
+            citiesSacked: 0,
+            citiesRazed: 0,
+            goldPlundered: 0,
+            treatiesBroken: 0,
             battlesWon: 0,
             battlesLost: 0
         };
@@ -104,10 +109,21 @@ export class Player {
     }
     
     /**
-     * Record a city capture
+     * Record a city capture, or what was done with a captured city
+     * @param {string|null} option - PILLAGE, SACK or RAZE, or null for the capture itself
+     * @param {number} plunder - Gold taken from the city
      */
-    recordCityCapture() {
-        this.stats.citiesCapture++;
+    recordCityCapture(option = null, plunder = 0) {
+        if (!option) {
+            this.stats.citiesCapture++;
+            return;
+        }
+
+        const counters = { PILLAGE: 'citiesPillaged', SACK: 'citiesSacked', RAZE: 'citiesRazed' };
+        if (counters[option]) {
+            this.stats[counters[option]]++;
+        }
+        this.stats.goldPlundered += plunder;
     }
     
     /**
@@ -174,14 +190,7 @@ export class Player {
         const player = new Player(data.id, data.name, data.faction, data.color, data.isAI);
         player.isEliminated = data.isEliminated || false;
         player.resources = data.resources || { gold: 1000 };
-        player.stats = data.stats || {
-            unitsLost: 0,
-            unitsKilled: 0,
-            citiesCapture: 0,
-            citiesLost: 0,
-            battlesWon: 0,
-            battlesLost: 0
-        };
+        player.stats = { ...player.stats, ...(data.stats || {}) };
         player.hasActed = data.hasActed || false;
         return player;
     }
@@ -0,0 +1,294 @@
+/**
+ * Quest - Task a temple gives a hero: slay an enemy hero, take a named city
+ * or bring an item to a site, before a deadline and for a promised reward
+ */
+
+import { ITEM_TEMPLATES, ITEM_TYPES, ITEM_RARITY } from './Item.js';
+import { ItemGenerator, LOCATION_TYPES } from './ItemGenerator.js';
+import { factionManager } from './Faction.js';
+import { UNIT_TYPES } from './Unit.js';
+
+export const QUEST_TYPES = {
+    KILL_HERO: 'KILL_HERO',
+    CAPTURE_CITY: 'CAPTURE_CITY',
+    DELIVER_ITEM: 'DELIVER_ITEM'
+};
+
+export const QUEST_REWARDS = {
+    GOLD: 'GOLD',
+    ITEM: 'ITEM',
+    EXPERIENCE: 'EXPERIENCE',
+    ALLIES: 'ALLIES'
+};
+
+export const QUEST_STATUS = {
+    ACTIVE: 'ACTIVE',
+    COMPLETED: 'COMPLETED',
+    FAILED: 'FAILED'
+};
+
+// Turns a hero has to finish each kind of quest
+export const QUEST_DURATION = {
+    [QUEST_TYPES.KILL_HERO]: 15,
+    [QUEST_TYPES.CAPTURE_CITY]: 12,
+    [QUEST_TYPES.DELIVER_ITEM]: 10
+};
+
+// How far away (in hexes) a delivery site may be
+const DELIVERY_DISTANCE = { min: 4, max: 10 };
+
+let questIdCounter = 1;
+
+export class Quest {
+    constructor(type, owner, heroId, target, reward, issuedTurn) {
+        if (!QUEST_TYPES[type]) {
+            throw new Error(`Invalid quest type: ${type}`);
+        }
+
+        this.id = `quest_${questIdCounter++}`;
+        this.type = type;
+        this.owner = owner;
+        this.heroId = heroId;
+        this.target = target;
+        this.reward = reward;
+        this.issuedTurn = issuedTurn;
+        this.deadline = issuedTurn + QUEST_DURATION[type];
+        this.status = QUEST_STATUS.ACTIVE;
+        this.outcome = null; // Why the quest ended
+    }
+
+    /**
+     * Make up a quest for a hero. Slaying a hero or taking a city needs an
+     * enemy to go after; a delivery can always be set.
+     * @param {Hero} hero - Hero receiving the quest
+     * @param {GameState} gameState - Game state
+     * @returns {Quest|null} - New quest or null if no site could be found
+     */
+    static generate(hero, gameState) {
+        const enemyHeroes = Array.from(gameState.getUnits().values()).filter(unit =>
+            unit.type === UNIT_TYPES.HERO && unit.owner !== hero.owner && gameState.isAtWar(hero.owner, unit.owner));
+        const enemyCities = Array.from(gameState.getCities().values()).filter(city =>
+            city.owner !== hero.owner && gameState.isAtWar(hero.owner, city.owner));
+
+        const types = [QUEST_TYPES.DELIVER_ITEM];
+        if (enemyHeroes.length > 0) types.push(QUEST_TYPES.KILL_HERO);
+        if (enemyCities.length > 0) types.push(QUEST_TYPES.CAPTURE_CITY);
+
+        const type = gameState.random.pick(types);
+        let target;
+        switch (type) {
+            case QUEST_TYPES.KILL_HERO: {
+                const victim = gameState.random.pick(enemyHeroes);
+                target = { heroId: victim.id, name: victim.heroName, owner: victim.owner };
+                break;
+            }
+            case QUEST_TYPES.CAPTURE_CITY: {
+                const city = gameState.random.pick(enemyCities);
+                target = { cityId: city.id, name: city.name, x: city.x, y: city.y };
+                break;
+            }
+            default:
+                target = this.generateDelivery(hero, gameState);
+                if (!target) return null;
+        }
+
+        return new Quest(type, hero.owner, hero.id, target, this.generateReward(hero, gameState), gameState.getCurrentTurn());
+    }
+
+    /**
+     * Choose the item and site for a delivery quest. Heroes carrying
+     * equipment are asked to give one piece up; others must find the item.
+     * @param {Hero} hero - Hero receiving the quest
+     * @param {GameState} gameState - Game state
+     * @returns {Object|null} - Target { item, x, y, name } or null if no site could be found
+     */
+    static generateDelivery(hero, gameState) {
+        const map = gameState.getMap();
+        const origin = map.getHex(hero.x, hero.y);
+        const sites = map.hexes.filter(hex => {
+            const distance = hex.distanceTo(origin);
+            return hex.isPassable() && !hex.hasCity() &&
+                distance >= DELIVERY_DISTANCE.min && distance <= DELIVERY_DISTANCE.max;
+        });
+        if (sites.length === 0) {
+            return null;
+        }
+
+        const carried = hero.items.filter(item => !item.isConsumable);
+        const item = carried.length > 0
+            ? gameState.random.pick(carried).name
+            : ITEM_TEMPLATES[gameState.random.pick(this.getRewardItemTemplates())].name;
+
+        const site = gameState.random.pick(sites);
+        const siteType = gameState.random.pick(Object.values(LOCATION_TYPES).filter(type => type !== LOCATION_TYPES.TEMPLE));
+        const { name } = ItemGenerator.createSpecialLocation(siteType, site.x, site.y, gameState.random);
+
+        return { item, x: site.x, y: site.y, name };
+    }
+
+    /**
+     * Choose what a quest pays; it grows with the hero's level
+     * @param {Hero} hero - Hero receiving the quest
+     * @param {GameState} gameState - Game state
+     * @returns {Object} - Reward { type, amount } / { type, item } / { type, unitType, count }
+     */
+    static generateReward(hero, gameState) {
+        const type = gameState.random.pick(Object.values(QUEST_REWARDS));
+
+        switch (type) {
+            case QUEST_REWARDS.GOLD:
+                return { type, amount: 100 + hero.level * 50 + gameState.random.nextInt(0, 4) * 25 };
+            case QUEST_REWARDS.ITEM:
+                return { type, item: gameState.random.pick(this.getRewardItemTemplates()) };
+            case QUEST_REWARDS.EXPERIENCE:
+                return { type, amount: 75 + hero.level * 25 };
+            default: {
+                const player = gameState.getPlayer(hero.owner);
+                const faction = player ? factionManager.getFaction(player.faction) : null;
+                const unitTypes = faction
+                    ? faction.getAvailableUnitTypes().filter(unitType => UNIT_TYPES[unitType])
+                    : [];
+                if (unitTypes.length === 0) {
+                    return { type: QUEST_REWARDS.GOLD, amount: 150 };
+                }
+                return { type, unitType: gameState.random.pick(unitTypes), count: 2 };
+            }
+        }
+    }
+
+    /**
+     * Get the equipment templates temples hand out or ask for
+     * @returns {Array} - Template keys
+     */
+    static getRewardItemTemplates() {
+        return Object.keys(ITEM_TEMPLATES).filter(key => {
+            const template = ITEM_TEMPLATES[key];
+            return template.type !== ITEM_TYPES.CONSUMABLE && template.rarity !== ITEM_RARITY.LEGENDARY;
+        });
+    }
+
+    /**
+     * Check if the quest is still being worked on
+     * @returns {boolean} - True if active
+     */
+    isActive() {
+        return this.status === QUEST_STATUS.ACTIVE;
+    }
+
+    /**
+     * Check if the deadline has passed
+     * @param {number} turn - Current turn
+     * @returns {boolean} - True if overdue
+     */
+    isOverdue(turn) {
+        return turn > this.deadline;
+    }
+
+    /**
+     * Mark the quest as finished
+     * @param {string} status - QUEST_STATUS.COMPLETED or QUEST_STATUS.FAILED
+     * @param {string} outcome - What happened
+     */
+    finish(status, outcome) {
+        this.status = status;
+        this.outcome = outcome;
+    }
+
+    /**
+     * Describe what the hero has to do
+     * @returns {string} - Description
+     */
+    getDescription() {
+        switch (this.type) {
+            case QUEST_TYPES.KILL_HERO:
+                return `Slay the enemy hero ${this.target.name}`;
+            case QUEST_TYPES.CAPTURE_CITY:
+                return `Capture ${this.target.name}`;
+            default:
+                return `Bring the ${this.target.item} to the ${this.target.name} at (${this.target.x}, ${this.target.y})`;
+        }
+    }
+
+    /**
+     * Describe the promised reward
+     * @returns {string} - Description
+     */
+    getRewardDescription() {
+        switch (this.reward.type) {
+            case QUEST_REWARDS.GOLD:
+                return `${this.reward.amount} gold`;
+            case QUEST_REWARDS.ITEM:
+                return ITEM_TEMPLATES[this.reward.item] ? ITEM_TEMPLATES[this.reward.item].name : this.reward.item;
+            case QUEST_REWARDS.EXPERIENCE:
+                return `${this.reward.amount} experience`;
+            default:
+                return `${this.reward.count} ${this.reward.unitType.toLowerCase()} allies`;
+        }
+    }
+
+    /**
+     * Describe how far the hero has got
+     * @param {GameState} gameState - Game state
+     * @returns {string} - Progress description
+     */
+    getProgress(gameState) {
+        if (!this.isActive()) {
+            return this.outcome || this.status.toLowerCase();
+        }
+
+        const hero = gameState.getUnit(this.heroId);
+        if (!hero) {
+            return 'The hero is missing';
+        }
+
+        const heroHex = gameState.getHex(hero.x, hero.y);
+        const distanceTo = (x, y) => heroHex.distanceTo(gameState.getHex(x, y));
+
+        switch (this.type) {
+            case QUEST_TYPES.KILL_HERO: {
+                const victim = gameState.getUnit(this.target.heroId);
+                return victim ? `${this.target.name} is ${distanceTo(victim.x, victim.y)} hexes away` : `${this.target.name} has vanished`;
+            }
+            case QUEST_TYPES.CAPTURE_CITY:
+                return `${this.target.name} is ${distanceTo(this.target.x, this.target.y)} hexes away`;
+            default: {
+                const carrying = hero.items.some(item => item.name === this.target.item);
+                return `${carrying ? 'Carrying' : 'Still looking for'} the ${this.target.item}; ` +
+                    `the ${this.target.name} is ${distanceTo(this.target.x, this.target.y)} hexes away`;
+            }
+        }
+    }
+
+    /**
+     * Serialize quest data
+     * @returns {Object} - Serialized data
+     */
+    serialize() {
+        return {
+            id: this.id,
+            type: this.type,
+            owner: this.owner,
+            heroId: this.heroId,
+            target: { ...this.target },
+            reward: { ...this.reward },
+            issuedTurn: this.issuedTurn,
+            deadline: this.deadline,
+            status: this.status,
+            outcome: this.outcome
+        };
+    }
+
+    /**
+     * Deserialize quest data
+     * @param {Object} data - Serialized data
+     * @returns {Quest} - Quest instance
+     */
+    static deserialize(data) {
+        const quest = new Quest(data.type, data.owner, data.heroId, { ...data.target }, { ...data.reward }, data.issuedTurn);
+        quest.id = data.id;
+        quest.deadline = data.deadline;
+        quest.status = data.status;
+        quest.outcome = data.outcome;
+        return quest;
+    }
+}
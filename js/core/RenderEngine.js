@@ -7,6 +7,16 @@ import { TERRAIN_CONFIG } from './Hex.js';
 import { Camera } from './Camera.js';
 import { TextureManager } from './TextureManager.js';
 import { CityRenderer } from './CityRenderer.js';
+import { LOCATION_TYPES } from './ItemGenerator.js';
+
+// Marker colour and letter for each kind of explorable site
+const SITE_MARKERS = {
+    [LOCATION_TYPES.RUINS]: { color: '#A0522D', symbol: 'R' },
+    [LOCATION_TYPES.TEMPLE]: { color: '#F1C40F', symbol: 'T' },
+    [LOCATION_TYPES.TOWER]: { color: '#8E44AD', symbol: 'W' },
+    [LOCATION_TYPES.CAVE]: { color: '#555555', symbol: 'C' },
+    [LOCATION_TYPES.TOMB]: { color: '#2C3E50', symbol: 'X' }
+};
 
 export class RenderEngine {
     constructor(canvasId) {
@@ -45,6 +55,9 @@ export class RenderEngine {
         this.highlightedHexes = [];
         this.hoveredHex = null;
 
+        // Fog of war view for the current frame ({ fogOfWar, playerId } or null)
+        this.fogView = null;
+
         // Performance optimization
         this.performanceSettings = {
             enableViewportCulling: true,
@@ -111,6 +124,9 @@ export class RenderEngine {
         this.sprites.set('unit_archer', { color: '#44FF44', symbol: 'A' });
         this.sprites.set('unit_cavalry', { color: '#4444FF', symbol: 'C' });
         this.sprites.set('unit_hero', { color: '#FFD700', symbol: 'H' });
+        this.sprites.set('unit_wolf', { color: '#6E6E6E', symbol: 'w' });
+        this.sprites.set('unit_troll', { color: '#556B2F', symbol: 'T' });
+        this.sprites.set('unit_dragon', { color: '#8B0000', symbol: 'D' });
         this.sprites.set('city_small', { color: '#888888', symbol: '●' });
         this.sprites.set('city_medium', { color: '#AAAAAA', symbol: '●' });
         this.sprites.set('city_large', { color: '#CCCCCC', symbol: '●' });
@@ -268,6 +284,9 @@ export class RenderEngine {
         // Clear canvas
         this.clearCanvas();
 
+        // Resolve whose view of the map is drawn this frame
+        this.fogView = this.getFogView(gameState);
+
         // Save context state
         this.ctx.save();
 
@@ -277,8 +296,12 @@ export class RenderEngine {
         try {
             // Render in order: map -> cities -> units -> UI overlays
             this.renderMapOptimized(gameState.getMap());
+            this.renderRuins(gameState.getMap());
+            this.renderSites(gameState.getMap());
             this.renderCitiesOptimized(gameState);
             this.renderUnitsOptimized(gameState);
+            this.renderVectors(gameState);
+            this.renderGoToRoutes(gameState);
             this.renderSelectionAndHighlights();
             this.renderEffects();
             this.renderParticles();
@@ -300,6 +323,20 @@ export class RenderEngine {
         this.lastRenderState = this.captureRenderState(gameState);
     }
 
+    /**
+     * Get the fog of war view to render, if fog is active
+     * @param {Object} gameState - Game state
+     * @returns {Object|null} - { fogOfWar, playerId } or null to draw everything
+     */
+    getFogView(gameState) {
+        const fogOfWar = gameState.fogOfWar;
+        if (!fogOfWar || !fogOfWar.isEnabled() || fogOfWar.getViewingPlayer() === null) {
+            return null;
+        }
+
+        return { fogOfWar, playerId: fogOfWar.getViewingPlayer() };
+    }
+
     /**
      * Clear the entire canvas
      */
@@ -350,7 +387,15 @@ export class RenderEngine {
                         continue;
                     }
 
+                    if (this.fogView && !this.fogView.fogOfWar.isExplored(this.fogView.playerId, x, y)) {
+                        this.renderUnexploredHex(hex, hexSize, spacing);
+                        continue;
+                    }
+
                     this.renderHex(hex, hexSize, spacing, map);
+                    if (this.fogView && !this.fogView.fogOfWar.isVisible(this.fogView.playerId, x, y)) {
+                        this.renderFogOverlay(hex, hexSize, spacing);
+                    }
                     this.renderStats.hexesRendered++;
                 }
             }
@@ -362,6 +407,34 @@ export class RenderEngine {
         }
     }
 
+    /**
+     * Render a hex the viewing player has never seen
+     * @param {Hex} hex - Hex to render
+     * @param {number} hexSize - Size of hex
+     * @param {number} spacing - Spacing between hexes
+     */
+    renderUnexploredHex(hex, hexSize, spacing) {
+        const x = hex.x * (hexSize + spacing);
+        const y = hex.y * (hexSize + spacing);
+
+        this.ctx.fillStyle = '#000000';
+        this.ctx.fillRect(x, y, hexSize + spacing, hexSize + spacing);
+    }
+
+    /**
+     * Dim a remembered hex that is not currently in sight
+     * @param {Hex} hex - Hex to dim
+     * @param {number} hexSize - Size of hex
+     * @param {number} spacing - Spacing between hexes
+     */
+    renderFogOverlay(hex, hexSize, spacing) {
+        const x = hex.x * (hexSize + spacing);
+        const y = hex.y * (hexSize + spacing);
+
+        this.ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+        this.ctx.fillRect(x, y, hexSize + spacing, hexSize + spacing);
+    }
+
     /**
      * Calculate visible area with performance optimizations
      * @param {Map} map - Game map
@@ -410,6 +483,93 @@ export class RenderEngine {
             screenPos.y < this.canvas.height + margin;
     }
 
+    /**
+     * Render the ruins of razed cities on explored hexes
+     * @param {Map} map - Game map
+     */
+    renderRuins(map) {
+        if (!map) {
+            return;
+        }
+
+        const hexSize = this.config.hexSize;
+        const spacing = this.config.hexSpacing;
+
+        for (const hex of map.hexes) {
+            if (!hex.ruins) {
+                continue;
+            }
+            if (this.performanceSettings.enableViewportCulling && !this.isHexInViewport(hex.x, hex.y, hexSize, spacing)) {
+                continue;
+            }
+            if (this.fogView && !this.fogView.fogOfWar.isExplored(this.fogView.playerId, hex.x, hex.y)) {
+                continue;
+            }
+
+            const center = this.getHexCenter(hex.x, hex.y);
+            this.cityRenderer.drawRuins(this.ctx, center.x, center.y, hexSize);
+        }
+    }
+
+    /**
+     * Render explorable sites on explored hexes. Looted sites are greyed
+     * out and guarded ones carry a red mark.
+     * @param {Map} map - Game map
+     */
+    renderSites(map) {
+        if (!map) {
+            return;
+        }
+
+        const hexSize = this.config.hexSize;
+        const spacing = this.config.hexSpacing;
+
+        for (const hex of map.hexes) {
+            const site = hex.site;
+            if (!site) {
+                continue;
+            }
+            if (this.performanceSettings.enableViewportCulling && !this.isHexInViewport(hex.x, hex.y, hexSize, spacing)) {
+                continue;
+            }
+            if (this.fogView && !this.fogView.fogOfWar.isExplored(this.fogView.playerId, hex.x, hex.y)) {
+                continue;
+            }
+
+            const center = this.getHexCenter(hex.x, hex.y);
+            const marker = SITE_MARKERS[site.type] || { color: '#7F8C8D', symbol: '?' };
+            const radius = hexSize / 4;
+
+            this.ctx.globalAlpha = site.explored ? 0.4 : 1.0;
+            this.ctx.fillStyle = marker.color;
+            this.ctx.strokeStyle = '#FFFFFF';
+            this.ctx.lineWidth = 1;
+            this.ctx.beginPath();
+            this.ctx.moveTo(center.x, center.y - radius);
+            this.ctx.lineTo(center.x + radius, center.y);
+            this.ctx.lineTo(center.x, center.y + radius);
+            this.ctx.lineTo(center.x - radius, center.y);
+            this.ctx.closePath();
+            this.ctx.fill();
+            this.ctx.stroke();
+
+            this.ctx.fillStyle = '#FFFFFF';
+            this.ctx.font = `bold ${Math.floor(hexSize / 4)}px Arial`;
+            this.ctx.textAlign = 'center';
+            this.ctx.textBaseline = 'middle';
+            this.ctx.fillText(marker.symbol, center.x, center.y);
+
+            if (!site.explored && site.guardians.length > 0) {
+                this.ctx.fillStyle = '#E74C3C';
+                this.ctx.beginPath();
+                this.ctx.arc(center.x + radius, center.y - radius, hexSize / 12, 0, Math.PI * 2);
+                this.ctx.fill();
+            }
+
+            this.ctx.globalAlpha = 1.0;
+        }
+    }
+
     /**
      * Render all cities (optimized version)
      * @param {Object} gameState - Game state
@@ -429,7 +589,13 @@ export class RenderEngine {
                 continue;
             }
 
-            this.renderCityOptimized(city, hexSize, spacing, gameState);
+            // Under fog, draw the city as the viewer last saw it
+            const knownCity = this.fogView ? this.fogView.fogOfWar.getKnownCity(this.fogView.playerId, city) : city;
+            if (!knownCity) {
+                continue;
+            }
+
+            this.renderCityOptimized(knownCity, hexSize, spacing, gameState);
             this.renderStats.citiesRendered++;
         }
     }
@@ -475,6 +641,10 @@ export class RenderEngine {
                 this.ctx.stroke();
             }
         }
+
+        if (city.improvements && city.improvements.includes('WALLS')) {
+            this.cityRenderer.drawWalls(this.ctx, centerX, centerY, hexSize);
+        }
     }
 
     /**
@@ -491,6 +661,10 @@ export class RenderEngine {
         const spacing = this.config.hexSpacing;
 
         for (const unit of units.values()) {
+            if (this.fogView && !this.fogView.fogOfWar.canSeeUnit(this.fogView.playerId, unit)) {
+                continue;
+            }
+
             // Get render position (may be different due to animations)
             const animationData = this.getUnitAnimationData(unit);
             const renderX = animationData ? animationData.currentX : unit.x;
@@ -506,6 +680,135 @@ export class RenderEngine {
         }
     }
 
+    /**
+     * Get the world position of a hex's centre
+     * @param {number} x - Hex X coordinate
+     * @param {number} y - Hex Y coordinate
+     * @returns {Object} - World position { x, y }
+     */
+    getHexCenter(x, y) {
+        const step = this.config.hexSize + this.config.hexSpacing;
+        return {
+            x: x * step + this.config.hexSize / 2,
+            y: y * step + this.config.hexSize / 2
+        };
+    }
+
+    /**
+     * Render arrows from the viewing player's vectoring cities to their rally points
+     * @param {Object} gameState - Game state
+     */
+    renderVectors(gameState) {
+        if (!gameState.getPlayerVectors) {
+            return;
+        }
+
+        const playerId = this.fogView ? this.fogView.playerId : gameState.getActivePlayer();
+        const headSize = this.config.hexSize / 4;
+
+        for (const { city, target } of gameState.getPlayerVectors(playerId)) {
+            const from = this.getHexCenter(city.x, city.y);
+            const to = this.getHexCenter(target.x, target.y);
+            const angle = Math.atan2(to.y - from.y, to.x - from.x);
+
+            this.ctx.strokeStyle = '#F1C40F';
+            this.ctx.fillStyle = '#F1C40F';
+            this.ctx.lineWidth = 3;
+            this.ctx.globalAlpha = 0.7;
+
+            this.ctx.beginPath();
+            this.ctx.moveTo(from.x, from.y);
+            this.ctx.lineTo(to.x, to.y);
+            this.ctx.stroke();
+
+            // Arrowhead at the rally point
+            this.ctx.beginPath();
+            this.ctx.moveTo(to.x, to.y);
+            this.ctx.lineTo(to.x - headSize * Math.cos(angle - Math.PI / 6), to.y - headSize * Math.sin(angle - Math.PI / 6));
+            this.ctx.lineTo(to.x - headSize * Math.cos(angle + Math.PI / 6), to.y - headSize * Math.sin(angle + Math.PI / 6));
+            this.ctx.closePath();
+            this.ctx.fill();
+
+            this.ctx.globalAlpha = 1.0;
+        }
+    }
+
+    /**
+     * Render the planned "go to" routes of the viewing player's stacks,
+     * with a turn number where each turn's movement runs out
+     * @param {Object} gameState - Game state
+     */
+    renderGoToRoutes(gameState) {
+        const units = gameState.getUnits();
+        if (!units || !gameState.movementManager) {
+            return;
+        }
+
+        const playerId = this.fogView ? this.fogView.playerId : gameState.getActivePlayer();
+        const hexSize = this.config.hexSize;
+        const center = (x, y) => this.getHexCenter(x, y);
+        const drawn = new Set();
+
+        for (const unit of units.values()) {
+            const order = unit.goToOrder;
+            if (unit.owner !== playerId || !order || order.path.length === 0) {
+                continue;
+            }
+
+            // Draw each travelling stack once
+            const key = `${unit.x},${unit.y}>${order.x},${order.y}`;
+            if (drawn.has(key)) {
+                continue;
+            }
+            drawn.add(key);
+
+            const travellers = Array.from(units.values()).filter(other =>
+                other.x === unit.x && other.y === unit.y && other.goToOrder &&
+                other.goToOrder.x === order.x && other.goToOrder.y === order.y
+            );
+            const route = gameState.movementManager.planRouteTurns(travellers, order.path);
+
+            // Dashed line from the stack to its destination
+            const start = center(unit.x, unit.y);
+            this.ctx.strokeStyle = '#FFFFFF';
+            this.ctx.lineWidth = 2;
+            this.ctx.globalAlpha = 0.8;
+            this.ctx.setLineDash([6, 4]);
+            this.ctx.beginPath();
+            this.ctx.moveTo(start.x, start.y);
+            for (const step of route) {
+                const point = center(step.x, step.y);
+                this.ctx.lineTo(point.x, point.y);
+            }
+            this.ctx.stroke();
+            this.ctx.setLineDash([]);
+
+            // Turn markers where the stack stops for the night
+            route.forEach((step, index) => {
+                const next = route[index + 1];
+                if (next && next.turn === step.turn) {
+                    return;
+                }
+
+                const point = center(step.x, step.y);
+                this.ctx.globalAlpha = 1.0;
+                this.ctx.fillStyle = '#2C3E50';
+                this.ctx.beginPath();
+                this.ctx.arc(point.x, point.y, hexSize / 4, 0, Math.PI * 2);
+                this.ctx.fill();
+                this.ctx.stroke();
+
+                this.ctx.fillStyle = '#FFFFFF';
+                this.ctx.font = `bold ${Math.floor(hexSize / 3)}px Arial`;
+                this.ctx.textAlign = 'center';
+                this.ctx.textBaseline = 'middle';
+                this.ctx.fillText(String(step.turn), point.x, point.y);
+            });
+
+            this.ctx.globalAlpha = 1.0;
+        }
+    }
+
     /**
      * Calculate visible area based on camera position and zoom
      * @param {Map} map - Game map
@@ -945,9 +1248,51 @@ export class RenderEngine {
             if (unit.hasActed) {
                 this.renderMovementIndicator(x, y, hexSize, opacity);
             }
+
+            // Draw an icon for each spell or potion effect on the unit
+            if (unit.statusEffects && unit.statusEffects.effects.length > 0) {
+                this.renderStatusIcons(unit, x, y, hexSize, opacity);
+            }
         }
     }
 
+    /**
+     * Render status effect icons along the top of a unit's hex
+     * @param {Unit} unit - Unit with status effects
+     * @param {number} x - X position
+     * @param {number} y - Y position
+     * @param {number} hexSize - Size of hex
+     * @param {number} opacity - Opacity for animation
+     */
+    renderStatusIcons(unit, x, y, hexSize, opacity = 1.0) {
+        const radius = Math.max(4, hexSize / 12);
+
+        this.ctx.save();
+        this.ctx.globalAlpha = opacity;
+        this.ctx.font = `bold ${Math.floor(radius * 1.4)}px Arial`;
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+
+        unit.statusEffects.getAll().forEach((effect, index) => {
+            const template = effect.getTemplate();
+            const iconX = x + radius + 2 + index * (radius * 2 + 1);
+            const iconY = y + radius + 2;
+
+            this.ctx.fillStyle = template.color;
+            this.ctx.beginPath();
+            this.ctx.arc(iconX, iconY, radius, 0, 2 * Math.PI);
+            this.ctx.fill();
+            this.ctx.strokeStyle = '#000000';
+            this.ctx.lineWidth = 1;
+            this.ctx.stroke();
+
+            this.ctx.fillStyle = '#000000';
+            this.ctx.fillText(template.icon, iconX, iconY);
+        });
+
+        this.ctx.restore();
+    }
+
     /**
      * Render unit health bar
      * @param {Unit} unit - Unit to render health for
@@ -1972,7 +2317,8 @@ export class RenderEngine {
             hoveredHex: this.hoveredHex ? { x: this.hoveredHex.x, y: this.hoveredHex.y } : null,
             highlightedHexes: this.highlightedHexes.map(hex => ({ x: hex.x, y: hex.y })),
             units: [],
-            cities: []
+            cities: [],
+            fogRevision: gameState.fogOfWar ? gameState.fogOfWar.revision : null
         };
 
         // Capture unit states
@@ -1985,7 +2331,8 @@ export class RenderEngine {
                         x: unit.x,
                         y: unit.y,
                         health: unit.health,
-                        hasActed: unit.hasActed
+                        hasActed: unit.hasActed,
+                        goToSteps: unit.goToOrder ? unit.goToOrder.path.length : 0
                     });
                 }
             }
@@ -2004,7 +2351,9 @@ export class RenderEngine {
                         x: city.x,
                         y: city.y,
                         owner: city.owner,
-                        size: city.size
+                        size: city.size,
+                        improvements: (city.improvements || []).join(','),
+                        vector: city.vectorTarget ? `${city.vectorTarget.x},${city.vectorTarget.y}` : null
                     });
                 }
             }
@@ -2040,6 +2389,11 @@ export class RenderEngine {
             return false;
         }
 
+        // Compare fog of war (visibility or viewing player changed)
+        if (state1.fogRevision !== state2.fogRevision) {
+            return false;
+        }
+
         // Compare highlighted hexes
         if (state1.highlightedHexes.length !== state2.highlightedHexes.length) {
             return false;
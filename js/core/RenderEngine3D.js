@@ -64,6 +64,7 @@ export class RenderEngine3D {
         this.hexMeshes = new Map(); // Map of hex positions to mesh objects
         this.unitObjects = new Map(); // Map of unit IDs to Three.js objects
         this.cityObjects = new Map(); // Map of city IDs to Three.js objects
+        this.siteObjects = new Map(); // Map of site positions to Three.js objects
         this.selectionObjects = []; // Selection and highlight objects
 
         // UI state
@@ -71,6 +72,9 @@ export class RenderEngine3D {
         this.highlightedHexes = [];
         this.hoveredHex = null;
 
+        // Fog of war view for the current frame ({ fogOfWar, playerId } or null)
+        this.fogView = null;
+
         // Performance settings
         this.performanceSettings = {
             enableViewportCulling: true,
@@ -213,9 +217,13 @@ export class RenderEngine3D {
      * Update the 3D scene based on game state
      */
     updateScene(gameState) {
+        // Resolve whose view of the map is drawn this frame
+        this.fogView = this.getFogView(gameState);
+
         const map = gameState.getMap();
         if (map) {
             this.updateHexMeshes(map);
+            this.updateSiteObjects(map);
         }
 
         this.updateCityObjects(gameState);
@@ -223,6 +231,38 @@ export class RenderEngine3D {
         this.updateSelectionAndHighlights();
     }
 
+    /**
+     * Get the fog of war view to render, if fog is active
+     * @param {Object} gameState - Game state
+     * @returns {Object|null} - { fogOfWar, playerId } or null to show everything
+     */
+    getFogView(gameState) {
+        const fogOfWar = gameState.fogOfWar;
+        if (!fogOfWar || !fogOfWar.isEnabled() || fogOfWar.getViewingPlayer() === null) {
+            return null;
+        }
+
+        return { fogOfWar, playerId: fogOfWar.getViewingPlayer() };
+    }
+
+    /**
+     * Hide unexplored hexes and darken remembered hexes that are out of sight
+     * @param {THREE.Mesh} mesh - Hex mesh
+     * @param {number} x - Hex X coordinate
+     * @param {number} y - Hex Y coordinate
+     */
+    applyFogToHexMesh(mesh, x, y) {
+        const fogView = this.fogView;
+        const explored = !fogView || fogView.fogOfWar.isExplored(fogView.playerId, x, y);
+        const visible = !fogView || fogView.fogOfWar.isVisible(fogView.playerId, x, y);
+
+        mesh.visible = explored;
+        mesh.material.color.copy(mesh.userData.baseColor);
+        if (!visible) {
+            mesh.material.color.multiplyScalar(0.5);
+        }
+    }
+
     /**
      * Create or update hex meshes for the map
      */
@@ -244,10 +284,12 @@ export class RenderEngine3D {
                     if (mesh) {
                         this.hexMeshes.set(key, mesh);
                         this.scene.add(mesh);
+                        this.applyFogToHexMesh(mesh, x, y);
                         this.renderStats.hexesRendered++;
                     }
                 } else {
-                    // Update existing mesh if needed
+                    // Update existing mesh for the current fog of war
+                    this.applyFogToHexMesh(this.hexMeshes.get(key), x, y);
                     this.renderStats.hexesRendered++;
                 }
             }
@@ -304,6 +346,54 @@ export class RenderEngine3D {
         mesh.userData.hex = hex;
         mesh.userData.hexX = hex.x;
         mesh.userData.hexY = hex.y;
+        mesh.userData.baseColor = color.clone();
+
+        return mesh;
+    }
+
+    /**
+     * Update explorable site markers in the scene
+     */
+    updateSiteObjects(map) {
+        for (const site of map.getSites()) {
+            const key = `${site.x},${site.y}`;
+
+            if (!this.siteObjects.has(key)) {
+                const siteMesh = this.createSitePlaceholder(site);
+                this.siteObjects.set(key, siteMesh);
+                this.scene.add(siteMesh);
+            }
+
+            // Looted sites fade; sites stay hidden until their hex is explored
+            const siteMesh = this.siteObjects.get(key);
+            siteMesh.material.opacity = site.explored ? 0.35 : 1.0;
+            siteMesh.visible = !this.fogView || this.fogView.fogOfWar.isExplored(this.fogView.playerId, site.x, site.y);
+        }
+    }
+
+    /**
+     * Create a placeholder mesh for an explorable site
+     */
+    createSitePlaceholder(site) {
+        const hexSize = this.config.hexSize;
+        const geometry = new THREE.OctahedronGeometry(hexSize / 6);
+        const colors = {
+            RUINS: 0xa0522d,
+            TEMPLE: 0xf1c40f,
+            TOWER: 0x8e44ad,
+            CAVE: 0x555555,
+            TOMB: 0x2c3e50
+        };
+
+        const material = new THREE.MeshLambertMaterial({ color: colors[site.type] || 0x7f8c8d, transparent: true });
+        const mesh = new THREE.Mesh(geometry, material);
+
+        const worldX = site.x * (hexSize + this.config.hexSpacing) + hexSize / 2;
+        const worldZ = site.y * (hexSize + this.config.hexSpacing) + hexSize / 2;
+        mesh.position.set(worldX, hexSize / 4, worldZ);
+
+        mesh.userData.site = site;
+        mesh.userData.type = 'site';
 
         return mesh;
     }
@@ -327,6 +417,14 @@ export class RenderEngine3D {
                     this.scene.add(cityMesh);
                 }
             }
+
+            // Cities stay on the map once discovered, and grow with their size
+            const cityMesh = this.cityObjects.get(key);
+            if (cityMesh) {
+                const scale = 0.8 + (city.size || 1) * 0.2;
+                cityMesh.scale.set(scale, scale, scale);
+                cityMesh.visible = !this.fogView || this.fogView.fogOfWar.getKnownCity(this.fogView.playerId, city) !== null;
+            }
             
             this.renderStats.citiesRendered++;
         }
@@ -381,6 +479,15 @@ export class RenderEngine3D {
                     this.scene.add(unitMesh);
                 }
             }
+
+            // Keep the placeholder on the unit's hex and hide it outside the viewer's sight
+            const unitMesh = this.unitObjects.get(key);
+            if (unitMesh) {
+                const hexSize = this.config.hexSize;
+                unitMesh.position.x = unit.x * (hexSize + this.config.hexSpacing) + hexSize / 2;
+                unitMesh.position.z = unit.y * (hexSize + this.config.hexSpacing) + hexSize / 2;
+                unitMesh.visible = !this.fogView || this.fogView.fogOfWar.canSeeUnit(this.fogView.playerId, unit);
+            }
             
             this.renderStats.unitsRendered++;
         }
@@ -553,6 +660,7 @@ export class RenderEngine3D {
         this.hexMeshes.clear();
         this.unitObjects.clear();
         this.cityObjects.clear();
+        this.siteObjects.clear();
         this.selectionObjects = [];
 
         // Dispose renderer
@@ -0,0 +1,135 @@
+/**
+ * ReplayEngine - Steps through a recorded game
+ * Rebuilds the game from its setup and seed on a headless GameManager and
+ * re-applies logged actions; stepping backwards re-simulates from the start
+ */
+
+import { GameManager } from './GameManager.js';
+
+export class ReplayEngine {
+    /**
+     * @param {Object} setupConfig - Configuration the game was started with (including its seed)
+     * @param {Array} actions - Logged actions in order
+     */
+    constructor(setupConfig, actions = []) {
+        if (!setupConfig || setupConfig.seed === undefined) {
+            throw new Error('Game has no recorded setup to replay');
+        }
+
+        this.setupConfig = setupConfig;
+        this.actions = actions;
+        this.manager = null;
+        this.position = 0;
+
+        this.reset();
+    }
+
+    /**
+     * Create a replay of a game in progress or finished
+     * @param {GameState} gameState - Game to replay
+     * @returns {ReplayEngine} - Replay
+     */
+    static fromGameState(gameState) {
+        return new ReplayEngine(gameState.setupConfig, gameState.actionLog.getActions());
+    }
+
+    /**
+     * Create a replay from saved game data
+     * @param {Object} saveData - Save data from SaveLoadManager
+     * @returns {ReplayEngine} - Replay
+     */
+    static fromSaveData(saveData) {
+        const gameState = saveData.gameState || {};
+        const actions = gameState.actionLog ? gameState.actionLog.actions : [];
+        return new ReplayEngine(gameState.setupConfig, actions);
+    }
+
+    /**
+     * Go back to the start of the game
+     */
+    reset() {
+        this.position = 0;
+        this.manager = new GameManager(null, { headless: true });
+        this.manager.initializeGame(JSON.parse(JSON.stringify(this.setupConfig)));
+    }
+
+    /**
+     * Apply the next action
+     * @returns {boolean} - True if there was an action to apply
+     */
+    stepForward() {
+        if (this.position >= this.actions.length) {
+            return false;
+        }
+
+        const action = this.actions[this.position];
+        const applied = this.manager.processAction(action);
+        if (!applied) {
+            console.warn(`Replay diverged at action ${this.position} (${action.type})`);
+        }
+
+        this.position++;
+        return true;
+    }
+
+    /**
+     * Undo the last applied action by replaying up to the one before it
+     * @returns {boolean} - True if there was an action to undo
+     */
+    stepBackward() {
+        if (this.position === 0) {
+            return false;
+        }
+
+        this.goTo(this.position - 1);
+        return true;
+    }
+
+    /**
+     * Jump to a position in the replay
+     * @param {number} index - Number of actions to have applied
+     */
+    goTo(index) {
+        const target = Math.max(0, Math.min(index, this.actions.length));
+
+        if (target < this.position) {
+            this.reset();
+        }
+
+        while (this.position < target) {
+            this.stepForward();
+        }
+    }
+
+    /**
+     * Get the game state at the current position
+     * @returns {GameState} - Replayed game state
+     */
+    getGameState() {
+        return this.manager.getGameState();
+    }
+
+    /**
+     * Get number of actions applied so far
+     * @returns {number} - Current position
+     */
+    getPosition() {
+        return this.position;
+    }
+
+    /**
+     * Get total number of actions
+     * @returns {number} - Replay length
+     */
+    getLength() {
+        return this.actions.length;
+    }
+
+    /**
+     * Get the most recently applied action
+     * @returns {Object|null} - Action or null at the start
+     */
+    getCurrentAction() {
+        return this.position > 0 ? this.actions[this.position - 1] : null;
+    }
+}
@@ -9,6 +9,7 @@ export class SaveLoadManager {
         this.SAVE_KEY_PREFIX = 'warlords_save_';
         this.SAVE_METADATA_KEY = 'warlords_save_metadata';
         this.RESULTS_KEY = 'warlords_results';
+        this.CAMPAIGN_KEY_PREFIX = 'warlords_campaign_';
         this.MAX_SAVE_SLOTS = 10;
         this.MAX_RESULTS = 20;
         this.SAVE_VERSION = '1.0';
@@ -341,6 +342,145 @@ export class SaveLoadManager {
         }
     }
     
+    /**
+     * Save a campaign together with the player's progress through it
+     * @param {Campaign} campaign - Campaign being played
+     * @param {Object} progress - Progress (see Campaign.createProgress)
+     * @returns {Object} - Save result with success status and message
+     */
+    saveCampaignProgress(campaign, progress) {
+        try {
+            if (!this.isLocalStorageAvailable()) {
+                throw new Error('Local storage is not available');
+            }
+
+            const data = JSON.stringify({
+                version: this.SAVE_VERSION,
+                timestamp: Date.now(),
+                campaign: campaign.serialize(),
+                progress: progress
+            });
+            this.checkStorageQuota(data);
+            localStorage.setItem(this.CAMPAIGN_KEY_PREFIX + campaign.id, data);
+
+            console.log(`Campaign ${campaign.id} progress saved`);
+
+            return {
+                success: true,
+                message: 'Campaign progress saved'
+            };
+
+        } catch (error) {
+            console.error('Failed to save campaign progress:', error);
+
+            return {
+                success: false,
+                message: this.getErrorMessage(error),
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * Load a saved campaign and the player's progress through it
+     * @param {string} campaignId - Campaign ID
+     * @returns {Object} - Load result with { campaign, progress } data or error
+     */
+    loadCampaignProgress(campaignId) {
+        try {
+            if (!this.isLocalStorageAvailable()) {
+                throw new Error('Local storage is not available');
+            }
+
+            const dataString = localStorage.getItem(this.CAMPAIGN_KEY_PREFIX + campaignId);
+            if (!dataString) {
+                throw new Error(`No save found for campaign ${campaignId}`);
+            }
+
+            const data = JSON.parse(dataString);
+            if (!data.campaign || !data.progress) {
+                throw new Error('Corrupted campaign save');
+            }
+
+            return {
+                success: true,
+                message: 'Campaign progress loaded',
+                campaign: data.campaign,
+                progress: data.progress
+            };
+
+        } catch (error) {
+            console.error('Failed to load campaign progress:', error);
+
+            return {
+                success: false,
+                message: this.getErrorMessage(error),
+                error: error.message
+            };
+        }
+    }
+
+    /**
+     * List the campaigns with saved progress
+     * @returns {Array} - [{ id, name, timestamp, completed, finished }], newest first
+     */
+    getCampaignSaves() {
+        try {
+            if (!this.isLocalStorageAvailable()) {
+                return [];
+            }
+
+            const saves = [];
+            for (let i = 0; i < localStorage.length; i++) {
+                const key = localStorage.key(i);
+                if (!key || !key.startsWith(this.CAMPAIGN_KEY_PREFIX)) continue;
+
+                const data = JSON.parse(localStorage.getItem(key));
+                saves.push({
+                    id: data.campaign.id,
+                    name: data.campaign.name,
+                    timestamp: data.timestamp,
+                    completed: Object.keys(data.progress.completed).length,
+                    finished: data.progress.finished === true
+                });
+            }
+            return saves.sort((a, b) => b.timestamp - a.timestamp);
+
+        } catch (error) {
+            console.error('Failed to get campaign saves:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Delete a campaign's saved progress
+     * @param {string} campaignId - Campaign ID
+     * @returns {Object} - Delete result
+     */
+    deleteCampaignProgress(campaignId) {
+        try {
+            if (!this.isLocalStorageAvailable()) {
+                throw new Error('Local storage is not available');
+            }
+
+            localStorage.removeItem(this.CAMPAIGN_KEY_PREFIX + campaignId);
+
+            return {
+                success: true,
+                message: 'Campaign progress deleted'
+            };
+
+        } catch (error) {
+            console.error('Failed to delete campaign progress:', error);
+
+            return {
+                success: false,
+                message: this.getErrorMessage(error),
+                error: error.message
+            };
+        }
+    }
+
     /**
      * Clear all saved data
      * @returns {Object} - Clear result
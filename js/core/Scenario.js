@@ -0,0 +1,365 @@
+/**
+ * Scenario - A hand-made game: a fixed map with its cities, each player's
+ * starting army, custom victory and defeat conditions and scripted triggers
+ * ("when a unit enters this hex, spawn units", "on turn 20 show a message",
+ * "if this city falls, that player loses")
+ */
+
+import { unitRegistry } from './UnitRegistry.js';
+import { factionManager } from './Faction.js';
+
+export const SCENARIO_VERSION = 1;
+
+// What a trigger, victory or defeat waits for
+export const SCENARIO_CONDITIONS = {
+    TURN_REACHED: 'TURN_REACHED',           // { turn }
+    UNIT_AT: 'UNIT_AT',                     // { x, y, player? } a unit (of the player, if given) stands on the hex
+    CITY_OWNED: 'CITY_OWNED',               // { x, y, player } the player holds the city
+    CITY_LOST: 'CITY_LOST',                 // { x, y, player } the city is out of the player's hands
+    PLAYER_ELIMINATED: 'PLAYER_ELIMINATED', // { player }
+    ALL: 'ALL',                             // { conditions: [...] } every one holds
+    ANY: 'ANY'                              // { conditions: [...] } at least one holds
+};
+
+// What a trigger does when it fires
+export const SCENARIO_ACTIONS = {
+    SHOW_MESSAGE: 'SHOW_MESSAGE',           // { text, player? } to one player, or everyone
+    SPAWN_UNITS: 'SPAWN_UNITS',             // { player, x, y, units: [unitType, ...] }
+    GIVE_GOLD: 'GIVE_GOLD',                 // { player, amount }
+    PLAYER_WINS: 'PLAYER_WINS',             // { player, outcome? }
+    PLAYER_LOSES: 'PLAYER_LOSES'            // { player }
+};
+
+export class Scenario {
+    constructor(data = {}) {
+        this.version = data.version || SCENARIO_VERSION;
+        this.id = data.id || null;
+        this.name = data.name || 'Untitled Scenario';
+        this.description = data.description || '';
+
+        // Serialized map (Map.serialize()); cities and units are listed separately
+        this.map = data.map || null;
+
+        // [{ name, x, y, owner, size }] - owner -1 for neutral cities
+        this.cities = (data.cities || []).map(city => ({ ...city }));
+
+        // [{ id, name, faction, color, isAI, units: [{ type, x, y, name? }] }]
+        this.players = (data.players || []).map(player => ({
+            ...player,
+            units: (player.units || []).map(unit => ({ ...unit }))
+        }));
+
+        // [{ player, when, description?, outcome? }] - the outcome names the ending (e.g. for campaigns)
+        this.victory = clone(data.victory || []);
+        // [{ player, when, description? }]
+        this.defeat = clone(data.defeat || []);
+        // [{ id, when, actions: [...] }] - each trigger fires once
+        this.triggers = clone(data.triggers || []);
+
+        // Whether capturing every city or wiping out every army still wins
+        this.standardVictory = data.standardVictory !== false;
+    }
+
+    /**
+     * Load a scenario file, rejecting it if it does not hold together
+     * @param {Object} data - Parsed scenario JSON
+     * @returns {Scenario} - Scenario instance
+     */
+    static load(data) {
+        const errors = Scenario.validate(data);
+        if (errors.length > 0) {
+            throw new Error(`Invalid scenario: ${errors.join('; ')}`);
+        }
+        return new Scenario(data);
+    }
+
+    /**
+     * Check a scenario file for mistakes
+     * @param {Object} data - Parsed scenario JSON
+     * @returns {Array} - List of validation errors (empty if valid)
+     */
+    static validate(data) {
+        if (!data || typeof data !== 'object') {
+            return ['Scenario must be an object'];
+        }
+
+        const errors = [];
+        const map = data.map;
+        if (!map || !map.width || !map.height || !Array.isArray(map.hexes) || map.hexes.length !== map.width * map.height) {
+            return ['Scenario needs a complete map'];
+        }
+
+        const inBounds = (x, y) => Number.isInteger(x) && Number.isInteger(y) && x >= 0 && y >= 0 && x < map.width && y < map.height;
+        const players = Array.isArray(data.players) ? data.players : [];
+        const playerIds = players.map(player => player.id);
+        const isPlayer = id => playerIds.includes(id);
+
+        if (players.length < 2) {
+            errors.push('Scenario needs at least two players');
+        }
+        players.forEach((player, index) => {
+            if (player.id !== index) {
+                errors.push(`Player ${index}: ids must run 0, 1, 2, ...`);
+            }
+            if (!factionManager.isValidFaction(player.faction)) {
+                errors.push(`Player ${index}: unknown faction ${player.faction}`);
+            }
+            for (const unit of player.units || []) {
+                if (!unitRegistry.has(unit.type)) {
+                    errors.push(`Player ${index}: unknown unit type ${unit.type}`);
+                }
+                if (!inBounds(unit.x, unit.y)) {
+                    errors.push(`Player ${index}: unit at (${unit.x}, ${unit.y}) is off the map`);
+                }
+            }
+        });
+
+        for (const city of data.cities || []) {
+            if (!city.name || !inBounds(city.x, city.y)) {
+                errors.push(`City ${city.name || '(unnamed)'}: needs a name and a hex on the map`);
+            }
+            if (city.owner !== -1 && !isPlayer(city.owner)) {
+                errors.push(`City ${city.name}: unknown owner ${city.owner}`);
+            }
+        }
+
+        const checkCondition = (condition, label) => {
+            if (!condition || !SCENARIO_CONDITIONS[condition.type]) {
+                errors.push(`${label}: unknown condition ${condition ? condition.type : condition}`);
+                return;
+            }
+            switch (condition.type) {
+                case SCENARIO_CONDITIONS.TURN_REACHED:
+                    if (!Number.isInteger(condition.turn) || condition.turn < 1) errors.push(`${label}: turn must be a positive integer`);
+                    break;
+                case SCENARIO_CONDITIONS.UNIT_AT:
+                    if (!inBounds(condition.x, condition.y)) errors.push(`${label}: hex is off the map`);
+                    if (condition.player !== undefined && !isPlayer(condition.player)) errors.push(`${label}: unknown player ${condition.player}`);
+                    break;
+                case SCENARIO_CONDITIONS.CITY_OWNED:
+                case SCENARIO_CONDITIONS.CITY_LOST:
+                    if (!(data.cities || []).some(city => city.x === condition.x && city.y === condition.y)) {
+                        errors.push(`${label}: no city at (${condition.x}, ${condition.y})`);
+                    }
+                    if (!isPlayer(condition.player)) errors.push(`${label}: unknown player ${condition.player}`);
+                    break;
+                case SCENARIO_CONDITIONS.PLAYER_ELIMINATED:
+                    if (!isPlayer(condition.player)) errors.push(`${label}: unknown player ${condition.player}`);
+                    break;
+                default:
+                    if (!Array.isArray(condition.conditions) || condition.conditions.length === 0) {
+                        errors.push(`${label}: ${condition.type} needs a list of conditions`);
+                    } else {
+                        condition.conditions.forEach(inner => checkCondition(inner, label));
+                    }
+            }
+        };
+
+        const checkAction = (action, label) => {
+            if (!action || !SCENARIO_ACTIONS[action.type]) {
+                errors.push(`${label}: unknown action ${action ? action.type : action}`);
+                return;
+            }
+            switch (action.type) {
+                case SCENARIO_ACTIONS.SHOW_MESSAGE:
+                    if (!action.text) errors.push(`${label}: message needs text`);
+                    if (action.player !== undefined && !isPlayer(action.player)) errors.push(`${label}: unknown player ${action.player}`);
+                    break;
+                case SCENARIO_ACTIONS.SPAWN_UNITS:
+                    if (!inBounds(action.x, action.y)) errors.push(`${label}: hex is off the map`);
+                    if (action.player !== -1 && !isPlayer(action.player)) errors.push(`${label}: unknown player ${action.player}`);
+                    if (!Array.isArray(action.units) || action.units.length === 0 || action.units.some(type => !unitRegistry.has(type))) {
+                        errors.push(`${label}: units must list known unit types`);
+                    }
+                    break;
+                case SCENARIO_ACTIONS.GIVE_GOLD:
+                    if (!isPlayer(action.player) || typeof action.amount !== 'number') errors.push(`${label}: needs a player and an amount`);
+                    break;
+                default:
+                    if (!isPlayer(action.player)) errors.push(`${label}: unknown player ${action.player}`);
+            }
+        };
+
+        (data.victory || []).forEach((entry, index) => {
+            if (!isPlayer(entry.player)) errors.push(`Victory ${index + 1}: unknown player ${entry.player}`);
+            checkCondition(entry.when, `Victory ${index + 1}`);
+        });
+        (data.defeat || []).forEach((entry, index) => {
+            if (!isPlayer(entry.player)) errors.push(`Defeat ${index + 1}: unknown player ${entry.player}`);
+            checkCondition(entry.when, `Defeat ${index + 1}`);
+        });
+        (data.triggers || []).forEach((trigger, index) => {
+            const label = `Trigger ${trigger.id || index + 1}`;
+            checkCondition(trigger.when, label);
+            if (!Array.isArray(trigger.actions) || trigger.actions.length === 0) {
+                errors.push(`${label}: needs at least one action`);
+            } else {
+                trigger.actions.forEach(action => checkAction(action, label));
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Check if a condition holds in a game
+     * @param {Object} condition - Condition from SCENARIO_CONDITIONS
+     * @param {GameState} gameState - Game state
+     * @returns {boolean} - True if it holds
+     */
+    isConditionMet(condition, gameState) {
+        switch (condition.type) {
+            case SCENARIO_CONDITIONS.TURN_REACHED:
+                return gameState.getCurrentTurn() >= condition.turn;
+            case SCENARIO_CONDITIONS.UNIT_AT:
+                return gameState.getUnitsAt(condition.x, condition.y)
+                    .some(unit => condition.player === undefined || unit.owner === condition.player);
+            case SCENARIO_CONDITIONS.CITY_OWNED: {
+                const city = gameState.getCityAt(condition.x, condition.y);
+                return !!city && city.owner === condition.player;
+            }
+            case SCENARIO_CONDITIONS.CITY_LOST: {
+                const city = gameState.getCityAt(condition.x, condition.y);
+                return !city || city.owner !== condition.player;
+            }
+            case SCENARIO_CONDITIONS.PLAYER_ELIMINATED:
+                return gameState.isPlayerEliminated(condition.player);
+            case SCENARIO_CONDITIONS.ALL:
+                return condition.conditions.every(inner => this.isConditionMet(inner, gameState));
+            case SCENARIO_CONDITIONS.ANY:
+                return condition.conditions.some(inner => this.isConditionMet(inner, gameState));
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Describe a condition for the setup screen and the objectives list
+     * @param {Object} condition - Condition from SCENARIO_CONDITIONS
+     * @returns {string} - Description
+     */
+    describeCondition(condition) {
+        const player = id => this.getPlayerName(id);
+        const city = (x, y) => {
+            const found = this.getCityAt(x, y);
+            return found ? found.name : `the city at (${x}, ${y})`;
+        };
+
+        switch (condition.type) {
+            case SCENARIO_CONDITIONS.TURN_REACHED:
+                return `turn ${condition.turn} is reached`;
+            case SCENARIO_CONDITIONS.UNIT_AT:
+                return `${condition.player === undefined ? 'any unit' : player(condition.player)} reaches (${condition.x}, ${condition.y})`;
+            case SCENARIO_CONDITIONS.CITY_OWNED:
+                return `${player(condition.player)} holds ${city(condition.x, condition.y)}`;
+            case SCENARIO_CONDITIONS.CITY_LOST:
+                return `${player(condition.player)} loses ${city(condition.x, condition.y)}`;
+            case SCENARIO_CONDITIONS.PLAYER_ELIMINATED:
+                return `${player(condition.player)} is eliminated`;
+            case SCENARIO_CONDITIONS.ALL:
+                return condition.conditions.map(inner => this.describeCondition(inner)).join(' and ');
+            case SCENARIO_CONDITIONS.ANY:
+                return condition.conditions.map(inner => this.describeCondition(inner)).join(' or ');
+            default:
+                return condition.type;
+        }
+    }
+
+    /**
+     * List what a player must achieve and avoid
+     * @param {number} playerId - Player ID
+     * @returns {Object} - { victory: [descriptions], defeat: [descriptions] }
+     */
+    getObjectives(playerId) {
+        const describe = entry => entry.description || this.describeCondition(entry.when);
+        return {
+            victory: this.victory.filter(entry => entry.player === playerId).map(describe),
+            defeat: this.defeat.filter(entry => entry.player === playerId).map(describe)
+        };
+    }
+
+    /**
+     * Get a player's name as the scenario knows it
+     * @param {number} playerId - Player ID
+     * @returns {string} - Name
+     */
+    getPlayerName(playerId) {
+        const player = this.players.find(candidate => candidate.id === playerId);
+        return player && player.name ? player.name : `Player ${playerId + 1}`;
+    }
+
+    /**
+     * Get the city placed on a hex
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {Object|null} - City entry or null
+     */
+    getCityAt(x, y) {
+        return this.cities.find(city => city.x === x && city.y === y) || null;
+    }
+
+    /**
+     * Place, replace or (with null) remove the city on a hex
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @param {Object|null} city - { name, owner, size } or null
+     */
+    setCity(x, y, city) {
+        this.cities = this.cities.filter(existing => existing.x !== x || existing.y !== y);
+        if (city) {
+            this.cities.push({ name: city.name, owner: city.owner, size: city.size || 1, x, y });
+        }
+    }
+
+    /**
+     * Give a player a unit at the start of the scenario
+     * @param {number} playerId - Player ID
+     * @param {string} unitType - Unit type
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     * @returns {boolean} - True if added
+     */
+    addStartingUnit(playerId, unitType, x, y) {
+        const player = this.players.find(candidate => candidate.id === playerId);
+        if (!player || !unitRegistry.has(unitType)) {
+            return false;
+        }
+        player.units.push({ type: unitType, x, y });
+        return true;
+    }
+
+    /**
+     * Remove every starting unit from a hex
+     * @param {number} x - X coordinate
+     * @param {number} y - Y coordinate
+     */
+    removeStartingUnitsAt(x, y) {
+        for (const player of this.players) {
+            player.units = player.units.filter(unit => unit.x !== x || unit.y !== y);
+        }
+    }
+
+    /**
+     * Serialize scenario data
+     * @returns {Object} - Serialized data (the scenario file format)
+     */
+    serialize() {
+        return clone({
+            version: this.version,
+            id: this.id,
+            name: this.name,
+            description: this.description,
+            map: this.map,
+            cities: this.cities,
+            players: this.players,
+            victory: this.victory,
+            defeat: this.defeat,
+            triggers: this.triggers,
+            standardVictory: this.standardVictory
+        });
+    }
+}
+
+function clone(data) {
+    return JSON.parse(JSON.stringify(data));
+}
@@ -3,6 +3,8 @@
  * Requirements: 4.5
  */
 
+import { gameRandom } from './GameRandom.js';
+
 export const SPELL_TYPES = {
     OFFENSIVE: 'OFFENSIVE',
     DEFENSIVE: 'DEFENSIVE',
@@ -16,6 +18,7 @@ export const SPELL_TARGETS = {
     SINGLE_ALLY: 'SINGLE_ALLY',
     SINGLE_ANY: 'SINGLE_ANY',
     AREA: 'AREA',
+    LOCATION: 'LOCATION',
     ALL_ENEMIES: 'ALL_ENEMIES',
     ALL_ALLIES: 'ALL_ALLIES'
 };
@@ -108,6 +111,7 @@ export const SPELL_TEMPLATES = {
         power: 3, // Defense bonus
         duration: 5, // turns
         range: 1,
+        statusEffect: 'SHIELD', // Left on the target (see StatusEffect.js)
         description: 'Creates a magical barrier that increases defense.'
     },
     ARMOR_OF_FAITH: {
@@ -118,6 +122,7 @@ export const SPELL_TEMPLATES = {
         power: 5, // Defense bonus
         duration: 10,
         range: 0,
+        statusEffect: 'ARMOR_OF_FAITH',
         description: 'Surrounds the caster with divine protection.'
     },
     BLESS: {
@@ -128,6 +133,7 @@ export const SPELL_TEMPLATES = {
         power: 2, // Attack and defense bonus
         duration: 8,
         range: 1,
+        statusEffect: 'BLESS',
         description: 'Blesses an ally, improving their combat abilities.'
     },
     
@@ -135,11 +141,11 @@ export const SPELL_TEMPLATES = {
     TELEPORT: {
         name: 'Teleport',
         type: SPELL_TYPES.UTILITY,
-        target: SPELL_TARGETS.SELF,
+        target: SPELL_TARGETS.LOCATION,
         manaCost: 8,
-        power: 5, // Movement range
-        range: 0,
-        description: 'Instantly transports the caster to a nearby location.'
+        power: 0,
+        range: 5, // Farthest hex the caster's stack can be sent to
+        description: 'Instantly transports the caster and its stack to a nearby location.'
     },
     HASTE: {
         name: 'Haste',
@@ -149,6 +155,7 @@ export const SPELL_TEMPLATES = {
         power: 2, // Movement bonus
         duration: 5,
         range: 1,
+        statusEffect: 'HASTE',
         description: 'Increases the target\'s movement speed.'
     },
     DISPEL_MAGIC: {
@@ -163,10 +170,12 @@ export const SPELL_TEMPLATES = {
     SUMMON_ELEMENTAL: {
         name: 'Summon Elemental',
         type: SPELL_TYPES.UTILITY,
-        target: SPELL_TARGETS.AREA,
+        target: SPELL_TARGETS.SELF,
         manaCost: 10,
         power: 0,
+        duration: 3,
         range: 1,
+        summon: 'ELEMENTAL', // Unit type that appears next to the caster
         description: 'Summons an elemental creature to fight alongside you.'
     }
 };
@@ -193,6 +202,8 @@ export class Spell {
         this.range = template.range || 1;
         this.duration = template.duration || 0;
         this.areaSize = template.areaSize || 0;
+        this.statusEffect = template.statusEffect || null;
+        this.summon = template.summon || null;
         this.description = template.description || '';
         
         // Apply custom properties
@@ -201,6 +212,26 @@ export class Spell {
         console.log(`Spell created: ${this.name} (${this.id})`);
     }
     
+    /**
+     * Get the mana a caster pays for the spell (magic skills make their schools cheaper)
+     * @param {Hero} caster - Hero casting the spell
+     * @returns {number} - Mana cost, at least 1
+     */
+    getManaCost(caster) {
+        const discount = caster && caster.getSpellSkillBonus ? caster.getSpellSkillBonus(this, 'spellDiscount') : 0;
+        return Math.max(1, this.manaCost - discount);
+    }
+    
+    /**
+     * Get the spell's power when a caster casts it (magic skills strengthen their schools)
+     * @param {Hero} caster - Hero casting the spell
+     * @returns {number} - Power
+     */
+    getPower(caster) {
+        const bonus = caster && caster.getSpellSkillBonus ? caster.getSpellSkillBonus(this, 'spellPower') : 0;
+        return this.power + bonus;
+    }
+    
     /**
      * Check if spell can be cast by a hero
      * @param {Hero} caster - Hero attempting to cast
@@ -214,7 +245,7 @@ export class Spell {
         }
         
         // Check mana
-        if (caster.mana < this.manaCost) {
+        if (caster.mana < this.getManaCost(caster)) {
             return { canCast: false, reason: 'Not enough mana' };
         }
         
@@ -277,6 +308,9 @@ export class Spell {
             case SPELL_TARGETS.SINGLE_ANY:
                 return { valid: true };
                 
+            case SPELL_TARGETS.LOCATION:
+                return { valid: !target.id, reason: 'Must target a hex' };
+                
             default:
                 return { valid: true };
         }
@@ -287,20 +321,21 @@ export class Spell {
      * @param {Hero} caster - Hero casting the spell
      * @param {Object} target - Target for the spell (optional)
      * @param {Map} map - Game map (optional)
+     * @param {GameRandom} random - Random number generator
      * @returns {Object} - Spell result
      */
-    cast(caster, target = null, map = null) {
+    cast(caster, target = null, map = null, random = gameRandom) {
         const canCast = this.canCast(caster, target, map);
         if (!canCast.canCast) {
             return { success: false, reason: canCast.reason };
         }
         
         // Consume mana and mark as acted
-        caster.mana -= this.manaCost;
+        caster.mana -= this.getManaCost(caster);
         caster.hasActed = true;
         
         // Apply spell effects
-        const effects = this.applyEffects(caster, target, map);
+        const effects = this.applyEffects(caster, target, map, random);
         
         console.log(`${caster.heroName} cast ${this.name} (${caster.mana}/${caster.getMaxMana()} mana remaining)`);
         
@@ -318,14 +353,15 @@ export class Spell {
      * @param {Hero} caster - Spell caster
      * @param {Object} target - Spell target
      * @param {Map} map - Game map
+     * @param {GameRandom} random - Random number generator
      * @returns {Array} - Array of effects
      */
-    applyEffects(caster, target, map) {
+    applyEffects(caster, target, map, random) {
         const effects = [];
         
         switch (this.type) {
             case SPELL_TYPES.OFFENSIVE:
-                effects.push(...this.applyOffensiveEffects(caster, target, map));
+                effects.push(...this.applyOffensiveEffects(caster, target, map, random));
                 break;
                 
             case SPELL_TYPES.HEALING:
@@ -349,13 +385,14 @@ export class Spell {
      * @param {Hero} caster - Spell caster
      * @param {Object} target - Spell target
      * @param {Map} map - Game map
+     * @param {GameRandom} random - Random number generator
      * @returns {Array} - Array of effects
      */
-    applyOffensiveEffects(caster, target, map) {
+    applyOffensiveEffects(caster, target, map, random) {
         const effects = [];
         
         if (this.target === SPELL_TARGETS.SINGLE_ENEMY && target) {
-            const damage = this.calculateDamage(caster, target);
+            const damage = this.calculateDamage(caster, target, random);
             if (target.takeDamage) {
                 target.takeDamage(damage);
                 effects.push({
@@ -371,7 +408,7 @@ export class Spell {
                 type: 'area_damage',
                 center: target || caster,
                 radius: this.areaSize,
-                damage: this.power,
+                damage: this.getPower(caster),
                 spell: this.name
             });
         }
@@ -391,7 +428,7 @@ export class Spell {
         const healTarget = target || caster;
         
         if (healTarget && healTarget.heal) {
-            const healing = this.power;
+            const healing = this.getPower(caster);
             const actualHealing = healTarget.heal(healing);
             effects.push({
                 type: 'healing',
@@ -415,12 +452,13 @@ export class Spell {
         const effects = [];
         const buffTarget = target || caster;
         
-        // Apply temporary buff (simplified - would need proper buff system)
+        // Temporary buff, kept on the target as a status effect
         effects.push({
             type: 'buff',
             target: buffTarget,
             stat: 'defense',
-            amount: this.power,
+            status: this.statusEffect,
+            amount: this.getPower(caster),
             duration: this.duration,
             spell: this.name
         });
@@ -443,7 +481,18 @@ export class Spell {
                 effects.push({
                     type: 'teleport',
                     target: caster,
-                    range: this.power,
+                    destination: { x: target.x, y: target.y },
+                    range: this.range,
+                    spell: this.name
+                });
+                break;
+                
+            case 'Summon Elemental':
+                effects.push({
+                    type: 'summon',
+                    target: caster,
+                    unitType: this.summon,
+                    duration: this.duration,
                     spell: this.name
                 });
                 break;
@@ -453,7 +502,8 @@ export class Spell {
                     type: 'buff',
                     target: target || caster,
                     stat: 'movement',
-                    amount: this.power,
+                    status: this.statusEffect,
+                    amount: this.getPower(caster),
                     duration: this.duration,
                     spell: this.name
                 });
@@ -483,16 +533,17 @@ export class Spell {
      * Calculate damage for offensive spells
      * @param {Hero} caster - Spell caster
      * @param {Object} target - Damage target
+     * @param {GameRandom} random - Random number generator
      * @returns {number} - Damage amount
      */
-    calculateDamage(caster, target) {
-        let damage = this.power;
+    calculateDamage(caster, target, random = gameRandom) {
+        let damage = this.getPower(caster);
         
         // Add caster's level bonus
         damage += Math.floor(caster.level * 0.5);
         
         // Add some randomness
-        const randomFactor = 0.8 + (Math.random() * 0.4); // 80% to 120%
+        const randomFactor = 0.8 + (random.next() * 0.4); // 80% to 120%
         damage = Math.floor(damage * randomFactor);
         
         return Math.max(1, damage);
@@ -525,9 +576,10 @@ export class Spell {
     /**
      * Create a random spell
      * @param {string} type - Spell type filter (optional)
+     * @param {GameRandom} random - Random number generator
      * @returns {Spell} - Random spell
      */
-    static createRandom(type = null) {
+    static createRandom(type = null, random = gameRandom) {
         const templates = Object.keys(SPELL_TEMPLATES).filter(key => {
             const template = SPELL_TEMPLATES[key];
             if (type && template.type !== type) return false;
@@ -538,7 +590,7 @@ export class Spell {
             throw new Error('No matching spell templates found');
         }
         
-        const randomTemplate = templates[Math.floor(Math.random() * templates.length)];
+        const randomTemplate = random.pick(templates);
         return new Spell(randomTemplate);
     }
     
@@ -567,6 +619,8 @@ export class Spell {
             range: this.range,
             duration: this.duration,
             areaSize: this.areaSize,
+            statusEffect: this.statusEffect,
+            summon: this.summon,
             description: this.description
         };
     }
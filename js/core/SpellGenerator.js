@@ -4,6 +4,7 @@
  */
 
 import { Spell, SPELL_TEMPLATES, SPELL_TYPES } from './Spell.js';
+import { gameRandom } from './GameRandom.js';
 
 export const MAGIC_SCHOOLS = {
     ELEMENTAL: 'ELEMENTAL',
@@ -111,16 +112,17 @@ export class SpellGenerator {
      * Generate a random spell for a hero to learn
      * @param {Hero} hero - Hero to generate spell for
      * @param {string} school - Magic school preference (optional)
+     * @param {GameRandom} random - Random number generator
      * @returns {Spell|null} - Generated spell or null
      */
-    static generateRandomSpell(hero, school = null) {
+    static generateRandomSpell(hero, school = null, random = gameRandom) {
         const availableSpells = this.getAvailableSpells(hero, school);
         
         if (availableSpells.length === 0) {
             return null;
         }
         
-        return availableSpells[Math.floor(Math.random() * availableSpells.length)];
+        return random.pick(availableSpells);
     }
     
     /**
@@ -157,16 +159,17 @@ export class SpellGenerator {
     /**
      * Create spell scrolls that can be found or purchased
      * @param {string} spellName - Name of spell template
+     * @param {GameRandom} random - Random number generator
      * @returns {Object} - Spell scroll item
      */
-    static createSpellScroll(spellName) {
+    static createSpellScroll(spellName, random = gameRandom) {
         const template = SPELL_TEMPLATES[spellName];
         if (!template) {
             throw new Error(`Unknown spell template: ${spellName}`);
         }
         
         return {
-            id: `scroll_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            id: `scroll_${random.next().toString(36).substr(2, 9)}`,
             name: `Scroll of ${template.name}`,
             type: 'SPELL_SCROLL',
             spellName: template.name,
@@ -221,9 +224,10 @@ export class SpellGenerator {
      * Get starter spells for a new hero
      * @param {Hero} hero - New hero
      * @param {number} count - Number of starter spells (default 1)
+     * @param {GameRandom} random - Random number generator
      * @returns {Array} - Array of starter spells
      */
-    static getStarterSpells(hero, count = 1) {
+    static getStarterSpells(hero, count = 1, random = gameRandom) {
         if (!hero) return [];
         
         const starterSpellNames = [
@@ -233,7 +237,7 @@ export class SpellGenerator {
         ];
         
         const spells = [];
-        const shuffled = starterSpellNames.sort(() => 0.5 - Math.random());
+        const shuffled = random.shuffle(starterSpellNames);
         
         for (let i = 0; i < Math.min(count, shuffled.length); i++) {
             spells.push(new Spell(shuffled[i]));
@@ -275,7 +279,7 @@ export class SpellGenerator {
         if (hero.hasActed) return false;
         
         // Check if hero has enough mana for any spell
-        return hero.spells.some(spell => hero.mana >= spell.manaCost);
+        return hero.spells.some(spell => hero.mana >= spell.getManaCost(hero));
     }
     
     /**
@@ -287,7 +291,7 @@ export class SpellGenerator {
         if (!hero) return [];
         
         return hero.spells.filter(spell => {
-            return hero.mana >= spell.manaCost && !hero.hasActed;
+            return hero.mana >= spell.getManaCost(hero) && !hero.hasActed;
         });
     }
     
@@ -343,11 +347,22 @@ export class SpellGenerator {
                     changes.push({
                         type: 'unit_teleported',
                         target: effect.target,
+                        destination: effect.destination,
                         range: effect.range,
                         spell: effect.spell
                     });
                     break;
                     
+                case 'summon':
+                    changes.push({
+                        type: 'unit_summoned',
+                        target: effect.target,
+                        unitType: effect.unitType,
+                        duration: effect.duration,
+                        spell: effect.spell
+                    });
+                    break;
+                    
                 case 'area_damage':
                     changes.push({
                         type: 'area_effect',
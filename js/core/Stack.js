@@ -4,6 +4,14 @@
  * Requirements: 3.3
  */
 
+import { NEUTRAL_OWNER } from './Unit.js';
+import { MOVEMENT_TYPES } from './UnitRegistry.js';
+import { CombatSystem } from './CombatSystem.js';
+import { TERRAIN_CONFIG } from './Hex.js';
+
+// Ground units a single flyer can carry
+export const FLYER_CARRY_CAPACITY = 2;
+
 let stackIdCounter = 1;
 
 /**
@@ -20,7 +28,7 @@ export class Stack {
         if (typeof x !== 'number' || typeof y !== 'number') {
             throw new Error(`Invalid coordinates: (${x}, ${y})`);
         }
-        if (typeof owner !== 'number' || owner < 0) {
+        if (typeof owner !== 'number' || (owner < 0 && owner !== NEUTRAL_OWNER)) {
             throw new Error(`Invalid owner: ${owner}`);
         }
 
@@ -120,7 +128,84 @@ export class Stack {
     }
     
     /**
-     * Get stack movement capacity (limited by slowest unit)
+     * Check if units travelling together are carried by the flyers among them
+     * @param {Array} units - Units travelling together
+     * @returns {boolean} - True if there are enough flyers to lift the rest
+     */
+    static isCarriedByFlyers(units) {
+        const flyers = units.filter(unit => unit.movementType === MOVEMENT_TYPES.FLYING).length;
+        const passengers = units.length - flyers;
+        return flyers > 0 && passengers > 0 && passengers <= flyers * FLYER_CARRY_CAPACITY;
+    }
+    
+    /**
+     * Get the units whose movement carries a group: the flyers when they lift
+     * the rest, otherwise every unit
+     * @param {Array} units - Units travelling together
+     * @returns {Array} - Units spending their own movement
+     */
+    static getMovers(units) {
+        if (Stack.isCarriedByFlyers(units)) {
+            return units.filter(unit => unit.movementType === MOVEMENT_TYPES.FLYING);
+        }
+        return [...units];
+    }
+    
+    /**
+     * Get the movement classes a group travels as (it pays for the slowest one)
+     * @param {Array} units - Units travelling together
+     * @returns {Array} - Movement types
+     */
+    static getMovementTypes(units) {
+        if (Stack.isCarriedByFlyers(units)) {
+            return [MOVEMENT_TYPES.FLYING];
+        }
+        return [...new Set(units.map(unit => unit.movementType || MOVEMENT_TYPES.FOOT))];
+    }
+    
+    /**
+     * Get the faction bonus that eases the going on a terrain (e.g. forestMovement).
+     * Flyers pass over forests and mountains alike, so the bonuses do not apply to them.
+     * @param {Array} movementTypes - Movement types travelling together
+     * @param {Faction|null} faction - Owner's faction
+     * @param {string} terrain - Terrain type
+     * @returns {number} - Share of the terrain cost saved (0 if none)
+     */
+    static getTerrainBonus(movementTypes, faction, terrain) {
+        const bonusType = TERRAIN_CONFIG[terrain] && TERRAIN_CONFIG[terrain].movementBonus;
+        if (!faction || !bonusType || movementTypes.includes(MOVEMENT_TYPES.FLYING)) {
+            return 0;
+        }
+        return faction.getBonus(bonusType);
+    }
+    
+    /**
+     * Check if this stack is carried by its flyers
+     * @returns {boolean} - True if carried
+     */
+    isCarriedByFlyers() {
+        return Stack.isCarriedByFlyers(this.units);
+    }
+    
+    /**
+     * Get the units whose movement the stack spends
+     * @returns {Array} - Moving units
+     */
+    getMovers() {
+        return Stack.getMovers(this.units);
+    }
+    
+    /**
+     * Get the movement classes the stack travels as
+     * @returns {Array} - Movement types
+     */
+    getMovementTypes() {
+        return Stack.getMovementTypes(this.units);
+    }
+    
+    /**
+     * Get stack movement capacity (limited by the slowest unit, or by the
+     * slowest flyer when the flyers carry the stack)
      * @returns {number} - Movement points available
      */
     getMovementCapacity() {
@@ -128,9 +213,9 @@ export class Stack {
             return 0;
         }
         
-        // Find the unit with the least remaining movement
+        // Find the moving unit with the least remaining movement
         let minMovement = Infinity;
-        for (const unit of this.units) {
+        for (const unit of this.getMovers()) {
             if (unit.movement < minMovement) {
                 minMovement = unit.movement;
             }
@@ -148,8 +233,10 @@ export class Stack {
             return false;
         }
         
-        // All units must be able to move
-        return this.units.every(unit => unit.canMove()) && this.getMovementCapacity() > 0;
+        // Every moving unit must be able to move; carried units only need to be ready
+        const movers = this.getMovers();
+        return this.units.every(unit => movers.includes(unit) ? unit.canMove() : unit.isAlive() && !unit.hasActed) &&
+            this.getMovementCapacity() > 0;
     }
     
     /**
@@ -179,15 +266,8 @@ export class Stack {
             return false;
         }
         
-        // Check if any unit in the stack can make the move
-        // Use the first unit as representative for pathfinding
-        const representativeUnit = this.units[0];
-        if (!representativeUnit.canMoveTo(newX, newY, map)) {
-            return false;
-        }
-        
-        // Calculate movement cost for the stack
-        const path = map.findPath(this.x, this.y, newX, newY, representativeUnit);
+        // Calculate movement cost for the stack at the pace of its slowest class
+        const path = map.findPath(this.x, this.y, newX, newY, this);
         if (!path) {
             return false;
         }
@@ -197,7 +277,7 @@ export class Stack {
         let currentY = this.y;
         
         for (const step of path) {
-            const cost = map.calculateMovementCost(currentX, currentY, step.x, step.y, representativeUnit);
+            const cost = map.calculateMovementCost(currentX, currentY, step.x, step.y, this);
             if (cost === Infinity) {
                 return false;
             }
@@ -222,15 +302,14 @@ export class Stack {
             return false;
         }
         
-        // Calculate movement cost using representative unit
-        const representativeUnit = this.units[0];
-        const path = map.findPath(this.x, this.y, newX, newY, representativeUnit);
+        // Calculate movement cost for the whole stack
+        const path = map.findPath(this.x, this.y, newX, newY, this);
         let totalCost = 0;
         let currentX = this.x;
         let currentY = this.y;
         
         for (const step of path) {
-            const cost = map.calculateMovementCost(currentX, currentY, step.x, step.y, representativeUnit);
+            const cost = map.calculateMovementCost(currentX, currentY, step.x, step.y, this);
             totalCost += cost;
             currentX = step.x;
             currentY = step.y;
@@ -244,11 +323,11 @@ export class Stack {
             oldHex.removeUnit();
         }
         
-        // Move all units in the stack
+        // Move all units in the stack (carried units never have less than nothing left)
         for (const unit of this.units) {
             unit.x = newX;
             unit.y = newY;
-            unit.movement -= totalCost;
+            unit.movement = Math.max(0, unit.movement - totalCost);
         }
         
         // Update stack position
@@ -264,6 +343,36 @@ export class Stack {
         return true;
     }
     
+    /**
+     * Give the stack a standing order to travel to a destination over several turns.
+     * The order is kept on every unit so it outlives this Stack object.
+     * @param {number} x - Destination X coordinate
+     * @param {number} y - Destination Y coordinate
+     * @param {Array} path - Remaining path ([{ x, y }], excluding the current hex)
+     */
+    setGoToOrder(x, y, path) {
+        for (const unit of this.units) {
+            unit.goToOrder = { x, y, path: path.map(step => ({ x: step.x, y: step.y })) };
+        }
+    }
+    
+    /**
+     * Get the stack's standing "go to" order
+     * @returns {Object|null} - Order { x, y, path } or null
+     */
+    getGoToOrder() {
+        return this.isEmpty() ? null : this.units[0].goToOrder;
+    }
+    
+    /**
+     * Cancel the stack's standing "go to" order
+     */
+    clearGoToOrder() {
+        for (const unit of this.units) {
+            unit.goToOrder = null;
+        }
+    }
+    
     /**
      * Split stack - remove specified units to form new stack
      * @param {Array} unitsToSplit - Units to move to new stack
@@ -373,19 +482,36 @@ export class Stack {
     }
     
     /**
-     * Get total attack value of stack
+     * Get the bonuses every unit of the stack shares from its heroes' leadership
+     * and command and, when a hex is given, its faction's terrain affinity
+     * @param {Hex} terrain - Hex the stack fights on (optional)
+     * @param {Faction} faction - Faction of the stack's owner (optional)
+     * @returns {Object} - Modifiers { attack, defense, sources }
+     */
+    getModifiers(terrain = null, faction = null) {
+        return CombatSystem.getStackModifiers(this.units, terrain, faction);
+    }
+    
+    /**
+     * Get total attack value of stack, including the shared modifiers
+     * @param {Hex} terrain - Hex the stack fights on (optional)
+     * @param {Faction} faction - Faction of the stack's owner (optional)
      * @returns {number} - Combined attack value
      */
-    getTotalAttack() {
-        return this.units.reduce((total, unit) => total + unit.getAttackValue(), 0);
+    getTotalAttack(terrain = null, faction = null) {
+        const bonus = this.getModifiers(terrain, faction).attack;
+        return this.units.reduce((total, unit) => total + unit.getAttackValue() + bonus, 0);
     }
     
     /**
-     * Get total defense value of stack
+     * Get total defense value of stack, including the shared modifiers
+     * @param {Hex} terrain - Hex the stack fights on (optional)
+     * @param {Faction} faction - Faction of the stack's owner (optional)
      * @returns {number} - Combined defense value
      */
-    getTotalDefense() {
-        return this.units.reduce((total, unit) => total + unit.getDefenseValue(), 0);
+    getTotalDefense(terrain = null, faction = null) {
+        const bonus = this.getModifiers(terrain, faction).defense;
+        return this.units.reduce((total, unit) => total + unit.getDefenseValue() + bonus, 0);
     }
     
     /**
@@ -448,6 +574,7 @@ export class Stack {
             movementCapacity: this.getMovementCapacity(),
             totalAttack: this.getTotalAttack(),
             totalDefense: this.getTotalDefense(),
+            modifiers: this.getModifiers(),
             canMove: this.canMove(),
             isSelected: this.isSelected,
             isEmpty: this.isEmpty(),
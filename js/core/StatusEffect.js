@@ -0,0 +1,282 @@
+/**
+ * StatusEffect - Timed effects spells and potions leave on units and cities
+ * (Shield, Bless, Haste...). They raise attack, defense or movement until
+ * they run out at the end of their owner's turns, and each kind has a rule
+ * for what happens when it lands on a target that already has it.
+ */
+
+export const STATUS_EFFECT_TYPES = {
+    SHIELD: 'SHIELD',
+    ARMOR_OF_FAITH: 'ARMOR_OF_FAITH',
+    BLESS: 'BLESS',
+    HASTE: 'HASTE',
+    STRENGTH: 'STRENGTH'
+};
+
+// What happens when an effect lands on a target that already has one of its kind
+export const STACKING_RULES = {
+    REFRESH: 'REFRESH', // One at a time: keep the longer duration and the stronger power
+    STACK: 'STACK',     // Add up, to at most maxStacks (then the one closest to running out is renewed)
+    IGNORE: 'IGNORE'    // Cannot be renewed until it has run out
+};
+
+// Stats an effect can modify: attack, defense, movement
+export const STATUS_EFFECT_TEMPLATES = {
+    [STATUS_EFFECT_TYPES.SHIELD]: {
+        name: 'Shield',
+        stats: ['defense'],
+        stacking: STACKING_RULES.REFRESH,
+        dispellable: true,
+        icon: 'S',
+        color: '#3498DB'
+    },
+    [STATUS_EFFECT_TYPES.ARMOR_OF_FAITH]: {
+        name: 'Armor of Faith',
+        stats: ['defense'],
+        stacking: STACKING_RULES.IGNORE,
+        dispellable: true,
+        icon: 'F',
+        color: '#F1C40F'
+    },
+    [STATUS_EFFECT_TYPES.BLESS]: {
+        name: 'Bless',
+        stats: ['attack', 'defense'],
+        stacking: STACKING_RULES.STACK,
+        maxStacks: 2,
+        dispellable: true,
+        icon: 'B',
+        color: '#ECF0F1'
+    },
+    [STATUS_EFFECT_TYPES.HASTE]: {
+        name: 'Haste',
+        stats: ['movement'],
+        stacking: STACKING_RULES.REFRESH,
+        dispellable: true,
+        icon: 'H',
+        color: '#2ECC71'
+    },
+    // A potion works from within, so there is no spell to dispel
+    [STATUS_EFFECT_TYPES.STRENGTH]: {
+        name: 'Strength',
+        stats: ['attack'],
+        stacking: STACKING_RULES.STACK,
+        maxStacks: 3,
+        dispellable: false,
+        icon: '+',
+        color: '#E74C3C'
+    }
+};
+
+// Effect a spell buff becomes when the spell does not name one, by the stat it raises
+const STAT_EFFECTS = {
+    attack: STATUS_EFFECT_TYPES.STRENGTH,
+    defense: STATUS_EFFECT_TYPES.SHIELD,
+    movement: STATUS_EFFECT_TYPES.HASTE
+};
+
+export class StatusEffect {
+    constructor(type, power, duration, source = null) {
+        if (!STATUS_EFFECT_TEMPLATES[type]) {
+            throw new Error(`Invalid status effect type: ${type}`);
+        }
+
+        this.type = type;
+        this.name = STATUS_EFFECT_TEMPLATES[type].name;
+        this.power = power;
+        this.duration = duration; // Turns left
+        this.source = source; // Spell or item that caused it
+    }
+
+    /**
+     * Create the effect a spell's buff leaves on its target
+     * @param {Object} effect - Buff from Spell.applyEffects ({ status?, stat, amount, duration, spell })
+     * @returns {StatusEffect|null} - Status effect, or null if the buff raises nothing we track
+     */
+    static fromSpellEffect(effect) {
+        const type = effect.status || STAT_EFFECTS[effect.stat];
+        return type ? new StatusEffect(type, effect.amount, effect.duration, effect.spell) : null;
+    }
+
+    /**
+     * Create the effect a potion leaves on the hero who drank it
+     * @param {Object} effect - Temporary buff from Item.use ({ stat, amount, duration })
+     * @param {string} itemName - Name of the item
+     * @returns {StatusEffect|null} - Status effect or null
+     */
+    static fromItemEffect(effect, itemName) {
+        const type = STAT_EFFECTS[effect.stat];
+        return type ? new StatusEffect(type, effect.amount, effect.duration, itemName) : null;
+    }
+
+    /**
+     * Get the template for this kind of effect
+     * @returns {Object} - Template
+     */
+    getTemplate() {
+        return STATUS_EFFECT_TEMPLATES[this.type];
+    }
+
+    /**
+     * Get how much this effect changes a stat
+     * @param {string} stat - 'attack', 'defense' or 'movement'
+     * @returns {number} - Modifier
+     */
+    getModifier(stat) {
+        return this.getTemplate().stats.includes(stat) ? this.power : 0;
+    }
+
+    /**
+     * Check if DISPEL_MAGIC removes this effect
+     * @returns {boolean} - True if dispellable
+     */
+    isDispellable() {
+        return this.getTemplate().dispellable;
+    }
+
+    /**
+     * Copy this effect (for laying it on several targets)
+     * @returns {StatusEffect} - New effect
+     */
+    clone() {
+        return new StatusEffect(this.type, this.power, this.duration, this.source);
+    }
+
+    /**
+     * Serialize effect data
+     * @returns {Object} - Serialized data
+     */
+    serialize() {
+        return {
+            type: this.type,
+            power: this.power,
+            duration: this.duration,
+            source: this.source
+        };
+    }
+
+    /**
+     * Deserialize effect data
+     * @param {Object} data - Serialized data
+     * @returns {StatusEffect} - Status effect
+     */
+    static deserialize(data) {
+        return new StatusEffect(data.type, data.power, data.duration, data.source);
+    }
+}
+
+/**
+ * StatusEffectList - The effects on one unit or city
+ */
+export class StatusEffectList {
+    constructor() {
+        this.effects = [];
+    }
+
+    /**
+     * Lay an effect on the target, following its stacking rule
+     * @param {StatusEffect} effect - Effect to add
+     * @returns {StatusEffect|null} - The effect now in force, or null if it was ignored
+     */
+    apply(effect) {
+        const template = effect.getTemplate();
+        const existing = this.effects.filter(active => active.type === effect.type);
+
+        if (existing.length === 0) {
+            this.effects.push(effect);
+            return effect;
+        }
+
+        switch (template.stacking) {
+            case STACKING_RULES.IGNORE:
+                return null;
+
+            case STACKING_RULES.STACK: {
+                if (existing.length < (template.maxStacks || 1)) {
+                    this.effects.push(effect);
+                    return effect;
+                }
+                const oldest = existing.reduce((a, b) => (b.duration < a.duration ? b : a));
+                oldest.power = effect.power;
+                oldest.duration = effect.duration;
+                oldest.source = effect.source;
+                return oldest;
+            }
+
+            default: {
+                const [active] = existing;
+                active.power = Math.max(active.power, effect.power);
+                active.duration = Math.max(active.duration, effect.duration);
+                active.source = effect.source;
+                return active;
+            }
+        }
+    }
+
+    /**
+     * Get the total change to a stat from every effect
+     * @param {string} stat - 'attack', 'defense' or 'movement'
+     * @returns {number} - Modifier
+     */
+    getModifier(stat) {
+        return this.effects.reduce((total, effect) => total + effect.getModifier(stat), 0);
+    }
+
+    /**
+     * Check if an effect of a kind is in force
+     * @param {string} type - Effect type
+     * @returns {boolean} - True if present
+     */
+    has(type) {
+        return this.effects.some(effect => effect.type === type);
+    }
+
+    /**
+     * Get the effects in force
+     * @returns {Array} - Status effects
+     */
+    getAll() {
+        return [...this.effects];
+    }
+
+    /**
+     * Remove every effect DISPEL_MAGIC can undo
+     * @returns {Array} - Effects removed
+     */
+    dispel() {
+        const removed = this.effects.filter(effect => effect.isDispellable());
+        this.effects = this.effects.filter(effect => !effect.isDispellable());
+        return removed;
+    }
+
+    /**
+     * Count down a turn and drop the effects that have run out
+     * @returns {Array} - Effects that expired
+     */
+    tick() {
+        for (const effect of this.effects) {
+            effect.duration--;
+        }
+        const expired = this.effects.filter(effect => effect.duration <= 0);
+        this.effects = this.effects.filter(effect => effect.duration > 0);
+        return expired;
+    }
+
+    /**
+     * Serialize the effects
+     * @returns {Array} - Serialized effects
+     */
+    serialize() {
+        return this.effects.map(effect => effect.serialize());
+    }
+
+    /**
+     * Deserialize a list of effects
+     * @param {Array} data - Serialized effects (missing in older saves)
+     * @returns {StatusEffectList} - Effect list
+     */
+    static deserialize(data) {
+        const list = new StatusEffectList();
+        list.effects = (data || []).map(effectData => StatusEffect.deserialize(effectData));
+        return list;
+    }
+}
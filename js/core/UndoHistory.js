@@ -0,0 +1,67 @@
+/**
+ * UndoHistory - Stack of snapshots taken before undoable actions in the current turn
+ * Only actions without dice rolls or newly revealed information can be taken back;
+ * anything else clears the history (see GameState.recordAction)
+ */
+
+import { ACTION_TYPES } from './ActionLog.js';
+
+export const UNDOABLE_ACTIONS = new Set([
+    ACTION_TYPES.MOVE_UNIT,
+    ACTION_TYPES.MOVE_STACK,
+    ACTION_TYPES.SPLIT_STACK,
+    ACTION_TYPES.MERGE_STACK,
+    ACTION_TYPES.PRODUCE_UNIT,
+    ACTION_TYPES.CANCEL_PRODUCTION,
+    ACTION_TYPES.QUEUE_PRODUCTION,
+    ACTION_TYPES.MOVE_QUEUED_PRODUCTION,
+    ACTION_TYPES.REMOVE_QUEUED_PRODUCTION,
+    ACTION_TYPES.SET_VECTOR,
+    ACTION_TYPES.START_CONSTRUCTION,
+    ACTION_TYPES.CANCEL_CONSTRUCTION
+]);
+
+export class UndoHistory {
+    constructor() {
+        this.entries = [];
+    }
+
+    /**
+     * Push a snapshot
+     * @param {Object} entry - Snapshot from GameState.captureUndoState
+     */
+    push(entry) {
+        this.entries.push(entry);
+    }
+
+    /**
+     * Remove and return the latest snapshot
+     * @returns {Object|null} - Snapshot or null if empty
+     */
+    pop() {
+        return this.entries.pop() || null;
+    }
+
+    /**
+     * Get the latest snapshot without removing it
+     * @returns {Object|null} - Snapshot or null if empty
+     */
+    peek() {
+        return this.entries.length > 0 ? this.entries[this.entries.length - 1] : null;
+    }
+
+    /**
+     * Get number of snapshots
+     * @returns {number} - Snapshot count
+     */
+    size() {
+        return this.entries.length;
+    }
+
+    /**
+     * Forget all snapshots
+     */
+    clear() {
+        this.entries = [];
+    }
+}
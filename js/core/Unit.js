@@ -4,47 +4,17 @@
  * Requirements: 3.1, 4.1, 4.2, 4.4, 4.5
  */
 
-export const UNIT_TYPES = {
-    WARRIOR: 'WARRIOR',
-    ARCHER: 'ARCHER',
-    CAVALRY: 'CAVALRY',
-    HERO: 'HERO'
-};
-
-export const UNIT_CONFIG = {
-    [UNIT_TYPES.WARRIOR]: {
-        health: 10,
-        attack: 3,
-        defense: 2,
-        movement: 2,
-        cost: 50,
-        name: 'Warrior'
-    },
-    [UNIT_TYPES.ARCHER]: {
-        health: 8,
-        attack: 4,
-        defense: 1,
-        movement: 2,
-        cost: 60,
-        name: 'Archer'
-    },
-    [UNIT_TYPES.CAVALRY]: {
-        health: 12,
-        attack: 5,
-        defense: 2,
-        movement: 4,
-        cost: 80,
-        name: 'Cavalry'
-    },
-    [UNIT_TYPES.HERO]: {
-        health: 20,
-        attack: 6,
-        defense: 4,
-        movement: 3,
-        cost: 0,
-        name: 'Hero'
-    }
-};
+import { unitRegistry } from './UnitRegistry.js';
+import { gameRandom } from './GameRandom.js';
+import { StatusEffectList } from './StatusEffect.js';
+
+// Unit types and stats come from the data-driven unit registry (js/data/units.json)
+export const UNIT_TYPES = unitRegistry.types;
+
+export const UNIT_CONFIG = unitRegistry.configs;
+
+// Owner of monsters that belong to no player (the guardians of map sites)
+export const NEUTRAL_OWNER = -1;
 
 let unitIdCounter = 1;
 
@@ -62,7 +32,7 @@ export class Unit {
         if (!UNIT_CONFIG[type]) {
             throw new Error(`Invalid unit type: ${type}`);
         }
-        if (typeof owner !== 'number' || owner < 0) {
+        if (typeof owner !== 'number' || (owner < 0 && owner !== NEUTRAL_OWNER)) {
             throw new Error(`Invalid owner: ${owner}`);
         }
         if (typeof x !== 'number' || typeof y !== 'number') {
@@ -85,11 +55,24 @@ export class Unit {
         this.movement = config.movement; // Current movement points
         this.cost = config.cost;
         this.name = config.name;
+        this.movementType = config.movementType;
+        this.sight = config.sight;
+        this.abilities = [...config.abilities];
 
         // Unit state
         this.hasActed = false;
         this.isSelected = false;
         this.items = []; // Inventory
+        this.statusEffects = new StatusEffectList(); // Timed spell and potion effects
+
+        // Standing "go to" order: destination and remaining path ({ x, y, path }) or null
+        this.goToOrder = null;
+
+        // Neutral monsters only: { type: MONSTER_BEHAVIORS.*, x, y } with the hex they call home
+        this.behavior = null;
+
+        // Summoned units only: turns left before the unit vanishes, or null
+        this.summonedTurns = null;
 
         console.log(`Unit created: ${this.name} (${this.id}) at (${x}, ${y}) for player ${owner}`);
     }
@@ -100,7 +83,7 @@ export class Unit {
      */
     getAttackValue() {
         // Base implementation - can be overridden by subclasses
-        return this.baseAttack;
+        return this.baseAttack + this.statusEffects.getModifier('attack');
     }
 
     /**
@@ -109,7 +92,24 @@ export class Unit {
      */
     getDefenseValue() {
         // Base implementation - can be overridden by subclasses
-        return this.baseDefense;
+        return this.baseDefense + this.statusEffects.getModifier('defense');
+    }
+
+    /**
+     * Get sight radius used for fog of war
+     * @returns {number} - Sight radius in hexes
+     */
+    getSightRadius() {
+        return this.sight;
+    }
+
+    /**
+     * Check if unit has a special ability
+     * @param {string} ability - Ability identifier
+     * @returns {boolean} - True if unit has the ability
+     */
+    hasAbility(ability) {
+        return this.abilities.includes(ability);
     }
 
     /**
@@ -125,7 +125,7 @@ export class Unit {
      * @returns {number} - Maximum movement points
      */
     getMaxMovement() {
-        return this.maxMovement;
+        return this.maxMovement + this.statusEffects.getModifier('movement');
     }
 
     /**
@@ -269,8 +269,8 @@ export class Unit {
         }
 
         // Roll dice for randomness (1-6 each)
-        const attackRoll = Math.floor(Math.random() * 6) + 1;
-        const defenseRoll = Math.floor(Math.random() * 6) + 1;
+        const attackRoll = gameRandom.rollDie(6);
+        const defenseRoll = gameRandom.rollDie(6);
 
         const totalAttack = attackValue + attackRoll;
         const totalDefense = defenseValue + defenseRoll + terrainDefenseBonus;
@@ -351,7 +351,7 @@ export class Unit {
      * Reset unit for new turn
      */
     resetForTurn() {
-        this.movement = this.maxMovement;
+        this.movement = this.getMaxMovement();
         this.hasActed = false;
         this.isSelected = false;
         console.log(`Unit ${this.id} reset for new turn`);
@@ -423,10 +423,35 @@ export class Unit {
             cost: this.cost,
             name: this.name,
             hasActed: this.hasActed,
-            isSelected: this.isSelected
+            isSelected: this.isSelected,
+            goToOrder: this.goToOrder,
+            behavior: this.behavior,
+            summonedTurns: this.summonedTurns,
+            statusEffects: this.statusEffects.serialize()
         };
     }
 
+    /**
+     * Restore the state written by serialize onto this unit
+     * @param {Object} data - Serialized data
+     */
+    restoreState(data) {
+        this.id = data.id;
+        this.health = data.health;
+        this.maxHealth = data.maxHealth;
+        this.movement = data.movement;
+        this.maxMovement = data.maxMovement;
+        this.baseAttack = data.baseAttack;
+        this.baseDefense = data.baseDefense;
+        this.cost = data.cost;
+        this.hasActed = data.hasActed;
+        this.isSelected = data.isSelected;
+        this.goToOrder = data.goToOrder || null;
+        this.behavior = data.behavior || null;
+        this.summonedTurns = data.summonedTurns ?? null;
+        this.statusEffects = StatusEffectList.deserialize(data.statusEffects);
+    }
+
     /**
      * Deserialize unit data
      * @param {Object} data - Serialized data
@@ -436,17 +461,8 @@ export class Unit {
         const unit = new Unit(data.type, data.owner, data.x, data.y);
 
         // Restore state
-        unit.id = data.id;
-        unit.health = data.health;
-        unit.maxHealth = data.maxHealth;
-        unit.movement = data.movement;
-        unit.maxMovement = data.maxMovement;
-        unit.baseAttack = data.baseAttack;
-        unit.baseDefense = data.baseDefense;
-        unit.cost = data.cost;
+        unit.restoreState(data);
         unit.name = data.name;
-        unit.hasActed = data.hasActed;
-        unit.isSelected = data.isSelected;
 
         return unit;
     }
@@ -0,0 +1,182 @@
+/**
+ * UnitRegistry - Data-driven catalogue of every unit type in the game
+ * Loads unit definitions (stats, cost, production time, movement type and
+ * special abilities) from JSON and validates them against faction unit lists
+ */
+
+import unitDefinitions from '../data/units.json' with { type: 'json' };
+
+export const MOVEMENT_TYPES = {
+    FOOT: 'FOOT',
+    MOUNTED: 'MOUNTED',
+    FLYING: 'FLYING',
+    NAVAL: 'NAVAL',
+    AMPHIBIOUS: 'AMPHIBIOUS'
+};
+
+const REQUIRED_NUMBER_FIELDS = ['health', 'attack', 'defense', 'movement', 'cost', 'productionPoints'];
+
+export class UnitRegistry {
+    constructor() {
+        // Plain objects so UNIT_TYPES/UNIT_CONFIG can share them and stay live
+        this.types = {};
+        this.configs = {};
+    }
+
+    /**
+     * Load a set of unit definitions
+     * @param {Object} data - Parsed JSON ({ units: [...] })
+     * @returns {number} - Number of definitions loaded
+     */
+    loadDefinitions(data) {
+        if (!data || !Array.isArray(data.units)) {
+            throw new Error('Unit definitions must contain a "units" array');
+        }
+
+        const errors = [];
+        for (const definition of data.units) {
+            errors.push(...this.validateDefinition(definition));
+        }
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid unit definitions: ${errors.join('; ')}`);
+        }
+
+        for (const definition of data.units) {
+            this.register(definition);
+        }
+
+        console.log(`UnitRegistry loaded ${data.units.length} unit definitions`);
+        return data.units.length;
+    }
+
+    /**
+     * Validate a single unit definition
+     * @param {Object} definition - Unit definition
+     * @returns {Array} - List of validation errors (empty if valid)
+     */
+    validateDefinition(definition) {
+        const errors = [];
+
+        if (!definition || typeof definition !== 'object') {
+            return ['Unit definition must be an object'];
+        }
+
+        const label = definition.type || '(unnamed)';
+
+        if (typeof definition.type !== 'string' || definition.type.length === 0) {
+            errors.push('Unit definition is missing a type');
+        }
+
+        if (typeof definition.name !== 'string' || definition.name.length === 0) {
+            errors.push(`${label}: missing name`);
+        }
+
+        for (const field of REQUIRED_NUMBER_FIELDS) {
+            if (typeof definition[field] !== 'number' || definition[field] < 0) {
+                errors.push(`${label}: ${field} must be a non-negative number`);
+            }
+        }
+
+        if (definition.health <= 0) {
+            errors.push(`${label}: health must be positive`);
+        }
+
+        if (!Object.values(MOVEMENT_TYPES).includes(definition.movementType)) {
+            errors.push(`${label}: unknown movement type ${definition.movementType}`);
+        }
+
+        if (definition.sight !== undefined && (typeof definition.sight !== 'number' || definition.sight < 0)) {
+            errors.push(`${label}: sight must be a non-negative number`);
+        }
+
+        if (definition.level !== undefined && (!Number.isInteger(definition.level) || definition.level < 1)) {
+            errors.push(`${label}: level must be a positive integer`);
+        }
+
+        if (definition.abilities !== undefined && !Array.isArray(definition.abilities)) {
+            errors.push(`${label}: abilities must be an array`);
+        }
+
+        return errors;
+    }
+
+    /**
+     * Register (or replace) a unit definition
+     * @param {Object} definition - Validated unit definition
+     */
+    register(definition) {
+        const { type, ...config } = definition;
+
+        this.types[type] = type;
+        this.configs[type] = {
+            ...config,
+            experienceValue: config.experienceValue !== undefined ? config.experienceValue : 10,
+            sight: config.sight !== undefined ? config.sight : 2,
+            abilities: [...(config.abilities || [])]
+        };
+    }
+
+    /**
+     * Check if a unit type is defined
+     * @param {string} unitType - Unit type
+     * @returns {boolean} - True if defined
+     */
+    has(unitType) {
+        return Object.prototype.hasOwnProperty.call(this.configs, unitType);
+    }
+
+    /**
+     * Get configuration for a unit type
+     * @param {string} unitType - Unit type
+     * @returns {Object|null} - Unit configuration or null
+     */
+    get(unitType) {
+        return this.has(unitType) ? this.configs[unitType] : null;
+    }
+
+    /**
+     * Get all defined unit types
+     * @returns {Array} - Array of unit type strings
+     */
+    getTypes() {
+        return Object.keys(this.configs);
+    }
+
+    /**
+     * Check if a unit type has a special ability
+     * @param {string} unitType - Unit type
+     * @param {string} ability - Ability identifier
+     * @returns {boolean} - True if the unit type has the ability
+     */
+    hasAbility(unitType, ability) {
+        const config = this.get(unitType);
+        return config ? config.abilities.includes(ability) : false;
+    }
+
+    /**
+     * Check that every unit listed by the given factions is defined
+     * @param {Array} factions - Faction instances
+     * @returns {Object} - { valid, missing: [{ faction, unitType }] }
+     */
+    validateFactions(factions) {
+        const missing = [];
+
+        for (const faction of factions) {
+            for (const unitType of faction.getAvailableUnitTypes()) {
+                if (!this.has(unitType)) {
+                    missing.push({ faction: faction.name, unitType });
+                }
+            }
+        }
+
+        return {
+            valid: missing.length === 0,
+            missing
+        };
+    }
+}
+
+// Export singleton instance loaded with the default catalogue
+export const unitRegistry = new UnitRegistry();
+unitRegistry.loadDefinitions(unitDefinitions);
@@ -7,6 +7,11 @@ import * as THREE from 'three';
 import { modelLoader } from '../core/ModelLoader.js';
 import { Map } from '../core/Map.js';
 import { Hex, TERRAIN_TYPES, TERRAIN_CONFIG } from '../core/Hex.js';
+import { ItemGenerator, LOCATION_TYPES } from '../core/ItemGenerator.js';
+import { Scenario } from '../core/Scenario.js';
+import { unitRegistry } from '../core/UnitRegistry.js';
+import { factionManager } from '../core/Faction.js';
+import { PLAYER_COLORS } from '../ui/GameSetup.js';
 
 export class MapEditor {
     constructor() {
@@ -43,11 +48,17 @@ export class MapEditor {
         this.map = null;
         this.selectedTerrain = TERRAIN_TYPES.PLAINS;
         this.selectedBuilding = null;
-        this.editMode = 'terrain'; // 'terrain', 'building', 'decoration'
+        this.selectedSite = LOCATION_TYPES.RUINS; // or 'NONE' to remove sites
+        this.editMode = 'terrain'; // 'terrain', 'building', 'site', 'decoration', 'city', 'unit'
+
+        // Scenario being authored: cities, starting armies and rules on top of the map
+        this.scenario = new Scenario();
         
         // 3D objects
         this.hexMeshes = new Map(); // Map of hex positions to Three.js meshes
         this.buildingObjects = new Map(); // Map of hex positions to building objects
+        this.siteObjects = new Map(); // Map of hex positions to site markers
+        this.scenarioObjects = new Map(); // Map of hex positions to city and starting unit markers
         this.selectedHex = null;
         this.hoveredHex = null;
 
@@ -346,9 +357,26 @@ export class MapEditor {
         // Set default terrain selection
         document.querySelector('.terrain-btn[data-terrain="PLAINS"]').classList.add('active');
 
+        // Site buttons
+        document.querySelectorAll('.site-btn').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                document.querySelectorAll('.site-btn').forEach(b => b.classList.remove('active'));
+                e.target.classList.add('active');
+                this.selectedSite = e.target.dataset.site;
+            });
+        });
+        document.querySelector('.site-btn[data-site="RUINS"]').classList.add('active');
+
         // Building buttons (will be created dynamically)
         this.populateBuildingList();
 
+        // Scenario players, cities and starting units
+        document.getElementById('scenario-player-count').addEventListener('change', (e) => {
+            this.setScenarioPlayerCount(parseInt(e.target.value, 10) || 2);
+        });
+        this.setScenarioPlayerCount(2);
+        this.populateUnitTypes();
+
         // Camera controls
         document.getElementById('reset-camera-btn').addEventListener('click', () => this.resetCamera());
         document.getElementById('center-map-btn').addEventListener('click', () => this.centerMap());
@@ -357,6 +385,8 @@ export class MapEditor {
         document.getElementById('new-map-btn').addEventListener('click', () => this.newMap());
         document.getElementById('save-map-btn').addEventListener('click', () => this.saveMap());
         document.getElementById('load-map-btn').addEventListener('click', () => this.loadMap());
+        document.getElementById('save-scenario-btn').addEventListener('click', () => this.saveScenario());
+        document.getElementById('load-scenario-btn').addEventListener('click', () => this.loadScenario());
         document.getElementById('back-btn').addEventListener('click', () => {
             window.location.href = 'index.html';
         });
@@ -389,17 +419,71 @@ export class MapEditor {
     updateUIPanels() {
         const terrainPanel = document.getElementById('terrain-panel');
         const buildingPanel = document.getElementById('building-panel');
+        const sitePanel = document.getElementById('site-panel');
 
-        if (this.editMode === 'terrain') {
-            terrainPanel.style.display = 'block';
-            buildingPanel.style.display = 'none';
-        } else if (this.editMode === 'building') {
-            terrainPanel.style.display = 'none';
-            buildingPanel.style.display = 'block';
-        } else {
-            terrainPanel.style.display = 'none';
-            buildingPanel.style.display = 'none';
+        terrainPanel.style.display = this.editMode === 'terrain' ? 'block' : 'none';
+        buildingPanel.style.display = this.editMode === 'building' ? 'block' : 'none';
+        sitePanel.style.display = this.editMode === 'site' ? 'block' : 'none';
+        document.getElementById('city-panel').style.display = this.editMode === 'city' ? 'block' : 'none';
+        document.getElementById('unit-panel').style.display = this.editMode === 'unit' ? 'block' : 'none';
+    }
+
+    /**
+     * Populate the starting unit type list
+     */
+    populateUnitTypes() {
+        const select = document.getElementById('unit-type');
+        select.innerHTML = '';
+
+        for (const unitType of unitRegistry.getTypes()) {
+            const option = document.createElement('option');
+            option.value = unitType;
+            option.textContent = unitRegistry.get(unitType).name;
+            select.appendChild(option);
         }
+
+        const remove = document.createElement('option');
+        remove.value = 'NONE';
+        remove.textContent = 'Убрать';
+        select.appendChild(remove);
+    }
+
+    /**
+     * Change how many players the scenario seats, keeping the armies of those that stay
+     */
+    setScenarioPlayerCount(count) {
+        count = Math.max(2, Math.min(PLAYER_COLORS.length, count));
+        const factions = factionManager.getFactionNames();
+
+        this.scenario.players = Array.from({ length: count }, (_, id) => this.scenario.players[id] || {
+            id,
+            name: `Player ${id + 1}`,
+            faction: factions[id % factions.length],
+            color: PLAYER_COLORS[id],
+            isAI: id > 0,
+            units: []
+        });
+        document.getElementById('scenario-player-count').value = count;
+
+        // Cities of players that are gone turn neutral
+        for (const city of this.scenario.cities) {
+            if (city.owner >= count) {
+                city.owner = -1;
+            }
+        }
+
+        const cityOwner = document.getElementById('city-owner');
+        const unitOwner = document.getElementById('unit-owner');
+        cityOwner.innerHTML = '<option value="-1">Нейтральный</option>';
+        unitOwner.innerHTML = '';
+        for (const player of this.scenario.players) {
+            const option = `<option value="${player.id}">${player.name}</option>`;
+            cityOwner.insertAdjacentHTML('beforeend', option);
+            unitOwner.insertAdjacentHTML('beforeend', option);
+        }
+        cityOwner.insertAdjacentHTML('beforeend', '<option value="NONE">Убрать</option>');
+
+        this.placeScenarioMarkers();
     }
 
     /**
@@ -435,6 +519,14 @@ export class MapEditor {
         });
         this.buildingObjects.clear();
 
+        // Clear site markers
+        this.siteObjects.forEach(marker => {
+            this.scene.remove(marker);
+            marker.geometry.dispose();
+            marker.material.dispose();
+        });
+        this.siteObjects.clear();
+
         // Create hex meshes (create fallback meshes first, then try to upgrade to models)
         const totalHexes = this.map.width * this.map.height;
         let processed = 0;
@@ -467,6 +559,14 @@ export class MapEditor {
             }
         }
 
+        // Markers for the sites of a loaded map
+        for (const hex of this.map.hexes) {
+            if (hex.site) {
+                this.placeSiteMarker(hex);
+            }
+        }
+        this.placeScenarioMarkers();
+
         console.log(`Map built: ${this.map.width}x${this.map.height}`);
     }
 
@@ -772,9 +872,159 @@ export class MapEditor {
             // Place building
             await this.placeBuilding(hex, this.selectedBuilding);
             document.getElementById('status-text').textContent = `Размещено здание: ${this.selectedBuilding.name}`;
+        } else if (this.editMode === 'site') {
+            this.placeSite(hex, this.selectedSite);
+        } else if (this.editMode === 'city') {
+            this.placeCity(hex);
+        } else if (this.editMode === 'unit') {
+            this.placeStartingUnit(hex);
         }
     }
 
+    /**
+     * Place a scenario city on a hex, or remove it
+     */
+    placeCity(hex) {
+        const owner = document.getElementById('city-owner').value;
+        if (owner === 'NONE') {
+            this.scenario.setCity(hex.x, hex.y, null);
+            document.getElementById('status-text').textContent = 'Город убран';
+        } else if (!hex.isPassable()) {
+            document.getElementById('status-text').textContent = 'Города нельзя ставить на воду';
+            return;
+        } else {
+            const name = document.getElementById('city-name').value.trim() || 'Новый город';
+            const size = Math.max(1, parseInt(document.getElementById('city-size').value, 10) || 1);
+            this.scenario.setCity(hex.x, hex.y, { name, owner: parseInt(owner, 10), size });
+            document.getElementById('status-text').textContent = `Размещен город: ${name}`;
+        }
+        this.placeScenarioMarkers();
+    }
+
+    /**
+     * Add a starting unit for a player on a hex, or clear the hex
+     */
+    placeStartingUnit(hex) {
+        const unitType = document.getElementById('unit-type').value;
+        if (unitType === 'NONE') {
+            this.scenario.removeStartingUnitsAt(hex.x, hex.y);
+            document.getElementById('status-text').textContent = 'Отряды убраны';
+        } else if (!hex.isPassable()) {
+            document.getElementById('status-text').textContent = 'Отряды нельзя ставить на воду';
+            return;
+        } else {
+            const owner = parseInt(document.getElementById('unit-owner').value, 10);
+            const occupant = this.scenario.players.find(player =>
+                player.units.some(unit => unit.x === hex.x && unit.y === hex.y));
+            if (occupant && occupant.id !== owner) {
+                document.getElementById('status-text').textContent = 'На гексе уже стоят отряды другого игрока';
+                return;
+            }
+            this.scenario.addStartingUnit(owner, unitType, hex.x, hex.y);
+            document.getElementById('status-text').textContent = `Добавлен отряд: ${unitRegistry.get(unitType).name}`;
+        }
+        this.placeScenarioMarkers();
+    }
+
+    /**
+     * Redraw the markers of the scenario's cities and starting units
+     */
+    placeScenarioMarkers() {
+        this.scenarioObjects.forEach(marker => {
+            this.scene.remove(marker);
+            marker.geometry.dispose();
+            marker.material.dispose();
+        });
+        this.scenarioObjects.clear();
+
+        const colorOf = owner => {
+            const player = this.scenario.players.find(candidate => candidate.id === owner);
+            return player ? player.color : '#bdc3c7';
+        };
+        const addMarker = (key, x, y, geometry, color, height) => {
+            const marker = new THREE.Mesh(geometry, new THREE.MeshLambertMaterial({ color }));
+            const worldPos = this.hexToWorld(x, y);
+            marker.position.set(worldPos.x, height, worldPos.z);
+            marker.castShadow = true;
+            this.scene.add(marker);
+            this.scenarioObjects.set(key, marker);
+        };
+
+        for (const city of this.scenario.cities) {
+            const geometry = new THREE.CylinderGeometry(this.config.hexSize / 3, this.config.hexSize / 3, this.config.hexSize / 4, 6);
+            addMarker(`city:${city.x},${city.y}`, city.x, city.y, geometry, colorOf(city.owner), this.config.hexSize / 8);
+        }
+
+        for (const player of this.scenario.players) {
+            for (const unit of player.units) {
+                const key = `unit:${unit.x},${unit.y}`;
+                if (this.scenarioObjects.has(key)) continue;
+                const geometry = new THREE.ConeGeometry(this.config.hexSize / 6, this.config.hexSize / 2, 8);
+                addMarker(key, unit.x, unit.y, geometry, player.color, this.config.hexSize / 2);
+            }
+        }
+    }
+
+    /**
+     * Place an explorable site (with random guardians) on a hex, or clear it
+     */
+    placeSite(hex, siteType) {
+        if (siteType === 'NONE') {
+            hex.setSite(null);
+            this.placeSiteMarker(hex);
+            document.getElementById('status-text').textContent = 'Особое место убрано';
+            return;
+        }
+
+        if (!hex.isPassable()) {
+            document.getElementById('status-text').textContent = 'Особые места нельзя ставить на воду';
+            return;
+        }
+
+        hex.setSite(ItemGenerator.createSpecialLocation(siteType, hex.x, hex.y));
+        this.placeSiteMarker(hex);
+        const guardians = hex.site.guardians.length > 0 ? `, стражи: ${hex.site.guardians.join(', ')}` : '';
+        document.getElementById('status-text').textContent = `Размещено: ${hex.site.name}${guardians}`;
+    }
+
+    /**
+     * Show (or remove) the marker of the site on a hex
+     */
+    placeSiteMarker(hex) {
+        const key = `${hex.x},${hex.y}`;
+
+        if (this.siteObjects.has(key)) {
+            const oldMarker = this.siteObjects.get(key);
+            this.scene.remove(oldMarker);
+            oldMarker.geometry.dispose();
+            oldMarker.material.dispose();
+            this.siteObjects.delete(key);
+        }
+
+        if (!hex.site) {
+            return;
+        }
+
+        const colors = {
+            [LOCATION_TYPES.RUINS]: 0xa0522d,
+            [LOCATION_TYPES.TEMPLE]: 0xf1c40f,
+            [LOCATION_TYPES.TOWER]: 0x8e44ad,
+            [LOCATION_TYPES.CAVE]: 0x555555,
+            [LOCATION_TYPES.TOMB]: 0x2c3e50
+        };
+        const marker = new THREE.Mesh(
+            new THREE.OctahedronGeometry(this.config.hexSize / 5),
+            new THREE.MeshLambertMaterial({ color: colors[hex.site.type] || 0x7f8c8d })
+        );
+
+        const worldPos = this.hexToWorld(hex.x, hex.y);
+        marker.position.set(worldPos.x, this.config.hexSize / 3, worldPos.z);
+        marker.castShadow = true;
+
+        this.scene.add(marker);
+        this.siteObjects.set(key, marker);
+    }
+
     /**
      * Place building on hex
      */
@@ -833,6 +1083,8 @@ export class MapEditor {
             <strong>Местность:</strong> ${hex.getTerrainName()}<br>
             <strong>Стоимость передвижения:</strong> ${hex.getMovementCost()}<br>
             <strong>Бонус защиты:</strong> ${hex.getDefenseBonus()}
+            ${hex.site ? `<br><strong>Особое место:</strong> ${hex.site.name}` : ''}
+            ${this.scenario.getCityAt(hex.x, hex.y) ? `<br><strong>Город:</strong> ${this.scenario.getCityAt(hex.x, hex.y).name}` : ''}
         `;
     }
 
@@ -958,6 +1210,79 @@ export class MapEditor {
         input.click();
     }
 
+    /**
+     * Save the map with its cities, starting units and rules as a scenario
+     */
+    saveScenario() {
+        let rules;
+        try {
+            rules = JSON.parse(document.getElementById('scenario-rules').value || '{}');
+        } catch (error) {
+            alert('Ошибка в JSON условий: ' + error.message);
+            return;
+        }
+
+        this.scenario.name = document.getElementById('scenario-name').value.trim() || 'Untitled Scenario';
+        this.scenario.description = document.getElementById('scenario-description').value.trim();
+        this.scenario.standardVictory = document.getElementById('scenario-standard-victory').checked;
+        this.scenario.victory = rules.victory || [];
+        this.scenario.defeat = rules.defeat || [];
+        this.scenario.triggers = rules.triggers || [];
+        this.scenario.map = this.map.serialize();
+
+        const scenarioData = this.scenario.serialize();
+        const errors = Scenario.validate(scenarioData);
+        if (errors.length > 0) {
+            alert('Ошибки сценария:\n' + errors.join('\n'));
+            return;
+        }
+
+        const blob = new Blob([JSON.stringify(scenarioData, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `scenario_${Date.now()}.json`;
+        a.click();
+        URL.revokeObjectURL(url);
+        document.getElementById('status-text').textContent = 'Сценарий сохранен';
+    }
+
+    /**
+     * Load a scenario with its map for editing
+     */
+    loadScenario() {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'application/json';
+        input.onchange = async (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                try {
+                    const text = await file.text();
+                    this.scenario = Scenario.load(JSON.parse(text));
+                    this.map = Map.deserialize(this.scenario.map);
+                    document.getElementById('map-width').value = this.map.width;
+                    document.getElementById('map-height').value = this.map.height;
+                    document.getElementById('scenario-name').value = this.scenario.name;
+                    document.getElementById('scenario-description').value = this.scenario.description;
+                    document.getElementById('scenario-standard-victory').checked = this.scenario.standardVictory;
+                    document.getElementById('scenario-rules').value = JSON.stringify({
+                        victory: this.scenario.victory,
+                        defeat: this.scenario.defeat,
+                        triggers: this.scenario.triggers
+                    }, null, 2);
+                    this.setScenarioPlayerCount(this.scenario.players.length);
+                    await this.buildMap();
+                    this.centerMap();
+                    document.getElementById('status-text').textContent = `Сценарий загружен: ${this.scenario.name}`;
+                } catch (error) {
+                    alert('Ошибка загрузки сценария: ' + error.message);
+                }
+            }
+        };
+        input.click();
+    }
+
     /**
      * Animation loop
      */
@@ -339,6 +339,18 @@ function setupUIEventListeners() {
         console.warn('End turn button not found in DOM');
     }
 
+    // Undo button
+    const undoBtn = document.getElementById('undo-btn');
+    if (undoBtn) {
+        undoBtn.addEventListener('click', () => {
+            if (gameManager && gameManager.isGameInitialized()) {
+                gameManager.undoLastAction();
+            }
+        });
+    } else {
+        console.warn('Undo button not found in DOM');
+    }
+
     // Save game button
     const saveGameBtn = document.getElementById('save-game-btn');
     if (saveGameBtn) {
@@ -365,6 +377,62 @@ function setupUIEventListeners() {
         console.warn('Load game button not found in DOM');
     }
 
+    // Replay button
+    const replayBtn = document.getElementById('replay-btn');
+    if (replayBtn) {
+        replayBtn.addEventListener('click', () => {
+            if (gameManager && gameManager.isGameInitialized()) {
+                gameManager.showReplayViewer();
+            } else {
+                showMessage('Cannot replay - no game loaded', 'error');
+            }
+        });
+    } else {
+        console.warn('Replay button not found in DOM');
+    }
+
+    // Vectors button
+    const vectorsBtn = document.getElementById('vectors-btn');
+    if (vectorsBtn) {
+        vectorsBtn.addEventListener('click', () => {
+            if (gameManager && gameManager.isGameInitialized()) {
+                gameManager.showVectorPanel();
+            } else {
+                showMessage('Cannot show vectors - no game loaded', 'error');
+            }
+        });
+    } else {
+        console.warn('Vectors button not found in DOM');
+    }
+
+    // Diplomacy button
+    const diplomacyBtn = document.getElementById('diplomacy-btn');
+    if (diplomacyBtn) {
+        diplomacyBtn.addEventListener('click', () => {
+            if (gameManager && gameManager.isGameInitialized()) {
+                gameManager.showDiplomacyPanel();
+            } else {
+                showMessage('Cannot show diplomacy - no game loaded', 'error');
+            }
+        });
+    } else {
+        console.warn('Diplomacy button not found in DOM');
+    }
+
+    // Quest journal button
+    const questsBtn = document.getElementById('quests-btn');
+    if (questsBtn) {
+        questsBtn.addEventListener('click', () => {
+            if (gameManager && gameManager.isGameInitialized()) {
+                gameManager.showQuestJournal();
+            } else {
+                showMessage('Cannot show quests - no game loaded', 'error');
+            }
+        });
+    } else {
+        console.warn('Quests button not found in DOM');
+    }
+
     // Set up keyboard shortcuts for UI
     document.addEventListener('keydown', (event) => {
         if (!gameManager || !gameManager.isGameInitialized()) {
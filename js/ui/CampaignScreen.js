@@ -0,0 +1,249 @@
+/**
+ * CampaignScreen - The campaign map: which chapters are locked, open or won,
+ * where each outcome leads and which heroes march on. Also asks the player,
+ * after a won chapter, which heroes to take into the next one.
+ */
+
+import { Campaign, CHAPTER_STATES } from '../core/Campaign.js';
+import { saveLoadManager } from '../core/SaveLoadManager.js';
+
+const STATE_COLORS = {
+    [CHAPTER_STATES.LOCKED]: '#7f8c8d',
+    [CHAPTER_STATES.UNLOCKED]: '#f1c40f',
+    [CHAPTER_STATES.COMPLETED]: '#27ae60'
+};
+
+const BUTTON_STYLE = 'padding: 6px 12px; margin-left: 8px; border: none; border-radius: 4px; cursor: pointer; color: white;';
+
+export class CampaignScreen {
+    constructor(gameManager) {
+        this.gameManager = gameManager;
+        this.overlay = null;
+    }
+
+    open() {
+        this.close();
+
+        this.overlay = document.createElement('div');
+        this.overlay.id = 'campaign-screen';
+        this.overlay.style.cssText = `
+            position: fixed;
+            top: 50%;
+            left: 50%;
+            transform: translate(-50%, -50%);
+            min-width: 480px;
+            max-height: 80%;
+            overflow-y: auto;
+            background-color: rgba(44, 62, 80, 0.97);
+            border: 2px solid #f39c12;
+            border-radius: 8px;
+            padding: 20px;
+            z-index: 2000;
+            color: white;
+        `;
+        document.body.appendChild(this.overlay);
+    }
+
+    // Saved campaigns to carry on, or a campaign file to start
+    show() {
+        this.open();
+
+        const saves = saveLoadManager.getCampaignSaves();
+        this.overlay.innerHTML = `
+            <h2 style="margin-top: 0;">Campaigns</h2>
+            <div id="campaign-saves"></div>
+            <p>
+                <label for="campaign-file">Start a campaign:</label>
+                <input type="file" id="campaign-file" accept="application/json">
+            </p>
+            <div style="text-align: right;">
+                <button id="campaign-close" style="${BUTTON_STYLE} background-color: #e74c3c;">Close</button>
+            </div>
+        `;
+
+        const list = this.overlay.querySelector('#campaign-saves');
+        if (saves.length === 0) {
+            list.innerHTML = '<p style="color: #bdc3c7;">No campaign in progress.</p>';
+        }
+        for (const save of saves) {
+            const row = document.createElement('div');
+            row.className = 'campaign-save';
+            row.style.cssText = 'padding: 6px 0; border-bottom: 1px solid #34495e;';
+            row.innerHTML = `
+                <strong>${save.name}</strong>
+                <span style="color: #bdc3c7;">(${save.finished ? 'finished' : `${save.completed} chapters won`})</span>
+                <button class="campaign-resume" style="${BUTTON_STYLE} background-color: #27ae60;">Open</button>
+                <button class="campaign-delete" style="${BUTTON_STYLE} background-color: #7f8c8d;">Delete</button>
+            `;
+            row.querySelector('.campaign-resume').addEventListener('click', () => this.resume(save.id));
+            row.querySelector('.campaign-delete').addEventListener('click', () => {
+                saveLoadManager.deleteCampaignProgress(save.id);
+                this.show();
+            });
+            list.appendChild(row);
+        }
+
+        this.overlay.querySelector('#campaign-file').addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            if (!file) return;
+            try {
+                this.start(JSON.parse(await file.text()));
+            } catch (error) {
+                alert('Failed to load campaign: ' + error.message);
+            }
+        });
+        this.overlay.querySelector('#campaign-close').addEventListener('click', () => this.close());
+    }
+
+    start(data) {
+        const campaign = Campaign.load(data);
+        const progress = campaign.createProgress();
+
+        const result = saveLoadManager.saveCampaignProgress(campaign, progress);
+        if (!result.success) {
+            alert(result.message);
+            return;
+        }
+        this.showMap(campaign, progress);
+    }
+
+    resume(campaignId) {
+        const saved = saveLoadManager.loadCampaignProgress(campaignId);
+        if (!saved.success) {
+            alert(saved.message);
+            return;
+        }
+        this.showMap(new Campaign(saved.campaign), saved.progress);
+    }
+
+    showMap(campaign, progress) {
+        this.open();
+
+        const heroes = progress.heroes.length > 0
+            ? progress.heroes.map(hero => `${hero.heroName} (level ${hero.level}, ${hero.items.length} items, ${hero.spells.length} spells)`).join(', ')
+            : 'none yet';
+
+        this.overlay.innerHTML = `
+            <h2 style="margin-top: 0;">${campaign.name}</h2>
+            ${campaign.description ? `<p style="color: #bdc3c7;">${campaign.description}</p>` : ''}
+            ${progress.finished ? '<p style="color: #27ae60;"><strong>Campaign complete!</strong></p>' : ''}
+            <div id="campaign-chapters"></div>
+            <p><strong>Heroes marching on:</strong> ${heroes}</p>
+            <div style="text-align: right;">
+                <button id="campaign-back" style="${BUTTON_STYLE} background-color: #7f8c8d;">Back</button>
+            </div>
+        `;
+
+        const list = this.overlay.querySelector('#campaign-chapters');
+        for (const chapter of campaign.chapters) {
+            const state = campaign.getChapterState(progress, chapter.id);
+            const outcome = progress.completed[chapter.id];
+            const branches = campaign.getBranches(chapter.id).map(branch => {
+                const taken = outcome !== undefined && (outcome === branch.outcome ||
+                    (branch.outcome === 'default' && !chapter.next[outcome]));
+                return `<li style="${taken ? 'color: #27ae60;' : ''}">${branch.outcome}: ${branch.chapter.name || branch.chapter.id}</li>`;
+            }).join('');
+
+            const row = document.createElement('div');
+            row.className = 'campaign-chapter';
+            row.dataset.chapter = chapter.id;
+            row.dataset.state = state;
+            row.style.cssText = `padding: 8px; margin-bottom: 6px; border-left: 4px solid ${STATE_COLORS[state]}; background-color: rgba(255,255,255,0.05);`;
+            row.innerHTML = `
+                <div>
+                    <strong>${chapter.name || chapter.id}</strong>
+                    <span style="color: ${STATE_COLORS[state]};">${state.toLowerCase()}${outcome !== undefined ? `: ${outcome}` : ''}</span>
+                    ${state === CHAPTER_STATES.UNLOCKED ? `<button class="campaign-play" style="${BUTTON_STYLE} background-color: #27ae60;">Play</button>` : ''}
+                </div>
+                ${state !== CHAPTER_STATES.LOCKED && chapter.description ? `<div style="color: #bdc3c7; font-size: 13px;">${chapter.description}</div>` : ''}
+                ${branches ? `<ul style="margin: 4px 0 0 1rem; padding: 0; font-size: 13px;">${branches}</ul>` : ''}
+            `;
+
+            const playBtn = row.querySelector('.campaign-play');
+            if (playBtn) {
+                playBtn.addEventListener('click', () => this.play(campaign, progress, chapter.id));
+            }
+            list.appendChild(row);
+        }
+
+        this.overlay.querySelector('#campaign-back').addEventListener('click', () => this.show());
+    }
+
+    play(campaign, progress, chapterId) {
+        const use3D = document.getElementById('use-3d-rendering');
+        const config = campaign.buildConfig(progress, chapterId, {
+            use3DRendering: use3D ? use3D.checked : true
+        });
+
+        try {
+            this.gameManager.initializeGame(config);
+        } catch (error) {
+            alert('Failed to start chapter: ' + error.message);
+            return;
+        }
+
+        const setup = document.getElementById('game-setup');
+        if (setup) {
+            setup.style.display = 'none';
+        }
+        this.close();
+    }
+
+    // After a chapter: pick the heroes going on, then back to the campaign map
+    showDebrief(result) {
+        this.open();
+
+        const campaignInfo = this.gameManager.getGameState().setupConfig.campaign;
+        const saved = saveLoadManager.loadCampaignProgress(campaignInfo.id);
+        const maxHeroes = saved.success ? new Campaign(saved.campaign).maxHeroes : 0;
+        const survivors = result.won ? this.gameManager.getCampaignSurvivors() : [];
+
+        this.overlay.innerHTML = `
+            <h2 style="margin-top: 0;">${result.won ? 'Chapter won!' : 'Chapter lost'}</h2>
+            ${result.won
+                ? `<p>Choose up to ${maxHeroes} heroes to take into the next chapter.</p>`
+                : '<p>The chapter stays open to be tried again.</p>'}
+            <div id="campaign-heroes"></div>
+            <div style="text-align: right; margin-top: 15px;">
+                <button id="campaign-continue" style="${BUTTON_STYLE} background-color: #27ae60;">Continue</button>
+            </div>
+        `;
+
+        const list = this.overlay.querySelector('#campaign-heroes');
+        survivors.forEach((hero, index) => {
+            const row = document.createElement('label');
+            row.style.cssText = 'display: block; padding: 4px 0;';
+            row.innerHTML = `
+                <input type="checkbox" class="campaign-hero" value="${hero.id}" ${index < maxHeroes ? 'checked' : ''}>
+                ${hero.heroName} (level ${hero.level}, ${hero.items.length} items, ${hero.spells.length} spells)
+            `;
+            list.appendChild(row);
+        });
+
+        // No more than the campaign allows may be ticked
+        list.addEventListener('change', (e) => {
+            const ticked = list.querySelectorAll('.campaign-hero:checked');
+            if (ticked.length > maxHeroes) {
+                e.target.checked = false;
+            }
+        });
+
+        this.overlay.querySelector('#campaign-continue').addEventListener('click', () => {
+            const heroIds = Array.from(list.querySelectorAll('.campaign-hero:checked')).map(box => box.value);
+            const finished = this.gameManager.finishCampaignChapter(heroIds);
+            if (!finished.success) {
+                alert(finished.reason);
+                this.close();
+                return;
+            }
+            this.showMap(finished.campaign, finished.progress);
+        });
+    }
+
+    close() {
+        if (this.overlay && this.overlay.parentNode) {
+            this.overlay.parentNode.removeChild(this.overlay);
+        }
+        this.overlay = null;
+    }
+}
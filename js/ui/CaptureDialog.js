@@ -0,0 +1,85 @@
+/**
+ * CaptureDialog - Asks the conqueror of a city whether to occupy, pillage, sack or raze it
+ * Closing the dialog without choosing leaves the city occupied
+ */
+
+import { ACTION_TYPES } from '../core/ActionLog.js';
+import { CAPTURE_OPTIONS, PILLAGE_RECOVERY_TURNS } from '../core/City.js';
+
+export class CaptureDialog {
+    constructor(gameManager, city) {
+        this.gameManager = gameManager;
+        this.city = city;
+        this.overlay = null;
+    }
+
+    show() {
+        this.close();
+
+        const city = this.city;
+        const buttonStyle = 'display: block; width: 100%; margin-top: 8px; padding: 8px; border: none; border-radius: 4px; cursor: pointer; color: white; text-align: left;';
+        const choices = [
+            { option: CAPTURE_OPTIONS.OCCUPY, color: '#27ae60',
+                label: 'Occupy', detail: 'Keep the city as it is' },
+            { option: CAPTURE_OPTIONS.PILLAGE, color: '#d35400',
+                label: 'Pillage', detail: `${city.getPillageGold()} gold, production halved for ${PILLAGE_RECOVERY_TURNS} turns` },
+            { option: CAPTURE_OPTIONS.SACK, color: '#c0392b',
+                label: 'Sack', detail: `${city.getSackGold()} gold, improvements destroyed` },
+            { option: CAPTURE_OPTIONS.RAZE, color: '#7f8c8d',
+                label: 'Raze', detail: 'Burn the city to the ground' }
+        ];
+
+        this.overlay = document.createElement('div');
+        this.overlay.id = 'capture-dialog';
+        this.overlay.style.cssText = `
+            position: fixed;
+            top: 50%;
+            left: 50%;
+            transform: translate(-50%, -50%);
+            min-width: 320px;
+            background-color: rgba(44, 62, 80, 0.95);
+            border: 2px solid #e74c3c;
+            border-radius: 8px;
+            padding: 20px;
+            z-index: 2000;
+            color: white;
+        `;
+
+        this.overlay.innerHTML = `
+            <h2 style="margin-top: 0;">${city.name} has fallen!</h2>
+            <p style="color: #bdc3c7;">What should be done with the city?</p>
+            ${choices.map(choice => `
+                <button class="capture-option" data-option="${choice.option}" style="${buttonStyle} background-color: ${choice.color};">
+                    <strong>${choice.label}</strong> - ${choice.detail}
+                </button>
+            `).join('')}
+        `;
+
+        for (const button of this.overlay.querySelectorAll('.capture-option')) {
+            button.addEventListener('click', () => this.choose(button.dataset.option));
+        }
+
+        document.body.appendChild(this.overlay);
+    }
+
+    choose(option) {
+        // Occupying is what happens anyway, so it needs no action
+        if (option !== CAPTURE_OPTIONS.OCCUPY) {
+            this.gameManager.processAction({
+                type: ACTION_TYPES.RESOLVE_CAPTURE,
+                city: { x: this.city.x, y: this.city.y },
+                option
+            });
+        }
+
+        this.close();
+        this.gameManager.render();
+    }
+
+    close() {
+        if (this.overlay && this.overlay.parentNode) {
+            this.overlay.parentNode.removeChild(this.overlay);
+        }
+        this.overlay = null;
+    }
+}
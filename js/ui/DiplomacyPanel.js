@@ -0,0 +1,132 @@
+/**
+ * DiplomacyPanel - Overlay listing the current player's relations with every rival
+ * Treaties are offered, answered and broken from here
+ */
+
+import { ACTION_TYPES } from '../core/ActionLog.js';
+import { DIPLOMATIC_STATES } from '../core/Diplomacy.js';
+
+const STATE_COLORS = {
+    [DIPLOMATIC_STATES.WAR]: '#e74c3c',
+    [DIPLOMATIC_STATES.PEACE]: '#3498db',
+    [DIPLOMATIC_STATES.ALLIANCE]: '#27ae60'
+};
+
+export class DiplomacyPanel {
+    constructor(gameManager) {
+        this.gameManager = gameManager;
+        this.overlay = null;
+    }
+
+    show() {
+        this.close();
+
+        this.overlay = document.createElement('div');
+        this.overlay.id = 'diplomacy-panel';
+        this.overlay.style.cssText = `
+            position: fixed;
+            top: 50%;
+            left: 50%;
+            transform: translate(-50%, -50%);
+            min-width: 420px;
+            max-height: 70%;
+            overflow-y: auto;
+            background-color: rgba(44, 62, 80, 0.95);
+            border: 2px solid #9b59b6;
+            border-radius: 8px;
+            padding: 20px;
+            z-index: 2000;
+            color: white;
+        `;
+
+        document.body.appendChild(this.overlay);
+        this.update();
+    }
+
+    update() {
+        if (!this.overlay) {
+            return;
+        }
+
+        const gameState = this.gameManager.getGameState();
+        const playerId = this.gameManager.getCurrentPlayer();
+        const diplomacy = gameState.diplomacy;
+        const rivals = gameState.getActivePlayers().filter(player => player.id !== playerId);
+        const buttonStyle = 'padding: 4px 10px; margin-left: 6px; border: none; border-radius: 4px; cursor: pointer; color: white;';
+
+        this.overlay.innerHTML = `
+            <h2 style="margin-top: 0;">Diplomacy</h2>
+            ${rivals.length === 0 ? '<p style="color: #bdc3c7;">There is nobody left to deal with.</p>' : ''}
+            <div id="diplomacy-list"></div>
+            <div style="text-align: right; margin-top: 15px;">
+                <button id="diplomacy-panel-close" style="${buttonStyle} background-color: #e74c3c;">Close</button>
+            </div>
+        `;
+
+        const list = this.overlay.querySelector('#diplomacy-list');
+        for (const rival of rivals) {
+            const state = diplomacy.getState(playerId, rival.id);
+            const proposal = diplomacy.findProposal(playerId, rival.id);
+
+            const row = document.createElement('div');
+            row.className = 'diplomacy-row';
+            row.dataset.player = rival.id;
+            row.style.cssText = 'display: flex; align-items: center; justify-content: space-between; padding: 6px 0; border-bottom: 1px solid #34495e;';
+
+            const label = document.createElement('span');
+            const reputation = diplomacy.getReputation(rival.id);
+            label.innerHTML = `<strong style="color: ${rival.color};">${rival.name}</strong>
+                <span style="color: ${STATE_COLORS[state]};">${state}</span>
+                ${reputation < 0 ? `<small style="color: #bdc3c7;">(broke ${-reputation} treaties)</small>` : ''}`;
+            row.appendChild(label);
+
+            const controls = document.createElement('span');
+            const addButton = (className, text, color, action) => {
+                const button = document.createElement('button');
+                button.className = className;
+                button.textContent = text;
+                button.style.cssText = `${buttonStyle} background-color: ${color};`;
+                button.addEventListener('click', () => {
+                    this.gameManager.processAction(action);
+                    this.gameManager.render();
+                    this.update();
+                });
+                controls.appendChild(button);
+            };
+
+            if (proposal && proposal.to === playerId) {
+                addButton('diplomacy-accept', `Accept ${proposal.treaty.toLowerCase()}`, '#27ae60',
+                    { type: ACTION_TYPES.RESPOND_TREATY, from: rival.id, accept: true });
+                addButton('diplomacy-reject', 'Reject', '#7f8c8d',
+                    { type: ACTION_TYPES.RESPOND_TREATY, from: rival.id, accept: false });
+            } else if (proposal) {
+                const pending = document.createElement('em');
+                pending.textContent = `${proposal.treaty.toLowerCase()} offered`;
+                controls.appendChild(pending);
+            } else if (state === DIPLOMATIC_STATES.WAR) {
+                addButton('diplomacy-propose', 'Offer peace', '#3498db',
+                    { type: ACTION_TYPES.PROPOSE_TREATY, target: rival.id, treaty: DIPLOMATIC_STATES.PEACE });
+            } else if (state === DIPLOMATIC_STATES.PEACE) {
+                addButton('diplomacy-propose', 'Offer alliance', '#27ae60',
+                    { type: ACTION_TYPES.PROPOSE_TREATY, target: rival.id, treaty: DIPLOMATIC_STATES.ALLIANCE });
+            }
+
+            if (state !== DIPLOMATIC_STATES.WAR) {
+                addButton('diplomacy-war', 'Declare war', '#c0392b',
+                    { type: ACTION_TYPES.DECLARE_WAR, target: rival.id });
+            }
+
+            row.appendChild(controls);
+            list.appendChild(row);
+        }
+
+        this.overlay.querySelector('#diplomacy-panel-close').addEventListener('click', () => this.close());
+    }
+
+    close() {
+        if (this.overlay && this.overlay.parentNode) {
+            this.overlay.parentNode.removeChild(this.overlay);
+        }
+        this.overlay = null;
+    }
+}
@@ -3,11 +3,30 @@
  * Uses shadcn/ui styled components
  */
 
+import { factionManager } from '../core/Faction.js';
+import { DEFAULT_HERO_LIMIT } from '../core/Hero.js';
+import { Scenario } from '../core/Scenario.js';
+import { CampaignScreen } from './CampaignScreen.js';
+
+export const MAX_PLAYERS = 8;
+
+export const PLAYER_COLORS = ['#0066CC', '#00CC66', '#CC0066', '#CC6600', '#9933CC', '#CCCC00', '#00CCCC', '#666666'];
+
 export class GameSetup {
     constructor(gameManager) {
         this.gameManager = gameManager;
         this.container = document.getElementById('game-setup');
 
+        // Seats at the table; several may be human for hotseat play
+        this.players = [
+            { name: 'Player 1', faction: 'HUMANS', color: PLAYER_COLORS[0], isAI: false },
+            { name: 'AI 1', faction: 'ELVES', color: PLAYER_COLORS[1], isAI: true },
+            { name: 'AI 2', faction: 'DEMONS', color: PLAYER_COLORS[2], isAI: true }
+        ];
+
+        // Scenario to play instead of a random map; it fixes the map and the seats
+        this.scenario = null;
+
         if (!this.container) {
             console.error('Game setup container not found');
             return;
@@ -48,21 +67,35 @@ export class GameSetup {
                     </div>
 
                     <div class="tool-group">
-                        <label class="label" for="player-name">Your Faction</label>
-                        <div style="display: flex; gap: 0.75rem;">
-                            <input type="text" id="player-name" value="Player 1" placeholder="Name" class="input" style="flex: 1;">
-                            <select id="player-faction" class="input" style="flex: 1;">
-                                <option value="HUMANS">Humans</option>
-                                <option value="ELVES">Elves</option>
-                                <option value="DEMONS">Demons</option>
-                                <option value="DWARVES">Dwarves</option>
-                            </select>
-                        </div>
+                        <label class="label" for="scenario-file">Scenario</label>
+                        <input type="file" id="scenario-file" class="input" accept="application/json">
+                        <div id="scenario-info" style="display: none; margin-top: 0.5rem;"></div>
+                        <button id="clear-scenario" class="btn btn-outline" style="width: auto; margin-top: 0.5rem; display: none;">Random Map Instead</button>
+                    </div>
+
+                    <div class="tool-group">
+                        <label class="label">Players</label>
+                        <div id="player-list" style="display: flex; flex-direction: column; gap: 0.5rem;"></div>
+                        <button id="add-player" class="btn btn-outline" style="width: auto; margin-top: 0.5rem;">Add Player</button>
                     </div>
 
                     <div class="tool-group">
-                        <label class="label">Number of AI Players</label>
-                        <input type="number" id="ai-players" value="2" min="1" max="7" class="input">
+                        <label class="label">
+                            <input type="checkbox" id="fog-of-war" checked style="margin-right: 0.5rem;">
+                            Fog of War
+                        </label>
+                    </div>
+
+                    <div class="tool-group">
+                        <label class="label">
+                            <input type="checkbox" id="neutral-monsters" checked style="margin-right: 0.5rem;">
+                            Neutral Monsters
+                        </label>
+                    </div>
+
+                    <div class="tool-group">
+                        <label class="label" for="hero-limit">Heroes per Player</label>
+                        <input type="number" id="hero-limit" class="input" min="1" max="10" value="${DEFAULT_HERO_LIMIT}">
                     </div>
 
                     <div class="tool-group">
@@ -75,22 +108,269 @@ export class GameSetup {
                 
                 <div class="card-footer" style="justify-content: flex-end; gap: 0.75rem;">
                     <button id="cancel-setup" class="btn btn-outline" style="width: auto;">Cancel</button>
+                    <button id="open-campaigns" class="btn btn-outline" style="width: auto;">Campaigns</button>
                     <button id="start-game" class="btn btn-default" style="width: auto;">Start Game</button>
                 </div>
             </div>
         `;
 
+        this.renderPlayerRows();
         this.setupEventListeners();
     }
 
+    renderPlayerRows() {
+        const list = document.getElementById('player-list');
+        if (!list) return;
+
+        list.innerHTML = '';
+        const factions = factionManager.getFactionChoices();
+
+        this.players.forEach((seat, index) => {
+            const row = document.createElement('div');
+            row.className = 'player-row';
+            row.style.cssText = 'display: flex; gap: 0.5rem; align-items: center;';
+
+            const nameInput = document.createElement('input');
+            nameInput.type = 'text';
+            nameInput.className = 'input player-name';
+            nameInput.placeholder = 'Name';
+            nameInput.value = seat.name;
+            nameInput.style.flex = '2';
+            nameInput.addEventListener('input', () => { seat.name = nameInput.value; });
+
+            const factionSelect = document.createElement('select');
+            factionSelect.className = 'input player-faction';
+            factionSelect.style.flex = '2';
+            for (const faction of factions) {
+                const option = document.createElement('option');
+                option.value = faction.name;
+                option.textContent = faction.displayName;
+                factionSelect.appendChild(option);
+            }
+            factionSelect.value = seat.faction;
+            factionSelect.disabled = !!this.scenario;
+            factionSelect.addEventListener('change', () => { seat.faction = factionSelect.value; });
+
+            const colorInput = document.createElement('input');
+            colorInput.type = 'color';
+            colorInput.className = 'player-color';
+            colorInput.value = seat.color;
+            colorInput.style.cssText = 'width: 2.5rem; height: 2.25rem; padding: 0; border: none; background: none;';
+            colorInput.disabled = !!this.scenario;
+            colorInput.addEventListener('input', () => { seat.color = colorInput.value; });
+
+            const controllerSelect = document.createElement('select');
+            controllerSelect.className = 'input player-controller';
+            controllerSelect.style.flex = '1';
+            controllerSelect.innerHTML = '<option value="human">Human</option><option value="ai">AI</option>';
+            controllerSelect.value = seat.isAI ? 'ai' : 'human';
+            controllerSelect.addEventListener('change', () => { seat.isAI = controllerSelect.value === 'ai'; });
+
+            const removeBtn = document.createElement('button');
+            removeBtn.className = 'btn btn-ghost';
+            removeBtn.textContent = '✕';
+            removeBtn.title = 'Remove player';
+            removeBtn.style.width = 'auto';
+            removeBtn.disabled = this.players.length <= 2 || !!this.scenario;
+            removeBtn.addEventListener('click', () => this.removePlayer(index));
+
+            row.append(nameInput, factionSelect, colorInput, controllerSelect, removeBtn);
+            list.appendChild(row);
+        });
+
+        const addBtn = document.getElementById('add-player');
+        if (addBtn) {
+            addBtn.disabled = this.players.length >= MAX_PLAYERS || !!this.scenario;
+        }
+    }
+
+    loadScenario(data) {
+        let scenario;
+        try {
+            scenario = Scenario.load(data);
+        } catch (error) {
+            alert('Failed to load scenario: ' + error.message);
+            return false;
+        }
+
+        // The scenario decides who plays and as what; names and controllers stay editable
+        this.scenario = scenario;
+        this.players = scenario.players.map(player => ({
+            name: player.name || `Player ${player.id + 1}`,
+            faction: player.faction,
+            color: player.color || PLAYER_COLORS[player.id % PLAYER_COLORS.length],
+            isAI: player.isAI === true
+        }));
+
+        this.renderScenarioInfo();
+        this.renderPlayerRows();
+        return true;
+    }
+
+    clearScenario() {
+        this.scenario = null;
+        const fileInput = document.getElementById('scenario-file');
+        if (fileInput) fileInput.value = '';
+
+        this.renderScenarioInfo();
+        this.renderPlayerRows();
+    }
+
+    renderScenarioInfo() {
+        const info = document.getElementById('scenario-info');
+        const clearBtn = document.getElementById('clear-scenario');
+        const mapSize = document.getElementById('map-size');
+        if (!info) return;
+
+        if (clearBtn) clearBtn.style.display = this.scenario ? 'inline-flex' : 'none';
+        if (mapSize) mapSize.disabled = !!this.scenario;
+
+        if (!this.scenario) {
+            info.style.display = 'none';
+            info.innerHTML = '';
+            return;
+        }
+
+        const objectives = this.scenario.players.map(player => {
+            const { victory, defeat } = this.scenario.getObjectives(player.id);
+            const lines = [
+                ...victory.map(text => `Win: ${text}`),
+                ...defeat.map(text => `Lose: ${text}`)
+            ];
+            return lines.length > 0
+                ? `<li><strong>${this.scenario.getPlayerName(player.id)}</strong>: ${lines.join('; ')}</li>`
+                : '';
+        }).join('');
+
+        info.style.display = 'block';
+        info.innerHTML = `
+            <strong>${this.scenario.name}</strong>
+            (${this.scenario.map.width}x${this.scenario.map.height})
+            ${this.scenario.description ? `<p class="card-description">${this.scenario.description}</p>` : ''}
+            ${objectives ? `<ul style="margin: 0.25rem 0 0 1rem; padding: 0;">${objectives}</ul>` : ''}
+            ${this.scenario.standardVictory ? '' : '<p class="card-description">Conquest does not win this scenario.</p>'}
+        `;
+    }
+
+    addPlayer() {
+        if (this.players.length >= MAX_PLAYERS) return;
+
+        // Pick the first colour nobody is using yet
+        const usedColors = this.players.map(seat => seat.color.toUpperCase());
+        const color = PLAYER_COLORS.find(candidate => !usedColors.includes(candidate)) || PLAYER_COLORS[0];
+        const factions = factionManager.getFactionNames();
+
+        this.players.push({
+            name: `Player ${this.players.length + 1}`,
+            faction: factions[this.players.length % factions.length],
+            color: color,
+            isAI: false
+        });
+        this.renderPlayerRows();
+    }
+
+    removePlayer(index) {
+        if (this.players.length <= 2) return;
+
+        this.players.splice(index, 1);
+        this.renderPlayerRows();
+    }
+
+    validatePlayers() {
+        if (this.players.length < 2) {
+            return 'At least two players are needed';
+        }
+
+        if (!this.players.some(seat => !seat.isAI)) {
+            return 'At least one player must be human';
+        }
+
+        const names = this.players.map(seat => seat.name.trim().toLowerCase());
+        if (names.some(name => name.length === 0)) {
+            return 'Every player needs a name';
+        }
+        if (new Set(names).size !== names.length) {
+            return 'Player names must be unique';
+        }
+
+        return null;
+    }
+
+    buildConfig(mapSize, use3D, fogOfWar, heroLimit = DEFAULT_HERO_LIMIT, neutralMonsters = true) {
+        // Map size configuration
+        const sizeMap = {
+            small: { width: 20, height: 15 },
+            medium: { width: 40, height: 30 },
+            large: { width: 60, height: 45 }
+        };
+
+        const dimensions = this.scenario
+            ? { width: this.scenario.map.width, height: this.scenario.map.height }
+            : sizeMap[mapSize] || sizeMap.medium;
+
+        const config = {
+            map: {
+                width: dimensions.width,
+                height: dimensions.height
+            },
+            players: this.players.map((seat, index) => ({
+                id: index,
+                name: seat.name.trim(),
+                faction: seat.faction,
+                color: seat.color,
+                isAI: seat.isAI
+            })),
+            gameSettings: {
+                use3DRendering: use3D,
+                fogOfWar: fogOfWar,
+                heroLimit: heroLimit,
+                neutralMonsters: neutralMonsters
+            }
+        };
+
+        if (this.scenario) {
+            config.scenario = this.scenario.serialize();
+        }
+
+        return config;
+    }
+
     setupEventListeners() {
         const startBtn = document.getElementById('start-game');
         const cancelBtn = document.getElementById('cancel-setup');
+        const addBtn = document.getElementById('add-player');
 
         if (startBtn) {
             startBtn.addEventListener('click', () => this.startGame());
         }
 
+        if (addBtn) {
+            addBtn.addEventListener('click', () => this.addPlayer());
+        }
+
+        const scenarioInput = document.getElementById('scenario-file');
+        if (scenarioInput) {
+            scenarioInput.addEventListener('change', async (e) => {
+                const file = e.target.files[0];
+                if (!file) return;
+                try {
+                    this.loadScenario(JSON.parse(await file.text()));
+                } catch (error) {
+                    alert('Failed to load scenario: ' + error.message);
+                }
+            });
+        }
+
+        const campaignsBtn = document.getElementById('open-campaigns');
+        if (campaignsBtn) {
+            campaignsBtn.addEventListener('click', () => new CampaignScreen(this.gameManager).show());
+        }
+
+        const clearScenarioBtn = document.getElementById('clear-scenario');
+        if (clearScenarioBtn) {
+            clearScenarioBtn.addEventListener('click', () => this.clearScenario());
+        }
+
         if (cancelBtn) {
             cancelBtn.addEventListener('click', () => {
                 // Don't hide setup on cancel, just reload page
@@ -101,35 +381,18 @@ export class GameSetup {
 
     startGame() {
         const mapSize = document.getElementById('map-size').value;
-        const playerName = document.getElementById('player-name').value || 'Player 1';
-        const playerFaction = document.getElementById('player-faction').value;
-        const aiPlayers = parseInt(document.getElementById('ai-players').value) || 2;
         const use3D = document.getElementById('use-3d-rendering').checked;
+        const fogOfWar = document.getElementById('fog-of-war').checked;
+        const heroLimit = Math.max(1, parseInt(document.getElementById('hero-limit').value, 10) || DEFAULT_HERO_LIMIT);
+        const neutralMonsters = document.getElementById('neutral-monsters').checked;
 
-        // Map size configuration
-        const sizeMap = {
-            small: { width: 20, height: 15 },
-            medium: { width: 40, height: 30 },
-            large: { width: 60, height: 45 }
-        };
-
-        const dimensions = sizeMap[mapSize] || sizeMap.medium;
+        const error = this.validatePlayers();
+        if (error) {
+            alert(error);
+            return;
+        }
 
-        const config = {
-            mapWidth: dimensions.width,
-            mapHeight: dimensions.height,
-            players: [
-                {
-                    name: playerName,
-                    faction: playerFaction,
-                    isAI: false
-                }
-            ],
-            aiPlayers: aiPlayers,
-            gameSettings: {
-                use3DRendering: use3D
-            }
-        };
+        const config = this.buildConfig(mapSize, use3D, fogOfWar, heroLimit, neutralMonsters);
 
         // Initialize game
         try {
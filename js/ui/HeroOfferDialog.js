@@ -0,0 +1,79 @@
+/**
+ * HeroOfferDialog - Shows the hero offering to join at the start of a turn
+ * A hero who is not hired before the end of the turn moves on
+ */
+
+import { ACTION_TYPES } from '../core/ActionLog.js';
+
+export class HeroOfferDialog {
+    constructor(gameManager, offer) {
+        this.gameManager = gameManager;
+        this.offer = offer;
+        this.overlay = null;
+    }
+
+    show() {
+        this.close();
+
+        const offer = this.offer;
+        const gameState = this.gameManager.getGameState();
+        const city = gameState.getCityAt(offer.city.x, offer.city.y);
+        const player = gameState.getPlayer(this.gameManager.getCurrentPlayer());
+        const canAfford = player && player.canAfford(offer.fee);
+        const buttonStyle = 'padding: 8px 16px; margin-left: 8px; border: none; border-radius: 4px; cursor: pointer; color: white;';
+        const allies = offer.allies.length > 0
+            ? `<p id="hero-offer-allies">Brings ${offer.allies.length} ${offer.allies[0].toLowerCase()}${offer.allies.length > 1 ? 's' : ''} along.</p>`
+            : '';
+
+        this.overlay = document.createElement('div');
+        this.overlay.id = 'hero-offer-dialog';
+        this.overlay.style.cssText = `
+            position: fixed;
+            top: 50%;
+            left: 50%;
+            transform: translate(-50%, -50%);
+            min-width: 320px;
+            background-color: rgba(44, 62, 80, 0.95);
+            border: 2px solid #f39c12;
+            border-radius: 8px;
+            padding: 20px;
+            z-index: 2000;
+            color: white;
+        `;
+
+        this.overlay.innerHTML = `
+            <h2 style="margin-top: 0;">A hero offers to join!</h2>
+            <p><strong>${offer.name}</strong> (level ${offer.level}) waits in ${city ? city.name : 'your city'}.</p>
+            <table id="hero-offer-stats" style="width: 100%; color: #ecf0f1; margin-bottom: 10px;">
+                <tr><td>Attack</td><td>${offer.stats.attack}</td><td>Defense</td><td>${offer.stats.defense}</td></tr>
+                <tr><td>Health</td><td>${offer.stats.health}</td><td>Movement</td><td>${offer.stats.movement}</td></tr>
+                <tr><td>Mana</td><td>${offer.stats.mana}</td><td></td><td></td></tr>
+            </table>
+            ${allies}
+            <p>Fee: <strong>${offer.fee} gold</strong>${canAfford ? '' : ' <span style="color: #e74c3c;">(you cannot afford it)</span>'}</p>
+            <div style="text-align: right; margin-top: 15px;">
+                <button id="hero-offer-decline" style="${buttonStyle} background-color: #7f8c8d;">Send away</button>
+                <button id="hero-offer-accept" style="${buttonStyle} background-color: #27ae60;" ${canAfford ? '' : 'disabled'}>Hire</button>
+            </div>
+        `;
+
+        this.overlay.querySelector('#hero-offer-accept').addEventListener('click', () => this.choose(true));
+        this.overlay.querySelector('#hero-offer-decline').addEventListener('click', () => this.choose(false));
+
+        document.body.appendChild(this.overlay);
+    }
+
+    choose(accept) {
+        this.gameManager.processAction({ type: ACTION_TYPES.RESOLVE_HERO_OFFER, accept });
+
+        this.close();
+        this.gameManager.render();
+    }
+
+    close() {
+        if (this.overlay && this.overlay.parentNode) {
+            this.overlay.parentNode.removeChild(this.overlay);
+        }
+        this.overlay = null;
+    }
+}
@@ -0,0 +1,129 @@
+/**
+ * ItemPanel - Overlay for a hero's items: drop them, pick up what lies on the
+ * hex, hand them to another hero of the stack and craft in friendly cities
+ */
+
+import { ACTION_TYPES } from '../core/ActionLog.js';
+import { ITEM_TEMPLATES } from '../core/Item.js';
+import { CRAFTING_RECIPES, getCraftableRecipes } from '../core/Crafting.js';
+
+export class ItemPanel {
+    constructor(gameManager, hero) {
+        this.gameManager = gameManager;
+        this.hero = hero;
+        this.overlay = null;
+    }
+
+    show() {
+        this.close();
+
+        this.overlay = document.createElement('div');
+        this.overlay.id = 'item-panel';
+        this.overlay.style.cssText = `
+            position: fixed;
+            top: 50%;
+            left: 50%;
+            transform: translate(-50%, -50%);
+            min-width: 420px;
+            max-height: 70%;
+            overflow-y: auto;
+            background-color: rgba(44, 62, 80, 0.95);
+            border: 2px solid #e67e22;
+            border-radius: 8px;
+            padding: 20px;
+            z-index: 2000;
+            color: white;
+        `;
+
+        document.body.appendChild(this.overlay);
+        this.update();
+    }
+
+    update() {
+        if (!this.overlay) {
+            return;
+        }
+
+        const gameState = this.gameManager.getGameState();
+        const hero = this.hero;
+        const heroRef = { heroId: hero.id };
+        const companions = gameState.getUnitsAt(hero.x, hero.y)
+            .filter(unit => unit !== hero && unit.owner === hero.owner && unit.type === 'HERO');
+        const pile = gameState.getItemsAt(hero.x, hero.y);
+        const city = gameState.getCityAt(hero.x, hero.y);
+        const canCraft = city && city.owner === hero.owner;
+        const buttonStyle = 'padding: 2px 8px; margin-left: 4px; border: none; border-radius: 4px; cursor: pointer; color: white;';
+
+        const describe = item => {
+            const bonuses = item.getSummary ? item.getSummary().bonuses : '';
+            return `<strong>${item.name}</strong>${bonuses ? ` <span style="color: #bdc3c7;">(${bonuses})</span>` : ''}`;
+        };
+
+        const carried = hero.items.map((item, index) => `
+            <div style="padding: 4px 0;">${describe(item)}
+                <button data-action="drop" data-index="${index}" style="${buttonStyle} background-color: #7f8c8d;">Drop</button>
+                ${companions.map(companion => `
+                    <button data-action="give" data-index="${index}" data-recipient="${companion.id}" style="${buttonStyle} background-color: #2980b9;">Give to ${companion.heroName}</button>
+                `).join('')}
+            </div>
+        `).join('');
+
+        const ground = pile.map((item, index) => `
+            <div style="padding: 4px 0;">${describe(item)}
+                <button data-action="pick-up" data-index="${index}" style="${buttonStyle} background-color: #27ae60;">Pick up</button>
+            </div>
+        `).join('');
+
+        const recipes = getCraftableRecipes(hero.items).map(recipeId => `
+            <div style="padding: 4px 0;"><strong>${ITEM_TEMPLATES[recipeId].name}</strong>
+                <span style="color: #bdc3c7;">from ${CRAFTING_RECIPES[recipeId].map(ingredient => ITEM_TEMPLATES[ingredient].name).join(' + ')}</span>
+                <button data-action="craft" data-recipe="${recipeId}" style="${buttonStyle} background-color: #8e44ad;" ${canCraft ? '' : 'disabled'}>Craft</button>
+            </div>
+        `).join('');
+
+        this.overlay.innerHTML = `
+            <h2 style="margin-top: 0;">${hero.heroName}'s Items</h2>
+            ${carried || '<p style="color: #bdc3c7;">Carrying nothing.</p>'}
+            ${pile.length > 0 ? `<h3>On the ground</h3>${ground}` : ''}
+            ${recipes ? `<h3>Crafting</h3>${canCraft ? '' : '<p style="color: #bdc3c7;">Visit one of your cities to craft.</p>'}${recipes}` : ''}
+            <div style="text-align: right; margin-top: 15px;">
+                <button id="item-panel-close" style="padding: 4px 10px; border: none; border-radius: 4px; cursor: pointer; color: white; background-color: #e74c3c;">Close</button>
+            </div>
+        `;
+
+        for (const button of this.overlay.querySelectorAll('button[data-action]')) {
+            const index = Number(button.dataset.index);
+            button.addEventListener('click', () => {
+                switch (button.dataset.action) {
+                    case 'drop':
+                        this.dispatch({ type: ACTION_TYPES.DROP_ITEM, ...heroRef, itemIndex: index });
+                        break;
+                    case 'give':
+                        this.dispatch({ type: ACTION_TYPES.TRANSFER_ITEM, ...heroRef, recipientId: button.dataset.recipient, itemIndex: index });
+                        break;
+                    case 'pick-up':
+                        this.dispatch({ type: ACTION_TYPES.PICK_UP_ITEM, ...heroRef, pileIndex: index });
+                        break;
+                    case 'craft':
+                        this.dispatch({ type: ACTION_TYPES.CRAFT_ITEM, ...heroRef, recipe: button.dataset.recipe });
+                        break;
+                }
+            });
+        }
+
+        this.overlay.querySelector('#item-panel-close').addEventListener('click', () => this.close());
+    }
+
+    dispatch(action) {
+        this.gameManager.processAction(action);
+        this.update();
+        this.gameManager.render();
+    }
+
+    close() {
+        if (this.overlay && this.overlay.parentNode) {
+            this.overlay.parentNode.removeChild(this.overlay);
+        }
+        this.overlay = null;
+    }
+}
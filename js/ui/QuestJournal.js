@@ -0,0 +1,95 @@
+/**
+ * QuestJournal - Overlay listing the quests the current player's heroes took at temples
+ * Active quests show their progress and deadline; finished ones how they ended
+ */
+
+import { QUEST_STATUS } from '../core/Quest.js';
+
+const STATUS_COLORS = {
+    [QUEST_STATUS.ACTIVE]: '#f1c40f',
+    [QUEST_STATUS.COMPLETED]: '#27ae60',
+    [QUEST_STATUS.FAILED]: '#e74c3c'
+};
+
+export class QuestJournal {
+    constructor(gameManager) {
+        this.gameManager = gameManager;
+        this.overlay = null;
+    }
+
+    show() {
+        this.close();
+
+        this.overlay = document.createElement('div');
+        this.overlay.id = 'quest-journal';
+        this.overlay.style.cssText = `
+            position: fixed;
+            top: 50%;
+            left: 50%;
+            transform: translate(-50%, -50%);
+            min-width: 420px;
+            max-height: 70%;
+            overflow-y: auto;
+            background-color: rgba(44, 62, 80, 0.95);
+            border: 2px solid #f1c40f;
+            border-radius: 8px;
+            padding: 20px;
+            z-index: 2000;
+            color: white;
+        `;
+
+        document.body.appendChild(this.overlay);
+        this.update();
+    }
+
+    update() {
+        if (!this.overlay) {
+            return;
+        }
+
+        const gameState = this.gameManager.getGameState();
+        const playerId = this.gameManager.getCurrentPlayer();
+        const turn = gameState.getCurrentTurn();
+
+        // Active quests first, the rest newest first
+        const quests = gameState.getPlayerQuests(playerId).slice().reverse()
+            .sort((a, b) => Number(b.isActive()) - Number(a.isActive()));
+
+        this.overlay.innerHTML = `
+            <h2 style="margin-top: 0;">Quest Journal</h2>
+            ${quests.length === 0 ? '<p style="color: #bdc3c7;">None of your heroes is on a quest. Visit a temple to take one.</p>' : ''}
+            <div id="quest-list"></div>
+            <div style="text-align: right; margin-top: 15px;">
+                <button id="quest-journal-close" style="padding: 4px 10px; border: none; border-radius: 4px; cursor: pointer; color: white; background-color: #e74c3c;">Close</button>
+            </div>
+        `;
+
+        const list = this.overlay.querySelector('#quest-list');
+        for (const quest of quests) {
+            const hero = gameState.getUnit(quest.heroId);
+            const deadline = quest.isActive()
+                ? `${Math.max(0, quest.deadline - turn)} turns left`
+                : quest.status.toLowerCase();
+
+            const row = document.createElement('div');
+            row.className = 'quest-row';
+            row.dataset.quest = quest.id;
+            row.style.cssText = 'padding: 6px 0; border-bottom: 1px solid #34495e;';
+            row.innerHTML = `
+                <div><strong>${hero ? hero.heroName : 'Lost hero'}</strong>: ${quest.getDescription()}
+                    <span style="color: ${STATUS_COLORS[quest.status]};">(${deadline})</span></div>
+                <small style="color: #bdc3c7;">${quest.getProgress(gameState)}. Reward: ${quest.getRewardDescription()}</small>
+            `;
+            list.appendChild(row);
+        }
+
+        this.overlay.querySelector('#quest-journal-close').addEventListener('click', () => this.close());
+    }
+
+    close() {
+        if (this.overlay && this.overlay.parentNode) {
+            this.overlay.parentNode.removeChild(this.overlay);
+        }
+        this.overlay = null;
+    }
+}
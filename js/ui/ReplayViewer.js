@@ -0,0 +1,196 @@
+/**
+ * ReplayViewer - Overlay for stepping through a recorded game
+ * Shows the whole board (no fog) on its own canvas
+ */
+
+import { RenderEngine } from '../core/RenderEngine.js';
+import { ACTION_TYPES } from '../core/ActionLog.js';
+import { HERO_SKILLS } from '../core/HeroSkill.js';
+import { ITEM_TEMPLATES } from '../core/Item.js';
+
+export class ReplayViewer {
+    constructor(replayEngine) {
+        this.replay = replayEngine;
+        this.overlay = null;
+        this.renderEngine = null;
+    }
+
+    show() {
+        this.close();
+
+        this.overlay = document.createElement('div');
+        this.overlay.id = 'replay-viewer';
+        this.overlay.style.cssText = `
+            position: fixed;
+            top: 0;
+            left: 0;
+            width: 100%;
+            height: 100%;
+            background-color: rgba(0, 0, 0, 0.9);
+            z-index: 2100;
+            display: flex;
+            flex-direction: column;
+            justify-content: center;
+            align-items: center;
+            gap: 10px;
+            color: white;
+        `;
+
+        const buttonStyle = 'padding: 8px 16px; background-color: #3498db; color: white; border: none; border-radius: 5px; cursor: pointer; font-size: 16px;';
+
+        this.overlay.innerHTML = `
+            <h2 style="margin: 0;">Replay</h2>
+            <canvas id="replay-canvas" width="800" height="500" style="background-color: #111; border-radius: 5px;"></canvas>
+            <p id="replay-action" style="margin: 0; color: #bdc3c7;"></p>
+            <div style="display: flex; gap: 10px; align-items: center;">
+                <button id="replay-start" style="${buttonStyle}" title="Start">&#x23EE;</button>
+                <button id="replay-back" style="${buttonStyle}" title="Step back">&#x25C0;</button>
+                <span id="replay-position" style="min-width: 100px; text-align: center;"></span>
+                <button id="replay-forward" style="${buttonStyle}" title="Step forward">&#x25B6;</button>
+                <button id="replay-end" style="${buttonStyle}" title="End">&#x23ED;</button>
+                <button id="replay-close" style="${buttonStyle} background-color: #e74c3c;">Close</button>
+            </div>
+        `;
+
+        document.body.appendChild(this.overlay);
+
+        try {
+            this.renderEngine = new RenderEngine('replay-canvas');
+        } catch (error) {
+            console.error('Failed to create replay renderer:', error);
+            this.renderEngine = null;
+        }
+
+        document.getElementById('replay-start').addEventListener('click', () => {
+            this.replay.goTo(0);
+            this.update();
+        });
+        document.getElementById('replay-back').addEventListener('click', () => {
+            this.replay.stepBackward();
+            this.update();
+        });
+        document.getElementById('replay-forward').addEventListener('click', () => {
+            this.replay.stepForward();
+            this.update();
+        });
+        document.getElementById('replay-end').addEventListener('click', () => {
+            this.replay.goTo(this.replay.getLength());
+            this.update();
+        });
+        document.getElementById('replay-close').addEventListener('click', () => {
+            this.close();
+        });
+
+        this.update();
+    }
+
+    update() {
+        if (!this.overlay) {
+            return;
+        }
+
+        const gameState = this.replay.getGameState();
+
+        document.getElementById('replay-position').textContent = `${this.replay.getPosition()} / ${this.replay.getLength()}`;
+        document.getElementById('replay-action').textContent = this.describeAction(this.replay.getCurrentAction(), gameState);
+        document.getElementById('replay-back').disabled = this.replay.getPosition() === 0;
+        document.getElementById('replay-forward').disabled = this.replay.getPosition() >= this.replay.getLength();
+
+        if (this.renderEngine) {
+            // The replay shows everything, whoever's turn it is
+            gameState.fogOfWar.setViewingPlayer(null);
+            this.renderEngine.render(gameState);
+        }
+    }
+
+    describePlayer(playerId, gameState) {
+        const player = gameState.getPlayer(playerId);
+        return player ? player.name : `Player ${playerId}`;
+    }
+
+    describeAction(action, gameState) {
+        if (!action) {
+            return 'Start of game';
+        }
+
+        const prefix = `Turn ${action.turn} - ${this.describePlayer(action.playerId, gameState)}`;
+
+        switch (action.type) {
+            case ACTION_TYPES.MOVE_UNIT:
+                return `${prefix} moved a unit from (${action.unit.x}, ${action.unit.y}) to (${action.toX}, ${action.toY})`;
+            case ACTION_TYPES.MOVE_STACK:
+                return `${prefix} moved ${action.units.length} units to (${action.toX}, ${action.toY})`;
+            case ACTION_TYPES.SPLIT_STACK:
+                return `${prefix} split ${action.units.length} unit(s) off to (${action.toX}, ${action.toY})`;
+            case ACTION_TYPES.MERGE_STACK:
+                return `${prefix} joined ${action.units.length} unit(s) to the stack at (${action.toX}, ${action.toY})`;
+            case ACTION_TYPES.GO_TO:
+                return `${prefix} ordered ${action.units.length} unit(s) to march to (${action.toX}, ${action.toY})`;
+            case ACTION_TYPES.ATTACK:
+                return `${prefix} attacked (${action.defender.x}, ${action.defender.y}) from (${action.attacker.x}, ${action.attacker.y})`;
+            case ACTION_TYPES.PRODUCE_UNIT:
+                return `${prefix} started producing ${action.unitType} at (${action.city.x}, ${action.city.y})`;
+            case ACTION_TYPES.CANCEL_PRODUCTION:
+                return `${prefix} cancelled production at (${action.city.x}, ${action.city.y})`;
+            case ACTION_TYPES.QUEUE_PRODUCTION:
+                return `${prefix} queued ${action.repeat ? 'repeating' : action.count} ${action.unitType} at (${action.city.x}, ${action.city.y})`;
+            case ACTION_TYPES.MOVE_QUEUED_PRODUCTION:
+                return `${prefix} reordered the production queue at (${action.city.x}, ${action.city.y})`;
+            case ACTION_TYPES.REMOVE_QUEUED_PRODUCTION:
+                return `${prefix} removed an order from the production queue at (${action.city.x}, ${action.city.y})`;
+            case ACTION_TYPES.SET_VECTOR:
+                return action.target
+                    ? `${prefix} vectored (${action.city.x}, ${action.city.y}) to (${action.target.x}, ${action.target.y})`
+                    : `${prefix} stopped vectoring (${action.city.x}, ${action.city.y})`;
+            case ACTION_TYPES.START_CONSTRUCTION:
+                return `${prefix} started building ${action.project.toLowerCase()} at (${action.city.x}, ${action.city.y})`;
+            case ACTION_TYPES.CANCEL_CONSTRUCTION:
+                return `${prefix} cancelled construction at (${action.city.x}, ${action.city.y})`;
+            case ACTION_TYPES.RESOLVE_CAPTURE: {
+                const verbs = { OCCUPY: 'occupied', PILLAGE: 'pillaged', SACK: 'sacked', RAZE: 'razed' };
+                return `${prefix} ${verbs[action.option] || action.option} the city at (${action.city.x}, ${action.city.y})`;
+            }
+            case ACTION_TYPES.PROPOSE_TREATY:
+                return `${prefix} offered ${action.treaty.toLowerCase()} to ${this.describePlayer(action.target, gameState)}`;
+            case ACTION_TYPES.RESPOND_TREATY:
+                return `${prefix} ${action.accept ? 'accepted' : 'rejected'} the offer from ${this.describePlayer(action.from, gameState)}`;
+            case ACTION_TYPES.DECLARE_WAR:
+                return `${prefix} declared war on ${this.describePlayer(action.target, gameState)}`;
+            case ACTION_TYPES.RESOLVE_HERO_OFFER:
+                return `${prefix} ${action.accept ? 'hired' : 'sent away'} a hero`;
+            case ACTION_TYPES.CHOOSE_SKILL:
+                return `${prefix} taught a hero ${HERO_SKILLS[action.skill] ? HERO_SKILLS[action.skill].name : action.skill}`;
+            case ACTION_TYPES.END_TURN:
+                return `${prefix} ended the turn`;
+            case ACTION_TYPES.CAST_SPELL:
+                return `${prefix} cast a spell`;
+            case ACTION_TYPES.USE_ITEM:
+                return `${prefix} used an item`;
+            case ACTION_TYPES.EQUIP_ITEM:
+                return `${prefix} equipped an item`;
+            case ACTION_TYPES.DROP_ITEM:
+                return `${prefix} dropped an item`;
+            case ACTION_TYPES.PICK_UP_ITEM:
+                return `${prefix} picked up an item`;
+            case ACTION_TYPES.TRANSFER_ITEM:
+                return `${prefix} handed an item to another hero`;
+            case ACTION_TYPES.CRAFT_ITEM:
+                return `${prefix} crafted ${ITEM_TEMPLATES[action.recipe] ? ITEM_TEMPLATES[action.recipe].name : 'an item'}`;
+            case ACTION_TYPES.EXPLORE_LOCATION:
+                if (action.locationType === 'TEMPLE') {
+                    return `${prefix} sought a quest at a temple`;
+                }
+                return `${prefix} explored ${(action.locationType || 'ruins').toLowerCase()}`;
+            default:
+                return `${prefix}: ${action.type}`;
+        }
+    }
+
+    close() {
+        if (this.overlay && this.overlay.parentNode) {
+            this.overlay.parentNode.removeChild(this.overlay);
+        }
+        this.overlay = null;
+        this.renderEngine = null;
+    }
+}
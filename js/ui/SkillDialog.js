@@ -0,0 +1,82 @@
+/**
+ * SkillDialog - Lets a hero who has gained a level pick a skill
+ * The skills on offer are grouped by tree; locked ones show what they need
+ */
+
+import { ACTION_TYPES } from '../core/ActionLog.js';
+import { HERO_SKILLS, SKILL_TREES } from '../core/HeroSkill.js';
+
+export class SkillDialog {
+    constructor(gameManager, hero) {
+        this.gameManager = gameManager;
+        this.hero = hero;
+        this.overlay = null;
+    }
+
+    show() {
+        this.close();
+
+        const hero = this.hero;
+        const choices = hero.getSkillChoices();
+        const buttonStyle = 'padding: 6px 12px; margin: 2px; border: none; border-radius: 4px; cursor: pointer; color: white;';
+
+        this.overlay = document.createElement('div');
+        this.overlay.id = 'skill-dialog';
+        this.overlay.style.cssText = `
+            position: fixed;
+            top: 50%;
+            left: 50%;
+            transform: translate(-50%, -50%);
+            min-width: 420px;
+            background-color: rgba(44, 62, 80, 0.95);
+            border: 2px solid #9b59b6;
+            border-radius: 8px;
+            padding: 20px;
+            z-index: 2000;
+            color: white;
+        `;
+
+        const trees = Object.values(SKILL_TREES).map(tree => {
+            const skills = Object.keys(HERO_SKILLS).filter(skillId => HERO_SKILLS[skillId].tree === tree);
+            const rows = skills.map(skillId => {
+                const skill = HERO_SKILLS[skillId];
+                let control;
+                if (hero.skills.includes(skillId)) {
+                    control = '<span style="color: #2ecc71;">Learned</span>';
+                } else if (choices.includes(skillId)) {
+                    control = `<button data-skill="${skillId}" style="${buttonStyle} background-color: #8e44ad;">Learn</button>`;
+                } else {
+                    control = `<span style="color: #95a5a6;">Needs ${HERO_SKILLS[skill.requires].name}</span>`;
+                }
+                return `<tr><td><strong>${skill.name}</strong></td><td>${skill.description}</td><td>${control}</td></tr>`;
+            }).join('');
+            return `<h3 style="margin: 10px 0 4px;">${tree.charAt(0) + tree.slice(1).toLowerCase()}</h3><table style="width: 100%; color: #ecf0f1;">${rows}</table>`;
+        }).join('');
+
+        this.overlay.innerHTML = `
+            <h2 style="margin-top: 0;">${hero.heroName} reached level ${hero.level}!</h2>
+            <p>Choose a skill${hero.skillPoints > 1 ? ` (${hero.skillPoints} to pick)` : ''}.</p>
+            ${trees}
+        `;
+
+        for (const button of this.overlay.querySelectorAll('button[data-skill]')) {
+            button.addEventListener('click', () => this.choose(button.dataset.skill));
+        }
+
+        document.body.appendChild(this.overlay);
+    }
+
+    choose(skillId) {
+        // Closed first so the next hero waiting for a skill can be offered one
+        this.close();
+        this.gameManager.processAction({ type: ACTION_TYPES.CHOOSE_SKILL, heroId: this.hero.id, skill: skillId });
+        this.gameManager.render();
+    }
+
+    close() {
+        if (this.overlay && this.overlay.parentNode) {
+            this.overlay.parentNode.removeChild(this.overlay);
+        }
+        this.overlay = null;
+    }
+}
@@ -0,0 +1,109 @@
+/**
+ * VectorPanel - Overlay listing every city that sends its new units to a rally point
+ * Vectors can be inspected on the map or cleared from here
+ */
+
+import { ACTION_TYPES } from '../core/ActionLog.js';
+
+export class VectorPanel {
+    constructor(gameManager) {
+        this.gameManager = gameManager;
+        this.overlay = null;
+    }
+
+    show() {
+        this.close();
+
+        this.overlay = document.createElement('div');
+        this.overlay.id = 'vector-panel';
+        this.overlay.style.cssText = `
+            position: fixed;
+            top: 50%;
+            left: 50%;
+            transform: translate(-50%, -50%);
+            min-width: 360px;
+            max-height: 70%;
+            overflow-y: auto;
+            background-color: rgba(44, 62, 80, 0.95);
+            border: 2px solid #F1C40F;
+            border-radius: 8px;
+            padding: 20px;
+            z-index: 2000;
+            color: white;
+        `;
+
+        document.body.appendChild(this.overlay);
+        this.update();
+    }
+
+    update() {
+        if (!this.overlay) {
+            return;
+        }
+
+        const gameState = this.gameManager.getGameState();
+        const vectors = gameState.getPlayerVectors(this.gameManager.getCurrentPlayer());
+        const buttonStyle = 'padding: 4px 10px; margin-left: 6px; border: none; border-radius: 4px; cursor: pointer; color: white;';
+
+        this.overlay.innerHTML = `
+            <h2 style="margin-top: 0;">Vectored Cities</h2>
+            ${vectors.length === 0 ? '<p style="color: #bdc3c7;">No city is vectoring its units.</p>' : ''}
+            <div id="vector-list"></div>
+            <div style="text-align: right; margin-top: 15px;">
+                <button id="vector-panel-close" style="${buttonStyle} background-color: #e74c3c;">Close</button>
+            </div>
+        `;
+
+        const list = this.overlay.querySelector('#vector-list');
+        for (const { city, target, targetCity } of vectors) {
+            const row = document.createElement('div');
+            row.className = 'vector-row';
+            row.style.cssText = 'display: flex; align-items: center; justify-content: space-between; padding: 6px 0; border-bottom: 1px solid #34495e;';
+
+            const destination = targetCity ? targetCity.name : `(${target.x}, ${target.y})`;
+            const label = document.createElement('span');
+            label.textContent = `${city.name} → ${destination}`;
+            row.appendChild(label);
+
+            const controls = document.createElement('span');
+            const showButton = document.createElement('button');
+            showButton.textContent = 'Show';
+            showButton.style.cssText = `${buttonStyle} background-color: #3498db;`;
+            showButton.addEventListener('click', () => {
+                const renderEngine = this.gameManager.getRenderEngine();
+                if (renderEngine) {
+                    renderEngine.centerOnHex(target.x, target.y);
+                    this.gameManager.render();
+                }
+            });
+
+            const clearButton = document.createElement('button');
+            clearButton.className = 'vector-clear';
+            clearButton.textContent = 'Clear';
+            clearButton.style.cssText = `${buttonStyle} background-color: #7f8c8d;`;
+            clearButton.addEventListener('click', () => {
+                this.gameManager.processAction({
+                    type: ACTION_TYPES.SET_VECTOR,
+                    city: { x: city.x, y: city.y },
+                    target: null
+                });
+                this.gameManager.render();
+                this.update();
+            });
+
+            controls.appendChild(showButton);
+            controls.appendChild(clearButton);
+            row.appendChild(controls);
+            list.appendChild(row);
+        }
+
+        this.overlay.querySelector('#vector-panel-close').addEventListener('click', () => this.close());
+    }
+
+    close() {
+        if (this.overlay && this.overlay.parentNode) {
+            this.overlay.parentNode.removeChild(this.overlay);
+        }
+        this.overlay = null;
+    }
+}